@@ -0,0 +1,115 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Compares the manifest generated by the Dart builder with one extracted
+/// from the Node.js SDK.
+///
+/// Run `dart run firebase_functions:parity --help` for usage.
+library;
+
+import 'dart:io';
+
+import 'package:firebase_functions/src/builder/parity.dart';
+import 'package:yaml/yaml.dart';
+
+const _usage = '''
+Usage: dart run firebase_functions:parity [options]
+
+Compares the functions.yaml generated by the Dart builder with a manifest
+extracted from the Node.js SDK, such as the nodejs_manifest.json written by
+test/fixtures/nodejs_reference/extract-manifest.js or
+tool/run_snapshot_server.sh.
+
+Exits with 0 if the manifests match, 1 if they differ in ways the allow-list
+does not cover, and 2 on errors.
+
+Options:
+  --dart <path>   The Dart manifest. Defaults to functions.yaml.
+  --node <path>   The Node.js manifest, as JSON or YAML. Defaults to
+                  nodejs_manifest.json.
+  --allow <path>  A file of known differences, one path pattern per line.
+  -h, --help      Prints this message.''';
+
+void main(List<String> arguments) {
+  final options = <String, String>{
+    'dart': 'functions.yaml',
+    'node': 'nodejs_manifest.json',
+  };
+  for (var i = 0; i < arguments.length; i++) {
+    final argument = arguments[i];
+    if (argument == '-h' || argument == '--help') {
+      print(_usage);
+      return;
+    }
+    final name = argument.startsWith('--') ? argument.substring(2) : null;
+    if (!const {'dart', 'node', 'allow'}.contains(name) ||
+        i + 1 == arguments.length) {
+      _fail('Unexpected argument "$argument".\n\n$_usage');
+      return;
+    }
+    options[name!] = arguments[++i];
+  }
+
+  final Object? dart, node;
+  final ParityAllowList allowList;
+  try {
+    dart = loadYaml(File(options['dart']!).readAsStringSync());
+    node = loadYaml(File(options['node']!).readAsStringSync());
+    allowList = switch (options['allow']) {
+      final String path => ParityAllowList.parse(
+        File(path).readAsStringSync(),
+      ),
+      null => ParityAllowList(const []),
+    };
+  } on IOException catch (e) {
+    _fail('$e');
+    return;
+  } on YamlException catch (e) {
+    _fail('$e');
+    return;
+  }
+
+  final differences = compareManifests(dart, node);
+  final bySubject = <String, List<ManifestDifference>>{};
+  for (final difference in differences) {
+    (bySubject[difference.subject] ??= []).add(difference);
+  }
+
+  var divergent = 0;
+  for (final MapEntry(key: subject, value: differences) in bySubject.entries) {
+    print(subject);
+    for (final difference in differences) {
+      final allowed = allowList.allows(difference);
+      if (!allowed) divergent++;
+      final field = difference.field.isEmpty ? '' : '${difference.field}: ';
+      print(
+        '  ${allowed ? '(allowed) ' : ''}$field${difference.description}',
+      );
+    }
+  }
+
+  final allowed = differences.length - divergent;
+  print(
+    divergent == 0
+        ? 'Manifests match${allowed == 0 ? '' : ' ($allowed allowed)'}.'
+        : '$divergent difference${divergent == 1 ? '' : 's'} '
+              '($allowed allowed).',
+  );
+  if (divergent > 0) exitCode = 1;
+}
+
+void _fail(String message) {
+  stderr.writeln(message);
+  exitCode = 2;
+}
@@ -30,6 +30,7 @@ import 'package:source_gen/source_gen.dart';
 
 import 'src/builder/manifest.dart';
 import 'src/builder/spec.dart';
+import 'src/firestore/function_name.dart';
 
 /// Builder factory function (called by build_runner).
 Builder specBuilder(BuilderOptions options) => _SpecBuilder();
@@ -88,7 +89,9 @@ class _SpecBuilder implements Builder {
       );
       entry.value.accept(visitor);
       allParams.addAll(visitor.params);
-      allEndpoints.addAll(visitor.endpoints);
+      for (final endpoint in visitor.endpoints.values) {
+        addEndpoint(allEndpoints, endpoint);
+      }
     }
 
     // Generate YAML from collected data
@@ -179,7 +182,7 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
       _Namespace(
         _extractPubSubFunction,
         '$_pkg/src/pubsub/pubsub_namespace.dart#PubSubNamespace',
-        ['onMessagePublished'],
+        ['onMessagePublished', 'onMessagePublishedWithData'],
       ),
       _Namespace(
         _extractFirestoreFunction,
@@ -193,6 +196,10 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
           'onDocumentUpdatedWithAuthContext',
           'onDocumentDeletedWithAuthContext',
           'onDocumentWrittenWithAuthContext',
+          'onDocumentCreatedWithData',
+          'onDocumentUpdatedWithData',
+          'onDocumentDeletedWithData',
+          'onDocumentWrittenWithData',
         ],
       ),
       _Namespace(
@@ -455,12 +462,15 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
     // Determine trigger type
     final triggerType = methodName == 'onRequest' ? 'https' : 'callable';
 
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: triggerType,
-      globalOptions: _globalOptionsExpr,
-      options: node.findOptionsArg(_variableToOptionsExpr),
-      variableToParamName: _variableToParamName,
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: triggerType,
+        globalOptions: _globalOptionsExpr,
+        options: node.findOptionsArg(_variableToOptionsExpr),
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -470,17 +480,23 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
     final topicName = node.extractLiteralForArg('topic');
     if (topicName == null) return;
 
-    // Generate function name from topic (remove hyphens to match Node.js behavior)
+    // Generate function name from topic (remove hyphens to match Node.js
+    // behavior) unless one was given
     final sanitizedTopic = topicName.replaceAll('-', '');
-    final functionName = 'onMessagePublished_$sanitizedTopic';
-
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'pubsub',
-      topic: topicName, // Keep original topic name for eventFilters
-      globalOptions: _globalOptionsExpr,
-      options: node.findOptionsArg(_variableToOptionsExpr),
-      variableToParamName: _variableToParamName,
+    final functionName =
+        node.extractLiteralForArg('name') ??
+        'onMessagePublished_$sanitizedTopic';
+
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'pubsub',
+        topic: topicName, // Keep original topic name for eventFilters
+        globalOptions: _globalOptionsExpr,
+        options: node.findOptionsArg(_variableToOptionsExpr),
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -500,25 +516,33 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
       namespace = _extractStringField(optionsArg, 'namespace');
     }
 
-    // Generate function name from document path and event type
-    // Similar to how we do it in firestore_namespace.dart
-    final sanitizedPath = documentPath
-        .replaceAll('/', '_')
-        .replaceAll('{', '')
-        .replaceAll('}', '')
-        .replaceAll('-', '');
-    final functionName = '${methodName}_$sanitizedPath';
-
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'firestore',
-      firestoreEventType: methodName,
-      documentPath: documentPath,
-      database: database ?? '(default)',
-      namespace: namespace ?? '(default)',
-      globalOptions: _globalOptionsExpr,
-      options: optionsArg,
-      variableToParamName: _variableToParamName,
+    database ??= defaultFirestoreId;
+    namespace ??= defaultFirestoreId;
+
+    // Generate function name from document path, database and event type,
+    // the same way as firestore_namespace.dart
+    final functionName =
+        node.extractLiteralForArg('name') ??
+        documentFunctionName(
+          methodName,
+          documentPath,
+          database: database,
+          namespace: namespace,
+        );
+
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'firestore',
+        firestoreEventType: methodName,
+        documentPath: documentPath,
+        database: database,
+        namespace: namespace,
+        globalOptions: _globalOptionsExpr,
+        options: optionsArg,
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -544,17 +568,21 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
         .replaceAll('{', '')
         .replaceAll('}', '')
         .replaceAll('-', '');
-    final functionName = '${methodName}_$sanitizedPath';
-
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'database',
-      databaseEventType: methodName,
-      refPath: refPath,
-      instance: instance ?? '*',
-      globalOptions: _globalOptionsExpr,
-      options: optionsArg,
-      variableToParamName: _variableToParamName,
+    final functionName =
+        node.extractLiteralForArg('name') ?? '${methodName}_$sanitizedPath';
+
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'database',
+        databaseEventType: methodName,
+        refPath: refPath,
+        instance: instance ?? '*',
+        globalOptions: _globalOptionsExpr,
+        options: optionsArg,
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -579,16 +607,21 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
     final sanitizedAlertType = alertTypeValue
         .replaceAll('.', '_')
         .replaceAll('-', '');
-    final functionName = 'onAlertPublished_$sanitizedAlertType';
-
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'alert',
-      alertType: alertTypeValue,
-      appId: appId,
-      globalOptions: _globalOptionsExpr,
-      options: optionsArg,
-      variableToParamName: _variableToParamName,
+    final functionName =
+        node.extractLiteralForArg('name') ??
+        'onAlertPublished_$sanitizedAlertType';
+
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'alert',
+        alertType: alertTypeValue,
+        appId: appId,
+        globalOptions: _globalOptionsExpr,
+        options: optionsArg,
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -660,15 +693,18 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
   /// Extracts a Remote Config function declaration.
   void _extractRemoteConfigFunction(MethodInvocation node, String methodName) {
     // Remote Config has a single event type and no filters,
-    // so the function name is always 'onConfigUpdated'.
-    const functionName = 'onConfigUpdated';
-
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'remoteConfig',
-      globalOptions: _globalOptionsExpr,
-      options: node.findOptionsArg(_variableToOptionsExpr),
-      variableToParamName: _variableToParamName,
+    // so the function name defaults to 'onConfigUpdated'.
+    final functionName = node.extractLiteralForArg('name') ?? 'onConfigUpdated';
+
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'remoteConfig',
+        globalOptions: _globalOptionsExpr,
+        options: node.findOptionsArg(_variableToOptionsExpr),
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -680,16 +716,20 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
 
     // Generate function name from bucket (strip non-alphanumeric chars for valid function ID)
     final sanitizedBucket = bucketName.replaceAll(RegExp('[^a-zA-Z0-9]'), '');
-    final functionName = '${methodName}_$sanitizedBucket';
-
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'storage',
-      storageBucket: bucketName,
-      storageEventType: methodName,
-      globalOptions: _globalOptionsExpr,
-      options: node.findOptionsArg(_variableToOptionsExpr),
-      variableToParamName: _variableToParamName,
+    final functionName =
+        node.extractLiteralForArg('name') ?? '${methodName}_$sanitizedBucket';
+
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'storage',
+        storageBucket: bucketName,
+        storageEventType: methodName,
+        globalOptions: _globalOptionsExpr,
+        options: node.findOptionsArg(_variableToOptionsExpr),
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -707,16 +747,21 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
     final sanitizedAlertType = alertType
         .replaceAll('.', '_')
         .replaceAll('-', '');
-    final functionName = 'onAlertPublished_$sanitizedAlertType';
-
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'alert',
-      alertType: alertType,
-      appId: appId,
-      globalOptions: _globalOptionsExpr,
-      options: optionsArg,
-      variableToParamName: _variableToParamName,
+    final functionName =
+        node.extractLiteralForArg('name') ??
+        'onAlertPublished_$sanitizedAlertType';
+
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'alert',
+        alertType: alertType,
+        appId: appId,
+        globalOptions: _globalOptionsExpr,
+        options: optionsArg,
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -748,16 +793,19 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
     // Function name is the event type
     final functionName = eventType;
 
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'blocking',
-      blockingEventType: eventType,
-      idToken: idToken,
-      accessToken: accessToken,
-      refreshToken: refreshToken,
-      globalOptions: _globalOptionsExpr,
-      options: optionsArg,
-      variableToParamName: _variableToParamName,
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'blocking',
+        blockingEventType: eventType,
+        idToken: idToken,
+        accessToken: accessToken,
+        refreshToken: refreshToken,
+        globalOptions: _globalOptionsExpr,
+        options: optionsArg,
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -771,13 +819,15 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
     if (schedule == null) return;
 
     // Generate function name from schedule (matching runtime behavior)
+    // unless one was given
     final sanitized = schedule
         .replaceAll(' ', '_')
         .replaceAll('*', '')
         .replaceAll('/', '')
         .replaceAll('-', '')
         .replaceAll(',', '');
-    final functionName = 'onSchedule_$sanitized';
+    final functionName =
+        node.extractLiteralForArg('name') ?? 'onSchedule_$sanitized';
 
     // Extract options if present
     final optionsArg = node.findOptionsArg(_variableToOptionsExpr);
@@ -789,15 +839,18 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
       retryConfig = _extractRetryConfig(optionsArg);
     }
 
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'scheduler',
-      schedule: schedule,
-      timeZone: timeZone,
-      retryConfig: retryConfig,
-      globalOptions: _globalOptionsExpr,
-      options: optionsArg,
-      variableToParamName: _variableToParamName,
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'scheduler',
+        schedule: schedule,
+        timeZone: timeZone,
+        retryConfig: retryConfig,
+        globalOptions: _globalOptionsExpr,
+        options: optionsArg,
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -817,14 +870,17 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
       rateLimits = _extractTaskQueueRateLimits(optionsArg);
     }
 
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'taskQueue',
-      taskQueueRetryConfig: retryConfig,
-      taskQueueRateLimits: rateLimits,
-      globalOptions: _globalOptionsExpr,
-      options: optionsArg,
-      variableToParamName: _variableToParamName,
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'taskQueue',
+        taskQueueRetryConfig: retryConfig,
+        taskQueueRateLimits: rateLimits,
+        globalOptions: _globalOptionsExpr,
+        options: optionsArg,
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -836,7 +892,9 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
 
     // Generate function name from event type (remove non-alphanumeric chars)
     final sanitizedType = eventType.replaceAll(RegExp('[^a-zA-Z0-9]'), '');
-    final functionName = 'onCustomEventPublished_$sanitizedType';
+    final functionName =
+        node.extractLiteralForArg('name') ??
+        'onCustomEventPublished_$sanitizedType';
 
     // Extract options if present (for channel and filters)
     final optionsArg = node.findOptionsArg(_variableToOptionsExpr);
@@ -848,30 +906,37 @@ class _FirebaseFunctionsVisitor extends RecursiveAstVisitor<void> {
       filters = _extractStringMapField(optionsArg, 'filters');
     }
 
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'eventarc',
-      eventarcEventType: eventType,
-      eventarcChannel: channel ?? 'locations/us-central1/channels/firebase',
-      eventarcFilters: filters,
-      globalOptions: _globalOptionsExpr,
-      options: optionsArg,
-      variableToParamName: _variableToParamName,
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'eventarc',
+        eventarcEventType: eventType,
+        eventarcChannel: channel ?? 'locations/us-central1/channels/firebase',
+        eventarcFilters: filters,
+        globalOptions: _globalOptionsExpr,
+        options: optionsArg,
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
   /// Extracts a Test Lab function declaration.
   void _extractTestLabFunction(MethodInvocation node, String methodName) {
     // Test Lab has a single event type and no filters,
-    // so the function name is always 'onTestMatrixCompleted'.
-    const functionName = 'onTestMatrixCompleted';
-
-    endpoints[functionName] = EndpointSpec(
-      name: functionName,
-      type: 'testLab',
-      globalOptions: _globalOptionsExpr,
-      options: node.findOptionsArg(_variableToOptionsExpr),
-      variableToParamName: _variableToParamName,
+    // so the function name defaults to 'onTestMatrixCompleted'.
+    final functionName =
+        node.extractLiteralForArg('name') ?? 'onTestMatrixCompleted';
+
+    addEndpoint(
+      endpoints,
+      EndpointSpec(
+        name: functionName,
+        type: 'testLab',
+        globalOptions: _globalOptionsExpr,
+        options: node.findOptionsArg(_variableToOptionsExpr),
+        variableToParamName: _variableToParamName,
+      ),
     );
   }
 
@@ -74,6 +74,7 @@
 /// See also:
 /// - [params] for the full params API
 /// - [onInit] for safe initialization with secrets
+/// - [onShutdown] for cleanup when an instance is stopped
 /// - Firebase Admin SDK initialization: if the default Admin SDK app already
 ///   exists when `runFunctions` starts, the runtime reuses it. Otherwise it
 ///   creates one automatically with Application Default Credentials. To use a
@@ -82,6 +83,7 @@
 ///   `GOOGLE_APPLICATION_CREDENTIALS` for Application Default Credentials.
 ///
 /// @docImport 'src/common/on_init.dart';
+/// @docImport 'src/common/on_shutdown.dart';
 library;
 
 // Used for the `params` import in the docs!
@@ -89,8 +91,15 @@ import 'params.dart' as params;
 
 // Package re-exports
 export 'package:google_cloud_firestore/google_cloud_firestore.dart'
-    show DocumentData, DocumentSnapshot, QueryDocumentSnapshot;
-export 'package:shelf/shelf.dart' show Request, Response;
+    show
+        DocumentData,
+        DocumentReference,
+        DocumentSnapshot,
+        FieldPath,
+        GeoPoint,
+        QueryDocumentSnapshot,
+        Timestamp;
+export 'package:shelf/shelf.dart' show Handler, Middleware, Request, Response;
 
 // Built-in params
 export 'params.dart' show databaseURL, gcloudProject, projectID, storageBucket;
@@ -98,8 +107,23 @@ export 'params.dart' show databaseURL, gcloudProject, projectID, storageBucket;
 export 'src/alerts/alerts.dart';
 // Common types
 export 'src/common/cloud_event.dart';
+export 'src/common/dedupe.dart'
+    show
+        EventDedupeStore,
+        EventOutcome,
+        FirestoreEventDedupeStore,
+        InMemoryEventDedupeStore,
+        ProcessedEvent,
+        defaultDedupeTtl;
 export 'src/common/expression.dart';
+export 'src/common/key_provider.dart'
+    show
+        InMemoryKeyProvider,
+        JwksFileKeyProvider,
+        JwksUrlKeyProvider,
+        KeyProvider;
 export 'src/common/on_init.dart' show onInit;
+export 'src/common/on_shutdown.dart' show onShutdown;
 export 'src/common/options.dart';
 export 'src/common/params.dart';
 // Experimental: Realtime Database triggers (emulator only)
@@ -130,3 +154,5 @@ export 'src/storage/storage.dart';
 export 'src/tasks/tasks.dart';
 // Experimental: Test Lab triggers (not yet supported in production or emulator)
 export 'src/test_lab/test_lab.dart';
+// Tracing
+export 'src/tracing/tracing.dart';
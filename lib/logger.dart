@@ -43,6 +43,22 @@
 /// logger.info({'message': 'Batch complete', 'processedCount': 42});
 /// ```
 ///
+/// ## Request Context
+///
+/// Entries written while a function is handling a request are labelled with
+/// the function name and the execution id (or, for events, the CloudEvent
+/// id). Callable functions add the caller's `uid` and App Check `app_id`,
+/// and `onRequest` functions add the Cloud Logging `httpRequest` and the
+/// source location of each log call. Labels are written to
+/// `logging.googleapis.com/labels`, where Cloud Logging can filter on them.
+///
+/// Add your own labels with a child logger:
+///
+/// ```dart
+/// final log = logger.withLabels({'orderId': order.id});
+/// log.info('Charging card');
+/// ```
+///
 /// ## Severity Routing
 ///
 /// - **stdout**: DEBUG, INFO, NOTICE
@@ -53,5 +69,8 @@ export 'src/logger/logger.dart'
     hide
         cloudTraceContextHeader,
         createLogger,
+        LogContext,
+        logContextZoneKey,
         projectIdZoneKey,
+        runWithLogContext,
         traceIdZoneKey;
@@ -93,15 +93,31 @@ import 'src/common/params.dart' as internal;
 // Re-export expression types
 export 'src/common/expression.dart'
     show
+        Add,
+        And,
+        ArithmeticExpression,
+        BooleanOperators,
+        Concat,
+        Contains,
+        Divide,
         Equals,
         Expression,
         GreaterThan,
         GreaterThanOrEqualTo,
         If,
+        IntegerOperators,
         LessThan,
         LessThanOrEqualTo,
+        ListOperators,
         LiteralExpression,
-        NotEquals;
+        Modulo,
+        Multiply,
+        Not,
+        NotEquals,
+        NumericOperators,
+        Or,
+        StringOperators,
+        Subtract;
 // Re-export onInit
 export 'src/common/on_init.dart' show onInit;
 // Re-export factory functions
@@ -0,0 +1,408 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Human-readable summaries of alerts, for forwarding them to chat and
+/// email.
+library;
+
+import 'alert_event.dart';
+import 'app_distribution_payloads.dart';
+import 'billing_payloads.dart';
+import 'crashlytics_payloads.dart';
+import 'performance_payloads.dart';
+
+/// A summary of an alert, rendered as plain text, Markdown, or a Slack or
+/// Google Chat message.
+///
+/// Build one from an event with [AlertEventMessage.toMessage]:
+///
+/// ```dart
+/// firebase.alerts.crashlytics.onNewFatalIssuePublished((event) async {
+///   await http.post(
+///     slackWebhookUrl,
+///     headers: {'Content-Type': 'application/json'},
+///     body: jsonEncode(event.toMessage().toSlack()),
+///   );
+/// });
+/// ```
+final class AlertMessage {
+  const AlertMessage({
+    required this.title,
+    this.text,
+    this.facts = const {},
+    this.links = const {},
+  });
+
+  /// A one-line summary, such as `New fatal issue: NullPointerException`.
+  final String title;
+
+  /// Free text from the alert, such as the feedback a tester entered.
+  final String? text;
+
+  /// Details of the alert, by label, in display order.
+  final Map<String, String> facts;
+
+  /// Links to follow up on the alert, by label, in display order.
+  final Map<String, Uri> links;
+
+  /// Renders this message as plain text, with one fact or link per line.
+  String toPlainText() => [
+    title,
+    if (text case final text?) text,
+    if (facts.isNotEmpty)
+      [
+        for (final MapEntry(:key, :value) in facts.entries) '$key: $value',
+      ].join('\n'),
+    if (links.isNotEmpty)
+      [
+        for (final MapEntry(:key, :value) in links.entries) '$key: $value',
+      ].join('\n'),
+  ].join('\n\n');
+
+  /// Renders this message as Markdown, with the facts as a list.
+  String toMarkdown() => [
+    '**${_escapeMarkdown(title)}**',
+    if (text case final text?) _escapeMarkdown(text),
+    if (facts.isNotEmpty)
+      [
+        for (final MapEntry(:key, :value) in facts.entries)
+          '- **${_escapeMarkdown(key)}:** ${_escapeMarkdown(value)}',
+      ].join('\n'),
+    if (links.isNotEmpty)
+      [
+        for (final MapEntry(:key, :value) in links.entries)
+          '[${_escapeMarkdown(key)}]($value)',
+      ].join(' | '),
+  ].join('\n\n');
+
+  /// Renders this message as a Slack message with Block Kit blocks, to post
+  /// to an incoming webhook or `chat.postMessage`.
+  Map<String, Object?> toSlack() => {
+    'text': title,
+    'blocks': [
+      {
+        'type': 'header',
+        'text': {'type': 'plain_text', 'text': _truncate(title, 150)},
+      },
+      if (text case final text?)
+        {
+          'type': 'section',
+          'text': {'type': 'mrkdwn', 'text': _escapeSlack(text)},
+        },
+      // Slack shows at most 10 fields per section.
+      for (var i = 0; i < facts.length; i += 10)
+        {
+          'type': 'section',
+          'fields': [
+            for (final MapEntry(:key, :value) in facts.entries.skip(i).take(10))
+              {
+                'type': 'mrkdwn',
+                'text': '*${_escapeSlack(key)}*\n${_escapeSlack(value)}',
+              },
+          ],
+        },
+      if (links.isNotEmpty)
+        {
+          'type': 'actions',
+          'elements': [
+            for (final MapEntry(:key, :value) in links.entries)
+              {
+                'type': 'button',
+                'text': {'type': 'plain_text', 'text': key},
+                'url': '$value',
+              },
+          ],
+        },
+    ],
+  };
+
+  /// Renders this message as a Google Chat message with a card, to post to
+  /// an incoming webhook or `spaces.messages.create`.
+  Map<String, Object?> toGoogleChat() => {
+    'text': title,
+    'cardsV2': [
+      {
+        'cardId': 'alert',
+        'card': {
+          'header': {'title': title},
+          'sections': [
+            {
+              'widgets': [
+                if (text case final text?)
+                  {
+                    'textParagraph': {'text': _escapeHtml(text)},
+                  },
+                for (final MapEntry(:key, :value) in facts.entries)
+                  {
+                    'decoratedText': {
+                      'topLabel': key,
+                      'text': _escapeHtml(value),
+                    },
+                  },
+                if (links.isNotEmpty)
+                  {
+                    'buttonList': {
+                      'buttons': [
+                        for (final MapEntry(:key, :value) in links.entries)
+                          {
+                            'text': key,
+                            'onClick': {
+                              'openLink': {'url': '$value'},
+                            },
+                          },
+                      ],
+                    },
+                  },
+              ],
+            },
+          ],
+        },
+      },
+    ],
+  };
+
+  @override
+  String toString() => toPlainText();
+}
+
+/// Summaries of [AlertEvent]s.
+extension AlertEventMessage on AlertEvent<Object?> {
+  /// Summarizes this alert for a notification.
+  ///
+  /// Every payload type in the alerts library has a summary with its
+  /// details and links to the Firebase console, built from [appId] and
+  /// [projectId]. [projectId] defaults to the project in the event
+  /// [source]. Other payloads get a summary of the [alertType].
+  AlertMessage toMessage({String? projectId}) {
+    final project = projectId ?? _projectFromSource(source);
+    final console = _Console(project, appId);
+    final payload = data?.payload;
+    final app = {'App': ?appId};
+
+    return switch (payload) {
+      NewFatalIssuePayload(:final issue) => _issueMessage(
+        'New fatal issue',
+        issue,
+        console,
+        app,
+      ),
+      NewNonfatalIssuePayload(:final issue) => _issueMessage(
+        'New non-fatal issue',
+        issue,
+        console,
+        app,
+      ),
+      NewAnrIssuePayload(:final issue) => _issueMessage(
+        'New ANR issue',
+        issue,
+        console,
+        app,
+      ),
+      RegressionAlertPayload(:final issue, :final type, :final resolveTime) =>
+        _issueMessage(
+          'Regressed issue',
+          issue,
+          console,
+          {
+            ...app,
+            'Type': type,
+            'Resolved': _formatTime(resolveTime),
+          },
+        ),
+      final VelocityAlertPayload payload => _issueMessage(
+        'Trending issue',
+        payload.issue,
+        console,
+        {
+          ...app,
+          'Crashes':
+              '${payload.crashCount} '
+              '(${_formatNumber(payload.crashPercentage)}% of sessions)',
+          'First version': payload.firstVersion,
+        },
+      ),
+      StabilityDigestPayload(:final digestDate, :final trendingIssues) =>
+        AlertMessage(
+          title: 'Stability digest for ${_formatDate(digestDate)}',
+          text: trendingIssues.isEmpty
+              ? null
+              : [
+                  for (final trending in trendingIssues)
+                    '${trending.issue.title} (${trending.type}): '
+                        '${trending.eventCount} events, '
+                        '${trending.userCount} users',
+                ].join('\n'),
+          facts: app,
+          links: {
+            if (console.crashlytics case final url?)
+              'Open in Firebase console': url,
+          },
+        ),
+      final PlanUpdatePayload payload => AlertMessage(
+        title: 'Billing plan changed to ${payload.billingPlan}',
+        facts: {
+          'Plan': payload.billingPlan,
+          'Changed by': payload.principalEmail,
+          'Change': payload.notificationType,
+        },
+        links: {'Open in Firebase console': console.usage},
+      ),
+      final PlanAutomatedUpdatePayload payload => AlertMessage(
+        title: 'Billing plan automatically changed to ${payload.billingPlan}',
+        facts: {
+          'Plan': payload.billingPlan,
+          'Change': payload.notificationType,
+        },
+        links: {'Open in Firebase console': console.usage},
+      ),
+      final NewTesterDevicePayload payload => AlertMessage(
+        title: 'New iOS device for ${payload.testerName}',
+        facts: {
+          ...app,
+          'Tester': '${payload.testerName} <${payload.testerEmail}>',
+          'Device': payload.testerDeviceModelName,
+          'Device ID': payload.testerDeviceIdentifier,
+        },
+        links: {
+          if (console.appDistribution case final url?)
+            'Open in Firebase console': url,
+        },
+      ),
+      final InAppFeedbackPayload payload => AlertMessage(
+        title:
+            'New in-app feedback from '
+            '${payload.testerName ?? payload.testerEmail}',
+        text: payload.text,
+        facts: {
+          ...app,
+          'Tester': payload.testerName == null
+              ? payload.testerEmail
+              : '${payload.testerName} <${payload.testerEmail}>',
+          'App version': payload.appVersion,
+        },
+        links: {
+          'Open in Firebase console': Uri.parse(payload.feedbackConsoleUri),
+          if (payload.screenshotUri case final screenshot?)
+            'Screenshot': Uri.parse(screenshot),
+        },
+      ),
+      final ThresholdAlertPayload payload => AlertMessage(
+        title:
+            '${payload.eventName} exceeded its ${payload.metricType} '
+            'threshold',
+        facts: {
+          ...app,
+          'Event': '${payload.eventName} (${payload.eventType})',
+          'Metric': [
+            if (payload.conditionPercentile case final percentile?)
+              'p$percentile',
+            payload.metricType,
+          ].join(' '),
+          'Threshold':
+              '${_formatNumber(payload.thresholdValue)} '
+              '${payload.thresholdUnit}',
+          'Value':
+              '${_formatNumber(payload.violationValue)} '
+              '${payload.violationUnit}',
+          'App version': ?payload.appVersion,
+          'Samples': '${payload.numSamples}',
+        },
+        links: {
+          'Open in Firebase console': Uri.parse(payload.investigateUri),
+        },
+      ),
+      _ => AlertMessage(
+        title: 'Firebase alert: $alertType',
+        facts: app,
+        links: {'Open in Firebase console': console.project},
+      ),
+    };
+  }
+}
+
+AlertMessage _issueMessage(
+  String kind,
+  Issue issue,
+  _Console console,
+  Map<String, String> facts,
+) => AlertMessage(
+  title: '$kind: ${issue.title}',
+  text: issue.subtitle.isEmpty ? null : issue.subtitle,
+  facts: {
+    'Issue': issue.title,
+    ...facts,
+    'App version': issue.appVersion,
+  },
+  links: {
+    if (console.issue(issue.id) case final url?)
+      'Open in Firebase console': url,
+  },
+);
+
+/// Firebase console deep links for an alert's project and app.
+final class _Console {
+  _Console(this.projectId, this.appId);
+
+  final String projectId;
+  final String? appId;
+
+  Uri get project => _url('');
+
+  Uri get usage => _url('/usage/details');
+
+  Uri? get crashlytics => _appUrl('crashlytics', '');
+
+  Uri? get appDistribution => _appUrl('appdistribution', '/testers');
+
+  Uri? issue(String issueId) => _appUrl('crashlytics', '/issues/$issueId');
+
+  Uri? _appUrl(String product, String path) =>
+      appId == null ? null : _url('/$product/app/$appId$path');
+
+  Uri _url(String path) => Uri.parse(
+    'https://console.firebase.google.com/project/$projectId$path',
+  );
+}
+
+/// The project in a source such as
+/// `//firebasealerts.googleapis.com/projects/my-project`.
+String _projectFromSource(String source) {
+  final segments = Uri.parse(source).pathSegments;
+  final index = segments.indexOf('projects');
+  return index >= 0 && index + 1 < segments.length ? segments[index + 1] : '_';
+}
+
+String _formatDate(DateTime time) =>
+    time.toUtc().toIso8601String().substring(0, 10);
+
+String _formatTime(DateTime time) {
+  final utc = time.toUtc().toIso8601String();
+  return '${utc.substring(0, 10)} ${utc.substring(11, 16)} UTC';
+}
+
+String _formatNumber(double value) =>
+    value == value.roundToDouble() ? '${value.toInt()}' : '$value';
+
+String _truncate(String text, int length) =>
+    text.length <= length ? text : '${text.substring(0, length - 1)}…';
+
+String _escapeMarkdown(String text) =>
+    text.replaceAllMapped(RegExp(r'[\\`*_\[\]<>#|]'), (m) => '\\${m[0]}');
+
+String _escapeSlack(String text) => text
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;');
+
+String _escapeHtml(String text) => _escapeSlack(text).replaceAll('"', '&quot;');
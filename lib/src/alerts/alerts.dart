@@ -16,6 +16,7 @@
 library;
 
 export 'alert_event.dart';
+export 'alert_message.dart';
 export 'alert_type.dart';
 export 'alerts_namespace.dart';
 export 'app_distribution_namespace.dart';
@@ -18,6 +18,7 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
 import 'alert_event.dart';
@@ -64,6 +65,7 @@ class AlertsNamespace extends FunctionsNamespace {
   /// like `crashlytics.onNewFatalIssuePublished`.
   ///
   /// The handler receives an [AlertEvent] containing the alert data.
+  /// The function is named after [alertType] unless [name] is given.
   ///
   /// Example:
   /// ```dart
@@ -82,11 +84,13 @@ class AlertsNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required T Function(Map<String, dynamic>) fromJson,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
-    final functionName = _alertTypeToFunctionName(alertType.value);
+    final functionName = name ?? _alertTypeToFunctionName(alertType.value);
 
-    firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         final json = await parseAndValidateCloudEvent(request);
 
@@ -105,7 +109,21 @@ class AlertsNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      trigger: eventTrigger(
+        'google.firebase.firebasealerts.alerts.v1.published',
+        filters: {
+          'alerttype': alertType.value,
+          if (options?.appId case final appId?) 'appid': appId,
+        },
+      ),
+    );
   }
 
   /// Converts an alert type value to a function name.
@@ -18,6 +18,7 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
 import 'alert_event.dart';
@@ -36,6 +37,8 @@ class BillingNamespace {
   void onPlanUpdatePublished(
     FutureOr<void> Function(AlertEvent<PlanUpdatePayload> event) handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
     _registerBillingHandler<PlanUpdatePayload>(
@@ -43,6 +46,7 @@ class BillingNamespace {
       handler,
       PlanUpdatePayload.fromJson,
       options,
+      name,
     );
   }
 
@@ -51,6 +55,8 @@ class BillingNamespace {
     FutureOr<void> Function(AlertEvent<PlanAutomatedUpdatePayload> event)
     handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
     _registerBillingHandler<PlanAutomatedUpdatePayload>(
@@ -58,6 +64,7 @@ class BillingNamespace {
       handler,
       PlanAutomatedUpdatePayload.fromJson,
       options,
+      name,
     );
   }
 
@@ -66,10 +73,11 @@ class BillingNamespace {
     FutureOr<void> Function(AlertEvent<T> event) handler,
     T Function(Map<String, dynamic>) payloadDecoder,
     AlertOptions? options,
+    String? name,
   ) {
-    final functionName = _alertTypeToFunctionName(alertType.value);
+    final functionName = name ?? _alertTypeToFunctionName(alertType.value);
 
-    _firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         final json = await parseAndValidateCloudEvent(request);
 
@@ -88,7 +96,21 @@ class BillingNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    _firebase.registerFunction(
+      functionName,
+      handleRequest,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      trigger: eventTrigger(
+        'google.firebase.firebasealerts.alerts.v1.published',
+        filters: {
+          'alerttype': alertType.value,
+          if (options?.appId case final appId?) 'appid': appId,
+        },
+      ),
+    );
   }
 
   String _alertTypeToFunctionName(String alertType) {
@@ -18,6 +18,7 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
 import 'alert_event.dart';
@@ -36,6 +37,8 @@ class CrashlyticsNamespace {
   void onNewFatalIssuePublished(
     FutureOr<void> Function(AlertEvent<NewFatalIssuePayload> event) handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
     _registerCrashlyticsHandler<NewFatalIssuePayload>(
@@ -43,6 +46,7 @@ class CrashlyticsNamespace {
       handler,
       NewFatalIssuePayload.fromJson,
       options,
+      name,
     );
   }
 
@@ -51,6 +55,8 @@ class CrashlyticsNamespace {
     FutureOr<void> Function(AlertEvent<NewNonfatalIssuePayload> event)
     handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
     _registerCrashlyticsHandler<NewNonfatalIssuePayload>(
@@ -58,6 +64,7 @@ class CrashlyticsNamespace {
       handler,
       NewNonfatalIssuePayload.fromJson,
       options,
+      name,
     );
   }
 
@@ -65,6 +72,8 @@ class CrashlyticsNamespace {
   void onRegressionAlertPublished(
     FutureOr<void> Function(AlertEvent<RegressionAlertPayload> event) handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
     _registerCrashlyticsHandler<RegressionAlertPayload>(
@@ -72,6 +81,7 @@ class CrashlyticsNamespace {
       handler,
       RegressionAlertPayload.fromJson,
       options,
+      name,
     );
   }
 
@@ -79,6 +89,8 @@ class CrashlyticsNamespace {
   void onStabilityDigestPublished(
     FutureOr<void> Function(AlertEvent<StabilityDigestPayload> event) handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
     _registerCrashlyticsHandler<StabilityDigestPayload>(
@@ -86,6 +98,7 @@ class CrashlyticsNamespace {
       handler,
       StabilityDigestPayload.fromJson,
       options,
+      name,
     );
   }
 
@@ -93,6 +106,8 @@ class CrashlyticsNamespace {
   void onVelocityAlertPublished(
     FutureOr<void> Function(AlertEvent<VelocityAlertPayload> event) handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
     _registerCrashlyticsHandler<VelocityAlertPayload>(
@@ -100,6 +115,7 @@ class CrashlyticsNamespace {
       handler,
       VelocityAlertPayload.fromJson,
       options,
+      name,
     );
   }
 
@@ -107,6 +123,8 @@ class CrashlyticsNamespace {
   void onNewAnrIssuePublished(
     FutureOr<void> Function(AlertEvent<NewAnrIssuePayload> event) handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst AlertOptions? options = const AlertOptions(),
   }) {
     _registerCrashlyticsHandler<NewAnrIssuePayload>(
@@ -114,6 +132,7 @@ class CrashlyticsNamespace {
       handler,
       NewAnrIssuePayload.fromJson,
       options,
+      name,
     );
   }
 
@@ -122,10 +141,11 @@ class CrashlyticsNamespace {
     FutureOr<void> Function(AlertEvent<T> event) handler,
     T Function(Map<String, dynamic>) payloadDecoder,
     AlertOptions? options,
+    String? name,
   ) {
-    final functionName = _alertTypeToFunctionName(alertType.value);
+    final functionName = name ?? _alertTypeToFunctionName(alertType.value);
 
-    _firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         final json = await parseAndValidateCloudEvent(request);
 
@@ -144,7 +164,21 @@ class CrashlyticsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    _firebase.registerFunction(
+      functionName,
+      handleRequest,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      trigger: eventTrigger(
+        'google.firebase.firebasealerts.alerts.v1.published',
+        filters: {
+          'alerttype': alertType.value,
+          if (options?.appId case final appId?) 'appid': appId,
+        },
+      ),
+    );
   }
 
   String _alertTypeToFunctionName(String alertType) {
@@ -12,11 +12,15 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport '../firebase.dart';
+library;
+
 import '../common/options.dart';
 
 /// Options for Firebase Alerts handlers.
 class AlertOptions extends GlobalOptions {
   const AlertOptions({
+    this.idempotent = false,
     this.appId,
     super.concurrency,
     super.cpu,
@@ -38,4 +42,8 @@ class AlertOptions extends GlobalOptions {
 
   /// Scope the function to trigger on a specific application.
   final String? appId;
+
+  /// Whether to skip alerts that this function already handled
+  /// successfully, as recorded in [Firebase.dedupeStore].
+  final bool idempotent;
 }
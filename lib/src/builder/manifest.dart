@@ -429,10 +429,14 @@ void _addTrigger(
 
 /// Maps Firestore method name to CloudEvent event type.
 String _mapFirestoreEventType(String methodName) => switch (methodName) {
-  'onDocumentCreated' => 'google.cloud.firestore.document.v1.created',
-  'onDocumentUpdated' => 'google.cloud.firestore.document.v1.updated',
-  'onDocumentDeleted' => 'google.cloud.firestore.document.v1.deleted',
-  'onDocumentWritten' => 'google.cloud.firestore.document.v1.written',
+  'onDocumentCreated' || 'onDocumentCreatedWithData' =>
+    'google.cloud.firestore.document.v1.created',
+  'onDocumentUpdated' || 'onDocumentUpdatedWithData' =>
+    'google.cloud.firestore.document.v1.updated',
+  'onDocumentDeleted' || 'onDocumentDeletedWithData' =>
+    'google.cloud.firestore.document.v1.deleted',
+  'onDocumentWritten' || 'onDocumentWrittenWithData' =>
+    'google.cloud.firestore.document.v1.written',
   'onDocumentCreatedWithAuthContext' =>
     'google.cloud.firestore.document.v1.created.withAuthContext',
   'onDocumentUpdatedWithAuthContext' =>
@@ -0,0 +1,227 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Semantic comparison of functions.yaml manifests, used by
+/// `dart run firebase_functions:parity` to check the Dart builder against
+/// the Node.js SDK.
+///
+/// Both manifests are normalized the way `extract-manifest.js` normalizes
+/// Node.js endpoints, so only differences that firebase-tools would act on
+/// remain.
+library;
+
+import '../common/cloud_run_id.dart';
+
+/// Endpoint fields that only Dart manifests have, for deploying to Cloud
+/// Run, or that differ between runtimes by design.
+const _runtimeFields = {'baseImageUri', 'command', 'entryPoint'};
+
+final _celExpression = RegExp(r'\{\{\s*(.*?)\s*\}\}');
+
+/// A value that differs between the Dart and Node.js manifests.
+final class ManifestDifference {
+  const ManifestDifference(this.path, {required this.dart, required this.node});
+
+  /// Where the values differ, as `/`-separated keys of the normalized
+  /// manifest, e.g. `endpoints/greet/eventTrigger/retry`.
+  ///
+  /// Endpoints are keyed by Cloud Run ID, params by name and required APIs
+  /// by API name.
+  final String path;
+
+  /// The value in the Dart manifest, or `null` if it has none.
+  final Object? dart;
+
+  /// The value in the Node.js manifest, or `null` if it has none.
+  final Object? node;
+
+  /// The endpoint, param or required API that differs, e.g.
+  /// `endpoints/greet`.
+  String get subject => path.split('/').take(2).join('/');
+
+  /// The differing field of [subject], or an empty string if [subject] is
+  /// only in one manifest.
+  String get field => path.split('/').skip(2).join('/');
+
+  /// How the values differ, e.g. `true in Dart, missing in Node.js`.
+  String get description =>
+      '${_describe(dart)} in Dart, ${_describe(node)} in Node.js';
+
+  @override
+  String toString() => '$path: $description';
+
+  static String _describe(Object? value) => switch (value) {
+    null => 'missing',
+    final String value => '"$value"',
+    _ => '$value',
+  };
+}
+
+/// Known differences between the manifests that are not reported as
+/// divergence.
+///
+/// Each pattern matches a [ManifestDifference.path] and everything beneath
+/// it. A `*` matches within one path segment, and a `**` segment matches any
+/// number of segments:
+///
+/// ```text
+/// # Dart does not support labels on blocking functions yet.
+/// endpoints/before-create/labels
+/// requiredAPIs/*/reason
+/// ```
+final class ParityAllowList {
+  ParityAllowList(Iterable<String> patterns)
+    : _patterns = [for (final pattern in patterns) _compile(pattern)];
+
+  /// Parses an allow-list file with one pattern per line.
+  ///
+  /// Blank lines are ignored, as is everything after a `#`.
+  factory ParityAllowList.parse(String source) => ParityAllowList([
+    for (final line in source.split('\n'))
+      if (line.split('#').first.trim() case final pattern
+          when pattern.isNotEmpty)
+        pattern,
+  ]);
+
+  final List<RegExp> _patterns;
+
+  /// Whether [difference] is a known difference.
+  bool allows(ManifestDifference difference) =>
+      _patterns.any((pattern) => pattern.hasMatch(difference.path));
+
+  static RegExp _compile(String pattern) {
+    final segments = [
+      for (final segment in pattern.split('/'))
+        segment == '**'
+            ? '.*'
+            : segment.split('*').map(RegExp.escape).join('[^/]*'),
+    ];
+    return RegExp('^${segments.join('/')}(/.*)?\$');
+  }
+}
+
+/// Returns the differences between the [dart] and [node] manifests, in
+/// path order.
+///
+/// Both are normalized with [normalizeManifest] first.
+List<ManifestDifference> compareManifests(Object? dart, Object? node) {
+  final differences = <ManifestDifference>[];
+  _compare(
+    const [],
+    normalizeManifest(dart),
+    normalizeManifest(node),
+    differences,
+  );
+  return differences;
+}
+
+/// Returns [manifest], a decoded functions.yaml or Node.js manifest, in a
+/// canonical form for comparison.
+///
+/// Null values and fields specific to one runtime are dropped, defaults
+/// that either side may omit are filled in, CEL expressions are
+/// re-spaced, and the `params` and `requiredAPIs` lists become maps keyed by
+/// name.
+Map<String, Object?> normalizeManifest(Object? manifest) {
+  final map = _plain(manifest) as Map<String, Object?>? ?? const {};
+  final params = map['params'] as List<Object?>? ?? const [];
+  final apis = map['requiredAPIs'] as List<Object?>? ?? const [];
+  final endpoints = map['endpoints'] as Map<String, Object?>? ?? const {};
+
+  return {
+    ...map,
+    'params': {
+      for (final param in params.cast<Map<String, Object?>>())
+        param['name'] as String: {...param}..remove('name'),
+    },
+    'requiredAPIs': {
+      for (final api in apis.cast<Map<String, Object?>>())
+        api['api'] as String: {
+          ...api,
+          if (api['reason'] case final String reason)
+            // extract-manifest.js strips trailing periods from reasons.
+            'reason': reason.endsWith('.')
+                ? reason.substring(0, reason.length - 1)
+                : reason,
+        }..remove('api'),
+    },
+    'endpoints': {
+      for (final MapEntry(:key, :value) in endpoints.entries)
+        toCloudRunId(key): _normalizeEndpoint(value! as Map<String, Object?>),
+    },
+  };
+}
+
+Map<String, Object?> _normalizeEndpoint(Map<String, Object?> endpoint) {
+  final result = {...endpoint}
+    ..removeWhere((key, _) => _runtimeFields.contains(key));
+  result['platform'] ??= 'gcfv2';
+  result['region'] ??= ['us-central1'];
+  if (result['labels'] case final Map<String, Object?> labels
+      when labels.isEmpty) {
+    result.remove('labels');
+  }
+
+  if (result['eventTrigger'] case final Map<String, Object?> trigger) {
+    trigger['retry'] ??= false;
+  }
+  if (result['blockingTrigger'] case final Map<String, Object?> trigger) {
+    // Only options that are turned on are meaningful.
+    final options = trigger['options'] as Map<String, Object?>? ?? {};
+    trigger['options'] = {...options}..removeWhere((_, value) => value != true);
+  }
+  if (result['taskQueueTrigger'] case final Map<String, Object?> trigger) {
+    trigger['retryConfig'] ??= <String, Object?>{};
+    trigger['rateLimits'] ??= <String, Object?>{};
+  }
+  return result;
+}
+
+/// Converts decoded YAML or JSON into plain mutable maps and lists, without
+/// null values and with canonically spaced CEL expressions.
+Object? _plain(Object? value) => switch (value) {
+  final Map<Object?, Object?> map => <String, Object?>{
+    for (final MapEntry(key: name, value: field) in map.entries)
+      if (field != null) '$name': _plain(field),
+  },
+  final List<Object?> list => [for (final element in list) _plain(element)],
+  final String string => string.replaceAllMapped(
+    _celExpression,
+    (match) => '{{ ${match[1]} }}',
+  ),
+  _ => value,
+};
+
+void _compare(
+  List<String> path,
+  Object? dart,
+  Object? node,
+  List<ManifestDifference> differences,
+) {
+  if (dart is Map<String, Object?> && node is Map<String, Object?>) {
+    final keys = {...dart.keys, ...node.keys}.toList()..sort();
+    for (final key in keys) {
+      _compare([...path, key], dart[key], node[key], differences);
+    }
+  } else if (dart is List<Object?> &&
+      node is List<Object?> &&
+      dart.length == node.length) {
+    for (var i = 0; i < dart.length; i++) {
+      _compare([...path, '$i'], dart[i], node[i], differences);
+    }
+  } else if (dart != node) {
+    // Lists of different lengths are reported whole.
+    differences.add(ManifestDifference(path.join('/'), dart: dart, node: node));
+  }
+}
@@ -19,6 +19,50 @@
 library;
 
 import 'package:analyzer/dart/ast/ast.dart';
+import 'package:analyzer/dart/element/type.dart';
+
+import '../common/cel.dart';
+import '../common/cloud_run_id.dart';
+
+/// A CEL expression and the precedence of its outermost operator.
+typedef _Cel = ({String source, CelPrecedence precedence});
+
+/// The CEL operator and precedence of each binary expression class.
+const _binaryExpressions = {
+  'And': ('&&', CelPrecedence.and),
+  'Or': ('||', CelPrecedence.or),
+  'Equals': ('==', CelPrecedence.relation),
+  'NotEquals': ('!=', CelPrecedence.relation),
+  'GreaterThan': ('>', CelPrecedence.relation),
+  'GreaterThanOrEqualTo': ('>=', CelPrecedence.relation),
+  'LessThan': ('<', CelPrecedence.relation),
+  'LessThanOrEqualTo': ('<=', CelPrecedence.relation),
+  'Contains': ('in', CelPrecedence.relation),
+  'Add': ('+', CelPrecedence.additive),
+  'Concat': ('+', CelPrecedence.additive),
+  'Subtract': ('-', CelPrecedence.additive),
+  'Multiply': ('*', CelPrecedence.multiplicative),
+  'Divide': ('/', CelPrecedence.multiplicative),
+  'Modulo': ('%', CelPrecedence.multiplicative),
+};
+
+/// The binary expression class created by each operator method and Dart
+/// operator on expressions, e.g. `a.greaterThan(b)` or `a * 2`.
+const _binaryOperators = {
+  'and': 'And',
+  'or': 'Or',
+  'equals': 'Equals',
+  'notEquals': 'NotEquals',
+  'greaterThan': 'GreaterThan',
+  'greaterThanOrEqualTo': 'GreaterThanOrEqualTo',
+  'lessThan': 'LessThan',
+  'lessThanOrEqualTo': 'LessThanOrEqualTo',
+  '+': 'Add',
+  '-': 'Subtract',
+  '*': 'Multiply',
+  '/': 'Divide',
+  '%': 'Modulo',
+};
 
 /// Specification for a parameter.
 class ParamSpec {
@@ -107,6 +151,19 @@ class EndpointSpec {
   final InstanceCreationExpression? options;
   final Map<String, String> variableToParamName;
 
+  /// A short description of the trigger, used in error messages.
+  String get description => switch (type) {
+    'pubsub' => 'Pub/Sub topic "$topic"',
+    'firestore' =>
+      '$firestoreEventType on "$documentPath" in database "$database"',
+    'database' => '$databaseEventType on "$refPath"',
+    'storage' => '$storageEventType on bucket "$storageBucket"',
+    'scheduler' => 'schedule "$schedule"',
+    'alert' => 'alert "$alertType"',
+    'eventarc' => 'event type "$eventarcEventType"',
+    _ => '$type function "$name"',
+  };
+
   /// Extracts options configuration from the AST.
   Map<String, dynamic> extractOptions() {
     final result = _extractOptions(globalOptions);
@@ -183,10 +240,14 @@ class EndpointSpec {
         // - consumeAppCheckToken: Runtime App Check replay protection
         // - heartBeatIntervalSeconds: Runtime streaming keepalive
         // - preserveExternalChanges: Deployment behavior, not function config
+        // - idempotent: Runtime event deduplication
+        // - authPolicy: Runtime callable authorization
         case 'cors':
         case 'preserveExternalChanges':
+        case 'idempotent':
         case 'consumeAppCheckToken':
         case 'heartBeatIntervalSeconds':
+        case 'authPolicy':
           // Intentionally skip these - they're not in the manifest
           break;
       }
@@ -211,12 +272,7 @@ class EndpointSpec {
     }
 
     // Check if it's Memory.expression() - generate CEL from expression
-    if (expression is InstanceCreationExpression &&
-        expression.constructorName.name?.name == 'expression') {
-      return _extractCelExpression(
-        expression.argumentList.arguments.firstOrNull,
-      );
-    }
+    if (_extractOptionExpression(expression) case final cel?) return cel;
 
     // Check if it's Memory.reset()
     if (expression is InstanceCreationExpression &&
@@ -260,6 +316,9 @@ class EndpointSpec {
       return _extractParamReference(expression);
     }
 
+    // Check if it's Cpu.expression() - generate CEL from expression
+    if (_extractOptionExpression(expression) case final cel?) return cel;
+
     // Check if it's Cpu.reset()
     if (expression is InstanceCreationExpression &&
         expression.constructorName.name?.name == 'reset') {
@@ -349,6 +408,9 @@ class EndpointSpec {
       }
     }
 
+    // Check if it's Option.expression() - generate CEL from expression
+    if (_extractOptionExpression(expression) case final cel?) return cel;
+
     // Extract literal: Option(123)
     final args = _extractCallArguments(expression);
     if (args?.firstOrNull case final IntegerLiteral firstArg) {
@@ -371,6 +433,9 @@ class EndpointSpec {
       }
     }
 
+    // Check if it's Option.expression() - generate CEL from expression
+    if (_extractOptionExpression(expression) case final cel?) return cel;
+
     // Extract literal: Option('value')
     final args = _extractCallArguments(expression);
     if (args?.firstOrNull case final StringLiteral firstArg) {
@@ -393,6 +458,9 @@ class EndpointSpec {
       }
     }
 
+    // Check if it's Option.expression() - generate CEL from expression
+    if (_extractOptionExpression(expression) case final cel?) return cel;
+
     // Extract literal: Option(true)
     final args = _extractCallArguments(expression);
     if (args?.firstOrNull case final BooleanLiteral firstArg) {
@@ -444,6 +512,7 @@ class EndpointSpec {
         expression.constructorName.name?.name == 'private') {
       return ['private'];
     }
+    if (_extractOptionExpression(expression) case final cel?) return cel;
 
     // Extract literal list
     final args = _extractCallArguments(expression);
@@ -519,44 +588,249 @@ class EndpointSpec {
     return '{{ params.UNKNOWN }}';
   }
 
-  /// Extracts a CEL expression from an expression argument.
-  /// Handles thenElse (ternary) expressions on boolean params.
+  /// Extracts the CEL expression of an `.expression()` option, e.g.
+  /// `Instances.expression(base * 2)`, or returns null for other options.
+  String? _extractOptionExpression(Expression expression) {
+    final arguments = switch (expression) {
+      InstanceCreationExpression(:final constructorName, :final argumentList)
+          when constructorName.name?.name == 'expression' =>
+        argumentList.arguments,
+      // Unresolved code parses named constructor calls as invocations.
+      MethodInvocation(
+        target: Identifier(),
+        :final methodName,
+        :final argumentList,
+      )
+          when methodName.name == 'expression' =>
+        argumentList.arguments,
+      _ => null,
+    };
+    return _extractCelExpression(arguments?.firstOrNull);
+  }
+
+  /// Extracts a CEL expression from an expression argument, such as
+  /// `isProduction.and(region.equals('eu')).thenElse(2048, 512)`.
+  ///
+  /// The rendering matches `Expression.toCEL()` at runtime. Returns null if
+  /// part of the expression cannot be evaluated statically.
   String? _extractCelExpression(Expression? expression) {
-    // Handle method invocation like: isProduction.thenElse(2048, 512)
-    if (expression is MethodInvocation) {
-      final target = expression.target;
-      final methodName = expression.methodName.name;
-
-      if (methodName == 'thenElse' && target is SimpleIdentifier) {
-        // Get the param name from the variable
-        final variableName = target.name;
-        final paramName =
-            variableToParamName[variableName] ?? toUpperSnakeCase(variableName);
-
-        // Extract the two arguments
-        final args = expression.argumentList.arguments;
-        if (args.length >= 2) {
-          final trueValue = _extractLiteralValue(args[0]);
-          final falseValue = _extractLiteralValue(args[1]);
-          if (trueValue != null && falseValue != null) {
-            return '{{ params.$paramName ? $trueValue : $falseValue }}';
-          }
+    if (expression == null) return null;
+    final cel = _extractCel(expression);
+    return cel == null ? null : '{{ ${cel.source} }}';
+  }
+
+  _Cel? _extractCel(Expression node, {bool asDouble = false}) {
+    switch (node) {
+      case ParenthesizedExpression(:final expression):
+        return _extractCel(expression, asDouble: asDouble);
+      case SimpleIdentifier(:final name):
+        final paramName = variableToParamName[name] ?? toUpperSnakeCase(name);
+        return (source: 'params.$paramName', precedence: CelPrecedence.primary);
+      case BinaryExpression(:final leftOperand, :final rightOperand):
+        return _binaryCel(
+          _binaryOperators[node.operator.lexeme],
+          leftOperand,
+          rightOperand,
+          asDouble: _isDoubleExpression(leftOperand),
+        );
+      case MethodInvocation(:final Expression target):
+        return _extractMethodCel(node, target);
+      case InstanceCreationExpression(
+            :final constructorName,
+            :final argumentList,
+          )
+          when constructorName.name == null:
+        return _extractConstructorCel(
+          constructorName.type.name.lexeme,
+          argumentList,
+        );
+      case MethodInvocation(
+        target: null,
+        :final methodName,
+        :final argumentList,
+      ):
+        // Unresolved code parses constructor calls as invocations.
+        return _extractConstructorCel(methodName.name, argumentList);
+    }
+
+    final literal = _extractCelLiteral(node, asDouble: asDouble);
+    if (literal == null) return null;
+    return (source: literal, precedence: CelPrecedence.primary);
+  }
+
+  /// Extracts the CEL of a method on an expression, e.g.
+  /// `isProduction.thenElse(2048, 512)` or `regions.contains('eu')`.
+  _Cel? _extractMethodCel(MethodInvocation node, Expression target) {
+    final methodName = node.methodName.name;
+    final argumentList = node.argumentList;
+    final args = _positionalArguments(argumentList);
+
+    switch (methodName) {
+      case 'not' when args.isEmpty:
+        return _unaryCel('!', target);
+      case 'contains' when args.length == 1:
+        return _binaryCel('Contains', args.first, target);
+      case 'thenElse' when args.length == 2:
+        return _conditionalCel(target, args[0], args[1]);
+      case 'when':
+        return _conditionalCel(
+          target,
+          _namedArgument(argumentList, 'then'),
+          _namedArgument(argumentList, 'otherwise'),
+        );
+      case _ when args.length == 1:
+        return _binaryCel(
+          _binaryOperators[methodName],
+          target,
+          args.first,
+          asDouble: _isDoubleExpression(target),
+        );
+    }
+    return null;
+  }
+
+  /// Extracts the CEL of an expression class instance, e.g. `If(...)` or
+  /// `Add(base, LiteralExpression(1))`.
+  _Cel? _extractConstructorCel(String type, ArgumentList argumentList) {
+    final args = _positionalArguments(argumentList);
+    return switch ((type, args)) {
+      ('If', [final test]) => _conditionalCel(
+        test,
+        _namedArgument(argumentList, 'then'),
+        _namedArgument(argumentList, 'otherwise'),
+      ),
+      ('LiteralExpression', [final literal]) => _extractCel(literal),
+      ('Not', [final operand]) => _unaryCel('!', operand),
+      // `Contains(list, element)` renders as `element in list`.
+      ('Contains', [final list, final element]) => _binaryCel(
+        type,
+        element,
+        list,
+      ),
+      (_, [final lhs, final rhs]) => _binaryCel(type, lhs, rhs),
+      _ => null,
+    };
+  }
+
+  /// Renders the binary expression class [type] applied to [lhs] and [rhs].
+  ///
+  /// Operators are left-associative, so a right operand of the same
+  /// precedence is parenthesized.
+  _Cel? _binaryCel(
+    String? type,
+    Expression lhs,
+    Expression rhs, {
+    bool asDouble = false,
+  }) {
+    final binary = _binaryExpressions[type];
+    if (binary == null) return null;
+    final (operator, precedence) = binary;
+
+    final left = _extractCel(lhs);
+    final right = _extractCel(rhs, asDouble: asDouble);
+    if (left == null || right == null) return null;
+    final tighter = CelPrecedence.values[precedence.index + 1];
+    return (
+      source:
+          '${_celOperand(left, precedence)} $operator '
+          '${_celOperand(right, tighter)}',
+      precedence: precedence,
+    );
+  }
+
+  _Cel? _unaryCel(String operator, Expression operand) {
+    final cel = _extractCel(operand);
+    if (cel == null) return null;
+    return (
+      source: '$operator${_celOperand(cel, CelPrecedence.unary)}',
+      precedence: CelPrecedence.unary,
+    );
+  }
+
+  _Cel? _conditionalCel(
+    Expression? test,
+    Expression? then,
+    Expression? otherwise,
+  ) {
+    if (test == null || then == null || otherwise == null) return null;
+    final testCel = _extractCel(test);
+    final thenCel = _extractCel(then);
+    final otherwiseCel = _extractCel(otherwise);
+    if (testCel == null || thenCel == null || otherwiseCel == null) {
+      return null;
+    }
+    return (
+      source:
+          '${_celOperand(testCel, CelPrecedence.or)} ? '
+          '${_celOperand(thenCel, CelPrecedence.or)} : ${otherwiseCel.source}',
+      precedence: CelPrecedence.conditional,
+    );
+  }
+
+  String _celOperand(_Cel cel, CelPrecedence minimum) =>
+      celOperand(cel.source, cel.precedence, minimum);
+
+  /// Extracts a literal as CEL source.
+  ///
+  /// Integers are rendered as doubles when [asDouble] is true, since the
+  /// runtime converts integer operands of double expressions.
+  String? _extractCelLiteral(Expression node, {bool asDouble = false}) {
+    switch (node) {
+      case IntegerLiteral(:final value?):
+        final isDouble =
+            asDouble || (node.staticType?.isDartCoreDouble ?? false);
+        return isDouble ? '${value.toDouble()}' : '$value';
+      case DoubleLiteral(:final value):
+        return '$value';
+      case BooleanLiteral(:final value):
+        return '$value';
+      case StringLiteral(:final stringValue?):
+        return celLiteral(stringValue);
+      case PrefixExpression(:final operand)
+          when node.operator.lexeme == '-' &&
+              (operand is IntegerLiteral || operand is DoubleLiteral):
+        final literal = _extractCelLiteral(operand, asDouble: asDouble);
+        return literal == null ? null : '-$literal';
+      case ListLiteral(:final elements):
+        final values = [
+          for (final element in elements)
+            if (element is Expression) _extractCelLiteral(element),
+        ];
+        if (values.length != elements.length || values.contains(null)) {
+          return null;
         }
+        return '[${values.join(', ')}]';
+    }
+    return null;
+  }
+
+  /// Whether [expression] is statically an `Expression<double>`, whose
+  /// integer operands the runtime converts to doubles.
+  bool _isDoubleExpression(Expression expression) {
+    final type = expression.staticType;
+    if (type is! InterfaceType) return false;
+    for (final candidate in [type, ...type.allSupertypes]) {
+      if (candidate.element.name == 'Expression') {
+        return candidate.typeArguments.firstOrNull?.isDartCoreDouble ?? false;
       }
     }
+    return false;
+  }
+
+  List<Expression> _positionalArguments(ArgumentList argumentList) => [
+    for (final argument in argumentList.arguments)
+      if (argument is! NamedExpression) argument,
+  ];
 
+  Expression? _namedArgument(ArgumentList argumentList, String name) {
+    for (final argument in argumentList.arguments) {
+      if (argument is NamedExpression && argument.name.label.name == name) {
+        return argument.expression;
+      }
+    }
     return null;
   }
 
-  /// Extracts a literal value from an expression.
-  Object? _extractLiteralValue(Expression expression) => switch (expression) {
-    StringLiteral() => '"${expression.stringValue}"',
-    IntegerLiteral() => expression.value,
-    DoubleLiteral() => expression.value,
-    BooleanLiteral() => expression.value,
-    _ => null,
-  };
-
   /// Extracts arguments from constructor-like calls. When code is unresolved,
   /// wrappers such as `DeployOption(...)` can appear as invocations instead of
   /// [InstanceCreationExpression] nodes.
@@ -589,3 +863,22 @@ String toUpperSnakeCase(String input) {
       .toUpperCase()
       .replaceFirst('_', '');
 }
+
+/// Adds [endpoint] to [endpoints], keyed by its name.
+///
+/// Throws a [StateError] if another endpoint deploys as the same Cloud Run
+/// service ID. Derived names collide easily, e.g. the topics `my-topic` and
+/// `mytopic`, or two jobs on the same schedule, and the runtime would
+/// otherwise refuse to start.
+void addEndpoint(Map<String, EndpointSpec> endpoints, EndpointSpec endpoint) {
+  final id = toCloudRunId(endpoint.name);
+  for (final existing in endpoints.values) {
+    if (toCloudRunId(existing.name) == id) {
+      throw StateError(
+        'Two functions deploy as "$id": ${existing.description} and '
+        '${endpoint.description}. Pass a distinct `name:` to one of them.',
+      );
+    }
+  }
+  endpoints[endpoint.name] = endpoint;
+}
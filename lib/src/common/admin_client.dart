@@ -0,0 +1,45 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
+import 'package:http/http.dart' as http;
+import 'package:meta/meta.dart';
+
+/// An HTTP client for Google APIs that the Admin SDK has no client for.
+///
+/// Requests are sent through the authorized client of [app], so they carry
+/// whatever credentials the app was initialized with: a service account
+/// file, `GOOGLE_APPLICATION_CREDENTIALS` or the metadata server. The
+/// Admin SDK obtains and refreshes the access tokens.
+@internal
+final class AdminAppClient extends http.BaseClient {
+  AdminAppClient(this.app);
+
+  /// The app whose credentials authorize requests.
+  final FirebaseApp app;
+
+  @override
+  Future<http.StreamedResponse> send(http.BaseRequest request) async =>
+      (await app.client).send(request);
+
+  /// Does nothing: the underlying client belongs to [app].
+  @override
+  void close() {}
+}
+
+/// The email of the service account [app] was initialized with, or null when
+/// its credential does not name one, as with the metadata server.
+@internal
+String? serviceAccountEmail(FirebaseApp app) =>
+    app.options.credential?.serviceAccountCredentials?.email;
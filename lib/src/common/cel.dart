@@ -0,0 +1,50 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Rendering of CEL (Common Expression Language) source, shared by runtime
+/// expressions and the build-time manifest generator so both produce the
+/// same text.
+library;
+
+/// The precedence of CEL operators, from loosest to tightest binding.
+enum CelPrecedence {
+  conditional,
+  or,
+  and,
+  relation,
+  additive,
+  multiplicative,
+  unary,
+  primary,
+}
+
+/// Returns [source] as an operand that must bind at least as tightly as
+/// [minimum], parenthesized if its [precedence] is looser.
+String celOperand(
+  String source,
+  CelPrecedence precedence,
+  CelPrecedence minimum,
+) => precedence.index < minimum.index ? '($source)' : source;
+
+/// Renders [value] as a CEL literal.
+///
+/// Strings are double-quoted and escaped, lists render their elements as
+/// literals, and other values render as their [Object.toString].
+String celLiteral(Object value) => switch (value) {
+  final String string =>
+    '"${string.replaceAll(r'\', r'\\').replaceAll('"', r'\"')}"',
+  final List<Object?> list =>
+    '[${list.map((e) => e == null ? 'null' : celLiteral(e)).join(', ')}]',
+  _ => value.toString(),
+};
@@ -0,0 +1,375 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:convert';
+
+import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
+import 'package:google_cloud_firestore/google_cloud_firestore.dart'
+    show DocumentData, DocumentReference, Firestore, Timestamp;
+import 'package:meta/meta.dart';
+import 'package:shelf/shelf.dart';
+
+import '../firebase.dart';
+import '../logger/logger.dart';
+
+/// How long processed events are remembered by default.
+///
+/// Pub/Sub retains unacknowledged messages for up to 7 days, so redeliveries
+/// are not expected after that.
+const defaultDedupeTtl = Duration(days: 7);
+
+/// How long an [EventOutcome.inProgress] record holds off concurrent
+/// deliveries by default.
+///
+/// Event functions time out after at most 9 minutes, so a record older than
+/// this belongs to an invocation that crashed or was killed.
+const defaultDedupeLease = Duration(minutes: 10);
+
+/// The outcome of a handler invocation, as recorded in an [EventDedupeStore].
+enum EventOutcome {
+  /// The handler is running; other deliveries of the event are turned away
+  /// until it finishes or the record expires.
+  inProgress,
+
+  /// The handler returned a 2xx response.
+  succeeded,
+
+  /// The handler returned any other response; the event may be redelivered.
+  failed,
+}
+
+/// An event recorded in an [EventDedupeStore].
+final class ProcessedEvent {
+  const ProcessedEvent({
+    required this.functionName,
+    required this.eventId,
+    required this.outcome,
+    required this.processedAt,
+    required this.expiresAt,
+  });
+
+  /// The Cloud Run ID of the function that handled the event.
+  final String functionName;
+
+  /// The CloudEvent `id` of the event.
+  final String eventId;
+
+  /// The outcome of the last invocation for this event.
+  final EventOutcome outcome;
+
+  /// When [outcome] was recorded.
+  final DateTime processedAt;
+
+  /// When this record stops counting as a duplicate.
+  final DateTime expiresAt;
+
+  @override
+  String toString() =>
+      'ProcessedEvent($functionName, $eventId, ${outcome.name})';
+}
+
+/// Remembers which CloudEvents have been handled.
+///
+/// Used by event triggers registered with `idempotent: true`; see
+/// [Firebase.dedupeStore] for how the runtime uses the records.
+///
+/// Records are scoped per function, since the same event can be delivered to
+/// several functions. Implementations should ignore records whose
+/// [ProcessedEvent.expiresAt] has passed.
+abstract interface class EventDedupeStore {
+  /// Returns the record for [eventId] handled by [functionName], or `null`
+  /// if there is none or it has expired.
+  Future<ProcessedEvent?> lookup(String functionName, String eventId);
+
+  /// Records [eventId] as [EventOutcome.inProgress] for [functionName],
+  /// unless a live record says it [EventOutcome.succeeded] or is already in
+  /// progress.
+  ///
+  /// Returns the record that prevented the claim, or `null` if the claim was
+  /// made. The check and the write must be atomic, so that of several
+  /// deliveries arriving together only one is handled.
+  Future<ProcessedEvent?> claim(String functionName, String eventId);
+
+  /// Records that [functionName] handled [eventId] with [outcome].
+  Future<void> record(
+    String functionName,
+    String eventId,
+    EventOutcome outcome,
+  );
+}
+
+/// An [EventDedupeStore] that keeps records in memory.
+///
+/// Records are lost when the instance shuts down and are not shared between
+/// instances, so this only catches redeliveries that reach the same
+/// instance. Use [FirestoreEventDedupeStore] to dedupe across instances.
+final class InMemoryEventDedupeStore implements EventDedupeStore {
+  InMemoryEventDedupeStore({
+    this.ttl = defaultDedupeTtl,
+    this.lease = defaultDedupeLease,
+  });
+
+  /// How long a record is kept after it was written.
+  final Duration ttl;
+
+  /// How long an [EventOutcome.inProgress] record is kept.
+  final Duration lease;
+
+  final _records = <String, ProcessedEvent>{};
+
+  @override
+  Future<ProcessedEvent?> lookup(String functionName, String eventId) async =>
+      _lookup(functionName, eventId);
+
+  @override
+  Future<ProcessedEvent?> claim(String functionName, String eventId) async {
+    // Synchronous from lookup to write, so no other delivery can interleave.
+    final previous = _lookup(functionName, eventId);
+    if (previous != null && previous.outcome != EventOutcome.failed) {
+      return previous;
+    }
+    _record(functionName, eventId, EventOutcome.inProgress);
+    return null;
+  }
+
+  @override
+  Future<void> record(
+    String functionName,
+    String eventId,
+    EventOutcome outcome,
+  ) async => _record(functionName, eventId, outcome);
+
+  ProcessedEvent? _lookup(String functionName, String eventId) {
+    final key = _key(functionName, eventId);
+    final record = _records[key];
+    if (record == null) return null;
+    if (!DateTime.now().isBefore(record.expiresAt)) {
+      _records.remove(key);
+      return null;
+    }
+    return record;
+  }
+
+  void _record(String functionName, String eventId, EventOutcome outcome) {
+    final now = DateTime.now();
+    _records.removeWhere((_, r) => !now.isBefore(r.expiresAt));
+    _records[_key(functionName, eventId)] = ProcessedEvent(
+      functionName: functionName,
+      eventId: eventId,
+      outcome: outcome,
+      processedAt: now,
+      expiresAt: now.add(outcome == EventOutcome.inProgress ? lease : ttl),
+    );
+  }
+
+  static String _key(String functionName, String eventId) =>
+      '$functionName/$eventId';
+}
+
+/// An [EventDedupeStore] backed by a Firestore collection.
+///
+/// Each record is a document in [collection] with the fields `functionName`,
+/// `eventId`, `outcome`, `processedAt` and `expiresAt`. Expired records are
+/// ignored on lookup; to have Firestore delete them, configure a TTL policy
+/// on the `expiresAt` field of [collection].
+///
+/// Example:
+/// ```dart
+/// runFunctions((firebase) {
+///   firebase.dedupeStore = FirestoreEventDedupeStore(firebase.adminApp);
+///
+///   firebase.pubsub.onMessagePublished(
+///     topic: 'orders',
+///     options: const PubSubOptions(idempotent: true),
+///     (event) async {
+///       // Runs at most once per message.
+///     },
+///   );
+/// });
+/// ```
+final class FirestoreEventDedupeStore implements EventDedupeStore {
+  FirestoreEventDedupeStore(
+    FirebaseApp app, {
+    this.collection = 'firebaseFunctionsProcessedEvents',
+    this.ttl = defaultDedupeTtl,
+    this.lease = defaultDedupeLease,
+  }) : _firestore = app.firestore();
+
+  /// The collection holding the records.
+  final String collection;
+
+  /// How long a record is kept after it was written.
+  final Duration ttl;
+
+  /// How long an [EventOutcome.inProgress] record is kept.
+  final Duration lease;
+
+  final Firestore _firestore;
+
+  @override
+  Future<ProcessedEvent?> lookup(String functionName, String eventId) async {
+    final snapshot = await _document(functionName, eventId).get();
+    return _fromData(functionName, eventId, snapshot.data());
+  }
+
+  @override
+  Future<ProcessedEvent?> claim(String functionName, String eventId) {
+    final document = _document(functionName, eventId);
+    return _firestore.runTransaction((transaction) async {
+      final snapshot = await transaction.get(document);
+      final previous = _fromData(functionName, eventId, snapshot.data());
+      if (previous != null && previous.outcome != EventOutcome.failed) {
+        return previous;
+      }
+      transaction.set(
+        document,
+        _toData(functionName, eventId, EventOutcome.inProgress),
+      );
+      return null;
+    });
+  }
+
+  @override
+  Future<void> record(
+    String functionName,
+    String eventId,
+    EventOutcome outcome,
+  ) async {
+    await _document(
+      functionName,
+      eventId,
+    ).set(_toData(functionName, eventId, outcome));
+  }
+
+  DocumentReference<DocumentData> _document(
+    String functionName,
+    String eventId,
+  ) => _firestore
+      .collection(collection)
+      .doc(_documentId(functionName, eventId));
+
+  ProcessedEvent? _fromData(
+    String functionName,
+    String eventId,
+    DocumentData? data,
+  ) {
+    if (data == null) return null;
+
+    final expiresAt = (data['expiresAt']! as Timestamp).toDate();
+    if (!DateTime.now().isBefore(expiresAt)) return null;
+
+    return ProcessedEvent(
+      functionName: functionName,
+      eventId: eventId,
+      outcome: EventOutcome.values.byName(data['outcome']! as String),
+      processedAt: (data['processedAt']! as Timestamp).toDate(),
+      expiresAt: expiresAt,
+    );
+  }
+
+  DocumentData _toData(
+    String functionName,
+    String eventId,
+    EventOutcome outcome,
+  ) {
+    final now = DateTime.now();
+    return {
+      'functionName': functionName,
+      'eventId': eventId,
+      'outcome': outcome.name,
+      'processedAt': Timestamp.fromDate(now),
+      'expiresAt': Timestamp.fromDate(
+        now.add(outcome == EventOutcome.inProgress ? lease : ttl),
+      ),
+    };
+  }
+
+  /// Document IDs cannot contain `/`, which CloudEvent IDs may.
+  static String _documentId(String functionName, String eventId) =>
+      Uri.encodeComponent('$functionName:$eventId');
+}
+
+/// Wraps [handler] so that events already handled successfully by
+/// [functionName] are acknowledged without calling it again.
+///
+/// The event ID is read from the `ce-id` header in binary mode or the `id`
+/// attribute of a structured-mode body. Requests without one are passed
+/// through. [store] is resolved per request so that [Firebase.dedupeStore]
+/// can be changed after registration.
+///
+/// If the store is unavailable the event is handled anyway: a duplicate is
+/// preferable to a dropped event.
+@internal
+FirebaseFunctionHandler dedupeHandler(
+  FirebaseFunctionHandler handler, {
+  required String functionName,
+  required EventDedupeStore Function() store,
+}) => (request) async {
+  var forwarded = request;
+  var eventId = request.headers['ce-id'];
+  if (eventId == null) {
+    final body = await request.readAsString();
+    forwarded = request.change(body: body);
+    eventId = _structuredEventId(body);
+  }
+  if (eventId == null) return await handler(forwarded);
+
+  final dedupeStore = store();
+  final labels = {'functionName': functionName, 'eventId': eventId};
+  try {
+    final previous = await dedupeStore.claim(functionName, eventId);
+    switch (previous?.outcome) {
+      case EventOutcome.succeeded:
+        logger.info('Skipping already processed event $eventId', labels);
+        return Response.ok('');
+      case EventOutcome.inProgress:
+        // Not acknowledged: the other delivery may still fail, in which case
+        // this one should be retried.
+        logger.info('Event $eventId is already being processed', labels);
+        return Response(409, body: 'Event $eventId is already being processed');
+      case EventOutcome.failed || null:
+        break;
+    }
+  } catch (e) {
+    logger.warn('Event dedupe claim failed, handling event anyway: $e', labels);
+  }
+
+  // A handler that throws fails the event too, releasing the claim so that
+  // the retry runs instead of waiting for the lease to expire.
+  var outcome = EventOutcome.failed;
+  try {
+    final response = await handler(forwarded);
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      outcome = EventOutcome.succeeded;
+    }
+    return response;
+  } finally {
+    try {
+      await dedupeStore.record(functionName, eventId, outcome);
+    } catch (e) {
+      logger.warn('Failed to record processed event: $e', labels);
+    }
+  }
+};
+
+String? _structuredEventId(String body) {
+  try {
+    return switch (jsonDecode(body)) {
+      {'id': final String id} => id,
+      _ => null,
+    };
+  } on FormatException {
+    return null;
+  }
+}
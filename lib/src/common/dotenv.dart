@@ -0,0 +1,209 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Loading of param values from the dotenv files firebase-tools reads.
+library;
+
+import 'dart:convert';
+import 'dart:io';
+
+import 'package:meta/meta.dart';
+
+final _assignment = RegExp(r'^(?:export\s+)?([\w./]+)\s*=(.*)$');
+final _validKey = RegExp(r'^[A-Z_][A-Z0-9_]*$');
+
+/// Keys firebase-tools reserves for the runtime, which dotenv files may not
+/// set.
+const _reservedKeys = {
+  'CLOUD_RUNTIME_CONFIG',
+  'ENTRY_POINT',
+  'FUNCTION_IDENTITY',
+  'FUNCTION_MEMORY_MB',
+  'FUNCTION_NAME',
+  'FUNCTION_REGION',
+  'FUNCTION_SIGNATURE_TYPE',
+  'FUNCTION_TARGET',
+  'FUNCTION_TIMEOUT_SEC',
+  'FUNCTION_TRIGGER_TYPE',
+  'GCLOUD_PROJECT',
+  'GCP_PROJECT',
+  'GOOGLE_CLOUD_PROJECT',
+  'K_CONFIGURATION',
+  'K_REVISION',
+  'K_SERVICE',
+  'PORT',
+};
+const _reservedPrefixes = ['EXT_', 'FIREBASE_', 'X_GOOGLE_'];
+
+/// Reads the param values in the dotenv files of [directory], layered the
+/// way firebase-tools layers them.
+///
+/// Later files override earlier ones: `.env`, then `.env.<projectId>` and
+/// `.env.<alias>` for each alias of [projectId] in `.firebaserc`, then, when
+/// [local] is true, `.env.local` and the secrets in `.secret.local`. Missing
+/// files are skipped.
+///
+/// Throws a [FormatException] naming the file if one cannot be parsed or
+/// sets a key reserved for the runtime.
+@internal
+Map<String, String> loadDotenv({
+  required String directory,
+  required String projectId,
+  bool local = false,
+}) {
+  final names = [
+    '.env',
+    '.env.$projectId',
+    for (final alias in _aliases(directory, projectId)) '.env.$alias',
+    if (local) '.env.local',
+  ];
+
+  final values = <String, String>{};
+  for (final name in names) {
+    final file = File('$directory/$name');
+    if (!file.existsSync()) continue;
+    final parsed = _parseFile(file);
+    for (final key in parsed.keys) {
+      if (_isReserved(key)) {
+        throw FormatException(
+          '${file.path} sets "$key", which is reserved for the runtime',
+        );
+      }
+    }
+    values.addAll(parsed);
+  }
+
+  final secrets = File('$directory/.secret.local');
+  if (local && secrets.existsSync()) {
+    values.addAll(_parseFile(secrets));
+  }
+  return values;
+}
+
+/// Parses the contents of a dotenv file.
+///
+/// Each line is a `KEY=value` assignment, optionally preceded by `export`,
+/// or a `#` comment. Unquoted values end at a `#`. Values in double quotes
+/// may span lines and understand `\n`, `\r`, `\t`, `\v` and `\\` escapes;
+/// values in single quotes are taken literally, except for `\'`.
+///
+/// Throws a [FormatException] for lines that are not assignments, keys that
+/// are not upper snake case, and unterminated quotes.
+@internal
+Map<String, String> parseDotenv(String source) {
+  final values = <String, String>{};
+  final lines = const LineSplitter().convert(source);
+
+  for (var i = 0; i < lines.length; i++) {
+    final line = lines[i].trim();
+    if (line.isEmpty || line.startsWith('#')) continue;
+
+    final match = _assignment.firstMatch(line);
+    if (match == null) {
+      throw FormatException('Line ${i + 1} is not an assignment: $line');
+    }
+    final key = match[1]!;
+    if (!_validKey.hasMatch(key)) {
+      throw FormatException(
+        'Line ${i + 1}: "$key" must start with an uppercase letter or '
+        'underscore and contain only uppercase letters, digits and '
+        'underscores',
+      );
+    }
+
+    var value = match[2]!.trimLeft();
+    if (value.startsWith('"') || value.startsWith("'")) {
+      final quote = value[0];
+      final start = i;
+      var end = _closingQuote(value, quote);
+      while (end == -1 && i + 1 < lines.length) {
+        value = '$value\n${lines[++i]}';
+        end = _closingQuote(value, quote);
+      }
+      if (end == -1) {
+        throw FormatException('Line ${start + 1}: unterminated $quote quote');
+      }
+      final rest = value.substring(end + 1).trim();
+      if (rest.isNotEmpty && !rest.startsWith('#')) {
+        throw FormatException(
+          'Line ${i + 1}: unexpected "$rest" after the quoted value of $key',
+        );
+      }
+      final quoted = value.substring(1, end);
+      value = quote == '"' ? _unescape(quoted) : quoted.replaceAll(r"\'", "'");
+    } else {
+      value = value.split('#').first.trim();
+    }
+    values[key] = value;
+  }
+  return values;
+}
+
+Map<String, String> _parseFile(File file) {
+  try {
+    return parseDotenv(file.readAsStringSync());
+  } on FormatException catch (e) {
+    throw FormatException('${file.path}: ${e.message}');
+  }
+}
+
+/// The index of the quote closing the value that [value] starts with, or -1.
+int _closingQuote(String value, String quote) {
+  for (var i = 1; i < value.length; i++) {
+    if (value[i] == r'\') {
+      i++;
+    } else if (value[i] == quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+String _unescape(String value) => value.replaceAllMapped(
+  RegExp(r'\\(.)'),
+  (match) => switch (match[1]) {
+    'n' => '\n',
+    'r' => '\r',
+    't' => '\t',
+    'v' => '\v',
+    final other => other!,
+  },
+);
+
+bool _isReserved(String key) =>
+    _reservedKeys.contains(key) || _reservedPrefixes.any(key.startsWith);
+
+/// The aliases of [projectId] in the nearest `.firebaserc` at or above
+/// [directory].
+Iterable<String> _aliases(String directory, String projectId) {
+  for (var dir = Directory(directory).absolute; ; dir = dir.parent) {
+    final file = File('${dir.path}/.firebaserc');
+    if (file.existsSync()) {
+      try {
+        if (jsonDecode(file.readAsStringSync()) case {
+          'projects': final Map<String, dynamic> projects,
+        }) {
+          return [
+            for (final MapEntry(:key, :value) in projects.entries)
+              if (value == projectId && key != projectId) key,
+          ];
+        }
+      } on FormatException {
+        // firebase-tools reports malformed project files itself.
+      }
+      return const [];
+    }
+    if (dir.parent.path == dir.path) return const [];
+  }
+}
@@ -20,7 +20,12 @@ import 'package:meta/meta.dart';
 /// Provides unified access to environment variables, emulator checks, and
 /// Google Cloud / Firebase configuration.
 class FirebaseEnv {
-  FirebaseEnv() : environment = mockEnvironment ?? Platform.environment;
+  /// Creates an environment view.
+  ///
+  /// When [environment] is omitted, [mockEnvironment] is used if set,
+  /// otherwise the process environment.
+  FirebaseEnv({Map<String, String>? environment})
+    : environment = environment ?? mockEnvironment ?? Platform.environment;
 
   @visibleForTesting
   static Map<String, String>? mockEnvironment;
@@ -109,6 +114,32 @@ class FirebaseEnv {
   /// This is part of the contract with `firebase-tools`.
   bool get functionsControlApi =>
       environment['FUNCTIONS_CONTROL_API'] == 'true';
+
+  /// Where the control API's `/__/functions.yaml` manifest comes from.
+  ///
+  /// Uses the `FUNCTIONS_MANIFEST` environment variable: `file` (the
+  /// default) serves the functions.yaml written by the builder, `runtime`
+  /// generates it from the registered functions, and `check` serves the file
+  /// but logs where it differs from the registered functions.
+  String get functionsManifest => environment['FUNCTIONS_MANIFEST'] ?? 'file';
+
+  /// The `host:port` of the Realtime Database emulator, if one is running.
+  ///
+  /// Uses the `FIREBASE_DATABASE_EMULATOR_HOST` environment variable.
+  String? get databaseEmulatorHost =>
+      environment['FIREBASE_DATABASE_EMULATOR_HOST'];
+
+  /// Whether scheduled functions should be run in-process on their
+  /// schedules, for local development.
+  ///
+  /// Uses the `FUNCTIONS_LOCAL_SCHEDULER` environment variable.
+  bool get localScheduler => environment['FUNCTIONS_LOCAL_SCHEDULER'] == 'true';
+
+  /// The `host:port` of the Cloud Tasks emulator, if one is running.
+  ///
+  /// Uses the `CLOUD_TASKS_EMULATOR_HOST` environment variable.
+  String? get cloudTasksEmulatorHost =>
+      environment['CLOUD_TASKS_EMULATOR_HOST'];
 }
 
 /// Common project ID environment variables checked in order.
@@ -12,6 +12,8 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import 'cel.dart';
+
 /// Abstract base class for all expressions in Firebase Functions.
 ///
 /// Expressions allow configuration values to be determined at deploy time
@@ -65,12 +67,42 @@ abstract class Expression<T extends Object> {
   }
 
   /// Creates an equality comparison expression.
-  Equals<T> equals(Expression<T> other) => Equals(this, other);
+  ///
+  /// [other] is either a `T` or an `Expression<T>`, such as another param.
+  Equals<T> equals(Object other) => Equals(this, _operand<T>(other));
 
   /// Creates an inequality comparison expression.
-  NotEquals<T> notEquals(Expression<T> other) => NotEquals(this, other);
+  ///
+  /// [other] is either a `T` or an `Expression<T>`, such as another param.
+  NotEquals<T> notEquals(Object other) => NotEquals(this, _operand<T>(other));
+
+  /// How tightly this expression binds when it is an operand in CEL.
+  CelPrecedence get _precedence => CelPrecedence.primary;
 }
 
+/// Wraps [value] in a [LiteralExpression] unless it is already an
+/// expression.
+///
+/// Integers are accepted where doubles are expected, since an integer
+/// literal passed as an [Object] is never inferred as a double.
+Expression<T> _operand<T extends Object>(Object value) => switch (value) {
+  final Expression<T> expression => expression,
+  final T literal => LiteralExpression<T>(literal),
+  final int literal when T == double => LiteralExpression<T>(
+    literal.toDouble() as T,
+  ),
+  _ => throw ArgumentError.value(
+    value,
+    null,
+    'Expected a $T or an Expression<$T>',
+  ),
+};
+
+/// Renders [expression] as an operand binding at least as tightly as
+/// [minimum].
+String _cel(Expression expression, CelPrecedence minimum) =>
+    celOperand(expression.toString(), expression._precedence, minimum);
+
 /// A conditional expression (ternary operator).
 ///
 /// Evaluates [test] and returns [then] if true, [otherwise] if false.
@@ -100,9 +132,13 @@ final class If<T extends Object> extends Expression<T> {
   T runtimeValue() =>
       test.runtimeValue() ? then.runtimeValue() : otherwise.runtimeValue();
 
+  @override
+  CelPrecedence get _precedence => CelPrecedence.conditional;
+
   @override
   String toString() =>
-      '${test.toString()} ? ${then.toString()} : ${otherwise.toString()}';
+      '${_cel(test, CelPrecedence.or)} ? ${_cel(then, CelPrecedence.or)} : '
+      '$otherwise';
 }
 
 /// Base class for comparison expressions that return boolean values.
@@ -111,6 +147,14 @@ sealed class ComparableExpression<T extends Object> extends Expression<bool> {
   final Expression<T> lhs;
   final Expression<T> rhs;
 
+  @override
+  CelPrecedence get _precedence => CelPrecedence.relation;
+
+  /// Renders `lhs <operator> rhs`, parenthesizing operands as needed.
+  String _render(String operator) =>
+      '${_cel(lhs, CelPrecedence.relation)} $operator '
+      '${_cel(rhs, CelPrecedence.additive)}';
+
   /// Helper method to compare two lists for equality.
   bool _arrayEquals(List<T> left, List<T> right) {
     if (left.length != right.length) return false;
@@ -135,7 +179,7 @@ final class Equals<T extends Object> extends ComparableExpression<T> {
   }
 
   @override
-  String toString() => '${lhs.toString()} == ${rhs.toString()}';
+  String toString() => _render('==');
 }
 
 /// Inequality comparison expression.
@@ -155,7 +199,7 @@ final class NotEquals<T extends Object> extends ComparableExpression<T> {
   }
 
   @override
-  String toString() => '${lhs.toString()} != ${rhs.toString()}';
+  String toString() => _render('!=');
 }
 
 /// Greater than comparison expression (numbers only).
@@ -166,7 +210,7 @@ final class GreaterThan extends ComparableExpression<num> {
   bool runtimeValue() => lhs.runtimeValue() > rhs.runtimeValue();
 
   @override
-  String toString() => '${lhs.toString()} > ${rhs.toString()}';
+  String toString() => _render('>');
 }
 
 /// Greater than or equal comparison expression (numbers only).
@@ -177,7 +221,7 @@ final class GreaterThanOrEqualTo extends ComparableExpression<num> {
   bool runtimeValue() => lhs.runtimeValue() >= rhs.runtimeValue();
 
   @override
-  String toString() => '${lhs.toString()} >= ${rhs.toString()}';
+  String toString() => _render('>=');
 }
 
 /// Less than comparison expression (numbers only).
@@ -188,7 +232,7 @@ final class LessThan extends ComparableExpression<num> {
   bool runtimeValue() => lhs.runtimeValue() < rhs.runtimeValue();
 
   @override
-  String toString() => '${lhs.toString()} < ${rhs.toString()}';
+  String toString() => _render('<');
 }
 
 /// Less than or equal comparison expression (numbers only).
@@ -199,7 +243,210 @@ final class LessThanOrEqualTo extends ComparableExpression<num> {
   bool runtimeValue() => lhs.runtimeValue() <= rhs.runtimeValue();
 
   @override
-  String toString() => '${lhs.toString()} <= ${rhs.toString()}';
+  String toString() => _render('<=');
+}
+
+/// Logical AND of two boolean expressions.
+///
+/// Example:
+/// ```dart
+/// final isProduction = defineBoolean('IS_PRODUCTION');
+/// final region = defineString('REGION');
+/// final inEuProduction = isProduction.and(region.equals('eu'));
+/// ```
+final class And extends Expression<bool> {
+  const And(this.lhs, this.rhs);
+  final Expression<bool> lhs;
+  final Expression<bool> rhs;
+
+  @override
+  bool runtimeValue() => lhs.runtimeValue() && rhs.runtimeValue();
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.and;
+
+  @override
+  String toString() =>
+      '${_cel(lhs, CelPrecedence.and)} && ${_cel(rhs, CelPrecedence.relation)}';
+}
+
+/// Logical OR of two boolean expressions.
+final class Or extends Expression<bool> {
+  const Or(this.lhs, this.rhs);
+  final Expression<bool> lhs;
+  final Expression<bool> rhs;
+
+  @override
+  bool runtimeValue() => lhs.runtimeValue() || rhs.runtimeValue();
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.or;
+
+  @override
+  String toString() =>
+      '${_cel(lhs, CelPrecedence.or)} || ${_cel(rhs, CelPrecedence.and)}';
+}
+
+/// Logical negation of a boolean expression.
+final class Not extends Expression<bool> {
+  const Not(this.operand);
+  final Expression<bool> operand;
+
+  @override
+  bool runtimeValue() => !operand.runtimeValue();
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.unary;
+
+  @override
+  String toString() => '!${_cel(operand, CelPrecedence.unary)}';
+}
+
+/// Base class for arithmetic on numeric expressions.
+///
+/// Both operands have the same type, as CEL does not mix integers and
+/// doubles in arithmetic.
+sealed class ArithmeticExpression<T extends num> extends Expression<T> {
+  const ArithmeticExpression(this.lhs, this.rhs);
+  final Expression<T> lhs;
+  final Expression<T> rhs;
+
+  /// Renders `lhs <operator> rhs`, parenthesizing operands as needed.
+  String _render(String operator) =>
+      '${_cel(lhs, _precedence)} $operator '
+      '${_cel(rhs, CelPrecedence.values[_precedence.index + 1])}';
+}
+
+/// Addition expression.
+///
+/// Example:
+/// ```dart
+/// final base = defineInt('BASE_INSTANCES');
+/// final maxInstances = base * 2 + 1;
+/// ```
+final class Add<T extends num> extends ArithmeticExpression<T> {
+  const Add(super.lhs, super.rhs);
+
+  @override
+  T runtimeValue() => (lhs.runtimeValue() + rhs.runtimeValue()) as T;
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.additive;
+
+  @override
+  String toString() => _render('+');
+}
+
+/// Subtraction expression.
+final class Subtract<T extends num> extends ArithmeticExpression<T> {
+  const Subtract(super.lhs, super.rhs);
+
+  @override
+  T runtimeValue() => (lhs.runtimeValue() - rhs.runtimeValue()) as T;
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.additive;
+
+  @override
+  String toString() => _render('-');
+}
+
+/// Multiplication expression.
+final class Multiply<T extends num> extends ArithmeticExpression<T> {
+  const Multiply(super.lhs, super.rhs);
+
+  @override
+  T runtimeValue() => (lhs.runtimeValue() * rhs.runtimeValue()) as T;
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.multiplicative;
+
+  @override
+  String toString() => _render('*');
+}
+
+/// Division expression.
+///
+/// Dividing integers truncates towards zero, as it does in CEL.
+final class Divide<T extends num> extends ArithmeticExpression<T> {
+  const Divide(super.lhs, super.rhs);
+
+  @override
+  T runtimeValue() {
+    final left = lhs.runtimeValue();
+    final right = rhs.runtimeValue();
+    return (left is int && right is int ? left ~/ right : left / right) as T;
+  }
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.multiplicative;
+
+  @override
+  String toString() => _render('/');
+}
+
+/// Integer remainder expression.
+///
+/// The result has the sign of the dividend, as it does in CEL.
+final class Modulo extends ArithmeticExpression<int> {
+  const Modulo(super.lhs, super.rhs);
+
+  @override
+  int runtimeValue() => lhs.runtimeValue().remainder(rhs.runtimeValue());
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.multiplicative;
+
+  @override
+  String toString() => _render('%');
+}
+
+/// String concatenation expression.
+///
+/// Example:
+/// ```dart
+/// final prefix = defineString('SERVICE_ACCOUNT_PREFIX');
+/// final serviceAccount = prefix + '@my-project.iam.gserviceaccount.com';
+/// ```
+final class Concat extends Expression<String> {
+  const Concat(this.lhs, this.rhs);
+  final Expression<String> lhs;
+  final Expression<String> rhs;
+
+  @override
+  String runtimeValue() => lhs.runtimeValue() + rhs.runtimeValue();
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.additive;
+
+  @override
+  String toString() =>
+      '${_cel(lhs, CelPrecedence.additive)} + '
+      '${_cel(rhs, CelPrecedence.multiplicative)}';
+}
+
+/// List membership expression, rendered as CEL's `in` operator.
+///
+/// Example:
+/// ```dart
+/// final regions = defineList('REGIONS');
+/// final servesEu = regions.contains('europe-west1');
+/// ```
+final class Contains<T extends Object> extends Expression<bool> {
+  const Contains(this.list, this.element);
+  final Expression<List<T>> list;
+  final Expression<T> element;
+
+  @override
+  bool runtimeValue() => list.runtimeValue().contains(element.runtimeValue());
+
+  @override
+  CelPrecedence get _precedence => CelPrecedence.relation;
+
+  @override
+  String toString() =>
+      '${_cel(element, CelPrecedence.relation)} in '
+      '${_cel(list, CelPrecedence.additive)}';
 }
 
 /// A literal expression that wraps a constant value.
@@ -211,13 +458,97 @@ final class LiteralExpression<T extends Object> extends Expression<T> {
   T runtimeValue() => literal;
 
   @override
-  String toString() {
-    if (literal is String) {
-      return '"$literal"';
-    }
-    if (literal is List) {
-      return '[${(literal as List).map((e) => e.toString()).join(', ')}]';
-    }
-    return literal.toString();
-  }
+  String toString() => celLiteral(literal);
+}
+
+/// Logical operators and conditionals on boolean expressions.
+extension BooleanOperators on Expression<bool> {
+  /// Creates an expression that is true when both this and [other] are.
+  And and(Expression<bool> other) => And(this, other);
+
+  /// Creates an expression that is true when this or [other] is.
+  Or or(Expression<bool> other) => Or(this, other);
+
+  /// Creates an expression that negates this one.
+  Not not() => Not(this);
+
+  /// Creates a conditional expression that returns different values
+  /// based on this expression's value.
+  ///
+  /// Example:
+  /// ```dart
+  /// final isProduction = defineBoolean('IS_PRODUCTION');
+  /// final memory = isProduction.thenElse(2048, 512);
+  /// ```
+  If<T> thenElse<T extends Object>(T ifTrue, T ifFalse) => If<T>(
+    this,
+    then: LiteralExpression<T>(ifTrue),
+    otherwise: LiteralExpression<T>(ifFalse),
+  );
+}
+
+/// Arithmetic and comparisons on numeric expressions.
+///
+/// Each operand is either a `T` or an `Expression<T>`, such as another
+/// param:
+///
+/// ```dart
+/// final base = defineInt('BASE_INSTANCES');
+/// final ceiling = defineInt('MAX_INSTANCES');
+/// final maxInstances = base * 2;
+/// final fits = maxInstances.lessThanOrEqualTo(ceiling);
+/// ```
+extension NumericOperators<T extends num> on Expression<T> {
+  /// Creates an addition expression.
+  Add<T> operator +(Object other) => Add(this, _operand<T>(other));
+
+  /// Creates a subtraction expression.
+  Subtract<T> operator -(Object other) => Subtract(this, _operand<T>(other));
+
+  /// Creates a multiplication expression.
+  Multiply<T> operator *(Object other) => Multiply(this, _operand<T>(other));
+
+  /// Creates a division expression. Integer division truncates.
+  Divide<T> operator /(Object other) => Divide(this, _operand<T>(other));
+
+  /// Creates a greater-than comparison expression.
+  ///
+  /// Example:
+  /// ```dart
+  /// final memoryMb = defineInt('MEMORY_MB');
+  /// final isHighMemory = memoryMb.greaterThan(2048);
+  /// ```
+  GreaterThan greaterThan(Object other) =>
+      GreaterThan(this, _operand<T>(other));
+
+  /// Creates a greater-than-or-equal comparison expression.
+  GreaterThanOrEqualTo greaterThanOrEqualTo(Object other) =>
+      GreaterThanOrEqualTo(this, _operand<T>(other));
+
+  /// Creates a less-than comparison expression.
+  LessThan lessThan(Object other) => LessThan(this, _operand<T>(other));
+
+  /// Creates a less-than-or-equal comparison expression.
+  LessThanOrEqualTo lessThanOrEqualTo(Object other) =>
+      LessThanOrEqualTo(this, _operand<T>(other));
+}
+
+/// Integer-only arithmetic.
+extension IntegerOperators on Expression<int> {
+  /// Creates an integer remainder expression.
+  Modulo operator %(Object other) => Modulo(this, _operand<int>(other));
+}
+
+/// Concatenation of string expressions.
+extension StringOperators on Expression<String> {
+  /// Creates a concatenation of this and [other], a `String` or an
+  /// `Expression<String>`.
+  Concat operator +(Object other) => Concat(this, _operand<String>(other));
+}
+
+/// Membership tests on list expressions.
+extension ListOperators<T extends Object> on Expression<List<T>> {
+  /// Creates an expression that is true when this list contains [element],
+  /// a `T` or an `Expression<T>`.
+  Contains<T> contains(Object element) => Contains(this, _operand<T>(element));
 }
@@ -0,0 +1,191 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Public keys for verifying the signatures of ID tokens, App Check tokens
+/// and blocking function JWTs.
+/// @docImport '../firebase.dart';
+library;
+
+import 'dart:convert';
+import 'dart:io';
+
+import 'package:dart_jsonwebtoken/dart_jsonwebtoken.dart';
+import 'package:http/http.dart' as http;
+import 'package:meta/meta.dart';
+
+/// A source of the public keys that token signatures are verified against,
+/// looked up by the `kid` header of the token.
+///
+/// Set [Firebase.keyProvider] to verify tokens against keys of your choice,
+/// for example to run real signature verification in CI with locally minted
+/// test tokens.
+abstract interface class KeyProvider {
+  /// Returns the key with the key ID [kid], or `null` if there is none.
+  Future<JWTKey?> getKey(String kid);
+}
+
+/// A [KeyProvider] that fetches a JSON Web Key Set from [url].
+///
+/// Keys are cached for as long as the `max-age` of the response's
+/// `Cache-Control` header allows, or [cacheDuration] without one.
+final class JwksUrlKeyProvider implements KeyProvider {
+  JwksUrlKeyProvider(
+    this.url, {
+    this.cacheDuration = const Duration(hours: 1),
+    http.Client? httpClient,
+  }) : _httpClient = httpClient ?? http.Client();
+
+  /// The URL of the key set.
+  final Uri url;
+
+  /// How long keys are cached when the response does not say.
+  final Duration cacheDuration;
+
+  final http.Client _httpClient;
+
+  Map<String, JWTKey>? _keys;
+  DateTime? _keysExpireAt;
+
+  @override
+  Future<JWTKey?> getKey(String kid) async {
+    if (_keys == null || !DateTime.now().isBefore(_keysExpireAt!)) {
+      await _fetchKeys();
+    }
+    return _keys![kid];
+  }
+
+  Future<void> _fetchKeys() async {
+    final response = await _httpClient.get(url);
+    if (response.statusCode != 200) {
+      throw StateError(
+        'Failed to fetch public keys from $url: ${response.statusCode}',
+      );
+    }
+
+    final maxAge = RegExp(
+      r'max-age=(\d+)',
+    ).firstMatch(response.headers['cache-control'] ?? '');
+    _keys = _parseJwks(jsonDecode(response.body) as Map<String, dynamic>);
+    _keysExpireAt = DateTime.now().add(
+      maxAge == null ? cacheDuration : Duration(seconds: int.parse(maxAge[1]!)),
+    );
+  }
+}
+
+/// A [KeyProvider] that reads a JSON Web Key Set from the file at [path].
+///
+/// The file is read once, on first use.
+final class JwksFileKeyProvider implements KeyProvider {
+  JwksFileKeyProvider(this.path);
+
+  /// The path of the key set file.
+  final String path;
+
+  Future<Map<String, JWTKey>>? _keys;
+
+  @override
+  Future<JWTKey?> getKey(String kid) async =>
+      (await (_keys ??= _readKeys()))[kid];
+
+  Future<Map<String, JWTKey>> _readKeys() async {
+    final jwks = jsonDecode(await File(path).readAsString());
+    return _parseJwks(jwks as Map<String, dynamic>);
+  }
+}
+
+/// A [KeyProvider] that holds a fixed set of keys.
+///
+/// Example:
+/// ```dart
+/// firebase.keyProvider = InMemoryKeyProvider({
+///   'test-key': ECPublicKey(testPublicKeyPem),
+/// });
+/// ```
+final class InMemoryKeyProvider implements KeyProvider {
+  InMemoryKeyProvider(Map<String, JWTKey> keys) : _keys = Map.of(keys);
+
+  /// Creates a provider holding the keys of a decoded JSON Web Key Set.
+  InMemoryKeyProvider.fromJwks(Map<String, dynamic> jwks)
+    : _keys = _parseJwks(jwks);
+
+  final Map<String, JWTKey> _keys;
+
+  @override
+  Future<JWTKey?> getKey(String kid) async => _keys[kid];
+}
+
+/// Verifies the signature of [token] against the key named by its `kid`
+/// header in [keyProvider], and that it has not expired.
+///
+/// Returns the payload. Throws a [JWTException] if the token is malformed,
+/// unsigned, signed with an unknown key, or its signature does not match.
+/// Other claims are left to the caller.
+@internal
+Future<Map<String, dynamic>> verifyJwt(
+  String token,
+  KeyProvider keyProvider,
+) async {
+  final JWT decoded;
+  try {
+    decoded = JWT.decode(token);
+  } catch (e) {
+    throw JWTInvalidException('Invalid JWT format: $e');
+  }
+
+  final algorithm = decoded.header?['alg'];
+  // Public key sets never hold symmetric keys.
+  if (algorithm is! String ||
+      algorithm == 'none' ||
+      algorithm.startsWith('HS')) {
+    throw JWTInvalidException('Unsupported algorithm "$algorithm"');
+  }
+
+  final kid = decoded.header?['kid'];
+  if (kid is! String) {
+    throw JWTInvalidException('Missing "kid" header');
+  }
+  final key = await keyProvider.getKey(kid);
+  if (key == null) {
+    throw JWTInvalidException('Unknown "kid" $kid');
+  }
+
+  final Object? payload;
+  try {
+    payload = JWT.verify(token, key).payload;
+  } on JWTException {
+    rethrow;
+  } catch (e) {
+    throw JWTInvalidException('$e');
+  }
+  if (payload is! Map<String, dynamic>) {
+    throw JWTInvalidException('Payload is not a JSON object');
+  }
+  return payload;
+}
+
+/// Parses the keys of a JSON Web Key Set by key ID, skipping keys without
+/// an ID or that cannot be parsed.
+Map<String, JWTKey> _parseJwks(Map<String, dynamic> jwks) {
+  final keys = <String, JWTKey>{};
+  for (final jwk in (jwks['keys'] as List<dynamic>?) ?? const []) {
+    try {
+      final json = jwk as Map<String, dynamic>;
+      final kid = json['kid'] as String?;
+      if (kid != null) keys[kid] = JWTKey.fromJWK(json);
+    } catch (_) {
+      continue;
+    }
+  }
+  return keys;
+}
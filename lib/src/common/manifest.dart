@@ -0,0 +1,261 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// The functions.yaml manifest of the functions registered at runtime.
+///
+/// Unlike the manifest generated by the builder, which only understands
+/// options written as literals or constants, this reflects the option objects
+/// functions were registered with, however they were computed.
+library;
+
+import 'package:meta/meta.dart';
+import 'package:yaml_edit/yaml_edit.dart';
+
+import '../firebase.dart';
+import 'options.dart';
+import 'params.dart';
+
+const _manifestComment =
+    '# This file is generated by package:firebase_functions from the '
+    'registered functions.';
+
+/// The base image URI, without the region prefix, as in the builder.
+const _baseImageUriSuffix =
+    '-docker.pkg.dev/serverless-runtimes/google-24/runtimes/osonly24';
+
+/// An `eventTrigger` for [FirebaseFunctionDeclaration.trigger].
+@internal
+Map<String, Object?> eventTrigger(
+  String eventType, {
+  Map<String, Object?> filters = const {},
+  Map<String, Object?>? pathPatterns,
+  String? channel,
+}) => {
+  'eventTrigger': {
+    'eventType': eventType,
+    'eventFilters': filters,
+    if (pathPatterns != null) 'eventFilterPathPatterns': pathPatterns,
+    'retry': false,
+    if (channel != null) 'channel': channel,
+  },
+};
+
+/// The manifest values of [options], leaving out unset and reset options.
+@internal
+Map<String, Object?> optionValues(Map<String, Option<Object>?> options) => {
+  for (final MapEntry(:key, :value) in options.entries)
+    if (value != null && value is! OptionReset) key: optionWireValue(value),
+};
+
+/// Returns the manifest of [functions] as YAML, the format the builder
+/// writes to functions.yaml.
+@internal
+String generateRuntimeManifestYaml(
+  Iterable<FirebaseFunctionDeclaration> functions,
+) {
+  final editor = YamlEditor('')..update([], buildRuntimeManifest(functions));
+  return '$_manifestComment\n\n$editor';
+}
+
+/// Returns the manifest of [functions] and the declared params.
+@internal
+Map<String, Object?> buildRuntimeManifest(
+  Iterable<FirebaseFunctionDeclaration> functions,
+) => {
+  'specVersion': 'v1alpha1',
+  if (declaredParams.isNotEmpty)
+    'params': [
+      for (final param in declaredParams)
+        if (_paramSpec(param) case final spec?) spec,
+    ],
+  'requiredAPIs': _requiredApis(functions),
+  if (functions.isNotEmpty)
+    'endpoints': {
+      for (final function in functions) function.name: _endpoint(function),
+    },
+};
+
+Map<String, Object?>? _paramSpec(Object param) => switch (param) {
+  JsonSecretParam(:final name) => {
+    'name': name,
+    'type': 'secret',
+    'format': 'json',
+  },
+  SecretParam(:final name) => {'name': name, 'type': 'secret'},
+  InternalExpression() => null,
+  final Param<Object> param => {
+    'name': param.name,
+    'type': switch (param) {
+      IntParam() => 'int',
+      DoubleParam() => 'float',
+      BooleanParam() => 'boolean',
+      ListParam() || EnumListParam() => 'list',
+      _ => 'string',
+    },
+    'default': _wire(param.options?.defaultValue),
+    'label': param.options?.label,
+    'description': param.options?.description,
+  }..removeWhere((_, value) => value == null),
+  _ => null,
+};
+
+List<Map<String, String>> _requiredApis(
+  Iterable<FirebaseFunctionDeclaration> functions,
+) {
+  bool any(String trigger) => functions.any(
+    (function) => function.trigger.containsKey(trigger),
+  );
+  final eventarc = functions.any(
+    (function) => switch (function.trigger['eventTrigger']) {
+      final Map<String, Object?> trigger => trigger.containsKey('channel'),
+      _ => false,
+    },
+  );
+
+  return [
+    {
+      'api': 'cloudfunctions.googleapis.com',
+      'reason': 'Required for Cloud Functions',
+    },
+    if (any('blockingTrigger'))
+      {
+        'api': 'identitytoolkit.googleapis.com',
+        'reason': 'Needed for auth blocking functions',
+      },
+    if (any('scheduleTrigger'))
+      {
+        'api': 'cloudscheduler.googleapis.com',
+        'reason': 'Needed for scheduled functions',
+      },
+    if (any('taskQueueTrigger'))
+      {
+        'api': 'cloudtasks.googleapis.com',
+        'reason': 'Needed for task queue functions',
+      },
+    if (eventarc)
+      {
+        'api': 'eventarcpublishing.googleapis.com',
+        'reason': 'Needed for custom event functions',
+      },
+  ];
+}
+
+Map<String, Object?> _endpoint(FirebaseFunctionDeclaration function) {
+  final options = _mergeOptions(function.globalOptions, function.options);
+  final region = options['region'] ?? const ['us-central1'];
+  final vpc = {
+    'connector': options['vpcConnector'],
+    'egressSettings': options['vpcConnectorEgressSettings'],
+  }..removeWhere((_, value) => value == null);
+  final secretParams =
+      function.options?.secrets ?? function.globalOptions.secrets ?? const [];
+  final secrets = [
+    for (final secret in secretParams)
+      if (_secretName(secret) case final name?) {'key': name, 'secret': name},
+  ];
+
+  final trigger = {
+    for (final MapEntry(:key, :value) in function.trigger.entries)
+      key: key == 'httpsTrigger'
+          ? {
+              ...value! as Map<String, Object?>,
+              if (options['invoker'] case final List<Object?> invoker
+                  when invoker.isNotEmpty)
+                'invoker': invoker,
+            }
+          : value,
+  };
+
+  return {
+    'platform': 'gcfv2',
+    'region': region,
+    'availableMemoryMb': options['memory'],
+    'cpu': options['cpu'],
+    'timeoutSeconds': options['timeoutSeconds'],
+    'concurrency': options['concurrency'],
+    'minInstances': options['minInstances'],
+    'maxInstances': options['maxInstances'],
+    'serviceAccountEmail': options['serviceAccount'],
+    if (vpc.isNotEmpty) 'vpc': vpc,
+    'ingressSettings': options['ingressSettings'],
+    'omit': options['omit'],
+    'labels': options['labels'],
+    if (secrets.isNotEmpty) 'secretEnvironmentVariables': secrets,
+    ...trigger,
+    if (region case [final String primary] when !primary.startsWith('{{'))
+      'baseImageUri': '$primary$_baseImageUriSuffix',
+    'command': ['./bin/server'],
+    'entryPoint': function.name,
+  }..removeWhere((_, value) => value == null);
+}
+
+/// Merges the deploy options of [global] and [options] into their manifest
+/// values, with [options] taking precedence and resets removing a value.
+Map<String, Object?> _mergeOptions(
+  GlobalOptions global,
+  GlobalOptions? options,
+) {
+  Map<String, Object?> fields(GlobalOptions? options) => {
+    'memory': options?.memory,
+    'cpu': options?.cpu,
+    'timeoutSeconds': options?.timeoutSeconds,
+    'concurrency': options?.concurrency,
+    'minInstances': options?.minInstances,
+    'maxInstances': options?.maxInstances,
+    'region': options?.region,
+    'serviceAccount': options?.serviceAccount,
+    'vpcConnector': options?.vpcConnector,
+    'vpcConnectorEgressSettings': options?.vpcConnectorEgressSettings,
+    'ingressSettings': options?.ingressSettings,
+    'invoker': options?.invoker,
+    'omit': options?.omit,
+    'labels': options?.labels,
+  }..removeWhere((_, value) => value == null);
+
+  return {
+    for (final MapEntry(:key, :value) in {
+      ...fields(global),
+      ...fields(options),
+    }.entries)
+      if (value is! OptionReset) key: _optionValue(value),
+  }..removeWhere((_, value) => value == null);
+}
+
+Object? _optionValue(Object? option) {
+  // Labels are a plain map, and empty labels are left out.
+  if (option is! Option<Object>) {
+    return option is Map && option.isEmpty ? null : option;
+  }
+  final value = optionWireValue(option);
+  return switch (value) {
+    // Regions are lists in the manifest, but single values in the options.
+    final SupportedRegion region => [region.value],
+    final IngressSetting setting => setting.value,
+    final VpcEgressSetting setting => setting.value,
+    _ => value,
+  };
+}
+
+String? _secretName(Object secret) => switch (secret) {
+  SecretParam(:final name) => name,
+  JsonSecretParam(:final name) => name,
+  _ => null,
+};
+
+/// Converts a param default to a value YAML can hold.
+Object? _wire(Object? value) => switch (value) {
+  final Enum value => value.name,
+  final List<Object?> values => [for (final value in values) _wire(value)],
+  _ => value,
+};
@@ -0,0 +1,188 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport '../firebase.dart';
+library;
+
+import 'dart:async';
+
+import 'package:meta/meta.dart';
+import 'package:shelf/shelf.dart';
+import 'package:stack_trace/stack_trace.dart' show Trace;
+
+import '../logger/logger.dart';
+
+/// Callbacks registered via [onShutdown], in registration order.
+final _shutdownCallbacks = <FutureOr<void> Function()>[];
+
+/// Registers a callback to run when the instance shuts down.
+///
+/// When Cloud Run stops an instance it sends `SIGTERM` (or requests
+/// `/__/quitquitquit`). The runtime then stops accepting requests, waits for
+/// in-flight requests and streaming responses to finish for up to
+/// [Firebase.shutdownGracePeriod], and runs the shutdown callbacks before
+/// the process exits.
+///
+/// Use this to flush buffers or close connection pools:
+///
+/// ```dart
+/// void main(List<String> args) {
+///   onShutdown(() async {
+///     await analytics.flush();
+///     await pool.close();
+///   });
+///
+///   runFunctions((firebase) { ... });
+/// }
+/// ```
+///
+/// Callbacks run one at a time in the order they were registered. A
+/// callback that throws is logged and does not prevent the others from
+/// running.
+void onShutdown(FutureOr<void> Function() callback) {
+  _shutdownCallbacks.add(callback);
+}
+
+/// Runs the callbacks registered with [onShutdown].
+@internal
+Future<void> runShutdownCallbacks() async {
+  for (final callback in List.of(_shutdownCallbacks)) {
+    try {
+      await callback();
+    } catch (e, stackTrace) {
+      logger.error(
+        'onShutdown callback failed: $e\n${Trace.from(stackTrace).terse}',
+      );
+    }
+  }
+}
+
+/// Removes all [onShutdown] callbacks. For testing only.
+@internal
+void resetShutdown() => _shutdownCallbacks.clear();
+
+/// Drains in-flight requests and runs the [onShutdown] callbacks when the
+/// server is asked to stop.
+///
+/// [middleware] counts requests until their response body has been fully
+/// sent, so streaming responses such as callable SSE streams are drained
+/// too. Once [shutdown] is called, new requests are rejected with a 503.
+@internal
+final class GracefulShutdown {
+  GracefulShutdown({
+    required this.gracePeriod,
+    required Future<void> Function({required bool force}) closeServer,
+    Future<void> Function()? beforeDrain,
+  }) : _closeServer = closeServer,
+       _beforeDrain = beforeDrain;
+
+  /// How long to wait for in-flight requests before running the callbacks.
+  final Duration gracePeriod;
+
+  final Future<void> Function({required bool force}) _closeServer;
+
+  /// Stops background work that would otherwise keep sending requests to
+  /// the server while it drains. Awaited before the callbacks run.
+  final Future<void> Function()? _beforeDrain;
+  final _done = Completer<void>();
+  Completer<void>? _idle;
+  var _inFlight = 0;
+  var _started = false;
+
+  /// Whether [shutdown] has been called.
+  bool get isShuttingDown => _started;
+
+  /// The number of requests still being handled or streamed.
+  int get inFlight => _inFlight;
+
+  /// Completes once [shutdown] has drained requests and run the callbacks.
+  Future<void> get done => _done.future;
+
+  /// Tracks each request until its response has been sent.
+  Middleware get middleware => (inner) => (request) async {
+    if (_started) {
+      return Response(
+        503,
+        body: 'Server is shutting down',
+        headers: {'Connection': 'close'},
+      );
+    }
+
+    _inFlight++;
+    var finished = false;
+    void finish() {
+      if (finished) return;
+      finished = true;
+      if (--_inFlight == 0) _idle?.complete();
+    }
+
+    try {
+      final response = await inner(request);
+      if (response.contentLength == 0) {
+        finish();
+        return response;
+      }
+      return response.change(body: _untilDone(response.read(), finish));
+    } catch (_) {
+      finish();
+      rethrow;
+    }
+  };
+
+  /// Stops accepting requests, waits up to [gracePeriod] for in-flight
+  /// requests, then runs the [onShutdown] callbacks.
+  ///
+  /// Calling this again returns the same [done] future.
+  Future<void> shutdown() {
+    if (_started) return done;
+    _started = true;
+    _done.complete(_drainAndRunCallbacks());
+    return done;
+  }
+
+  Future<void> _drainAndRunCallbacks() async {
+    logger.info('Shutting down with $_inFlight request(s) in flight');
+    final closing = _closeServer(force: false);
+    final stopping = _beforeDrain?.call();
+
+    if (_inFlight > 0) {
+      final idle = _idle = Completer<void>();
+      await idle.future.timeout(
+        gracePeriod,
+        onTimeout: () => logger.warn(
+          'Shutdown grace period of ${gracePeriod.inSeconds}s elapsed with '
+          '$_inFlight request(s) still in flight',
+        ),
+      );
+    }
+
+    await _closeServer(force: true);
+    await closing;
+    await stopping;
+    await runShutdownCallbacks();
+  }
+}
+
+/// Forwards [body], calling [onDone] once it has been fully read or
+/// cancelled.
+Stream<List<int>> _untilDone(
+  Stream<List<int>> body,
+  void Function() onDone,
+) async* {
+  try {
+    yield* body;
+  } finally {
+    onDone();
+  }
+}
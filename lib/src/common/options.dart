@@ -12,6 +12,8 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import 'package:meta/meta.dart';
+
 import 'expression.dart';
 import 'params.dart';
 
@@ -195,6 +197,17 @@ final class OptionParam<T extends Object> extends DeployOption<T> {
   T runtimeValue() => param.runtimeValue();
 }
 
+/// The value of [option] in the functions manifest: a CEL expression for
+/// params and expressions, and the runtime value otherwise.
+@internal
+Object? optionWireValue(Option<Object> option) => switch (option) {
+  OptionReset() => null,
+  OptionParam(:final param) => param.toCEL(),
+  OptionExpression(:final expression) => expression.toCEL(),
+  _CpuGcfGen1() => 'gcf_gen1',
+  _ => option.runtimeValue(),
+};
+
 // Type aliases for common options (matches Node.js SDK)
 
 typedef Concurrency = DeployOption<int>;
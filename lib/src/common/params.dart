@@ -15,6 +15,8 @@
 import 'dart:convert';
 import 'dart:io';
 
+import 'package:meta/meta.dart';
+
 import 'expression.dart';
 
 // ============================================================================
@@ -272,6 +274,104 @@ void clearParams() {
   declaredParams.clear();
 }
 
+/// Param values loaded from dotenv files by `runFunctions`.
+///
+/// Values in the process environment take precedence over these.
+@internal
+final Map<String, String> paramEnvironment = {};
+
+/// The raw value of the param [name], or `null` if it is not set.
+String? _lookup(String name) =>
+    Platform.environment[name] ?? paramEnvironment[name];
+
+/// Thrown by `runFunctions` when declared params are missing or cannot be
+/// parsed as their type.
+class ParamValidationException implements Exception {
+  const ParamValidationException(this.errors);
+
+  /// What is wrong with each invalid param, by param name.
+  final Map<String, String> errors;
+
+  @override
+  String toString() =>
+      'ParamValidationException: ${errors.length} invalid params:\n'
+      '${errors.entries.map((e) => '  ${e.key}: ${e.value}').join('\n')}';
+}
+
+/// Checks that each of [params] has a value that parses as its type, or a
+/// default.
+///
+/// Throws a [ParamValidationException] listing every param that does not.
+@internal
+void validateParams(Iterable<Object> params) {
+  final errors = <String, String>{
+    for (final param in params)
+      if (_paramError(param) case (final name, final error)) name: error,
+  };
+  if (errors.isNotEmpty) throw ParamValidationException(errors);
+}
+
+/// The name of [param] and what is wrong with its value, or `null` if it is
+/// valid.
+(String, String)? _paramError(Object param) {
+  final String name;
+  final bool hasDefault;
+  switch (param) {
+    case InternalExpression():
+      return null;
+    case Param<Object>(name: final paramName, :final options):
+      name = paramName;
+      hasDefault = options?.defaultValue != null;
+    case JsonSecretParam<Object?>(name: final paramName):
+      name = paramName;
+      hasDefault = false;
+    default:
+      return null;
+  }
+
+  final value = _lookup(name);
+  if (value == null || (value.isEmpty && param is! StringParam)) {
+    if (hasDefault) return null;
+    return (name, 'is not set');
+  }
+
+  final expected = switch (param) {
+    IntParam() when int.tryParse(value) == null => 'an integer',
+    DoubleParam() when double.tryParse(value) == null => 'a number',
+    BooleanParam() when value != 'true' && value != 'false' =>
+      '"true" or "false"',
+    ListParam() when !_isStringList(value) => 'a JSON array of strings',
+    EnumListParam(:final enumValues)
+        when !_isStringList(value, allowed: enumValues.map((e) => e.name)) =>
+      'a JSON array of ${enumValues.map((e) => e.name).join(', ')}',
+    JsonSecretParam() when !_isJson(value) => 'JSON',
+    _ => null,
+  };
+  return expected == null ? null : (name, 'expected $expected, got "$value"');
+}
+
+bool _isStringList(String value, {Iterable<String>? allowed}) {
+  try {
+    return switch (jsonDecode(value)) {
+      final List<dynamic> list => list.every(
+        (item) => item is String && (allowed?.contains(item) ?? true),
+      ),
+      _ => false,
+    };
+  } on FormatException {
+    return false;
+  }
+}
+
+bool _isJson(String value) {
+  try {
+    jsonDecode(value);
+    return true;
+  } on FormatException {
+    return false;
+  }
+}
+
 /// Configuration options for customizing parameter prompting behavior.
 ///
 /// Matches the ParamOptions interface from the Node.js SDK.
@@ -334,7 +434,8 @@ class WireParamSpec<T extends Object> {
 ///
 /// **Important**: Parameters use `Platform.environment` for runtime resolution,
 /// which means values are read from the process environment variables set by
-/// Cloud Functions or the Firebase emulator.
+/// Cloud Functions or the Firebase emulator. Variables the environment does
+/// not set fall back to the dotenv files loaded by `runFunctions`.
 abstract class Param<T extends Object> extends Expression<T> {
   const Param(this.name, this.options);
 
@@ -413,7 +514,7 @@ class SecretParam extends Param<String> {
 
   @override
   String runtimeValue() {
-    final val = Platform.environment[name];
+    final val = _lookup(name);
     if (val == null) {
       print(
         'Warning: No value found for secret parameter "$name". '
@@ -487,7 +588,7 @@ class JsonSecretParam<T> {
 
   /// @internal
   T runtimeValue() {
-    final val = Platform.environment[name];
+    final val = _lookup(name);
     if (val == null) {
       throw StateError(
         'No value found for secret parameter "$name". '
@@ -525,7 +626,7 @@ class StringParam extends Param<String> {
 
   @override
   String runtimeValue() {
-    return Platform.environment[name] ?? options?.defaultValue ?? '';
+    return _lookup(name) ?? options?.defaultValue ?? '';
   }
 }
 
@@ -533,7 +634,8 @@ class StringParam extends Param<String> {
 ///
 /// Reads from `Platform.environment` at runtime and parses as int.
 ///
-/// Supports comparison methods for creating conditional expressions:
+/// Supports the comparisons and arithmetic of [NumericOperators] for
+/// creating conditional expressions:
 /// ```dart
 /// final memoryMb = defineInt('MEMORY_MB', ParamOptions(defaultValue: 512));
 ///
@@ -546,34 +648,13 @@ class IntParam extends Param<int> {
 
   @override
   int runtimeValue() {
-    final envValue = Platform.environment[name];
+    final envValue = _lookup(name);
     if (envValue == null || envValue.isEmpty) {
       return options?.defaultValue ?? 0;
     }
     return int.tryParse(envValue) ?? options?.defaultValue ?? 0;
   }
 
-  /// Creates a greater-than comparison expression.
-  ///
-  /// Example:
-  /// ```dart
-  /// final memoryMb = defineInt('MEMORY_MB');
-  /// final isHighMemory = memoryMb.greaterThan(2048);
-  /// ```
-  GreaterThan greaterThan(int other) =>
-      GreaterThan(this, LiteralExpression(other));
-
-  /// Creates a greater-than-or-equal comparison expression.
-  GreaterThanOrEqualTo greaterThanOrEqualTo(int other) =>
-      GreaterThanOrEqualTo(this, LiteralExpression(other));
-
-  /// Creates a less-than comparison expression.
-  LessThan lessThan(int other) => LessThan(this, LiteralExpression(other));
-
-  /// Creates a less-than-or-equal comparison expression.
-  LessThanOrEqualTo lessThanOrEqualTo(int other) =>
-      LessThanOrEqualTo(this, LiteralExpression(other));
-
   /// Creates a conditional expression based on comparison with another value.
   ///
   /// Shorthand for `this.equals(other).thenElse(ifTrue, ifFalse)`.
@@ -595,7 +676,8 @@ class IntParam extends Param<int> {
 ///
 /// Reads from `Platform.environment` at runtime and parses as double.
 ///
-/// Supports comparison methods for creating conditional expressions:
+/// Supports the comparisons and arithmetic of [NumericOperators] for
+/// creating conditional expressions:
 /// ```dart
 /// final threshold = defineDouble('THRESHOLD', ParamOptions(defaultValue: 0.5));
 ///
@@ -607,34 +689,13 @@ class DoubleParam extends Param<double> {
 
   @override
   double runtimeValue() {
-    final envValue = Platform.environment[name];
+    final envValue = _lookup(name);
     if (envValue == null || envValue.isEmpty) {
       return options?.defaultValue ?? 0.0;
     }
     return double.tryParse(envValue) ?? options?.defaultValue ?? 0.0;
   }
 
-  /// Creates a greater-than comparison expression.
-  ///
-  /// Example:
-  /// ```dart
-  /// final threshold = defineDouble('THRESHOLD');
-  /// final isHigh = threshold.greaterThan(0.75);
-  /// ```
-  GreaterThan greaterThan(double other) =>
-      GreaterThan(this, LiteralExpression(other));
-
-  /// Creates a greater-than-or-equal comparison expression.
-  GreaterThanOrEqualTo greaterThanOrEqualTo(double other) =>
-      GreaterThanOrEqualTo(this, LiteralExpression(other));
-
-  /// Creates a less-than comparison expression.
-  LessThan lessThan(double other) => LessThan(this, LiteralExpression(other));
-
-  /// Creates a less-than-or-equal comparison expression.
-  LessThanOrEqualTo lessThanOrEqualTo(double other) =>
-      LessThanOrEqualTo(this, LiteralExpression(other));
-
   /// Creates a conditional expression based on comparison with another value.
   ///
   /// Shorthand for `this.equals(other).thenElse(ifTrue, ifFalse)`.
@@ -650,33 +711,20 @@ class DoubleParam extends Param<double> {
 ///
 /// Reads from `Platform.environment` at runtime. The value is considered
 /// `true` if the environment variable equals 'true' (case-sensitive).
+///
+/// Combine it with other conditions, or choose between values, with
+/// [BooleanOperators].
 class BooleanParam extends Param<bool> {
   const BooleanParam(super.name, super.options);
 
   @override
   bool runtimeValue() {
-    final envValue = Platform.environment[name];
+    final envValue = _lookup(name);
     if (envValue == null) {
       return options?.defaultValue ?? false;
     }
     return envValue == 'true';
   }
-
-  /// Creates a conditional expression that returns different values
-  /// based on this boolean parameter's value.
-  ///
-  /// Example:
-  /// ```dart
-  /// final isProduction = defineBoolean('IS_PRODUCTION');
-  /// final memory = isProduction.thenElse(2048, 512);
-  /// ```
-  If<T> thenElse<T extends Object>(T ifTrue, T ifFalse) {
-    return If<T>(
-      this, // test is a positional argument
-      then: LiteralExpression<T>(ifTrue),
-      otherwise: LiteralExpression<T>(ifFalse),
-    );
-  }
 }
 
 /// A string list parameter.
@@ -689,7 +737,7 @@ class ListParam extends Param<List<String>> {
 
   @override
   List<String> runtimeValue() {
-    final val = Platform.environment[name];
+    final val = _lookup(name);
     if (val == null || val.isEmpty) {
       return options?.defaultValue ?? [];
     }
@@ -734,7 +782,7 @@ class EnumListParam<T extends Enum> extends Param<List<T>> {
 
   @override
   List<T> runtimeValue() {
-    final val = Platform.environment[name];
+    final val = _lookup(name);
     if (val == null || val.isEmpty) {
       return options?.defaultValue ?? [];
     }
@@ -12,28 +12,65 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import 'database_reference.dart';
+
 export '../common/change.dart';
 
 /// Interface representing a Firebase Realtime database data snapshot.
 ///
 /// This provides a similar interface to the Node.js SDK's DataSnapshot
 /// but works with data from the Firebase emulator or CloudEvents.
+///
+/// The data may be in the Realtime Database export format, where a node's
+/// priority is stored under `.priority` and a primitive with a priority is
+/// wrapped as `{'.value': value, '.priority': priority}`.
 class DataSnapshot {
   DataSnapshot({
     required this.instance,
-    required this.ref,
+    required this.path,
+    required dynamic data,
+    RealtimeDatabase? database,
+  }) : _data = data,
+       _database = database;
+
+  /// Creates a snapshot of the location at [ref].
+  @Deprecated('Use the default constructor with path instead')
+  DataSnapshot.withRef({
+    required String instance,
+    required String ref,
     required dynamic data,
-  }) : _data = data;
+    RealtimeDatabase? database,
+  }) : this(instance: instance, path: ref, data: data, database: database);
 
-  /// The database instance URL.
+  /// The database instance ID.
   final String instance;
 
-  /// The database reference path.
-  final String ref;
+  /// The path of the location of this snapshot, e.g. `users/ada`.
+  final String path;
 
-  /// The raw data.
+  /// The path of the location of this snapshot.
+  @Deprecated('Use path, or reference for a DatabaseReference')
+  String get ref => path;
+
+  /// The raw data, in export format.
   final dynamic _data;
 
+  final RealtimeDatabase? _database;
+
+  /// A reference to the location of this snapshot, for reading and writing
+  /// the database it came from.
+  ///
+  /// Snapshots delivered to database triggers are bound to the instance of
+  /// the event. Throws a [StateError] for a snapshot created without a
+  /// database.
+  DatabaseReference get reference {
+    final database = _database;
+    if (database == null) {
+      throw StateError('The snapshot at $path is not bound to a database.');
+    }
+    return database.ref(path);
+  }
+
   /// The key (last part of the path) of the location of this DataSnapshot.
   ///
   /// The last token in a database location is considered its key. For example,
@@ -41,7 +78,7 @@ class DataSnapshot {
   /// DataSnapshot returns the key for the location that generated it.
   /// However, accessing the key on the root URL of a database returns null.
   String? get key {
-    final parts = ref.split('/').where((p) => p.isNotEmpty).toList();
+    final parts = path.split('/').where((p) => p.isNotEmpty).toList();
     return parts.isEmpty ? null : parts.last;
   }
 
@@ -60,17 +97,22 @@ class DataSnapshot {
 
   /// Exports the entire contents of the DataSnapshot as a Dart object.
   ///
-  /// @return The contents of the DataSnapshot as a Dart value (Map, List,
+  /// The result includes priorities: nodes with a priority carry it under
+  /// `.priority`, and primitives with a priority are wrapped as
+  /// `{'.value': value, '.priority': priority}`. Unlike [val], children
+  /// with integer keys are not converted to a list.
+  ///
+  /// @return The contents of the DataSnapshot as a Dart value (Map,
   ///   String, num, bool, or null).
-  dynamic exportVal() => val();
+  dynamic exportVal() => _export(_data);
 
   /// Gets the priority value of the data in this DataSnapshot.
   ///
   /// As an alternative to using priority, applications can order collections by
   /// ordinary properties.
   ///
-  /// @return The priority value of the data.
-  Priority<Object>? getPriority() => null;
+  /// @return The priority value of the data, or null if it has none.
+  Priority<Object>? getPriority() => _priority(_data);
 
   /// Returns true if this DataSnapshot contains any data.
   ///
@@ -99,17 +141,18 @@ class DataSnapshot {
     dynamic childData = _data;
 
     for (final part in parts) {
-      if (childData is Map) {
-        childData = childData[part];
-      } else {
-        childData = null;
-        break;
-      }
+      childData = _children(childData)?[part];
+      if (childData == null) break;
     }
 
-    final newRef = ref.endsWith('/') ? '$ref$childPath' : '$ref/$childPath';
+    final newPath = path.endsWith('/') ? '$path$childPath' : '$path/$childPath';
 
-    return DataSnapshot(instance: instance, ref: newRef, data: childData);
+    return DataSnapshot(
+      instance: instance,
+      path: newPath,
+      data: childData,
+      database: _database,
+    );
   }
 
   /// Enumerates the DataSnapshots of the children items.
@@ -120,17 +163,30 @@ class DataSnapshot {
   /// forEach() comes in handy. It guarantees the children of a DataSnapshot
   /// can be iterated in their query order.
   ///
+  /// Children are ordered as the Realtime Database orders them by default:
+  /// children without a priority first, then those with numeric priorities
+  /// in ascending order, then those with string priorities in lexicographic
+  /// order. Children with the same priority are ordered by key, with keys
+  /// that are 32-bit integers first in numeric order.
+  ///
   /// @param action A function that is called for each child DataSnapshot.
   ///   The callback can return true to cancel further enumeration.
   ///
   /// @return true if enumeration was canceled due to your callback
   ///   returning true.
   bool forEach(bool Function(DataSnapshot snapshot) action) {
-    final value = val();
-    if (value is! Map) return false;
-
-    for (final key in value.keys) {
-      final childSnapshot = child(key.toString());
+    final children = _nonEmptyChildren(_data);
+    final keys = children.keys.toList()
+      ..sort((a, b) {
+        final byPriority = _comparePriorities(
+          _priority(children[a])?.value,
+          _priority(children[b])?.value,
+        );
+        return byPriority != 0 ? byPriority : _compareKeys(a, b);
+      });
+
+    for (final key in keys) {
+      final childSnapshot = child(key);
       if (action(childSnapshot) == true) {
         return true;
       }
@@ -152,19 +208,12 @@ class DataSnapshot {
   /// retrieved with val()) or it is empty (in which case, val() returns null).
   ///
   /// @return true if this snapshot has any children; else false.
-  bool hasChildren() {
-    final value = val();
-    return value is Map && value.isNotEmpty;
-  }
+  bool hasChildren() => _nonEmptyChildren(_data).isNotEmpty;
 
   /// Returns the number of child properties of this DataSnapshot.
   ///
   /// @return Number of child properties of this DataSnapshot.
-  int numChildren() {
-    final value = val();
-    if (value is Map) return value.length;
-    return 0;
-  }
+  int numChildren() => _nonEmptyChildren(_data).length;
 
   /// Returns a JSON-serializable representation of this object.
   ///
@@ -180,15 +229,16 @@ class DataSnapshot {
   /// to array if they are.
   dynamic _checkAndConvertToArray(dynamic node) {
     if (node == null) return null;
-    if (node is! Map) return node;
+    final children = _children(node);
+    if (children == null) return node is Map ? node['.value'] : node;
 
     final obj = <String, dynamic>{};
     var numKeys = 0;
     var maxKey = 0;
     var allIntegerKeys = true;
 
-    for (final entry in node.entries) {
-      final key = entry.key.toString();
+    for (final entry in children.entries) {
+      final key = entry.key;
       final childNode = entry.value;
       final v = _checkAndConvertToArray(childNode);
 
@@ -219,8 +269,89 @@ class DataSnapshot {
     return obj;
   }
 
+  /// Converts [node] to export format, dropping empty children.
+  static dynamic _export(dynamic node) {
+    if (node is! Map && node is! List) return node;
+    if (node is Map && node.containsKey('.value')) {
+      return node['.value'] == null ? null : node;
+    }
+
+    final result = <String, dynamic>{
+      for (final MapEntry(:key, :value) in _children(node)!.entries)
+        if (_export(value) case final exported?) key: exported,
+    };
+    if (result.isEmpty) return null;
+    if (node case {'.priority': final Object priority}) {
+      result['.priority'] = priority;
+    }
+    return result;
+  }
+
+  /// Returns the children of [node] by key, or `null` if it is a primitive.
+  static Map<String, dynamic>? _children(dynamic node) => switch (node) {
+    final Map<dynamic, dynamic> map when !map.containsKey('.value') => {
+      for (final MapEntry(:key, :value) in map.entries)
+        if (key != '.priority') '$key': value,
+    },
+    final List<dynamic> list => {
+      for (final (index, value) in list.indexed) '$index': value,
+    },
+    _ => null,
+  };
+
+  /// Returns the children of [node] that contain data.
+  Map<String, dynamic> _nonEmptyChildren(dynamic node) => {
+    for (final MapEntry(:key, :value) in (_children(node) ?? {}).entries)
+      if (_checkAndConvertToArray(value) != null) key: value,
+  };
+
+  static Priority<Object>? _priority(dynamic node) => switch (node) {
+    {'.priority': final String priority} => StringPriority(priority),
+    {'.priority': final int priority} => IntPriority(priority),
+    {'.priority': final double priority} => DoublePriority(priority),
+    _ => null,
+  };
+
   @override
-  String toString() => 'DataSnapshot($ref)';
+  String toString() => 'DataSnapshot($path)';
+}
+
+/// Compares Realtime Database keys in the order the database sorts them.
+///
+/// Keys that are 32-bit integers come first, in numeric order, followed by
+/// the other keys in lexicographic order.
+int _compareKeys(String a, String b) {
+  final aInt = _integerKey(a);
+  final bInt = _integerKey(b);
+  if (aInt != null && bInt != null) return aInt.compareTo(bInt);
+  if (aInt != null) return -1;
+  if (bInt != null) return 1;
+  return a.compareTo(b);
+}
+
+final _integerKeyPattern = RegExp(r'^(0|-?[1-9]\d{0,9})$');
+
+int? _integerKey(String key) {
+  if (!_integerKeyPattern.hasMatch(key)) return null;
+  final value = int.parse(key);
+  return value >= -0x80000000 && value <= 0x7fffffff ? value : null;
+}
+
+/// Orders no priority first, then numbers, then strings.
+int _comparePriorities(Object? a, Object? b) {
+  int rank(Object? priority) => switch (priority) {
+    null => 0,
+    num() => 1,
+    _ => 2,
+  };
+
+  final byRank = rank(a).compareTo(rank(b));
+  if (byRank != 0) return byRank;
+  return switch ((a, b)) {
+    (final num x, final num y) => x.compareTo(y),
+    (final String x, final String y) => x.compareTo(y),
+    _ => 0,
+  };
 }
 
 /// A base class for a priority value.
@@ -246,3 +377,11 @@ class IntPriority extends Priority<int> {
   @override
   String toString() => 'IntPriority($value)';
 }
+
+/// A class representing a database priority value as a fractional number.
+class DoublePriority extends Priority<double> {
+  const DoublePriority(super.value);
+
+  @override
+  String toString() => 'DoublePriority($value)';
+}
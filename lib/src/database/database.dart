@@ -36,7 +36,15 @@
 library;
 
 export 'data_snapshot.dart'
-    show Change, DataSnapshot, IntPriority, Priority, StringPriority;
+    show
+        Change,
+        DataSnapshot,
+        DoublePriority,
+        IntPriority,
+        Priority,
+        StringPriority;
 export 'database_namespace.dart' show DatabaseNamespace;
+export 'database_reference.dart'
+    show DatabaseException, DatabaseReference, RealtimeDatabase, ServerValue;
 export 'event.dart' show DatabaseEvent;
 export 'options.dart' show ReferenceOptions;
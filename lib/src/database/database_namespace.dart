@@ -19,9 +19,11 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
 import 'data_snapshot.dart';
+import 'database_reference.dart';
 import 'event.dart';
 import 'options.dart';
 
@@ -43,6 +45,11 @@ const deletedEventType = 'google.firebase.database.ref.v1.deleted';
 class DatabaseNamespace extends FunctionsNamespace {
   const DatabaseNamespace(super.firebase);
 
+  /// Database instances that event snapshots are bound to, shared so that
+  /// access tokens are reused across events.
+  static final Map<Firebase, Map<String, RealtimeDatabase>> _databasesMap =
+      {};
+
   /// Event handler that triggers when data is created in Realtime Database.
   ///
   /// The handler receives a [DatabaseEvent] containing a [DataSnapshot].
@@ -72,14 +79,18 @@ class DatabaseNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String ref,
 
+    /// The function name. Defaults to a name derived from [ref].
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+
     /// Options that can be set on an individual event-handling function.
     // ignore: experimental_member_use
     @mustBeConst ReferenceOptions? options,
   }) {
-    final functionName = _refToFunctionName('onValueCreated', ref);
+    final functionName = name ?? _refToFunctionName('onValueCreated', ref);
     final instance = options?.instance ?? '*';
 
-    firebase.registerFunction(functionName, (request) async {
+    _registerFunction(functionName, (request) async {
       try {
         final isBinaryMode = request.headers.containsKey('ce-type');
 
@@ -101,6 +112,7 @@ class DatabaseNamespace extends FunctionsNamespace {
           final refPath = request.headers['ce-ref'] ?? '';
           final instanceName = request.headers['ce-instance'] ?? instance;
           final databaseHost = request.headers['ce-firebasedatabasehost'] ?? '';
+          final database = _database(instanceName, databaseHost);
           final location = request.headers['ce-location'] ?? 'us-central1';
 
           final params = _extractParams(ref, refPath);
@@ -115,8 +127,9 @@ class DatabaseNamespace extends FunctionsNamespace {
               final deltaData = bodyJson['delta'];
               snapshot = DataSnapshot(
                 instance: instanceName,
-                ref: refPath,
+                path: refPath,
                 data: deltaData,
+                database: database,
               );
             }
           } catch (_) {
@@ -162,11 +175,14 @@ class DatabaseNamespace extends FunctionsNamespace {
 
           final refPath = json['ref'] as String? ?? '';
           final instanceName = json['instance'] as String? ?? instance;
+          final databaseHost = json['firebasedatabasehost'] as String? ?? '';
+          final database = _database(instanceName, databaseHost);
 
           final snapshot = DataSnapshot(
             instance: instanceName,
-            ref: refPath,
+            path: refPath,
             data: deltaData,
+            database: database,
           );
 
           final params = _extractParams(ref, refPath);
@@ -179,7 +195,7 @@ class DatabaseNamespace extends FunctionsNamespace {
             subject: json['subject'] as String?,
             time: DateTime.parse(json['time'] as String),
             type: json['type'] as String,
-            firebaseDatabaseHost: json['firebasedatabasehost'] as String? ?? '',
+            firebaseDatabaseHost: databaseHost,
             instance: instanceName,
             ref: refPath,
             location: json['location'] as String? ?? 'us-central1',
@@ -194,7 +210,7 @@ class DatabaseNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    }, refPattern: _normalizeRefPattern(ref));
+    }, ref: ref, eventType: createdEventType, options: options);
   }
 
   /// Event handler that triggers when data is updated in Realtime Database.
@@ -224,14 +240,18 @@ class DatabaseNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String ref,
 
+    /// The function name. Defaults to a name derived from [ref].
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+
     /// Options that can be set on an individual event-handling function.
     // ignore: experimental_member_use
     @mustBeConst ReferenceOptions? options,
   }) {
-    final functionName = _refToFunctionName('onValueUpdated', ref);
+    final functionName = name ?? _refToFunctionName('onValueUpdated', ref);
     final instance = options?.instance ?? '*';
 
-    firebase.registerFunction(functionName, (request) async {
+    _registerFunction(functionName, (request) async {
       try {
         final isBinaryMode = request.headers.containsKey('ce-type');
 
@@ -253,6 +273,7 @@ class DatabaseNamespace extends FunctionsNamespace {
           final refPath = request.headers['ce-ref'] ?? '';
           final instanceName = request.headers['ce-instance'] ?? instance;
           final databaseHost = request.headers['ce-firebasedatabasehost'] ?? '';
+          final database = _database(instanceName, databaseHost);
           final location = request.headers['ce-location'] ?? 'us-central1';
 
           final params = _extractParams(ref, refPath);
@@ -271,13 +292,15 @@ class DatabaseNamespace extends FunctionsNamespace {
 
               final beforeSnapshot = DataSnapshot(
                 instance: instanceName,
-                ref: refPath,
+                path: refPath,
                 data: beforeData,
+                database: database,
               );
               final afterSnapshot = DataSnapshot(
                 instance: instanceName,
-                ref: refPath,
+                path: refPath,
                 data: afterData,
+                database: database,
               );
               change = Change<DataSnapshot>(
                 before: beforeSnapshot,
@@ -329,16 +352,20 @@ class DatabaseNamespace extends FunctionsNamespace {
 
           final refPath = json['ref'] as String? ?? '';
           final instanceName = json['instance'] as String? ?? instance;
+          final databaseHost = json['firebasedatabasehost'] as String? ?? '';
+          final database = _database(instanceName, databaseHost);
 
           final beforeSnapshot = DataSnapshot(
             instance: instanceName,
-            ref: refPath,
+            path: refPath,
             data: beforeData,
+            database: database,
           );
           final afterSnapshot = DataSnapshot(
             instance: instanceName,
-            ref: refPath,
+            path: refPath,
             data: afterData,
+            database: database,
           );
           final change = Change<DataSnapshot>(
             before: beforeSnapshot,
@@ -355,7 +382,7 @@ class DatabaseNamespace extends FunctionsNamespace {
             subject: json['subject'] as String?,
             time: DateTime.parse(json['time'] as String),
             type: json['type'] as String,
-            firebaseDatabaseHost: json['firebasedatabasehost'] as String? ?? '',
+            firebaseDatabaseHost: databaseHost,
             instance: instanceName,
             ref: refPath,
             location: json['location'] as String? ?? 'us-central1',
@@ -371,7 +398,7 @@ class DatabaseNamespace extends FunctionsNamespace {
           body: 'Error processing Database event: $e\n$stackTrace',
         );
       }
-    }, refPattern: _normalizeRefPattern(ref));
+    }, ref: ref, eventType: updatedEventType, options: options);
   }
 
   /// Event handler that triggers when data is deleted in Realtime Database.
@@ -398,14 +425,18 @@ class DatabaseNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String ref,
 
+    /// The function name. Defaults to a name derived from [ref].
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+
     /// Options that can be set on an individual event-handling function.
     // ignore: experimental_member_use
     @mustBeConst ReferenceOptions? options,
   }) {
-    final functionName = _refToFunctionName('onValueDeleted', ref);
+    final functionName = name ?? _refToFunctionName('onValueDeleted', ref);
     final instance = options?.instance ?? '*';
 
-    firebase.registerFunction(functionName, (request) async {
+    _registerFunction(functionName, (request) async {
       try {
         final isBinaryMode = request.headers.containsKey('ce-type');
 
@@ -427,6 +458,7 @@ class DatabaseNamespace extends FunctionsNamespace {
           final refPath = request.headers['ce-ref'] ?? '';
           final instanceName = request.headers['ce-instance'] ?? instance;
           final databaseHost = request.headers['ce-firebasedatabasehost'] ?? '';
+          final database = _database(instanceName, databaseHost);
           final location = request.headers['ce-location'] ?? 'us-central1';
 
           final params = _extractParams(ref, refPath);
@@ -441,8 +473,9 @@ class DatabaseNamespace extends FunctionsNamespace {
               final deletedData = bodyJson['data'];
               snapshot = DataSnapshot(
                 instance: instanceName,
-                ref: refPath,
+                path: refPath,
                 data: deletedData,
+                database: database,
               );
             }
           } catch (_) {
@@ -488,11 +521,14 @@ class DatabaseNamespace extends FunctionsNamespace {
 
           final refPath = json['ref'] as String? ?? '';
           final instanceName = json['instance'] as String? ?? instance;
+          final databaseHost = json['firebasedatabasehost'] as String? ?? '';
+          final database = _database(instanceName, databaseHost);
 
           final snapshot = DataSnapshot(
             instance: instanceName,
-            ref: refPath,
+            path: refPath,
             data: deletedData,
+            database: database,
           );
 
           final params = _extractParams(ref, refPath);
@@ -505,7 +541,7 @@ class DatabaseNamespace extends FunctionsNamespace {
             subject: json['subject'] as String?,
             time: DateTime.parse(json['time'] as String),
             type: json['type'] as String,
-            firebaseDatabaseHost: json['firebasedatabasehost'] as String? ?? '',
+            firebaseDatabaseHost: databaseHost,
             instance: instanceName,
             ref: refPath,
             location: json['location'] as String? ?? 'us-central1',
@@ -521,7 +557,7 @@ class DatabaseNamespace extends FunctionsNamespace {
           body: 'Error processing Database event: $e\n$stackTrace',
         );
       }
-    }, refPattern: _normalizeRefPattern(ref));
+    }, ref: ref, eventType: deletedEventType, options: options);
   }
 
   /// Event handler that triggers on any write to a database reference
@@ -559,14 +595,18 @@ class DatabaseNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String ref,
 
+    /// The function name. Defaults to a name derived from [ref].
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+
     /// Options that can be set on an individual event-handling function.
     // ignore: experimental_member_use
     @mustBeConst ReferenceOptions? options,
   }) {
-    final functionName = _refToFunctionName('onValueWritten', ref);
+    final functionName = name ?? _refToFunctionName('onValueWritten', ref);
     final instance = options?.instance ?? '*';
 
-    firebase.registerFunction(functionName, (request) async {
+    _registerFunction(functionName, (request) async {
       try {
         final isBinaryMode = request.headers.containsKey('ce-type');
 
@@ -588,6 +628,7 @@ class DatabaseNamespace extends FunctionsNamespace {
           final refPath = request.headers['ce-ref'] ?? '';
           final instanceName = request.headers['ce-instance'] ?? instance;
           final databaseHost = request.headers['ce-firebasedatabasehost'] ?? '';
+          final database = _database(instanceName, databaseHost);
           final location = request.headers['ce-location'] ?? 'us-central1';
 
           final params = _extractParams(ref, refPath);
@@ -606,13 +647,15 @@ class DatabaseNamespace extends FunctionsNamespace {
 
               final beforeSnapshot = DataSnapshot(
                 instance: instanceName,
-                ref: refPath,
+                path: refPath,
                 data: beforeData,
+                database: database,
               );
               final afterSnapshot = DataSnapshot(
                 instance: instanceName,
-                ref: refPath,
+                path: refPath,
                 data: afterData,
+                database: database,
               );
 
               change = Change<DataSnapshot>(
@@ -665,16 +708,20 @@ class DatabaseNamespace extends FunctionsNamespace {
 
           final refPath = json['ref'] as String? ?? '';
           final instanceName = json['instance'] as String? ?? instance;
+          final databaseHost = json['firebasedatabasehost'] as String? ?? '';
+          final database = _database(instanceName, databaseHost);
 
           final beforeSnapshot = DataSnapshot(
             instance: instanceName,
-            ref: refPath,
+            path: refPath,
             data: beforeData,
+            database: database,
           );
           final afterSnapshot = DataSnapshot(
             instance: instanceName,
-            ref: refPath,
+            path: refPath,
             data: afterData,
+            database: database,
           );
           final change = Change<DataSnapshot>(
             before: beforeSnapshot,
@@ -691,7 +738,7 @@ class DatabaseNamespace extends FunctionsNamespace {
             subject: json['subject'] as String?,
             time: DateTime.parse(json['time'] as String),
             type: json['type'] as String,
-            firebaseDatabaseHost: json['firebasedatabasehost'] as String? ?? '',
+            firebaseDatabaseHost: databaseHost,
             instance: instanceName,
             ref: refPath,
             location: json['location'] as String? ?? 'us-central1',
@@ -707,7 +754,7 @@ class DatabaseNamespace extends FunctionsNamespace {
           body: 'Error processing Database event: $e\n$stackTrace',
         );
       }
-    }, refPattern: _normalizeRefPattern(ref));
+    }, ref: ref, eventType: writtenEventType, options: options);
   }
 
   /// Normalizes a ref pattern by removing leading/trailing slashes.
@@ -719,6 +766,45 @@ class DatabaseNamespace extends FunctionsNamespace {
     return ref.replaceAll(RegExp(r'^/+|/+$'), '');
   }
 
+  /// Registers a function that receives [eventType] events for [ref].
+  void _registerFunction(
+    String functionName,
+    FirebaseFunctionHandler handler, {
+    required String ref,
+    required String eventType,
+    required ReferenceOptions? options,
+  }) {
+    final refPattern = _normalizeRefPattern(ref);
+    firebase.registerFunction(
+      functionName,
+      handler,
+      refPattern: refPattern,
+      eventType: eventType,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      trigger: eventTrigger(
+        eventType,
+        pathPatterns: {'ref': refPattern, 'instance': options?.instance ?? '*'},
+      ),
+    );
+  }
+
+  /// Returns the database [instance] on [host] that events came from.
+  RealtimeDatabase _database(String instance, String host) {
+    final databaseHost = host.isEmpty ? 'firebaseio.com' : host;
+    return _databasesMap
+        .putIfAbsent(firebase, () => {})
+        .putIfAbsent(
+          '$instance.$databaseHost',
+          () => RealtimeDatabase(
+            instance: instance,
+            host: databaseHost,
+            emulatorHost: firebase.$env.databaseEmulatorHost,
+            app: firebase.adminApp,
+          ),
+        );
+  }
+
   /// Converts a reference path to a function name.
   ///
   /// Examples:
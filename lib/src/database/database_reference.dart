@@ -0,0 +1,257 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:convert';
+
+import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
+import 'package:http/http.dart' as http;
+
+import '../common/admin_client.dart';
+import 'data_snapshot.dart';
+
+/// Thrown when a Realtime Database request fails.
+class DatabaseException implements Exception {
+  const DatabaseException(this.code, this.message);
+
+  /// A machine-readable error code, e.g. `permission-denied`.
+  final String code;
+
+  /// A human-readable description of the error.
+  final String message;
+
+  @override
+  String toString() => 'DatabaseException($code): $message';
+}
+
+/// A Realtime Database instance, accessed through its REST API.
+///
+/// The Admin SDK for Dart has no Realtime Database client, so snapshots
+/// delivered to database triggers are bound to one of these. Requests are
+/// authorized with the credentials of the Admin SDK `app` passed to the
+/// constructor, or of the default app; database triggers pass
+/// `Firebase.adminApp`.
+///
+/// When [emulatorHost] is set (from `FIREBASE_DATABASE_EMULATOR_HOST`),
+/// requests go to the Realtime Database emulator instead, as an admin. An
+/// `httpClient` passed to the constructor sends the requests in place of
+/// the authorized one, e.g. in tests.
+final class RealtimeDatabase {
+  RealtimeDatabase({
+    required this.instance,
+    String host = 'firebaseio.com',
+    this.emulatorHost,
+    FirebaseApp? app,
+    http.Client? httpClient,
+  }) : url = emulatorHost == null
+           ? Uri.https('$instance.$host')
+           : Uri.http(emulatorHost),
+       _httpClient =
+           httpClient ??
+           (emulatorHost == null
+               ? AdminAppClient(app ?? FirebaseApp.getApp())
+               : http.Client());
+
+  /// The instance ID, e.g. `my-project-default-rtdb`.
+  final String instance;
+
+  /// The base URL requests are sent to.
+  final Uri url;
+
+  /// The `host:port` of the Realtime Database emulator, if any.
+  final String? emulatorHost;
+
+  final http.Client _httpClient;
+
+  /// Returns a reference to [path], or to the root of the database.
+  DatabaseReference ref([String path = '/']) => DatabaseReference._(this, path);
+
+  /// Sends a request for the data at [path] and returns the decoded
+  /// response.
+  Future<Object?> _send(
+    String method,
+    String path, {
+    Object? body,
+    Map<String, String> query = const {},
+  }) async {
+    final segments = _segments(path);
+    final parameters = {if (emulatorHost != null) 'ns': instance, ...query};
+    final uri = url.replace(
+      pathSegments: [
+        ...segments.take(segments.length - 1),
+        '${segments.lastOrNull ?? ''}.json',
+      ],
+      queryParameters: parameters.isEmpty ? null : parameters,
+    );
+
+    final request = http.Request(method, uri);
+    // The emulator treats this token as an admin.
+    if (emulatorHost != null) request.headers['Authorization'] = 'Bearer owner';
+    if (method != 'GET' && method != 'DELETE') {
+      request
+        ..headers['Content-Type'] = 'application/json'
+        ..body = jsonEncode(body);
+    }
+    final response = await http.Response.fromStream(
+      await _httpClient.send(request),
+    );
+
+    final status = response.statusCode;
+    if (status < 200 || status >= 300) {
+      final code = switch (status) {
+        401 || 403 => 'permission-denied',
+        404 => 'not-found',
+        _ => 'internal',
+      };
+      throw DatabaseException(
+        code,
+        'Realtime Database request failed ($status): ${response.body}',
+      );
+    }
+    return response.body.isEmpty ? null : jsonDecode(response.body);
+  }
+}
+
+/// A location in a [RealtimeDatabase], used to read and write its data.
+///
+/// In a database trigger, [DataSnapshot.reference] points at the changed
+/// location in the instance the event came from:
+///
+/// ```dart
+/// firebase.database.onValueCreated(
+///   ref: 'messages/{messageId}',
+///   (event) async {
+///     final snapshot = event.data!;
+///     await snapshot.reference
+///         .child('processedAt')
+///         .set(ServerValue.timestamp);
+///   },
+/// );
+/// ```
+final class DatabaseReference {
+  DatabaseReference._(this.database, String path)
+    : path = '/${_segments(path).join('/')}';
+
+  /// The database this reference points into.
+  final RealtimeDatabase database;
+
+  /// The absolute path of this location, e.g. `/users/ada`.
+  final String path;
+
+  /// The last segment of [path], or `null` for the root.
+  String? get key => _segments(path).lastOrNull;
+
+  /// The parent location, or `null` for the root.
+  DatabaseReference? get parent {
+    final segments = _segments(path);
+    if (segments.isEmpty) return null;
+    return DatabaseReference._(
+      database,
+      segments.take(segments.length - 1).join('/'),
+    );
+  }
+
+  /// The root of the database.
+  DatabaseReference get root => DatabaseReference._(database, '/');
+
+  /// Returns a reference to the location at the relative [childPath].
+  DatabaseReference child(String childPath) =>
+      DatabaseReference._(database, '$path/$childPath');
+
+  /// Reads the data at this location, including priorities.
+  Future<DataSnapshot> get() async {
+    final data = await database._send(
+      'GET',
+      path,
+      query: const {'format': 'export'},
+    );
+    return DataSnapshot(
+      instance: database.instance,
+      path: path,
+      data: data,
+      database: database,
+    );
+  }
+
+  /// Replaces the data at this location with [value], optionally with a
+  /// [priority].
+  ///
+  /// Setting `null` removes the data.
+  Future<void> set(Object? value, {Priority<Object>? priority}) async {
+    await database._send(
+      'PUT',
+      path,
+      body: priority == null ? value : _withPriority(value, priority),
+    );
+  }
+
+  /// Writes the given children, leaving other children untouched.
+  ///
+  /// Keys may be relative paths such as `'name/first'`. A `null` value
+  /// removes that child.
+  Future<void> update(Map<String, Object?> values) async {
+    await database._send('PATCH', path, body: values);
+  }
+
+  /// Removes the data at this location.
+  Future<void> remove() async {
+    await database._send('DELETE', path);
+  }
+
+  /// Adds [value] as a new child with a generated, chronologically ordered
+  /// key, and returns a reference to it.
+  Future<DatabaseReference> push(Object value) async {
+    final response = await database._send('POST', path, body: value);
+    final name = (response! as Map<String, dynamic>)['name'] as String;
+    return child(name);
+  }
+
+  /// Sets the priority of the data at this location.
+  Future<void> setPriority(Priority<Object>? priority) async {
+    await database._send('PUT', '$path/.priority', body: priority?.value);
+  }
+
+  @override
+  bool operator ==(Object other) =>
+      other is DatabaseReference &&
+      other.database.url == database.url &&
+      other.database.instance == database.instance &&
+      other.path == path;
+
+  @override
+  int get hashCode => Object.hash(database.url, database.instance, path);
+
+  @override
+  String toString() => 'DatabaseReference(${database.url}$path)';
+}
+
+/// Placeholder values that the server replaces when writing.
+abstract final class ServerValue {
+  /// The time the server wrote the value, in milliseconds since the epoch.
+  static const Map<String, String> timestamp = {'.sv': 'timestamp'};
+
+  /// Atomically adds [delta] to the current value.
+  static Map<String, Object> increment(num delta) => {
+    '.sv': {'increment': delta},
+  };
+}
+
+/// Returns [value] in the export format that attaches [priority] to it.
+Object _withPriority(Object? value, Priority<Object> priority) =>
+    switch (value) {
+      final Map<Object?, Object?> map => {...map, '.priority': priority.value},
+      _ => {'.value': value, '.priority': priority.value},
+    };
+
+List<String> _segments(String path) =>
+    path.split('/').where((segment) => segment.isNotEmpty).toList();
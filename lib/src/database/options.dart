@@ -12,6 +12,9 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport '../firebase.dart';
+library;
+
 import '../common/options.dart';
 
 /// ReferenceOptions extend GlobalOptions with provided ref and optional instance.
@@ -19,6 +22,7 @@ import '../common/options.dart';
 /// Used to configure Realtime Database event triggers.
 class ReferenceOptions extends GlobalOptions {
   const ReferenceOptions({
+    this.idempotent = false,
     this.instance,
     super.concurrency,
     super.cpu,
@@ -46,4 +50,9 @@ class ReferenceOptions extends GlobalOptions {
   /// Note: The capture syntax cannot be used for 'instance'.
   /// If not specified, defaults to '*' (all instances).
   final String? instance;
+
+  /// Whether to skip database events that this function already handled
+  /// successfully, identified by their CloudEvent ID in
+  /// [Firebase.dedupeStore].
+  final bool idempotent;
 }
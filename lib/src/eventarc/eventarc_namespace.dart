@@ -18,6 +18,7 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
 import 'options.dart';
@@ -31,6 +32,7 @@ class EventarcNamespace extends FunctionsNamespace {
   /// Creates a function triggered by a custom Eventarc event.
   ///
   /// The handler receives a [CloudEvent] containing the event data.
+  /// The function is named after [eventType] unless [name] is given.
   ///
   /// Example:
   /// ```dart
@@ -51,13 +53,15 @@ class EventarcNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String eventType,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst
     EventarcTriggerOptions? options = const EventarcTriggerOptions(),
   }) {
-    // Generate function name from event type
-    final functionName = _eventTypeToFunctionName(eventType);
+    // Generate function name from event type unless one was given
+    final functionName = name ?? _eventTypeToFunctionName(eventType);
 
-    firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         // Read and parse CloudEvent
         final json = await parseAndValidateCloudEvent(request);
@@ -75,7 +79,20 @@ class EventarcNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      eventType: eventType,
+      trigger: eventTrigger(
+        eventType,
+        filters: options?.filters ?? const {},
+        channel: options?.channel ?? _defaultChannel,
+      ),
+    );
   }
 
   /// Converts an event type to a function name.
@@ -86,4 +103,6 @@ class EventarcNamespace extends FunctionsNamespace {
     final sanitized = eventType.replaceAll(RegExp('[^a-zA-Z0-9]'), '');
     return 'onCustomEventPublished_$sanitized';
   }
+
+  static const _defaultChannel = 'locations/us-central1/channels/firebase';
 }
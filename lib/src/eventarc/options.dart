@@ -12,6 +12,9 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport '../firebase.dart';
+library;
+
 import '../common/options.dart';
 
 /// Options for Eventarc event handlers.
@@ -19,6 +22,7 @@ import '../common/options.dart';
 /// Extends [GlobalOptions] with Eventarc-specific fields.
 class EventarcTriggerOptions extends GlobalOptions {
   const EventarcTriggerOptions({
+    this.idempotent = false,
     this.channel,
     this.filters,
     super.concurrency,
@@ -52,4 +56,8 @@ class EventarcTriggerOptions extends GlobalOptions {
 
   /// Eventarc event exact match filter.
   final Map<String, String>? filters;
+
+  /// Whether to skip events whose CloudEvent ID was already handled
+  /// successfully by this function; see [Firebase.dedupeStore].
+  final bool idempotent;
 }
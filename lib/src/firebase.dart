@@ -12,6 +12,12 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport 'common/on_init.dart';
+/// @docImport 'common/on_shutdown.dart';
+/// @docImport 'https/error.dart';
+/// @docImport 'tracing/span.dart';
+library;
+
 import 'dart:async';
 
 import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
@@ -20,10 +26,14 @@ import 'package:shelf/shelf.dart';
 
 import 'alerts/alerts_namespace.dart';
 import 'common/cloud_run_id.dart';
+import 'common/dedupe.dart';
 import 'common/environment.dart';
+import 'common/key_provider.dart';
+import 'common/options.dart';
 import 'database/database_namespace.dart';
 import 'eventarc/eventarc_namespace.dart';
 import 'firestore/firestore_namespace.dart';
+import 'https/error_mapper.dart';
 import 'https/https_namespace.dart';
 import 'identity/identity_namespace.dart';
 import 'pubsub/pubsub_namespace.dart';
@@ -32,6 +42,7 @@ import 'scheduler/scheduler_namespace.dart';
 import 'storage/storage_namespace.dart';
 import 'tasks/tasks_namespace.dart';
 import 'test_lab/test_lab_namespace.dart';
+import 'tracing/exporters.dart';
 
 /// Main Firebase Functions instance.
 ///
@@ -68,6 +79,111 @@ class Firebase {
   /// JSON file path and let Application Default Credentials load it.
   final FirebaseApp adminApp;
 
+  /// Where event triggers registered with `idempotent: true` record the
+  /// CloudEvent IDs they have handled.
+  ///
+  /// Before calling the handler, the runtime claims the event's ID for the
+  /// function by marking it [EventOutcome.inProgress]. A delivery whose ID
+  /// is already marked [EventOutcome.succeeded] is acknowledged without
+  /// calling the handler, and one whose ID is still in progress elsewhere is
+  /// answered with a 409 so that it is redelivered later. Once the handler
+  /// returns, its outcome replaces the mark; events whose handler
+  /// [EventOutcome.failed] are handled again on redelivery. If the store
+  /// cannot be reached the event is handled anyway.
+  ///
+  /// Defaults to an [InMemoryEventDedupeStore], which only catches
+  /// redeliveries to the same instance. Use a [FirestoreEventDedupeStore] to
+  /// share records between instances:
+  ///
+  /// ```dart
+  /// firebase.dedupeStore = FirestoreEventDedupeStore(firebase.adminApp);
+  /// ```
+  EventDedupeStore dedupeStore = InMemoryEventDedupeStore();
+
+  /// Where the span recorded for each function invocation is exported.
+  ///
+  /// Spans are created and propagated to handlers through [currentSpan]
+  /// even when this is `null`, but are only exported once an exporter is
+  /// set:
+  ///
+  /// ```dart
+  /// firebase.spanExporter = OtlpFileSpanExporter('spans.jsonl');
+  /// ```
+  SpanExporter? spanExporter;
+
+  /// Where the public keys that verify ID tokens, App Check tokens and
+  /// blocking function JWTs come from.
+  ///
+  /// By default, callable tokens are verified with [adminApp] and blocking
+  /// function JWTs against Google's public keys, and no token is verified in
+  /// the emulator or with the `skipTokenVerification` debug feature. Once
+  /// this is set, every token is verified locally against its keys, in the
+  /// emulator too, so that tests can exercise real verification with tokens
+  /// they sign themselves:
+  ///
+  /// ```dart
+  /// firebase.keyProvider = JwksFileKeyProvider('test/keys/jwks.json');
+  /// ```
+  KeyProvider? keyProvider;
+
+  /// How long a shutting-down instance waits for in-flight requests before
+  /// running its [onShutdown] callbacks and exiting.
+  ///
+  /// Cloud Run stops an instance 10 seconds after sending `SIGTERM`, so the
+  /// default leaves two seconds for the callbacks.
+  Duration shutdownGracePeriod = const Duration(seconds: 8);
+
+  final _middleware = <Middleware>[];
+
+  /// Adds [middleware] around every registered function.
+  ///
+  /// Middleware runs for each function invocation, inside the request's
+  /// trace context and around the [onInit] callback, in both single-function
+  /// (`FUNCTION_TARGET`) and shared-process deployments. Middleware added
+  /// first is the outermost. Per-function `middleware:` runs inside it.
+  ///
+  /// Internal endpoints such as `/__/health` are not affected.
+  ///
+  /// Example:
+  /// ```dart
+  /// runFunctions((firebase) {
+  ///   firebase.use((inner) => (request) async {
+  ///     logger.info('${request.method} ${request.requestedUri.path}');
+  ///     return inner(request);
+  ///   });
+  ///   firebase.use((inner) => (request) async {
+  ///     final response = await inner(request);
+  ///     return response.change(headers: {'X-Powered-By': 'Dart'});
+  ///   });
+  ///   // ...
+  /// });
+  /// ```
+  void use(Middleware middleware) => _middleware.add(middleware);
+
+  final _errorMappers = <HttpsErrorMapper>[];
+
+  /// Adds [mapper] to translate the exceptions thrown by every callable
+  /// function into the [HttpsError]s sent to clients.
+  ///
+  /// Exceptions that are not [HttpsError]s go to each function's own
+  /// `errorMappers:` first, then to the mappers added here in the order they
+  /// were added. The first [HttpsError] returned is sent, in both JSON and
+  /// streaming responses. Exceptions no mapper translates are logged and
+  /// sent as an [InternalError].
+  ///
+  /// Example:
+  /// ```dart
+  /// runFunctions((firebase) {
+  ///   firebase.mapErrors(
+  ///     mapException<FormatException>(
+  ///       (e) => InvalidArgumentError(e.message),
+  ///     ),
+  ///   );
+  ///   // ...
+  /// });
+  /// ```
+  void mapErrors(HttpsErrorMapper mapper) => _errorMappers.add(mapper);
+
   /// HTTPS triggers namespace.
   HttpsNamespace get https => HttpsNamespace(this);
 
@@ -166,32 +282,68 @@ extension FirebaseX on Firebase {
   /// [handler] is the function handler that processes requests.
   /// [external] indicates if the function accepts non-POST requests.
   /// [documentPattern] is the Firestore document path pattern (e.g., 'users/{userId}').
+  /// [database] and [namespace] are the Firestore database and namespace
+  /// whose document events the function receives.
   /// [refPattern] is the Database ref path pattern (e.g., 'messages/{messageId}').
+  /// [eventType], [topic] and [bucket] identify the CloudEvents an event
+  /// function receives, so that events are routed to it whatever its name.
+  /// [idempotent] skips CloudEvents already handled successfully, as recorded
+  /// in [Firebase.dedupeStore].
+  /// [middleware] wraps this function only; see [Firebase.use].
+  /// [trigger] and [options] describe the function in the manifest served
+  /// from the live registry; see [FirebaseFunctionDeclaration.trigger].
   void registerFunction(
     String name,
     FirebaseFunctionHandler handler, {
+    required Map<String, Object?> trigger,
+    GlobalOptions? options,
     bool external = false,
     String? documentPattern,
+    String? database,
+    String? namespace,
     String? refPattern,
+    String? eventType,
+    String? topic,
+    String? bucket,
     List<String>? allowedOrigins,
+    bool idempotent = false,
+    List<Middleware> middleware = const [],
   }) {
-    // Check for duplicate function names
-    if (functions.any((f) => f.name == name)) {
-      throw StateError('Function "$name" is already registered');
-    }
-
     // Transform the name to a valid Cloud Run service ID
     // (lowercase, digits, and hyphens only, <50 chars)
     final transformedName = toCloudRunId(name);
 
+    // Distinct names such as `my-topic` and `mytopic` can map to the same ID
+    if (functions.any((f) => f.name == transformedName)) {
+      throw StateError(
+        'Function "$name" is already registered as "$transformedName". '
+        'Pass a distinct `name:` to one of the triggers.',
+      );
+    }
+
     functions.add(
       FirebaseFunctionDeclaration(
         name: transformedName,
-        handler: handler,
+        handler: idempotent
+            ? dedupeHandler(
+                handler,
+                functionName: transformedName,
+                store: () => dedupeStore,
+              )
+            : handler,
         external: external,
         allowedOrigins: allowedOrigins,
         documentPattern: documentPattern,
+        database: database,
+        namespace: namespace,
         refPattern: refPattern,
+        eventType: eventType,
+        topic: topic,
+        bucket: bucket,
+        middleware: middleware,
+        trigger: trigger,
+        options: options,
+        globalOptions: getGlobalOptions(),
       ),
     );
   }
@@ -211,7 +363,16 @@ final class FirebaseFunctionDeclaration {
     required this.external,
     this.allowedOrigins,
     this.documentPattern,
+    this.database,
+    this.namespace,
     this.refPattern,
+    this.eventType,
+    this.topic,
+    this.bucket,
+    this.middleware = const [],
+    this.trigger = const {},
+    this.options,
+    this.globalOptions = const GlobalOptions(),
   }) : path = name;
 
   /// Function name (used for routing and identification).
@@ -224,10 +385,26 @@ final class FirebaseFunctionDeclaration {
   /// Used for pattern matching against actual document paths.
   final String? documentPattern;
 
+  /// For Firestore triggers: the database ID, e.g. `(default)`.
+  final String? database;
+
+  /// For Firestore triggers: the namespace, e.g. `(default)`.
+  final String? namespace;
+
   /// For Database triggers: the ref path pattern (e.g., 'messages/{messageId}').
   /// Used for pattern matching against actual ref paths.
   final String? refPattern;
 
+  /// For event triggers: the CloudEvent type the function handles (e.g.,
+  /// 'google.cloud.pubsub.topic.v1.messagePublished').
+  final String? eventType;
+
+  /// For Pub/Sub triggers: the topic name, without the project prefix.
+  final String? topic;
+
+  /// For Storage triggers: the bucket name.
+  final String? bucket;
+
   /// Whether this function accepts external (non-POST) requests.
   ///
   /// HTTPS functions are external (true).
@@ -239,6 +416,30 @@ final class FirebaseFunctionDeclaration {
 
   /// The function handler.
   final FirebaseFunctionHandler handler;
+
+  /// Middleware wrapping only this function, outermost first.
+  final List<Middleware> middleware;
+
+  /// The trigger of this function as it appears in the manifest, keyed by
+  /// trigger kind, e.g. `{'httpsTrigger': {}}` or
+  /// `{'eventTrigger': {'eventType': ..., 'eventFilters': {...}}}`.
+  final Map<String, Object?> trigger;
+
+  /// The options the function was registered with.
+  final GlobalOptions? options;
+
+  /// The global options in effect when the function was registered.
+  final GlobalOptions globalOptions;
+
+  /// The region the function is deployed to, `us-central1` unless its
+  /// options or the global options set one.
+  String get region {
+    final region = options?.region ?? globalOptions.region;
+    return switch (region) {
+      null || OptionReset() => 'us-central1',
+      final Region region => region.runtimeValue().value,
+    };
+  }
 }
 
 /// Base class for function namespaces.
@@ -251,14 +452,22 @@ abstract class FunctionsNamespace {
 @internal
 extension FirebaseInternal on Firebase {
   FirebaseEnv get $env => _env;
+
+  /// Middleware added with [Firebase.use], outermost first.
+  List<Middleware> get $middleware => List.unmodifiable(_middleware);
+
+  /// Error mappers added with [Firebase.mapErrors], in the order added.
+  List<HttpsErrorMapper> get $errorMappers => List.unmodifiable(_errorMappers);
 }
 
 @internal
-Firebase createFirebaseInternal() {
-  final env = FirebaseEnv();
-  final adminApp = _getOrInitializeAdminApp(env);
+Firebase createFirebaseInternal({FirebaseEnv? env, FirebaseApp? adminApp}) {
+  final firebaseEnv = env ?? FirebaseEnv();
 
-  return Firebase._(adminApp: adminApp, env: env);
+  return Firebase._(
+    adminApp: adminApp ?? _getOrInitializeAdminApp(firebaseEnv),
+    env: firebaseEnv,
+  );
 }
 
 FirebaseApp _getOrInitializeAdminApp(FirebaseEnv env) {
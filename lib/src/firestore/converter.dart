@@ -0,0 +1,59 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport 'firestore_namespace.dart';
+library;
+
+import 'document_snapshot.dart';
+
+/// Converts a Firestore document snapshot into a typed model.
+///
+/// Used by the `WithData` trigger variants such as
+/// [FirestoreNamespace.onDocumentCreatedWithData].
+typedef FromFirestore<T> = T Function(EmulatorDocumentSnapshot snapshot);
+
+/// Thrown when a [FromFirestore] converter fails for a document.
+///
+/// The runtime reports this separately from errors thrown by the handler
+/// itself, since retrying the event cannot fix malformed document data.
+class DocumentConversionException implements Exception {
+  const DocumentConversionException(this.document, this.cause, this.stackTrace);
+
+  /// The path of the document that failed to convert (e.g. `users/abc123`).
+  final String document;
+
+  /// The error thrown by the converter.
+  final Object cause;
+
+  /// The stack trace of [cause].
+  final StackTrace stackTrace;
+
+  @override
+  String toString() =>
+      'DocumentConversionException: failed to convert $document: $cause';
+}
+
+/// Applies [fromFirestore] to [snapshot], wrapping any failure in a
+/// [DocumentConversionException].
+T? convertSnapshot<T>(
+  EmulatorDocumentSnapshot? snapshot,
+  FromFirestore<T> fromFirestore,
+) {
+  if (snapshot == null) return null;
+  try {
+    return fromFirestore(snapshot);
+  } catch (e, stackTrace) {
+    throw DocumentConversionException(snapshot.path, e, stackTrace);
+  }
+}
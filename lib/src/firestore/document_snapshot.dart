@@ -12,20 +12,48 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport 'dart:typed_data';
+library;
+
+import 'dart:convert';
+
 import 'package:google_cloud_firestore/google_cloud_firestore.dart'
-    show DocumentData;
+    show
+        DocumentData,
+        DocumentReference,
+        FieldPath,
+        Firestore,
+        GeoPoint,
+        Timestamp;
+import 'package:meta/meta.dart';
 
 export '../common/change.dart';
 
+/// Returns the Firestore client of the database with ID [database], e.g.
+/// `(default)`, to bind the reference values of its documents to.
+typedef FirestoreForDatabase = Firestore Function(String database);
+
 /// Parses Firestore REST API field format into Dart values.
 ///
 /// Firestore REST API uses typed wrappers like:
 /// - `{stringValue: "text"}` → `"text"`
 /// - `{integerValue: "123"}` → `123`
 /// - `{booleanValue: true}` → `true`
+/// - `{timestampValue: "2025-12-01T12:00:00.123456789Z"}` → [Timestamp]
+/// - `{geoPointValue: {latitude: 1, longitude: 2}}` → [GeoPoint]
+/// - `{referenceValue: "projects/.../documents/users/ada"}` →
+///   [DocumentReference]
+/// - `{bytesValue: "AQI="}` → [Uint8List]
 /// - `{mapValue: {fields: {...}}}` → [Map]
 /// - `{arrayValue: {values: [...]}}` → [List]
-dynamic parseFirestoreValue(Map<String, dynamic> field) {
+///
+/// Reference values are bound to the client [firestoreFor] returns for the
+/// database named in the reference. Without [firestoreFor] they are left as
+/// the referenced document's resource name.
+dynamic parseFirestoreValue(
+  Map<String, dynamic> field, {
+  FirestoreForDatabase? firestoreFor,
+}) {
   if (field.containsKey('stringValue')) {
     return field['stringValue'] as String;
   }
@@ -35,13 +63,30 @@ dynamic parseFirestoreValue(Map<String, dynamic> field) {
   }
   if (field.containsKey('doubleValue')) {
     final value = field['doubleValue'];
-    return value is String ? double.parse(value) : value as double;
+    return value is String ? double.parse(value) : (value as num).toDouble();
   }
   if (field.containsKey('booleanValue')) {
     return field['booleanValue'] as bool;
   }
   if (field.containsKey('timestampValue')) {
-    return DateTime.parse(field['timestampValue'] as String);
+    return _parseTimestampValue(field['timestampValue'] as String);
+  }
+  if (field.containsKey('geoPointValue')) {
+    final geoPoint = field['geoPointValue'] as Map<String, dynamic>;
+    // Zero coordinates are omitted from the JSON encoding.
+    return GeoPoint(
+      latitude: (geoPoint['latitude'] as num? ?? 0).toDouble(),
+      longitude: (geoPoint['longitude'] as num? ?? 0).toDouble(),
+    );
+  }
+  if (field.containsKey('referenceValue')) {
+    return parseDocumentReference(
+      field['referenceValue'] as String,
+      firestoreFor,
+    );
+  }
+  if (field.containsKey('bytesValue')) {
+    return base64Decode(field['bytesValue'] as String);
   }
   if (field.containsKey('nullValue')) {
     return null;
@@ -49,28 +94,70 @@ dynamic parseFirestoreValue(Map<String, dynamic> field) {
   if (field.containsKey('mapValue')) {
     final mapValue = field['mapValue'] as Map<String, dynamic>;
     final fields = mapValue['fields'] as Map<String, dynamic>? ?? {};
-    return parseFirestoreFields(fields);
+    return parseFirestoreFields(fields, firestoreFor: firestoreFor);
   }
   if (field.containsKey('arrayValue')) {
     final arrayValue = field['arrayValue'] as Map<String, dynamic>;
     final values = arrayValue['values'] as List? ?? [];
     return values
-        .map((v) => parseFirestoreValue(v as Map<String, dynamic>))
+        .map(
+          (v) => parseFirestoreValue(
+            v as Map<String, dynamic>,
+            firestoreFor: firestoreFor,
+          ),
+        )
         .toList();
   }
   // Unsupported type - return as-is
   return field;
 }
 
+/// Resolves the document resource [name] of a reference value against the
+/// Firestore [firestoreFor] returns for its database, or returns [name]
+/// unchanged without one.
+///
+/// [name] has the form `projects/{project}/databases/{db}/documents/{path}`.
+@internal
+Object parseDocumentReference(
+  String name,
+  FirestoreForDatabase? firestoreFor,
+) {
+  final match = _documentName.firstMatch(name);
+  if (firestoreFor == null || match == null) return name;
+  return firestoreFor(match[1]!).doc(match[2]!);
+}
+
+final _documentName = RegExp(
+  r'^projects/[^/]+/databases/([^/]+)/documents/(.+)$',
+);
+
+/// Parses an RFC 3339 timestamp, keeping nanosecond precision that
+/// [DateTime] cannot represent.
+Timestamp _parseTimestampValue(String value) {
+  final fraction = RegExp(r'\.(\d+)').firstMatch(value);
+  final nanoseconds = fraction == null
+      ? 0
+      : int.parse(fraction[1]!.padRight(9, '0').substring(0, 9));
+  final whole = DateTime.parse(value.replaceFirst(RegExp(r'\.\d+'), ''));
+  return Timestamp(
+    seconds: whole.millisecondsSinceEpoch ~/ 1000,
+    nanoseconds: nanoseconds,
+  );
+}
+
 /// Parses Firestore REST API fields map into a plain Dart Map.
 ///
 /// Input: {name: {stringValue: "John"}, age: {integerValue: "25"}}
 /// Output: {name: "John", age: 25}
-Map<String, dynamic> parseFirestoreFields(Map<String, dynamic> fields) {
+Map<String, dynamic> parseFirestoreFields(
+  Map<String, dynamic> fields, {
+  FirestoreForDatabase? firestoreFor,
+}) {
   final result = <String, dynamic>{};
   for (final entry in fields.entries) {
     result[entry.key] = parseFirestoreValue(
       entry.value as Map<String, dynamic>,
+      firestoreFor: firestoreFor,
     );
   }
   return result;
@@ -98,7 +185,13 @@ class EmulatorDocumentSnapshot {
   ///   "createTime": "2025-12-01T12:00:00Z",
   ///   "updateTime": "2025-12-01T12:00:00Z"
   /// }
-  factory EmulatorDocumentSnapshot.fromRestApi(Map<String, dynamic> response) {
+  ///
+  /// Reference values are bound with [firestoreFor], see
+  /// [parseFirestoreValue].
+  factory EmulatorDocumentSnapshot.fromRestApi(
+    Map<String, dynamic> response, {
+    FirestoreForDatabase? firestoreFor,
+  }) {
     final name = response['name'] as String;
     final fields = response['fields'] as Map<String, dynamic>? ?? {};
     final createTime = response['createTime'] as String?;
@@ -114,7 +207,7 @@ class EmulatorDocumentSnapshot {
     return EmulatorDocumentSnapshot(
       id: documentId,
       path: fullPath,
-      fields: parseFirestoreFields(fields),
+      fields: parseFirestoreFields(fields, firestoreFor: firestoreFor),
       createTime: createTime != null ? DateTime.parse(createTime) : null,
       updateTime: updateTime != null ? DateTime.parse(updateTime) : null,
     );
@@ -127,6 +220,11 @@ class EmulatorDocumentSnapshot {
   final String path;
 
   /// The document fields as a plain Dart Map.
+  ///
+  /// Values have the Dart type of their Firestore value kind: [String],
+  /// [int], [double], [bool], `null`, [Timestamp], [GeoPoint],
+  /// [DocumentReference], [Uint8List] for bytes, and nested [Map]s and
+  /// [List]s of these.
   final DocumentData fields;
 
   /// When the document was created.
@@ -140,8 +238,33 @@ class EmulatorDocumentSnapshot {
   /// This matches the Node.js `snapshot.data()` API.
   DocumentData data() => fields;
 
-  /// Gets a specific field value.
-  dynamic get(String fieldPath) => fields[fieldPath];
+  /// Gets the value of the field at [fieldPath], or `null` if there is no
+  /// such field.
+  ///
+  /// [fieldPath] is either a dot-separated [String] such as
+  /// `'address.city'`, or a [FieldPath] for field names that contain dots.
+  /// This matches the Node.js `snapshot.get()` API.
+  dynamic get(Object fieldPath) {
+    final segments = switch (fieldPath) {
+      final String path => path.split('.'),
+      final FieldPath path => path.segments,
+      _ => throw ArgumentError.value(
+        fieldPath,
+        'fieldPath',
+        'Must be a String or a FieldPath',
+      ),
+    };
+    if (segments.any((segment) => segment.isEmpty)) {
+      throw ArgumentError.value(fieldPath, 'fieldPath', 'Empty field name');
+    }
+
+    Object? value = fields;
+    for (final segment in segments) {
+      if (value is! Map<String, dynamic>) return null;
+      value = value[segment];
+    }
+    return value;
+  }
 
   /// Whether the document exists.
   bool get exists => true;
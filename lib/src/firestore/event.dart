@@ -73,6 +73,7 @@ class FirestoreEvent<T extends Object?> extends CloudEvent<T> {
     required this.namespace,
     required this.document,
     required this.params,
+    this.updatedFields = const {},
   });
 
   /// Parses a FirestoreEvent from JSON.
@@ -136,6 +137,23 @@ class FirestoreEvent<T extends Object?> extends CloudEvent<T> {
   /// Only named capture groups will be populated - {key}, {key=*}, {key=**}
   final Map<String, String> params;
 
+  /// The paths of the fields changed by an update, in dot notation (e.g.
+  /// `address.city`), read from the event's update mask.
+  ///
+  /// Only populated for update and write events of existing documents; empty
+  /// otherwise. Use it to react only when specific fields change:
+  ///
+  /// ```dart
+  /// firebase.firestore.onDocumentUpdated(
+  ///   document: 'users/{userId}',
+  ///   (event) async {
+  ///     if (!event.updatedFields.contains('email')) return;
+  ///     // ...
+  ///   },
+  /// );
+  /// ```
+  final Set<String> updatedFields;
+
   @override
   Map<String, dynamic> toJson(Map<String, dynamic> Function(T) dataEncoder) {
     final json = super.toJson(dataEncoder);
@@ -145,6 +163,9 @@ class FirestoreEvent<T extends Object?> extends CloudEvent<T> {
     json['namespace'] = namespace;
     json['document'] = document;
     json['params'] = params;
+    if (updatedFields.isNotEmpty) {
+      json['updatedFields'] = updatedFields.toList();
+    }
     return json;
   }
 }
@@ -183,6 +204,7 @@ class FirestoreAuthEvent<T extends Object?> extends FirestoreEvent<T> {
     required super.namespace,
     required super.document,
     required super.params,
+    super.updatedFields,
     required this.authType,
     this.authId,
   });
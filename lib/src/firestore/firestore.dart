@@ -12,6 +12,7 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+export 'converter.dart' show DocumentConversionException, FromFirestore;
 export 'document_snapshot.dart';
 export 'event.dart';
 export 'firestore_namespace.dart';
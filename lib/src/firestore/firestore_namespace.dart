@@ -15,14 +15,22 @@
 import 'dart:async';
 import 'dart:typed_data';
 
+import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
+import 'package:google_cloud_firestore/google_cloud_firestore.dart'
+    show Firestore;
 import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
+import 'package:stack_trace/stack_trace.dart' show Trace;
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
+import '../logger/logger.dart';
+import 'converter.dart';
 import 'document_snapshot.dart';
 import 'event.dart';
+import 'function_name.dart';
 import 'options.dart';
 import 'protobuf_parser.dart';
 
@@ -53,6 +61,13 @@ class _FirestoreHeaders {
   final String? authId;
 }
 
+/// The documents and update mask of a binary-mode Firestore request body.
+typedef _DocumentEventBody = ({
+  EmulatorDocumentSnapshot? value,
+  EmulatorDocumentSnapshot? oldValue,
+  Set<String> updatedFields,
+});
+
 /// Firestore triggers namespace.
 ///
 /// Provides methods to define Firestore-triggered Cloud Functions.
@@ -91,6 +106,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String document,
 
+    /// The function name. Defaults to a name derived from [document].
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+
     /// Options that can be set on an individual event-handling function.
     // ignore: experimental_member_use
     @mustBeConst DocumentOptions? options,
@@ -98,8 +117,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     _registerDocumentHandler(
       methodName: 'onDocumentCreated',
       document: document,
+      name: name,
       validateEventType: _isFirestoreCreatedEvent,
       withAuthContext: false,
+      options: options,
       handler: handler,
     );
   }
@@ -134,6 +155,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String document,
 
+    /// The function name. Defaults to a name derived from [document].
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+
     /// Options that can be set on an individual event-handling function.
     // ignore: experimental_member_use
     @mustBeConst DocumentOptions? options,
@@ -141,8 +166,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     _registerChangeHandler(
       methodName: 'onDocumentUpdated',
       document: document,
+      name: name,
       validateEventType: _isFirestoreUpdatedEvent,
       withAuthContext: false,
+      options: options,
       handler: handler,
     );
   }
@@ -171,6 +198,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String document,
 
+    /// The function name. Defaults to a name derived from [document].
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+
     /// Options that can be set on an individual event-handling function.
     // ignore: experimental_member_use
     @mustBeConst DocumentOptions? options,
@@ -178,8 +209,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     _registerDocumentHandler(
       methodName: 'onDocumentDeleted',
       document: document,
+      name: name,
       validateEventType: _isFirestoreDeletedEvent,
       withAuthContext: false,
+      options: options,
       handler: handler,
     );
   }
@@ -218,6 +251,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String document,
 
+    /// The function name. Defaults to a name derived from [document].
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+
     /// Options that can be set on an individual event-handling function.
     // ignore: experimental_member_use
     @mustBeConst DocumentOptions? options,
@@ -225,8 +262,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     _registerChangeHandler(
       methodName: 'onDocumentWritten',
       document: document,
+      name: name,
       validateEventType: _isFirestoreWrittenEvent,
       withAuthContext: false,
+      options: options,
       handler: handler,
     );
   }
@@ -256,13 +295,17 @@ class FirestoreNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String document,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst DocumentOptions? options,
   }) {
     _registerDocumentHandler(
       methodName: 'onDocumentCreatedWithAuthContext',
       document: document,
+      name: name,
       validateEventType: _isFirestoreCreatedEvent,
       withAuthContext: true,
+      options: options,
       handler: handler,
     );
   }
@@ -292,13 +335,17 @@ class FirestoreNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String document,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst DocumentOptions? options,
   }) {
     _registerChangeHandler(
       methodName: 'onDocumentUpdatedWithAuthContext',
       document: document,
+      name: name,
       validateEventType: _isFirestoreUpdatedEvent,
       withAuthContext: true,
+      options: options,
       handler: handler,
     );
   }
@@ -325,13 +372,17 @@ class FirestoreNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String document,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst DocumentOptions? options,
   }) {
     _registerDocumentHandler(
       methodName: 'onDocumentDeletedWithAuthContext',
       document: document,
+      name: name,
       validateEventType: _isFirestoreDeletedEvent,
       withAuthContext: true,
+      options: options,
       handler: handler,
     );
   }
@@ -362,17 +413,186 @@ class FirestoreNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String document,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst DocumentOptions? options,
   }) {
     _registerChangeHandler(
       methodName: 'onDocumentWrittenWithAuthContext',
       document: document,
+      name: name,
       validateEventType: _isFirestoreWrittenEvent,
       withAuthContext: true,
+      options: options,
       handler: handler,
     );
   }
 
+  /// Event handler that triggers when a document is created in Firestore,
+  /// with the document converted to [T].
+  ///
+  /// Like [onDocumentCreated], but [fromFirestore] turns the created
+  /// snapshot into a typed model, in the same way `fromJson` does for
+  /// `onCallWithData`. If the converter throws, the error is logged as a
+  /// [DocumentConversionException] and the handler is not called.
+  ///
+  /// Example:
+  /// ```dart
+  /// firebase.firestore.onDocumentCreatedWithData<User>(
+  ///   document: 'users/{userId}',
+  ///   fromFirestore: (snapshot) => User.fromJson(snapshot.data()),
+  ///   (event) async {
+  ///     print('Welcome ${event.data?.name}');
+  ///   },
+  /// );
+  /// ```
+  void onDocumentCreatedWithData<T extends Object>(
+    Future<void> Function(FirestoreEvent<T?> event) handler, {
+    // ignore: experimental_member_use
+    @mustBeConst required String document,
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+    required FromFirestore<T> fromFirestore,
+    // ignore: experimental_member_use
+    @mustBeConst DocumentOptions? options,
+  }) {
+    _registerDocumentHandler(
+      methodName: 'onDocumentCreatedWithData',
+      document: document,
+      name: name,
+      validateEventType: _isFirestoreCreatedEvent,
+      withAuthContext: false,
+      options: options,
+      handler: (FirestoreEvent<EmulatorDocumentSnapshot?> event) => handler(
+        _withData(event, convertSnapshot(event.data, fromFirestore)),
+      ),
+    );
+  }
+
+  /// Event handler that triggers when a document is updated in Firestore,
+  /// with both sides of the change converted to [T].
+  ///
+  /// Like [onDocumentUpdated], but [fromFirestore] turns the `before` and
+  /// `after` snapshots into typed models. If the converter throws, the error
+  /// is logged as a [DocumentConversionException] and the handler is not
+  /// called.
+  ///
+  /// Example:
+  /// ```dart
+  /// firebase.firestore.onDocumentUpdatedWithData<User>(
+  ///   document: 'users/{userId}',
+  ///   fromFirestore: (snapshot) => User.fromJson(snapshot.data()),
+  ///   (event) async {
+  ///     final change = event.data;
+  ///     print('Renamed ${change?.before?.name} to ${change?.after?.name}');
+  ///   },
+  /// );
+  /// ```
+  void onDocumentUpdatedWithData<T extends Object>(
+    Future<void> Function(FirestoreEvent<Change<T>> event) handler, {
+    // ignore: experimental_member_use
+    @mustBeConst required String document,
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+    required FromFirestore<T> fromFirestore,
+    // ignore: experimental_member_use
+    @mustBeConst DocumentOptions? options,
+  }) {
+    _registerChangeHandler(
+      methodName: 'onDocumentUpdatedWithData',
+      document: document,
+      name: name,
+      validateEventType: _isFirestoreUpdatedEvent,
+      withAuthContext: false,
+      options: options,
+      handler: (FirestoreEvent<Change<EmulatorDocumentSnapshot>?> event) =>
+          handler(_withData(event, _convertChange(event.data, fromFirestore))),
+    );
+  }
+
+  /// Event handler that triggers when a document is deleted in Firestore,
+  /// with the deleted document converted to [T].
+  ///
+  /// Like [onDocumentDeleted], but [fromFirestore] turns the deleted
+  /// snapshot into a typed model. If the converter throws, the error is
+  /// logged as a [DocumentConversionException] and the handler is not
+  /// called.
+  ///
+  /// Example:
+  /// ```dart
+  /// firebase.firestore.onDocumentDeletedWithData<User>(
+  ///   document: 'users/{userId}',
+  ///   fromFirestore: (snapshot) => User.fromJson(snapshot.data()),
+  ///   (event) async {
+  ///     print('Goodbye ${event.data?.name}');
+  ///   },
+  /// );
+  /// ```
+  void onDocumentDeletedWithData<T extends Object>(
+    Future<void> Function(FirestoreEvent<T?> event) handler, {
+    // ignore: experimental_member_use
+    @mustBeConst required String document,
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+    required FromFirestore<T> fromFirestore,
+    // ignore: experimental_member_use
+    @mustBeConst DocumentOptions? options,
+  }) {
+    _registerDocumentHandler(
+      methodName: 'onDocumentDeletedWithData',
+      document: document,
+      name: name,
+      validateEventType: _isFirestoreDeletedEvent,
+      withAuthContext: false,
+      options: options,
+      handler: (FirestoreEvent<EmulatorDocumentSnapshot?> event) => handler(
+        _withData(event, convertSnapshot(event.data, fromFirestore)),
+      ),
+    );
+  }
+
+  /// Event handler that triggers on any write to a document, with both sides
+  /// of the change converted to [T].
+  ///
+  /// Like [onDocumentWritten], but [fromFirestore] turns the `before` and
+  /// `after` snapshots into typed models. A side that does not exist (before
+  /// a create, after a delete) is `null`. If the converter throws, the error
+  /// is logged as a [DocumentConversionException] and the handler is not
+  /// called.
+  ///
+  /// Example:
+  /// ```dart
+  /// firebase.firestore.onDocumentWrittenWithData<User>(
+  ///   document: 'users/{userId}',
+  ///   fromFirestore: (snapshot) => User.fromJson(snapshot.data()),
+  ///   (event) async {
+  ///     final after = event.data?.after;
+  ///     if (after == null) print('User deleted');
+  ///   },
+  /// );
+  /// ```
+  void onDocumentWrittenWithData<T extends Object>(
+    Future<void> Function(FirestoreEvent<Change<T>> event) handler, {
+    // ignore: experimental_member_use
+    @mustBeConst required String document,
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+    required FromFirestore<T> fromFirestore,
+    // ignore: experimental_member_use
+    @mustBeConst DocumentOptions? options,
+  }) {
+    _registerChangeHandler(
+      methodName: 'onDocumentWrittenWithData',
+      document: document,
+      name: name,
+      validateEventType: _isFirestoreWrittenEvent,
+      withAuthContext: false,
+      options: options,
+      handler: (FirestoreEvent<Change<EmulatorDocumentSnapshot>?> event) =>
+          handler(_withData(event, _convertChange(event.data, fromFirestore))),
+    );
+  }
+
   // ---------------------------------------------------------------------------
   // Private helpers
   // ---------------------------------------------------------------------------
@@ -410,11 +630,10 @@ class FirestoreNamespace extends FunctionsNamespace {
 
   /// Reads and parses the protobuf body from a request.
   ///
-  /// Returns the parsed map with `'value'` and/or `'old_value'` keys,
-  /// or `null` if the body is empty or parsing fails.
-  Future<Map<String, EmulatorDocumentSnapshot?>?> _parseBody(
-    Request request,
-  ) async {
+  /// Reference values in the documents are bound to the Admin SDK's
+  /// Firestore for the database they name, which is the database of the
+  /// event. Returns `null` if the body is empty or parsing fails.
+  Future<_DocumentEventBody?> _parseBody(Request request) async {
     try {
       final bodyBytes = await request.read().fold<List<int>>(
         [],
@@ -422,7 +641,17 @@ class FirestoreNamespace extends FunctionsNamespace {
       );
 
       if (bodyBytes.isNotEmpty) {
-        return parseDocumentEventData(Uint8List.fromList(bodyBytes));
+        final bytes = Uint8List.fromList(bodyBytes);
+        final parsed = parseDocumentEventData(
+          bytes,
+          firestoreFor: _firestoreFor,
+        );
+        if (parsed == null) return null;
+        return (
+          value: parsed['value'],
+          oldValue: parsed['old_value'],
+          updatedFields: parseDocumentUpdateMask(bytes),
+        );
       }
     } catch (_) {
       // Protobuf parsing failed
@@ -430,6 +659,10 @@ class FirestoreNamespace extends FunctionsNamespace {
     return null;
   }
 
+  /// The Admin SDK's Firestore for the database with ID [database].
+  Firestore _firestoreFor(String database) =>
+      firebase.adminApp.firestore(databaseId: database);
+
   /// Shared handler for single-snapshot triggers (created/deleted).
   ///
   /// When [withAuthContext] is `false`, [handler] is called with a
@@ -439,13 +672,25 @@ class FirestoreNamespace extends FunctionsNamespace {
   void _registerDocumentHandler({
     required String methodName,
     required String document,
+    required String? name,
     required bool Function(String) validateEventType,
     required bool withAuthContext,
+    required DocumentOptions? options,
     required Function handler,
   }) {
-    final functionName = _documentToFunctionName(methodName, document);
-
-    firebase.registerFunction(functionName, (request) async {
+    final database = options?.database ?? defaultFirestoreId;
+    final namespace = options?.namespace ?? defaultFirestoreId;
+    final functionName =
+        name ??
+        documentFunctionName(
+          methodName,
+          document,
+          database: database,
+          namespace: namespace,
+        );
+    final eventType = _eventTypeFor(methodName);
+
+    Future<Response> handleRequest(Request request) async {
       try {
         final isBinaryMode = request.headers.containsKey('ce-type');
 
@@ -467,12 +712,9 @@ class FirestoreNamespace extends FunctionsNamespace {
           final params = _extractParams(document, headers.documentPath);
 
           final parsed = await _parseBody(request);
-          final snapshotKey =
-              (methodName == 'onDocumentDeleted' ||
-                  methodName == 'onDocumentDeletedWithAuthContext')
-              ? 'old_value'
-              : 'value';
-          final snapshot = parsed?[snapshotKey];
+          final snapshot = methodName.startsWith('onDocumentDeleted')
+              ? parsed?.oldValue
+              : parsed?.value;
 
           try {
             if (withAuthContext) {
@@ -520,6 +762,8 @@ class FirestoreNamespace extends FunctionsNamespace {
                     FirestoreEvent<EmulatorDocumentSnapshot?>,
                   ))(event);
             }
+          } on DocumentConversionException catch (e) {
+            return _logConversionError(e);
           } catch (e, stackTrace) {
             return logEventHandlerError(e, stackTrace);
           }
@@ -528,8 +772,7 @@ class FirestoreNamespace extends FunctionsNamespace {
         } else {
           // Structured content mode: full CloudEvent in JSON body
           // Only supported for onDocumentCreated variants
-          if (methodName == 'onDocumentCreated' ||
-              methodName == 'onDocumentCreatedWithAuthContext') {
+          if (methodName.startsWith('onDocumentCreated')) {
             final json = await parseAndValidateCloudEvent(request);
 
             if (!validateEventType(json['type'] as String)) {
@@ -590,10 +833,24 @@ class FirestoreNamespace extends FunctionsNamespace {
         }
       } on FormatException catch (e) {
         return Response(400, body: 'Invalid CloudEvent: ${e.message}');
+      } on DocumentConversionException catch (e) {
+        return _logConversionError(e);
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    }, documentPattern: document);
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      documentPattern: document,
+      database: database,
+      namespace: namespace,
+      eventType: eventType,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      trigger: _documentTrigger(eventType, document, database, namespace),
+    );
   }
 
   /// Shared handler for change triggers (updated/written).
@@ -605,13 +862,25 @@ class FirestoreNamespace extends FunctionsNamespace {
   void _registerChangeHandler({
     required String methodName,
     required String document,
+    required String? name,
     required bool Function(String) validateEventType,
     required bool withAuthContext,
+    required DocumentOptions? options,
     required Function handler,
   }) {
-    final functionName = _documentToFunctionName(methodName, document);
-
-    firebase.registerFunction(functionName, (request) async {
+    final database = options?.database ?? defaultFirestoreId;
+    final namespace = options?.namespace ?? defaultFirestoreId;
+    final functionName =
+        name ??
+        documentFunctionName(
+          methodName,
+          document,
+          database: database,
+          namespace: namespace,
+        );
+    final eventType = _eventTypeFor(methodName);
+
+    Future<Response> handleRequest(Request request) async {
       try {
         final isBinaryMode = request.headers.containsKey('ce-type');
 
@@ -633,8 +902,9 @@ class FirestoreNamespace extends FunctionsNamespace {
           final params = _extractParams(document, headers.documentPath);
 
           final parsed = await _parseBody(request);
-          final beforeSnapshot = parsed?['old_value'];
-          final afterSnapshot = parsed?['value'];
+          final beforeSnapshot = parsed?.oldValue;
+          final afterSnapshot = parsed?.value;
+          final updatedFields = parsed?.updatedFields ?? const <String>{};
 
           try {
             final change = Change<EmulatorDocumentSnapshot>(
@@ -658,6 +928,7 @@ class FirestoreNamespace extends FunctionsNamespace {
                     namespace: headers.namespace,
                     document: headers.documentPath,
                     params: params,
+                    updatedFields: updatedFields,
                     authType: AuthType.fromString(
                       headers.authType ?? 'unknown',
                     ),
@@ -683,6 +954,7 @@ class FirestoreNamespace extends FunctionsNamespace {
                 namespace: headers.namespace,
                 document: headers.documentPath,
                 params: params,
+                updatedFields: updatedFields,
               );
 
               await (handler
@@ -690,6 +962,8 @@ class FirestoreNamespace extends FunctionsNamespace {
                     FirestoreEvent<Change<EmulatorDocumentSnapshot>?>,
                   ))(event);
             }
+          } on DocumentConversionException catch (e) {
+            return _logConversionError(e);
           } catch (e, stackTrace) {
             return logEventHandlerError(e, stackTrace);
           }
@@ -705,26 +979,91 @@ class FirestoreNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    }, documentPattern: document);
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      documentPattern: document,
+      database: database,
+      namespace: namespace,
+      eventType: eventType,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      trigger: _documentTrigger(eventType, document, database, namespace),
+    );
   }
 
-  /// Converts a document path to a function name.
-  ///
-  /// Examples:
-  /// - 'users/{userId}' -> 'onDocumentCreated_users_userId'
-  /// - 'users/user123' -> 'onDocumentCreated_users_user123'
-  String _documentToFunctionName(String eventType, String documentPath) {
-    // Remove leading/trailing slashes
-    final cleaned = documentPath.replaceAll(RegExp(r'^/+|/+$'), '');
+  /// The manifest trigger for [document], matched as a path pattern when it
+  /// has wildcards.
+  Map<String, Object?> _documentTrigger(
+    String eventType,
+    String document,
+    String database,
+    String namespace,
+  ) {
+    final hasWildcards = document.contains('{');
+    return eventTrigger(
+      eventType,
+      filters: {
+        'database': database,
+        'namespace': namespace,
+        if (!hasWildcards) 'document': document,
+      },
+      pathPatterns: hasWildcards ? {'document': document} : null,
+    );
+  }
+
+  /// Copies [event] with its data replaced by [data].
+  FirestoreEvent<T> _withData<T>(FirestoreEvent<Object?> event, T data) =>
+      FirestoreEvent<T>(
+        data: data,
+        id: event.id,
+        source: event.source,
+        specversion: event.specversion,
+        subject: event.subject,
+        time: event.time,
+        type: event.type,
+        location: event.location,
+        project: event.project,
+        database: event.database,
+        namespace: event.namespace,
+        document: event.document,
+        params: event.params,
+        updatedFields: event.updatedFields,
+      );
 
-    // Replace path separators and wildcards with underscores
-    final sanitized = cleaned
-        .replaceAll('/', '_')
-        .replaceAll('{', '')
-        .replaceAll('}', '')
-        .replaceAll('-', '');
+  /// Converts both sides of a document [change] with [fromFirestore].
+  ///
+  /// A missing change (e.g. a structured-mode event without data) converts
+  /// to a change whose sides are both `null`.
+  Change<T> _convertChange<T>(
+    Change<EmulatorDocumentSnapshot>? change,
+    FromFirestore<T> fromFirestore,
+  ) => Change<T>(
+    before: convertSnapshot(change?.before, fromFirestore),
+    after: convertSnapshot(change?.after, fromFirestore),
+  );
+
+  /// Logs a failed document conversion and acknowledges the event.
+  ///
+  /// Kept apart from [logEventHandlerError] so that malformed documents are
+  /// distinguishable from handler crashes in Cloud Logging. The response is a
+  /// 2xx because Eventarc redelivers on any other status, and redelivering
+  /// the same document cannot make it convert.
+  Response _logConversionError(DocumentConversionException error) {
+    logger.error('$error\n${Trace.from(error.stackTrace).terse}', {
+      'document': error.document,
+    });
+    return Response.ok('Failed to convert document ${error.document}');
+  }
 
-    return '${eventType}_$sanitized';
+  /// The base CloudEvent type handled by [methodName] and its variants,
+  /// e.g. `google.cloud.firestore.document.v1.created` for
+  /// `onDocumentCreatedWithData`.
+  String _eventTypeFor(String methodName) {
+    final kind = RegExp(r'^onDocument([A-Z][a-z]+)').firstMatch(methodName)!;
+    return 'google.cloud.firestore.document.v1.${kind[1]!.toLowerCase()}';
   }
 
   /// Checks if the CloudEvent type is a Firestore document created event.
@@ -0,0 +1,51 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// The default function name of the Firestore trigger [methodName] on
+/// [document] in [database] and [namespace].
+///
+/// Path separators and wildcards become underscores and hyphens are removed,
+/// as in the Node.js SDK. A database or namespace other than `(default)` is
+/// prefixed, so that triggers on the same document pattern in different
+/// databases get distinct names:
+/// - `users/{userId}` → `onDocumentCreated_users_userId`
+/// - `users/{userId}` in database `analytics` →
+///   `onDocumentCreated_analytics_users_userId`
+///
+/// This function is used by both the build-time manifest generator and the
+/// runtime function registration to ensure consistent naming.
+String documentFunctionName(
+  String methodName,
+  String document, {
+  String? database,
+  String? namespace,
+}) {
+  final parts = [
+    methodName,
+    if (database != null && database != defaultFirestoreId) database,
+    if (namespace != null && namespace != defaultFirestoreId) namespace,
+    // Remove leading/trailing slashes
+    document.replaceAll(RegExp(r'^/+|/+$'), ''),
+  ];
+
+  return parts
+      .join('_')
+      .replaceAll('/', '_')
+      .replaceAll('{', '')
+      .replaceAll('}', '')
+      .replaceAll('-', '');
+}
+
+/// The ID of the default Firestore database and namespace.
+const defaultFirestoreId = '(default)';
@@ -12,11 +12,15 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport '../firebase.dart';
+library;
+
 import '../common/options.dart';
 
 /// DocumentOptions extend GlobalOptions with provided document and optional database and namespace.
 class DocumentOptions extends GlobalOptions {
   const DocumentOptions({
+    this.idempotent = false,
     required this.document,
     this.database,
     this.namespace,
@@ -47,4 +51,8 @@ class DocumentOptions extends GlobalOptions {
 
   /// The Firestore namespace (default: "(default)").
   final String? namespace;
+
+  /// Whether to skip document events that this function already handled
+  /// successfully, as recorded in [Firebase.dedupeStore].
+  final bool idempotent;
 }
@@ -14,6 +14,8 @@
 
 import 'dart:typed_data';
 
+import 'package:google_cloud_firestore/google_cloud_firestore.dart'
+    show GeoPoint, Timestamp;
 import 'package:protobuf/protobuf.dart';
 
 import 'document_snapshot.dart';
@@ -34,6 +36,10 @@ import 'document_snapshot.dart';
 /// - 'value': The new/current document state (EmulatorDocumentSnapshot)
 /// - 'old_value': The old document state (for updates), may be null
 ///
+/// Reference values in the documents are bound with [firestoreFor], see
+/// [parseFirestoreValue]. The update mask is read by
+/// [parseDocumentUpdateMask].
+///
 /// The CloudEvent protobuf structure is:
 /// ```protobuf
 /// message DocumentEventData {
@@ -43,8 +49,9 @@ import 'document_snapshot.dart';
 /// }
 /// ```
 Map<String, EmulatorDocumentSnapshot?>? parseDocumentEventData(
-  Uint8List bytes,
-) {
+  Uint8List bytes, {
+  FirestoreForDatabase? firestoreFor,
+}) {
   try {
     final input = CodedBufferReader(bytes);
     EmulatorDocumentSnapshot? value;
@@ -58,14 +65,11 @@ Map<String, EmulatorDocumentSnapshot?>? parseDocumentEventData(
       switch (fieldNumber) {
         case 1: // value field
           final docBytes = input.readBytes();
-          value = _parseFirestoreDocument(docBytes);
+          value = _parseFirestoreDocument(docBytes, firestoreFor);
           break;
         case 2: // old_value field
           final docBytes = input.readBytes();
-          oldValue = _parseFirestoreDocument(docBytes);
-          break;
-        case 3: // update_mask field (skip for now)
-          input.skipField(tag);
+          oldValue = _parseFirestoreDocument(docBytes, firestoreFor);
           break;
         default:
           input.skipField(tag);
@@ -78,6 +82,46 @@ Map<String, EmulatorDocumentSnapshot?>? parseDocumentEventData(
   }
 }
 
+/// Reads the paths of the fields changed by an update from the
+/// `update_mask` of DocumentEventData protobuf bytes.
+///
+/// Paths are in dot notation, e.g. `address.city`, with field names that
+/// are not simple identifiers quoted in backticks. Returns an empty set if
+/// the event has no update mask, as for creates and deletes.
+///
+/// ```protobuf
+/// message DocumentMask {
+///   repeated string field_paths = 1;
+/// }
+/// ```
+Set<String> parseDocumentUpdateMask(Uint8List bytes) {
+  final fieldPaths = <String>{};
+  try {
+    final input = CodedBufferReader(bytes);
+
+    while (!input.isAtEnd()) {
+      final tag = input.readTag();
+      if (tag >>> 3 != 3) {
+        input.skipField(tag);
+        continue;
+      }
+
+      final maskInput = CodedBufferReader(input.readBytes());
+      while (!maskInput.isAtEnd()) {
+        final maskTag = maskInput.readTag();
+        if (maskTag >>> 3 == 1) {
+          fieldPaths.add(maskInput.readString());
+        } else {
+          maskInput.skipField(maskTag);
+        }
+      }
+    }
+  } catch (_) {
+    // A malformed mask is treated as absent.
+  }
+  return fieldPaths;
+}
+
 /// Parses a google.firestore.v1.Document from protobuf bytes.
 ///
 /// The Document protobuf structure is:
@@ -89,7 +133,10 @@ Map<String, EmulatorDocumentSnapshot?>? parseDocumentEventData(
 ///   google.protobuf.Timestamp update_time = 4;
 /// }
 /// ```
-EmulatorDocumentSnapshot? _parseFirestoreDocument(Uint8List bytes) {
+EmulatorDocumentSnapshot? _parseFirestoreDocument(
+  Uint8List bytes,
+  FirestoreForDatabase? firestoreFor,
+) {
   try {
     // Parse protobuf Document manually
     final input = CodedBufferReader(bytes);
@@ -123,7 +170,7 @@ EmulatorDocumentSnapshot? _parseFirestoreDocument(Uint8List bytes) {
             } else if (mapFieldNumber == 2) {
               // Value
               final valueBytes = mapInput.readBytes();
-              value = _parseFirestoreValue(valueBytes);
+              value = _parseFirestoreValue(valueBytes, firestoreFor);
             } else {
               mapInput.skipField(mapTag);
             }
@@ -135,11 +182,11 @@ EmulatorDocumentSnapshot? _parseFirestoreDocument(Uint8List bytes) {
           break;
         case 3: // create_time
           final timestampBytes = input.readBytes();
-          createTime = _parseTimestamp(timestampBytes);
+          createTime = _toDateTime(_parseTimestamp(timestampBytes));
           break;
         case 4: // update_time
           final timestampBytes = input.readBytes();
-          updateTime = _parseTimestamp(timestampBytes);
+          updateTime = _toDateTime(_parseTimestamp(timestampBytes));
           break;
         default:
           input.skipField(tag);
@@ -189,7 +236,14 @@ EmulatorDocumentSnapshot? _parseFirestoreDocument(Uint8List bytes) {
 ///   }
 /// }
 /// ```
-dynamic _parseFirestoreValue(Uint8List bytes) {
+///
+/// Values are returned as their Dart types: [Timestamp], [GeoPoint],
+/// `DocumentReference` (when [firestoreFor] is given), [Uint8List] for bytes,
+/// and nested maps and lists.
+dynamic _parseFirestoreValue(
+  Uint8List bytes,
+  FirestoreForDatabase? firestoreFor,
+) {
   try {
     final input = CodedBufferReader(bytes);
 
@@ -202,20 +256,20 @@ dynamic _parseFirestoreValue(Uint8List bytes) {
         case 1: // boolean_value
           return input.readBool();
         case 2: // integer_value
-          return input.readInt64();
+          return input.readInt64().toInt();
         case 3: // double_value
           return input.readDouble();
-        case 5: // reference_value (document reference path)
-          return input.readString();
+        case 5: // reference_value (document resource name)
+          return parseDocumentReference(input.readString(), firestoreFor);
         case 6: // map_value
           final mapBytes = input.readBytes();
-          return _parseMapValue(mapBytes);
+          return _parseMapValue(mapBytes, firestoreFor);
         case 8: // geo_point_value
           final geoBytes = input.readBytes();
           return _parseGeoPoint(geoBytes);
         case 9: // array_value
           final arrayBytes = input.readBytes();
-          return _parseArrayValue(arrayBytes);
+          return _parseArrayValue(arrayBytes, firestoreFor);
         case 10: // timestamp_value
           final timestampBytes = input.readBytes();
           return _parseTimestamp(timestampBytes);
@@ -238,7 +292,10 @@ dynamic _parseFirestoreValue(Uint8List bytes) {
 }
 
 /// Parses a MapValue (nested map).
-Map<String, dynamic> _parseMapValue(Uint8List bytes) {
+Map<String, dynamic> _parseMapValue(
+  Uint8List bytes,
+  FirestoreForDatabase? firestoreFor,
+) {
   final result = <String, dynamic>{};
   final input = CodedBufferReader(bytes);
 
@@ -262,7 +319,7 @@ Map<String, dynamic> _parseMapValue(Uint8List bytes) {
           key = entryInput.readString();
         } else if (entryFieldNumber == 2) {
           final valueBytes = entryInput.readBytes();
-          value = _parseFirestoreValue(valueBytes);
+          value = _parseFirestoreValue(valueBytes, firestoreFor);
         } else {
           entryInput.skipField(entryTag);
         }
@@ -280,7 +337,10 @@ Map<String, dynamic> _parseMapValue(Uint8List bytes) {
 }
 
 /// Parses an ArrayValue (list).
-List<dynamic> _parseArrayValue(Uint8List bytes) {
+List<dynamic> _parseArrayValue(
+  Uint8List bytes,
+  FirestoreForDatabase? firestoreFor,
+) {
   final result = <dynamic>[];
   final input = CodedBufferReader(bytes);
 
@@ -291,7 +351,7 @@ List<dynamic> _parseArrayValue(Uint8List bytes) {
     if (fieldNumber == 1) {
       // values repeated
       final valueBytes = input.readBytes();
-      result.add(_parseFirestoreValue(valueBytes));
+      result.add(_parseFirestoreValue(valueBytes, firestoreFor));
     } else {
       input.skipField(tag);
     }
@@ -301,38 +361,40 @@ List<dynamic> _parseArrayValue(Uint8List bytes) {
 }
 
 /// Parses a google.protobuf.Timestamp.
-DateTime? _parseTimestamp(Uint8List bytes) {
-  try {
-    final input = CodedBufferReader(bytes);
-    int? seconds;
-    int? nanos;
-
-    while (!input.isAtEnd()) {
-      final tag = input.readTag();
-      final fieldNumber = tag >>> 3;
+///
+/// Fields that are zero are omitted from the wire format, so a missing
+/// field reads as zero.
+Timestamp _parseTimestamp(Uint8List bytes) {
+  final input = CodedBufferReader(bytes);
+  var seconds = 0;
+  var nanos = 0;
 
-      if (fieldNumber == 1) {
-        // seconds
-        seconds = input.readInt64().toInt();
-      } else if (fieldNumber == 2) {
-        // nanos
-        nanos = input.readInt32();
-      } else {
-        input.skipField(tag);
-      }
-    }
+  while (!input.isAtEnd()) {
+    final tag = input.readTag();
+    final fieldNumber = tag >>> 3;
 
-    if (seconds != null) {
-      final micros = seconds * 1000000 + (nanos ?? 0) ~/ 1000;
-      return DateTime.fromMicrosecondsSinceEpoch(micros, isUtc: true);
+    if (fieldNumber == 1) {
+      // seconds
+      seconds = input.readInt64().toInt();
+    } else if (fieldNumber == 2) {
+      // nanos
+      nanos = input.readInt32();
+    } else {
+      input.skipField(tag);
     }
-
-    return null;
-  } catch (_) {
-    return null;
   }
+
+  return Timestamp(seconds: seconds, nanoseconds: nanos);
 }
 
+/// Converts [timestamp] to a UTC [DateTime], truncated to microseconds.
+DateTime _toDateTime(Timestamp timestamp) =>
+    DateTime.fromMicrosecondsSinceEpoch(
+      timestamp.seconds * Duration.microsecondsPerSecond +
+          timestamp.nanoseconds ~/ 1000,
+      isUtc: true,
+    );
+
 /// Parses a google.type.LatLng (geo point).
 ///
 /// ```protobuf
@@ -341,31 +403,25 @@ DateTime? _parseTimestamp(Uint8List bytes) {
 ///   double longitude = 2;
 /// }
 /// ```
-Map<String, double>? _parseGeoPoint(Uint8List bytes) {
-  try {
-    final input = CodedBufferReader(bytes);
-    double? latitude;
-    double? longitude;
-
-    while (!input.isAtEnd()) {
-      final tag = input.readTag();
-      final fieldNumber = tag >>> 3;
+///
+/// Coordinates that are zero are omitted from the wire format.
+GeoPoint _parseGeoPoint(Uint8List bytes) {
+  final input = CodedBufferReader(bytes);
+  var latitude = 0.0;
+  var longitude = 0.0;
 
-      if (fieldNumber == 1) {
-        latitude = input.readDouble();
-      } else if (fieldNumber == 2) {
-        longitude = input.readDouble();
-      } else {
-        input.skipField(tag);
-      }
-    }
+  while (!input.isAtEnd()) {
+    final tag = input.readTag();
+    final fieldNumber = tag >>> 3;
 
-    if (latitude != null && longitude != null) {
-      return {'latitude': latitude, 'longitude': longitude};
+    if (fieldNumber == 1) {
+      latitude = input.readDouble();
+    } else if (fieldNumber == 2) {
+      longitude = input.readDouble();
+    } else {
+      input.skipField(tag);
     }
-
-    return null;
-  } catch (_) {
-    return null;
   }
+
+  return GeoPoint(latitude: latitude, longitude: longitude);
 }
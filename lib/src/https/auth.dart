@@ -17,10 +17,12 @@ library;
 
 import 'dart:convert';
 
+import 'package:dart_jsonwebtoken/dart_jsonwebtoken.dart';
 import 'package:firebase_admin_sdk/app_check.dart';
 import 'package:firebase_admin_sdk/auth.dart';
 import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
 
+import '../common/key_provider.dart';
 import 'callable.dart';
 
 /// Status of token validation.
@@ -57,11 +59,20 @@ final _jwtRegex = RegExp(
 ///
 /// The [auth] is required for production token verification.
 ///
+/// When [keyProvider] is given, tokens are instead verified against its keys
+/// and the claims of an ID token for [projectId], which is then required.
+///
 /// Returns a tuple of (TokenStatus, AuthData?).
 Future<(TokenStatus, AuthData?)> extractAuthToken(
   Map<String, String> headers, {
   Auth? auth,
+  KeyProvider? keyProvider,
+  String? projectId,
 }) async {
+  if (keyProvider != null && projectId == null) {
+    throw ArgumentError.notNull('projectId');
+  }
+
   final authorization = headers['authorization'];
   if (authorization == null || authorization.isEmpty) {
     return (TokenStatus.missing, null);
@@ -82,7 +93,10 @@ Future<(TokenStatus, AuthData?)> extractAuthToken(
     String uid;
     Map<String, dynamic>? decodedToken;
 
-    if (auth == null) {
+    if (keyProvider != null) {
+      decodedToken = await _verifyIdToken(idToken, keyProvider, projectId!);
+      uid = decodedToken['uid'] as String;
+    } else if (auth == null) {
       // In emulator mode, just decode without verification
       decodedToken = _unsafeDecodeIdToken(idToken);
 
@@ -95,7 +109,10 @@ Future<(TokenStatus, AuthData?)> extractAuthToken(
       // In production, verify the token using Firebase Admin SDK
       final decoded = await auth.verifyIdToken(idToken);
       uid = decoded.uid;
+      // The signature is verified at this point, so the raw payload can be
+      // trusted for custom claims the Admin SDK does not surface.
       decodedToken = {
+        ..._unsafeDecodeIdToken(idToken),
         'uid': decoded.uid,
         'sub': decoded.sub,
         'aud': decoded.aud,
@@ -131,11 +148,21 @@ Future<(TokenStatus, AuthData?)> extractAuthToken(
 ///
 /// The [appCheck] is required for production token verification.
 ///
+/// When [keyProvider] is given, tokens are instead verified against its keys
+/// and the claims of an App Check token for [projectId], which is then
+/// required.
+///
 /// Returns a tuple of (TokenStatus, AppCheckData?).
 Future<(TokenStatus, AppCheckData?)> extractAppCheckToken(
   Map<String, String> headers, {
   AppCheck? appCheck,
+  KeyProvider? keyProvider,
+  String? projectId,
 }) async {
+  if (keyProvider != null && projectId == null) {
+    throw ArgumentError.notNull('projectId');
+  }
+
   final appCheckToken = headers['x-firebase-appcheck'];
   if (appCheckToken == null || appCheckToken.isEmpty) {
     return (TokenStatus.missing, null);
@@ -144,7 +171,13 @@ Future<(TokenStatus, AppCheckData?)> extractAppCheckToken(
   try {
     String appId;
 
-    if (appCheck == null) {
+    if (keyProvider != null) {
+      appId = await _verifyAppCheckToken(
+        appCheckToken,
+        keyProvider,
+        projectId!,
+      );
+    } else if (appCheck == null) {
       // In emulator mode, just decode without verification
       final decodedToken = _unsafeDecodeAppCheckToken(appCheckToken);
 
@@ -173,6 +206,9 @@ Future<(TokenStatus, AppCheckData?)> extractAppCheckToken(
 
 /// Checks both auth and app check tokens on a request.
 ///
+/// Tokens are verified against [keyProvider] when given, else with
+/// [adminApp], else decoded without verification. See [extractAuthToken].
+///
 /// Returns a record containing the verification result and extracted data.
 Future<
   ({
@@ -181,15 +217,24 @@ Future<
     AppCheckData? appCheckData,
   })
 >
-checkTokens(Map<String, String> headers, {FirebaseApp? adminApp}) async {
+checkTokens(
+  Map<String, String> headers, {
+  FirebaseApp? adminApp,
+  KeyProvider? keyProvider,
+  String? projectId,
+}) async {
   final (authStatus, authData) = await extractAuthToken(
     headers,
-    auth: adminApp?.auth(),
+    auth: keyProvider == null ? adminApp?.auth() : null,
+    keyProvider: keyProvider,
+    projectId: projectId,
   );
 
   final (appStatus, appCheckData) = await extractAppCheckToken(
     headers,
-    appCheck: adminApp?.appCheck(),
+    appCheck: keyProvider == null ? adminApp?.appCheck() : null,
+    keyProvider: keyProvider,
+    projectId: projectId,
   );
 
   return (
@@ -199,6 +244,79 @@ checkTokens(Map<String, String> headers, {FirebaseApp? adminApp}) async {
   );
 }
 
+// --- Private local verification functions ---
+
+/// Verifies an ID token against [keyProvider] and checks its claims the way
+/// the Admin SDK does.
+///
+/// Returns the payload with `uid` set to the subject.
+Future<Map<String, dynamic>> _verifyIdToken(
+  String token,
+  KeyProvider keyProvider,
+  String projectId,
+) async {
+  final payload = await verifyJwt(token, keyProvider);
+
+  final issuer = 'https://securetoken.google.com/$projectId';
+  if (payload['iss'] != issuer) {
+    throw JWTInvalidException('Expected issuer $issuer');
+  }
+  if (payload['aud'] != projectId) {
+    throw JWTInvalidException('Expected audience $projectId');
+  }
+  _checkTimes(payload);
+  final sub = payload['sub'];
+  if (sub is! String || sub.isEmpty || sub.length > 128) {
+    throw JWTInvalidException('Invalid subject');
+  }
+
+  return {...payload, 'uid': sub};
+}
+
+/// Verifies an App Check token against [keyProvider] and checks its claims
+/// the way the Admin SDK does.
+///
+/// Returns the app ID.
+Future<String> _verifyAppCheckToken(
+  String token,
+  KeyProvider keyProvider,
+  String projectId,
+) async {
+  final payload = await verifyJwt(token, keyProvider);
+
+  final issuer = payload['iss'];
+  if (issuer is! String ||
+      !issuer.startsWith('https://firebaseappcheck.googleapis.com/')) {
+    throw JWTInvalidException('Invalid issuer $issuer');
+  }
+  final audience = payload['aud'];
+  if (audience is! List || !audience.contains('projects/$projectId')) {
+    throw JWTInvalidException('Expected audience projects/$projectId');
+  }
+  _checkTimes(payload);
+  final sub = payload['sub'];
+  if (sub is! String || sub.isEmpty) {
+    throw JWTInvalidException('Invalid subject');
+  }
+
+  return sub;
+}
+
+/// Requires an expiry and an issue time that is not in the future.
+///
+/// Signature verification has already rejected expired tokens.
+void _checkTimes(Map<String, dynamic> payload) {
+  final iat = payload['iat'];
+  if (payload['exp'] is! num || iat is! num) {
+    throw JWTInvalidException('Missing "exp" or "iat" claim');
+  }
+  // Allow 5 minutes of clock skew.
+  final latest = DateTime.now().add(const Duration(minutes: 5));
+  if (iat * 1000 > latest.millisecondsSinceEpoch) {
+    throw JWTInvalidException('Token issued in the future');
+  }
+}
+
 // --- Private unsafe decode functions (for emulator mode only) ---
 
 /// Decodes a JWT token without verification.
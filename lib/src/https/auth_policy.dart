@@ -0,0 +1,175 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Declarative authorization policies for callable functions.
+///
+/// @docImport 'options.dart';
+library;
+
+import 'dart:async';
+
+import 'package:meta/meta.dart';
+
+import 'callable.dart';
+import 'error.dart';
+
+/// A predicate over the caller's auth context and the request data.
+///
+/// Used with [AuthPolicy.custom]. Must be a top-level or static function
+/// so that the policy can be declared in a const [CallableOptions].
+typedef AuthPredicate = FutureOr<bool> Function(AuthData? auth, Object? data);
+
+/// Decides whether a callable request may reach its handler.
+///
+/// Policies are evaluated against the [AuthData] extracted from the
+/// request's ID token, after token verification and App Check enforcement.
+/// They are const so they can be declared in [CallableOptions]:
+///
+/// ```dart
+/// firebase.https.onCall(
+///   name: 'deleteUser',
+///   options: const CallableOptions(
+///     authPolicy: AuthPolicy.all([
+///       AuthPolicy.emailVerified(),
+///       AuthPolicy.hasClaim('admin'),
+///     ]),
+///   ),
+///   (request, response) async { ... },
+/// );
+/// ```
+///
+/// Equivalent to the Node.js SDK's `authPolicy` option with its `isSignedIn`
+/// and `hasClaim` helpers.
+@immutable
+sealed class AuthPolicy {
+  const AuthPolicy();
+
+  /// Allows any signed-in caller.
+  const factory AuthPolicy.isSignedIn() = _IsSignedIn;
+
+  /// Allows callers whose token has [claim].
+  ///
+  /// Without [value], the claim must be present and neither `null` nor
+  /// `false`. Otherwise the claim must equal [value].
+  const factory AuthPolicy.hasClaim(String claim, [Object? value]) =
+      _HasClaim;
+
+  /// Allows callers whose token has `email_verified` set to `true`.
+  const factory AuthPolicy.emailVerified() = _EmailVerified;
+
+  /// Allows only callers whose uid is in [uids].
+  const factory AuthPolicy.uidIn(List<String> uids) = _UidIn;
+
+  /// Allows callers that satisfy every policy in [policies].
+  const factory AuthPolicy.all(List<AuthPolicy> policies) = _All;
+
+  /// Allows callers that satisfy at least one policy in [policies].
+  const factory AuthPolicy.any(List<AuthPolicy> policies) = _Any;
+
+  /// Allows callers for which [predicate] returns `true`.
+  const factory AuthPolicy.custom(AuthPredicate predicate) = _Custom;
+
+  /// Whether the caller described by [auth] may proceed with [data].
+  ///
+  /// [auth] is `null` for unauthenticated requests.
+  FutureOr<bool> allows(AuthData? auth, Object? data);
+
+  /// Evaluates this policy, throwing if the request is not allowed.
+  ///
+  /// Throws [UnauthenticatedError] when [auth] is `null`, and
+  /// [PermissionDeniedError] when a signed-in caller is rejected.
+  Future<void> enforce(AuthData? auth, Object? data) async {
+    if (await allows(auth, data)) return;
+    if (auth == null) throw UnauthenticatedError();
+    throw PermissionDeniedError('Permission Denied');
+  }
+}
+
+final class _IsSignedIn extends AuthPolicy {
+  const _IsSignedIn();
+
+  @override
+  bool allows(AuthData? auth, Object? data) => auth != null;
+}
+
+final class _HasClaim extends AuthPolicy {
+  const _HasClaim(this.claim, [this.value]);
+
+  final String claim;
+  final Object? value;
+
+  @override
+  bool allows(AuthData? auth, Object? data) {
+    final token = auth?.token;
+    if (token == null) return false;
+    final actual = token[claim];
+    if (value == null) return actual != null && actual != false;
+    return actual == value;
+  }
+}
+
+final class _EmailVerified extends AuthPolicy {
+  const _EmailVerified();
+
+  @override
+  bool allows(AuthData? auth, Object? data) =>
+      auth?.token?['email_verified'] == true;
+}
+
+final class _UidIn extends AuthPolicy {
+  const _UidIn(this.uids);
+
+  final List<String> uids;
+
+  @override
+  bool allows(AuthData? auth, Object? data) =>
+      auth != null && uids.contains(auth.uid);
+}
+
+final class _All extends AuthPolicy {
+  const _All(this.policies);
+
+  final List<AuthPolicy> policies;
+
+  @override
+  Future<bool> allows(AuthData? auth, Object? data) async {
+    for (final policy in policies) {
+      if (!await policy.allows(auth, data)) return false;
+    }
+    return true;
+  }
+}
+
+final class _Any extends AuthPolicy {
+  const _Any(this.policies);
+
+  final List<AuthPolicy> policies;
+
+  @override
+  Future<bool> allows(AuthData? auth, Object? data) async {
+    for (final policy in policies) {
+      if (await policy.allows(auth, data)) return true;
+    }
+    return false;
+  }
+}
+
+final class _Custom extends AuthPolicy {
+  const _Custom(this.predicate);
+
+  final AuthPredicate predicate;
+
+  @override
+  FutureOr<bool> allows(AuthData? auth, Object? data) => predicate(auth, data);
+}
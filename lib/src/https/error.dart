@@ -83,14 +83,26 @@ sealed class HttpsError implements Exception {
   /// Human-readable error message.
   final String? message;
 
-  /// Additional error details (must be JSON-serializable).
+  /// Additional error details.
+  ///
+  /// Must be JSON-serializable. [ErrorDetails], alone or in a list, are sent
+  /// with their [ErrorDetails.type].
   final dynamic details;
 
   /// Converts this error to JSON for wire transmission.
   Map<String, dynamic> toJson() => <String, dynamic>{
     'status': code.value.toUpperCase().replaceAll('-', '_'),
     'message': message ?? code.message,
-    if (details != null) 'details': details,
+    if (details != null) 'details': _encodeDetails(details),
+  };
+
+  static Object? _encodeDetails(Object? details) => switch (details) {
+    final ErrorDetails details => details._toWire(),
+    final List<Object?> details => [
+      for (final detail in details)
+        detail is ErrorDetails ? detail._toWire() : detail,
+    ],
+    _ => details,
   };
 
   /// Converts this error to a full error response.
@@ -112,6 +124,45 @@ sealed class HttpsError implements Exception {
       );
 }
 
+/// Structured [HttpsError.details] that clients decode by [type].
+///
+/// Details are sent as the fields of [toJson] with an `@type` field holding
+/// [type], so that clients can tell the shapes of details apart:
+///
+/// ```dart
+/// final class OrderClosedDetails extends ErrorDetails {
+///   const OrderClosedDetails(this.orderId, this.closedAt);
+///
+///   final String orderId;
+///   final DateTime closedAt;
+///
+///   @override
+///   String get type => 'example.com/OrderClosed';
+///
+///   @override
+///   Map<String, Object?> toJson() => {
+///     'orderId': orderId,
+///     'closedAt': closedAt.toIso8601String(),
+///   };
+/// }
+///
+/// throw FailedPreconditionError(
+///   'Order is closed',
+///   OrderClosedDetails(order.id, order.closedAt),
+/// );
+/// ```
+abstract class ErrorDetails {
+  const ErrorDetails();
+
+  /// Identifies the shape of [toJson] for clients.
+  String get type;
+
+  /// The JSON-serializable fields of these details.
+  Map<String, Object?> toJson();
+
+  Map<String, Object?> _toWire() => {'@type': type, ...toJson()};
+}
+
 /// Creates an [HttpsError] with the given code and optional message.
 ///
 /// This is a factory for creating HttpsError instances.
@@ -0,0 +1,79 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Translation of the exceptions thrown by callable functions into
+/// [HttpsError]s.
+///
+/// @docImport '../firebase.dart';
+/// @docImport 'https_namespace.dart';
+library;
+
+import 'package:meta/meta.dart';
+
+import '../common/utilities.dart';
+import 'error.dart';
+
+/// Translates an exception thrown by a callable function into the
+/// [HttpsError] sent to the client, or returns null to leave it to the next
+/// mapper.
+///
+/// Register mappers for every callable function with [Firebase.mapErrors],
+/// or for one function with the `errorMappers:` argument of
+/// [HttpsNamespace.onCall] and [HttpsNamespace.onCallWithData].
+typedef HttpsErrorMapper = HttpsError? Function(Object error);
+
+/// Returns an [HttpsErrorMapper] that translates exceptions of type [E] with
+/// [map] and leaves other exceptions to the next mapper.
+///
+/// ```dart
+/// firebase.mapErrors(
+///   mapException<FormatException>(
+///     (e) => InvalidArgumentError(e.message),
+///   ),
+/// );
+/// firebase.mapErrors(
+///   mapException<OrderClosedException>(
+///     (e) => FailedPreconditionError(
+///       'Order ${e.orderId} is closed',
+///       OrderClosedDetails(e.orderId, e.closedAt),
+///     ),
+///   ),
+/// );
+/// ```
+HttpsErrorMapper mapException<E extends Object>(
+  HttpsError? Function(E error) map,
+) => (error) => error is E ? map(error) : null;
+
+/// The [HttpsError] sent to the client for [error].
+///
+/// [HttpsError]s are sent as they are. Other errors are translated by the
+/// first of [mappers] that returns an error; when none does, or a mapper
+/// throws, the error is logged and an [InternalError] is sent instead.
+@internal
+HttpsError toHttpsError(
+  Object error,
+  StackTrace stackTrace,
+  Iterable<HttpsErrorMapper> mappers,
+) {
+  if (error is HttpsError) return error;
+  try {
+    for (final mapper in mappers) {
+      if (mapper(error) case final mapped?) return mapped;
+    }
+  } catch (e, mapperStackTrace) {
+    logInternalError(error, stackTrace);
+    return logInternalError(e, mapperStackTrace);
+  }
+  return logInternalError(error, stackTrace);
+}
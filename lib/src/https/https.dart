@@ -12,7 +12,11 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+export 'auth_policy.dart';
 export 'callable.dart';
 export 'error.dart';
+export 'error_mapper.dart';
 export 'https_namespace.dart';
 export 'options.dart';
+export 'router.dart';
+export 'schema.dart';
@@ -12,6 +12,9 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport 'router.dart';
+library;
+
 import 'dart:async';
 import 'dart:convert';
 
@@ -21,10 +24,13 @@ import 'package:shelf/shelf.dart';
 import '../common/options.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
+import '../logger/logger.dart';
 import 'auth.dart';
 import 'callable.dart';
 import 'error.dart';
+import 'error_mapper.dart';
 import 'options.dart';
+import 'schema.dart';
 
 /// HTTPS triggers namespace.
 ///
@@ -45,12 +51,29 @@ class HttpsNamespace extends FunctionsNamespace {
   ///   },
   /// );
   /// ```
+  ///
+  /// [middleware] wraps this function only, inside any middleware added with
+  /// [Firebase.use]. The first middleware in the list is the outermost.
+  ///
+  /// [Request.url] is relative to the function's mount point, so one function
+  /// can serve several paths. Pass an [HttpsRouter] to route them by method
+  /// and path:
+  ///
+  /// ```dart
+  /// final router = HttpsRouter()
+  ///   ..get('/users/<id>', (request, params) async {
+  ///     return Response.ok('User ${params['id']}');
+  ///   });
+  ///
+  /// firebase.https.onRequest(name: 'api', router.call);
+  /// ```
   void onRequest(
     Future<Response> Function(Request request) handler, {
     // ignore: experimental_member_use
     @mustBeConst required String name,
     // ignore: experimental_member_use
     @mustBeConst HttpsOptions? options = const HttpsOptions(),
+    List<Middleware> middleware = const [],
   }) {
     firebase.registerFunction(
       name,
@@ -65,6 +88,9 @@ class HttpsNamespace extends FunctionsNamespace {
       },
       external: true,
       allowedOrigins: options?.cors?.runtimeValue(),
+      middleware: middleware,
+      options: options,
+      trigger: const {'httpsTrigger': <String, Object?>{}},
     );
   }
 
@@ -83,6 +109,14 @@ class HttpsNamespace extends FunctionsNamespace {
   ///   },
   /// );
   /// ```
+  ///
+  /// [middleware] wraps this function only, inside any middleware added with
+  /// [Firebase.use]. It sees the raw callable HTTP request, before tokens are
+  /// checked.
+  ///
+  /// Exceptions thrown by [handler] that are not [HttpsError]s are
+  /// translated by [errorMappers], then by the mappers added with
+  /// [Firebase.mapErrors]; see [HttpsErrorMapper].
   void onCall<T extends Object>(
     Future<CallableResult<T>> Function(
       CallableRequest<Object?> request,
@@ -93,8 +127,10 @@ class HttpsNamespace extends FunctionsNamespace {
     @mustBeConst required String name,
     // ignore: experimental_member_use
     @mustBeConst CallableOptions? options = const CallableOptions(),
+    List<Middleware> middleware = const [],
+    List<HttpsErrorMapper> errorMappers = const [],
   }) {
-    firebase.registerFunction(name, (request) async {
+    Future<Response> handleRequest(Request request) async {
       final bodyString = await request.change().readAsString();
       Map<String, dynamic>? body;
       if (bodyString.isNotEmpty) {
@@ -112,6 +148,8 @@ class HttpsNamespace extends FunctionsNamespace {
         adminApp: firebase.$env.skipTokenVerification
             ? null
             : firebase.adminApp,
+        keyProvider: firebase.keyProvider,
+        projectId: firebase.$env.projectId,
       );
 
       // Check for invalid auth token
@@ -133,6 +171,17 @@ class HttpsNamespace extends FunctionsNamespace {
         return UnauthenticatedError().toShelfResponse();
       }
 
+      final authPolicy = options?.authPolicy;
+      if (authPolicy != null) {
+        try {
+          await authPolicy.enforce(tokens.authData, body?['data']);
+        } on HttpsError catch (e) {
+          return e.toShelfResponse();
+        } catch (e, stackTrace) {
+          return logInternalError(e, stackTrace).toShelfResponse();
+        }
+      }
+
       final callableRequest = CallableRequest(
         request,
         body?['data'],
@@ -141,16 +190,29 @@ class HttpsNamespace extends FunctionsNamespace {
         app: tokens.appCheckData,
       );
 
-      return _handleCallable<Object?, T, CallableResult<T>>(
-        request,
-        callableRequest,
-        body,
-        options,
-        handler,
-        (result) => result.data,
-        (result) => result.toResponse(),
+      return runWithLogContext(
+        () => _handleCallable<Object?, T, CallableResult<T>>(
+          request,
+          callableRequest,
+          body,
+          options,
+          handler,
+          (result) => result.data,
+          (result) => result.toResponse(),
+          errorMappers: errorMappers,
+        ),
+        labels: _callerLabels(tokens.authData, tokens.appCheckData),
       );
-    }, allowedOrigins: options?.cors?.runtimeValue());
+    }
+
+    firebase.registerFunction(
+      name,
+      handleRequest,
+      allowedOrigins: options?.cors?.runtimeValue(),
+      middleware: middleware,
+      options: options,
+      trigger: const {'callableTrigger': <String, Object?>{}},
+    );
   }
 
   /// Creates an HTTPS callable function with typed data.
@@ -174,6 +236,14 @@ class HttpsNamespace extends FunctionsNamespace {
   ///   },
   /// );
   /// ```
+  ///
+  /// When a [validator] such as a [Schema] is given, the request data is
+  /// checked before [fromJson] runs. Invalid data is rejected with an
+  /// [InvalidArgumentError] whose `details` list each failing path and
+  /// reason, and the handler is not called.
+  ///
+  /// [middleware] and [errorMappers] apply to this function only, as for
+  /// [onCall].
   void onCallWithData<Input extends Object, Output extends Object>(
     Future<Output> Function(
       CallableRequest<Input> request,
@@ -181,12 +251,15 @@ class HttpsNamespace extends FunctionsNamespace {
     )
     handler, {
     required Input Function(Map<String, dynamic>) fromJson,
+    DataValidator? validator,
     // ignore: experimental_member_use
     @mustBeConst required String name,
     // ignore: experimental_member_use
     @mustBeConst CallableOptions? options = const CallableOptions(),
+    List<Middleware> middleware = const [],
+    List<HttpsErrorMapper> errorMappers = const [],
   }) {
-    firebase.registerFunction(name, (request) async {
+    Future<Response> handleRequest(Request request) async {
       final body = await request.json as Map<String, dynamic>?;
 
       // Extract auth and app check tokens
@@ -196,6 +269,8 @@ class HttpsNamespace extends FunctionsNamespace {
         adminApp: firebase.$env.skipTokenVerification
             ? null
             : firebase.adminApp,
+        keyProvider: firebase.keyProvider,
+        projectId: firebase.$env.projectId,
       );
 
       // Check for invalid auth token
@@ -217,6 +292,17 @@ class HttpsNamespace extends FunctionsNamespace {
         return UnauthenticatedError().toShelfResponse();
       }
 
+      final authPolicy = options?.authPolicy;
+      if (authPolicy != null) {
+        try {
+          await authPolicy.enforce(tokens.authData, body?['data']);
+        } on HttpsError catch (e) {
+          return e.toShelfResponse();
+        } catch (e, stackTrace) {
+          return logInternalError(e, stackTrace).toShelfResponse();
+        }
+      }
+
       final callableRequest = CallableRequest<Input>(
         request,
         body?['data'],
@@ -225,21 +311,41 @@ class HttpsNamespace extends FunctionsNamespace {
         app: tokens.appCheckData,
       );
 
-      return _handleCallable<Input, Output, Output>(
-        request,
-        callableRequest,
-        body,
-        options,
-        handler,
-        (result) => result,
-        (result) => Response.ok(
-          jsonEncode({'result': result}),
-          headers: {'Content-Type': 'application/json'},
+      return runWithLogContext(
+        () => _handleCallable<Input, Output, Output>(
+          request,
+          callableRequest,
+          body,
+          options,
+          handler,
+          (result) => result,
+          (result) => Response.ok(
+            jsonEncode({'result': result}),
+            headers: {'Content-Type': 'application/json'},
+          ),
+          validator: validator,
+          errorMappers: errorMappers,
         ),
+        labels: _callerLabels(tokens.authData, tokens.appCheckData),
       );
-    }, allowedOrigins: options?.cors?.runtimeValue());
+    }
+
+    firebase.registerFunction(
+      name,
+      handleRequest,
+      allowedOrigins: options?.cors?.runtimeValue(),
+      middleware: middleware,
+      options: options,
+      trigger: const {'callableTrigger': <String, Object?>{}},
+    );
   }
 
+  /// Log labels identifying the caller of a callable function.
+  Map<String, String> _callerLabels(AuthData? auth, AppCheckData? app) => {
+    if (auth != null) 'uid': auth.uid,
+    if (app != null) 'app_id': app.appId,
+  };
+
   /// Internal handler for callable functions.
   ///
   /// Handles both streaming and non-streaming responses, error handling,
@@ -259,8 +365,10 @@ class HttpsNamespace extends FunctionsNamespace {
     )
     handler,
     dynamic Function(Res result) extractResultData,
-    Response Function(Res result) createNonStreamingResponse,
-  ) async {
+    Response Function(Res result) createNonStreamingResponse, {
+    DataValidator? validator,
+    List<HttpsErrorMapper> errorMappers = const [],
+  }) async {
     // Validate request - pass empty map if body is null to avoid double-read
     if (!await request.isValidRequest(body ?? {})) {
       return InvalidArgumentError('Invalid callable request').toShelfResponse();
@@ -278,6 +386,17 @@ class HttpsNamespace extends FunctionsNamespace {
         callableResponse.initializeStreaming();
       }
 
+      // Validate the data here so that a validator that throws is reported
+      // like any other error
+      if (validator != null) {
+        final failures = validator.validate(decode(body?['data']));
+        if (failures.isNotEmpty) {
+          throw InvalidArgumentError('Invalid request data', [
+            for (final failure in failures) failure.toJson(),
+          ]);
+        }
+      }
+
       // Execute handler
       final result = await handler(callableRequest, callableResponse);
 
@@ -293,18 +412,12 @@ class HttpsNamespace extends FunctionsNamespace {
 
       // Non-streaming response
       return createNonStreamingResponse(result);
-    } on HttpsError catch (e) {
-      // Handle HttpsError - use SSE format if streaming
-      if (callableRequest.acceptsStreaming && !callableResponse.aborted) {
-        callableResponse.writeSSE(e.toErrorResponse());
-        unawaited(callableResponse.closeStream());
-        return callableResponse.streamingResponse!;
-      }
-
-      return e.toShelfResponse();
     } catch (e, stackTrace) {
-      // Unexpected error - don't expose details to client
-      final error = logInternalError(e, stackTrace);
+      // Only HttpsErrors and mapped errors expose details to the client
+      final error = toHttpsError(e, stackTrace, [
+        ...errorMappers,
+        ...firebase.$errorMappers,
+      ]);
 
       if (callableRequest.acceptsStreaming && !callableResponse.aborted) {
         callableResponse.writeSSE(error.toErrorResponse());
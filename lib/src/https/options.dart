@@ -13,6 +13,7 @@
 // limitations under the License.
 
 import '../common/options.dart';
+import 'auth_policy.dart';
 
 /// Options for HTTPS functions (onRequest).
 class HttpsOptions extends GlobalOptions {
@@ -64,6 +65,7 @@ class CallableOptions extends HttpsOptions {
     super.cors,
     this.consumeAppCheckToken,
     this.heartBeatIntervalSeconds,
+    this.authPolicy,
   });
 
   /// Whether to consume the App Check token.
@@ -71,6 +73,12 @@ class CallableOptions extends HttpsOptions {
 
   /// Heartbeat interval in seconds for streaming responses.
   final HeartBeatIntervalSeconds? heartBeatIntervalSeconds;
+
+  /// Authorization policy checked before the handler runs.
+  ///
+  /// Rejected requests fail with `unauthenticated` when no user is signed
+  /// in, and `permission-denied` otherwise.
+  final AuthPolicy? authPolicy;
 }
 
 // Type aliases for HTTPS-specific options
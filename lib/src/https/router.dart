@@ -0,0 +1,286 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Method and path routing inside a single `onRequest` function.
+///
+/// @docImport 'options.dart';
+library;
+
+import 'dart:async';
+
+import 'package:shelf/shelf.dart';
+
+/// Handles a request matched by an [HttpsRouter] route.
+typedef RouteHandler =
+    FutureOr<Response> Function(Request request, PathParams params);
+
+/// The path parameters captured by a route template.
+final class PathParams {
+  const PathParams._(this._values, this._integers);
+
+  final Map<String, String> _values;
+  final Map<String, int> _integers;
+
+  /// The names of the captured parameters, in template order.
+  Iterable<String> get names => _values.keys;
+
+  /// The value of the parameter [name], as it appeared in the path.
+  ///
+  /// Throws an [ArgumentError] if the template has no such parameter.
+  String operator [](String name) =>
+      _values[name] ??
+      (throw ArgumentError.value(name, 'name', 'is not a path parameter'));
+
+  /// The value of the `<name:int>` parameter [name].
+  ///
+  /// Throws an [ArgumentError] if the template has no such integer
+  /// parameter.
+  int integer(String name) =>
+      _integers[name] ??
+      (throw ArgumentError.value(name, 'name', 'is not an int parameter'));
+
+  @override
+  String toString() => 'PathParams($_values)';
+}
+
+/// Routes the requests of one `onRequest` function by method and path.
+///
+/// Paths are relative to the function's mount point: `/users/42` is the
+/// route path of `https://.../api/users/42` for a function named `api`, both
+/// when deployed and in the emulator.
+///
+/// ```dart
+/// final router = HttpsRouter()
+///   ..get('/users', listUsers)
+///   ..get('/users/<id:int>', (request, params) async {
+///     final user = await loadUser(params.integer('id'));
+///     return Response.ok(jsonEncode(user));
+///   })
+///   ..post('/users', createUser, middleware: [requireAdmin]);
+///
+/// firebase.https.onRequest(name: 'api', router.call);
+/// ```
+///
+/// A template segment `<name>` captures one path segment, `<name:int>` one
+/// integer segment, and a final `<name:path>` the rest of the path. Routes
+/// are tried in the order they were added; trailing slashes are ignored.
+///
+/// Requests for paths without a route get a 404 response, and requests for
+/// a path whose routes do not accept the method get a 405 response listing
+/// the allowed methods in `Allow`. Unless a route handles them, `HEAD`
+/// requests run the `GET` route without returning its body, and `OPTIONS`
+/// requests get an empty response with the `Allow` header. When the
+/// function has a [Cors] option, CORS preflight requests are answered before
+/// they reach the router.
+final class HttpsRouter {
+  final _routes = <_Route>[];
+
+  /// Adds a route for `GET` requests to [path].
+  void get(
+    String path,
+    RouteHandler handler, {
+    List<Middleware> middleware = const [],
+  }) => add('GET', path, handler, middleware: middleware);
+
+  /// Adds a route for `POST` requests to [path].
+  void post(
+    String path,
+    RouteHandler handler, {
+    List<Middleware> middleware = const [],
+  }) => add('POST', path, handler, middleware: middleware);
+
+  /// Adds a route for `PUT` requests to [path].
+  void put(
+    String path,
+    RouteHandler handler, {
+    List<Middleware> middleware = const [],
+  }) => add('PUT', path, handler, middleware: middleware);
+
+  /// Adds a route for `PATCH` requests to [path].
+  void patch(
+    String path,
+    RouteHandler handler, {
+    List<Middleware> middleware = const [],
+  }) => add('PATCH', path, handler, middleware: middleware);
+
+  /// Adds a route for `DELETE` requests to [path].
+  void delete(
+    String path,
+    RouteHandler handler, {
+    List<Middleware> middleware = const [],
+  }) => add('DELETE', path, handler, middleware: middleware);
+
+  /// Adds a route for [method] requests to the path template [path].
+  ///
+  /// [middleware] wraps this route only, inside the function's middleware.
+  /// The first middleware in the list is the outermost.
+  ///
+  /// Throws an [ArgumentError] if [path] is not a valid template.
+  void add(
+    String method,
+    String path,
+    RouteHandler handler, {
+    List<Middleware> middleware = const [],
+  }) {
+    _routes.add(
+      _Route(method.toUpperCase(), _Template.parse(path), handler, middleware),
+    );
+  }
+
+  /// Handles [request], whose [Request.url] is relative to the function's
+  /// mount point.
+  Future<Response> call(Request request) async {
+    final segments = request.url.pathSegments
+        .where((segment) => segment.isNotEmpty)
+        .toList();
+    final method = request.method.toUpperCase();
+
+    final allowed = <String>{};
+    (_Route, PathParams)? getRoute;
+    for (final route in _routes) {
+      final params = route.template.match(segments);
+      if (params == null) continue;
+      if (route.method == method) return route.handle(request, params);
+      if (route.method == 'GET') getRoute ??= (route, params);
+      allowed.add(route.method);
+    }
+
+    if (allowed.isEmpty) return Response.notFound('Not Found');
+
+    if (method == 'HEAD' && getRoute != null) {
+      final (route, params) = getRoute;
+      final response = await route.handle(request, params);
+      await response.read().drain<void>();
+      // The explicit Content-Length of the GET response is kept.
+      return Response(
+        response.statusCode,
+        headers: response.headersAll,
+        context: response.context,
+      );
+    }
+
+    final allow = _allowHeader(allowed);
+    if (method == 'OPTIONS') {
+      return Response(204, headers: {'Allow': allow});
+    }
+    return Response(
+      405,
+      body: 'Method Not Allowed',
+      headers: {'Allow': allow},
+    );
+  }
+
+  static String _allowHeader(Set<String> methods) => {
+    ...methods,
+    if (methods.contains('GET')) 'HEAD',
+    'OPTIONS',
+  }.join(', ');
+}
+
+final class _Route {
+  _Route(this.method, this.template, this._handler, this.middleware);
+
+  final String method;
+  final _Template template;
+  final List<Middleware> middleware;
+  final RouteHandler _handler;
+
+  FutureOr<Response> handle(Request request, PathParams params) {
+    var pipeline = const Pipeline();
+    for (final wrapper in middleware) {
+      pipeline = pipeline.addMiddleware(wrapper);
+    }
+    return pipeline.addHandler((request) => _handler(request, params))(
+      request,
+    );
+  }
+}
+
+/// A parsed route path template such as `/users/<id:int>/posts`.
+final class _Template {
+  _Template._(this._segments);
+
+  /// Parses [path], throwing an [ArgumentError] if it is invalid.
+  factory _Template.parse(String path) {
+    final segments = path
+        .split('/')
+        .where((segment) => segment.isNotEmpty)
+        .toList();
+    final parsed = <_Segment>[];
+    final names = <String>{};
+    for (final (index, segment) in segments.indexed) {
+      final match = _parameter.firstMatch(segment);
+      if (match == null) {
+        if (segment.contains('<') || segment.contains('>')) {
+          throw ArgumentError.value(path, 'path', 'has a malformed parameter');
+        }
+        parsed.add(
+          (literal: Uri.decodeComponent(segment), name: null, type: null),
+        );
+        continue;
+      }
+
+      final name = match[1]!;
+      final type = match[2] ?? 'string';
+      if (!names.add(name)) {
+        throw ArgumentError.value(path, 'path', 'repeats parameter "$name"');
+      }
+      if (!const {'string', 'int', 'path'}.contains(type)) {
+        throw ArgumentError.value(path, 'path', 'has unknown type "$type"');
+      }
+      if (type == 'path' && index != segments.length - 1) {
+        throw ArgumentError.value(
+          path,
+          'path',
+          'has a path parameter that is not last',
+        );
+      }
+      parsed.add((literal: null, name: name, type: type));
+    }
+    return _Template._(parsed);
+  }
+
+  static final _parameter = RegExp(r'^<(\w+)(?::(\w+))?>$');
+
+  final List<_Segment> _segments;
+
+  /// The parameters captured from the path [segments], or null if they do
+  /// not match this template.
+  PathParams? match(List<String> segments) {
+    final values = <String, String>{};
+    final integers = <String, int>{};
+    for (final (index, segment) in _segments.indexed) {
+      if (index >= segments.length) return null;
+      final value = segments[index];
+      switch (segment) {
+        case (literal: final literal?, name: _, type: _):
+          if (value != literal) return null;
+        case (literal: _, name: final name?, type: 'path'):
+          values[name] = segments.skip(index).join('/');
+          return PathParams._(values, integers);
+        case (literal: _, name: final name?, type: 'int'):
+          final parsed = int.tryParse(value);
+          if (parsed == null) return null;
+          values[name] = value;
+          integers[name] = parsed;
+        case (literal: _, name: final name?, type: _):
+          values[name] = value;
+      }
+    }
+    if (segments.length != _segments.length) return null;
+    return PathParams._(values, integers);
+  }
+}
+
+typedef _Segment = ({String? literal, String? name, String? type});
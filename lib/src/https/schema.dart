@@ -0,0 +1,457 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// Input validation for callable functions.
+///
+/// @docImport 'error.dart';
+/// @docImport 'https_namespace.dart';
+library;
+
+import 'package:meta/meta.dart';
+
+/// Validates the `data` of a callable request before it is decoded.
+///
+/// Passed as the `validator` of [HttpsNamespace.onCallWithData]. When
+/// [validate] returns any failures, the request is rejected with an
+/// [InvalidArgumentError] listing them and the handler is not called.
+///
+/// Implement this directly for validation that a [Schema] can't express.
+abstract interface class DataValidator {
+  /// Returns every way in which [data] is invalid, or an empty list.
+  List<ValidationFailure> validate(Object? data);
+}
+
+/// A single reason why callable request data is invalid.
+@immutable
+final class ValidationFailure {
+  const ValidationFailure(this.path, this.reason);
+
+  /// JSON Pointer to the offending value, e.g. `/items/0/quantity`.
+  ///
+  /// The empty string refers to the data itself.
+  final String path;
+
+  /// Human-readable description of the problem.
+  final String reason;
+
+  /// Converts this failure to JSON, as sent in the error's `details`.
+  Map<String, String> toJson() => {'path': path, 'reason': reason};
+
+  @override
+  bool operator ==(Object other) =>
+      other is ValidationFailure &&
+      other.path == path &&
+      other.reason == reason;
+
+  @override
+  int get hashCode => Object.hash(path, reason);
+
+  @override
+  String toString() => '${path.isEmpty ? '/' : path}: $reason';
+}
+
+/// A JSON Schema describing callable request data.
+///
+/// Schemas cover the subset of JSON Schema needed to describe JSON request
+/// bodies: the `object`, `array`, `string`, `number`, `integer` and
+/// `boolean` types with their common constraints. [toJson] exports the
+/// schema as a JSON Schema document that can be shared with clients, and
+/// [Schema.fromJson] reads one back.
+///
+/// ```dart
+/// const orderSchema = ObjectSchema(
+///   properties: {
+///     'sku': StringSchema(pattern: r'^[A-Z]{3}-\d+$'),
+///     'quantity': NumberSchema.integer(minimum: 1),
+///   },
+///   required: ['sku', 'quantity'],
+/// );
+/// ```
+@immutable
+sealed class Schema implements DataValidator {
+  const Schema({this.description, this.nullable = false});
+
+  /// Parses a JSON Schema document.
+  ///
+  /// Throws a [FormatException] if [json] uses a type or keyword that is
+  /// not supported, rather than silently skipping that check.
+  factory Schema.fromJson(Map<String, dynamic> json) {
+    for (final key in json.keys) {
+      if (!_supportedKeywords.contains(key)) {
+        throw FormatException('Unsupported JSON Schema keyword "$key"');
+      }
+    }
+
+    var type = json['type'];
+    var nullable = false;
+    if (type is List && type.length == 2 && type.contains('null')) {
+      nullable = true;
+      type = type.firstWhere((t) => t != 'null');
+    }
+    final description = json['description'] as String?;
+    final properties = json['properties'] as Map<String, dynamic>? ?? {};
+
+    return switch (type) {
+      'object' => ObjectSchema(
+        properties: {
+          for (final MapEntry(:key, :value) in properties.entries)
+            key: Schema.fromJson(value as Map<String, dynamic>),
+        },
+        required: [
+          for (final name in (json['required'] as List?) ?? const [])
+            name as String,
+        ],
+        additionalProperties: switch (json['additionalProperties']) {
+          null => true,
+          final bool allowed => allowed,
+          // A schema for the additional properties is not supported
+          _ => throw const FormatException(
+            'Unsupported JSON Schema "additionalProperties": only true or '
+            'false is supported',
+          ),
+        },
+        description: description,
+        nullable: nullable,
+      ),
+      'array' => ArraySchema(
+        items: switch (json['items']) {
+          final Map<String, dynamic> items => Schema.fromJson(items),
+          _ => null,
+        },
+        minItems: json['minItems'] as int?,
+        maxItems: json['maxItems'] as int?,
+        description: description,
+        nullable: nullable,
+      ),
+      'string' => StringSchema(
+        minLength: json['minLength'] as int?,
+        maxLength: json['maxLength'] as int?,
+        pattern: json['pattern'] as String?,
+        allowedValues: (json['enum'] as List?)?.cast<String>(),
+        description: description,
+        nullable: nullable,
+      ),
+      'number' || 'integer' => NumberSchema._(
+        minimum: json['minimum'] as num?,
+        maximum: json['maximum'] as num?,
+        integer: type == 'integer',
+        description: description,
+        nullable: nullable,
+      ),
+      'boolean' => BooleanSchema(description: description, nullable: nullable),
+      _ => throw FormatException('Unsupported JSON Schema type "$type"'),
+    };
+  }
+
+  static const _supportedKeywords = {
+    r'$schema',
+    r'$id',
+    'title',
+    'description',
+    'type',
+    'properties',
+    'required',
+    'additionalProperties',
+    'items',
+    'minItems',
+    'maxItems',
+    'minLength',
+    'maxLength',
+    'pattern',
+    'enum',
+    'minimum',
+    'maximum',
+  };
+
+  /// Description included in the exported schema.
+  final String? description;
+
+  /// Whether `null` is accepted in addition to this schema's type.
+  final bool nullable;
+
+  /// The JSON Schema `type` of values matching this schema.
+  String get _type;
+
+  @override
+  List<ValidationFailure> validate(Object? data) {
+    final failures = <ValidationFailure>[];
+    _validate(data, '', failures);
+    return failures;
+  }
+
+  void _validate(Object? value, String path, List<ValidationFailure> out) {
+    if (value == null) {
+      if (!nullable) out.add(ValidationFailure(path, 'must not be null'));
+      return;
+    }
+    _check(value, path, out);
+  }
+
+  /// Checks a non-null [value] at [path], adding failures to [out].
+  void _check(Object value, String path, List<ValidationFailure> out);
+
+  /// Type-specific JSON Schema keywords.
+  Map<String, Object?> _keywords();
+
+  /// Exports this schema as a JSON Schema document.
+  Map<String, Object?> toJson() => {
+    'type': nullable ? [_type, 'null'] : _type,
+    if (description != null) 'description': description,
+    ..._keywords(),
+  };
+}
+
+/// Schema for a JSON object with known [properties].
+final class ObjectSchema extends Schema {
+  const ObjectSchema({
+    this.properties = const {},
+    this.required = const [],
+    this.additionalProperties = true,
+    super.description,
+    super.nullable,
+  });
+
+  /// Schemas for the object's properties, by name.
+  final Map<String, Schema> properties;
+
+  /// Names of properties that must be present.
+  final List<String> required;
+
+  /// Whether properties not listed in [properties] are allowed.
+  final bool additionalProperties;
+
+  @override
+  String get _type => 'object';
+
+  @override
+  void _check(Object value, String path, List<ValidationFailure> out) {
+    if (value is! Map) {
+      out.add(ValidationFailure(path, 'must be an object'));
+      return;
+    }
+    for (final name in required) {
+      if (!value.containsKey(name)) {
+        out.add(ValidationFailure(_child(path, name), 'is required'));
+      }
+    }
+    for (final MapEntry(:key, value: property) in value.entries) {
+      final name = key.toString();
+      final schema = properties[name];
+      if (schema != null) {
+        schema._validate(property, _child(path, name), out);
+      } else if (!additionalProperties) {
+        out.add(ValidationFailure(_child(path, name), 'is not allowed'));
+      }
+    }
+  }
+
+  @override
+  Map<String, Object?> _keywords() => {
+    if (properties.isNotEmpty)
+      'properties': {
+        for (final MapEntry(:key, :value) in properties.entries)
+          key: value.toJson(),
+      },
+    if (required.isNotEmpty) 'required': required,
+    if (!additionalProperties) 'additionalProperties': false,
+  };
+}
+
+/// Schema for a JSON array whose elements match [items].
+final class ArraySchema extends Schema {
+  const ArraySchema({
+    this.items,
+    this.minItems,
+    this.maxItems,
+    super.description,
+    super.nullable,
+  });
+
+  /// Schema every element must match, or `null` to accept any element.
+  final Schema? items;
+
+  /// Minimum number of elements.
+  final int? minItems;
+
+  /// Maximum number of elements.
+  final int? maxItems;
+
+  @override
+  String get _type => 'array';
+
+  @override
+  void _check(Object value, String path, List<ValidationFailure> out) {
+    if (value is! List) {
+      out.add(ValidationFailure(path, 'must be an array'));
+      return;
+    }
+    if (minItems case final min? when value.length < min) {
+      out.add(ValidationFailure(path, 'must have at least $min items'));
+    }
+    if (maxItems case final max? when value.length > max) {
+      out.add(ValidationFailure(path, 'must have at most $max items'));
+    }
+    if (items case final items?) {
+      for (var i = 0; i < value.length; i++) {
+        items._validate(value[i], '$path/$i', out);
+      }
+    }
+  }
+
+  @override
+  Map<String, Object?> _keywords() => {
+    if (items case final items?) 'items': items.toJson(),
+    if (minItems != null) 'minItems': minItems,
+    if (maxItems != null) 'maxItems': maxItems,
+  };
+}
+
+/// Schema for a JSON string.
+final class StringSchema extends Schema {
+  const StringSchema({
+    this.minLength,
+    this.maxLength,
+    this.pattern,
+    this.allowedValues,
+    super.description,
+    super.nullable,
+  });
+
+  /// Minimum length, in UTF-16 code units.
+  final int? minLength;
+
+  /// Maximum length, in UTF-16 code units.
+  final int? maxLength;
+
+  /// Regular expression the string must contain a match for.
+  final String? pattern;
+
+  /// The only values accepted, exported as the JSON Schema `enum`.
+  final List<String>? allowedValues;
+
+  @override
+  String get _type => 'string';
+
+  @override
+  void _check(Object value, String path, List<ValidationFailure> out) {
+    if (value is! String) {
+      out.add(ValidationFailure(path, 'must be a string'));
+      return;
+    }
+    if (minLength case final min? when value.length < min) {
+      out.add(ValidationFailure(path, 'must be at least $min characters'));
+    }
+    if (maxLength case final max? when value.length > max) {
+      out.add(ValidationFailure(path, 'must be at most $max characters'));
+    }
+    if (pattern case final pattern? when !RegExp(pattern).hasMatch(value)) {
+      out.add(ValidationFailure(path, 'must match $pattern'));
+    }
+    if (allowedValues case final allowed? when !allowed.contains(value)) {
+      out.add(ValidationFailure(path, 'must be one of ${allowed.join(', ')}'));
+    }
+  }
+
+  @override
+  Map<String, Object?> _keywords() => {
+    if (minLength != null) 'minLength': minLength,
+    if (maxLength != null) 'maxLength': maxLength,
+    if (pattern != null) 'pattern': pattern,
+    if (allowedValues != null) 'enum': allowedValues,
+  };
+}
+
+/// Schema for a JSON number, or an integer with [NumberSchema.integer].
+final class NumberSchema extends Schema {
+  /// Accepts any number.
+  const NumberSchema({
+    this.minimum,
+    this.maximum,
+    super.description,
+    super.nullable,
+  }) : integer = false;
+
+  /// Accepts only numbers without a fractional part.
+  const NumberSchema.integer({
+    this.minimum,
+    this.maximum,
+    super.description,
+    super.nullable,
+  }) : integer = true;
+
+  const NumberSchema._({
+    required this.integer,
+    this.minimum,
+    this.maximum,
+    super.description,
+    super.nullable,
+  });
+
+  /// Inclusive lower bound.
+  final num? minimum;
+
+  /// Inclusive upper bound.
+  final num? maximum;
+
+  /// Whether only integers are accepted.
+  final bool integer;
+
+  @override
+  String get _type => integer ? 'integer' : 'number';
+
+  @override
+  void _check(Object value, String path, List<ValidationFailure> out) {
+    if (value is! num) {
+      out.add(ValidationFailure(path, 'must be a number'));
+      return;
+    }
+    if (integer && (!value.isFinite || value != value.truncate())) {
+      out.add(ValidationFailure(path, 'must be an integer'));
+    }
+    if (minimum case final min? when value < min) {
+      out.add(ValidationFailure(path, 'must be at least $min'));
+    }
+    if (maximum case final max? when value > max) {
+      out.add(ValidationFailure(path, 'must be at most $max'));
+    }
+  }
+
+  @override
+  Map<String, Object?> _keywords() => {
+    if (minimum != null) 'minimum': minimum,
+    if (maximum != null) 'maximum': maximum,
+  };
+}
+
+/// Schema for a JSON boolean.
+final class BooleanSchema extends Schema {
+  const BooleanSchema({super.description, super.nullable});
+
+  @override
+  String get _type => 'boolean';
+
+  @override
+  void _check(Object value, String path, List<ValidationFailure> out) {
+    if (value is! bool) {
+      out.add(ValidationFailure(path, 'must be a boolean'));
+    }
+  }
+
+  @override
+  Map<String, Object?> _keywords() => const {};
+}
+
+/// Appends [name] to the JSON Pointer [path], escaping as per RFC 6901.
+String _child(String path, String name) =>
+    '$path/${name.replaceAll('~', '~0').replaceAll('/', '~1')}';
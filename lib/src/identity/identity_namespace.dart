@@ -212,7 +212,7 @@ class IdentityNamespace extends FunctionsNamespace {
   }) {
     final functionName = eventType.value;
 
-    firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         // Validate request
         if (!_isValidRequest(request)) {
@@ -252,7 +252,37 @@ class IdentityNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logInternalError(e, stackTrace).toShelfResponse();
       }
-    });
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      options: options,
+      trigger: {
+        'blockingTrigger': {
+          'eventType': eventType.legacyEventType,
+          'options': _triggerOptions(eventType, options),
+        },
+      },
+    );
+  }
+
+  /// The credentials passed to [eventType] functions, which only
+  /// `beforeCreate` and `beforeSignIn` receive.
+  Map<String, bool> _triggerOptions(
+    AuthBlockingEventType eventType,
+    BlockingOptions? options,
+  ) {
+    if (eventType != AuthBlockingEventType.beforeCreate &&
+        eventType != AuthBlockingEventType.beforeSignIn) {
+      return const {};
+    }
+    final opts = getOpts(options);
+    return {
+      if (opts.idToken) 'idToken': true,
+      if (opts.accessToken) 'accessToken': true,
+      if (opts.refreshToken) 'refreshToken': true,
+    };
   }
 
   /// Validates the request format.
@@ -273,16 +303,20 @@ class IdentityNamespace extends FunctionsNamespace {
   ///
   /// In production, the JWT signature is verified against Google's public
   /// certificates. In emulator mode (when FUNCTIONS_EMULATOR=true or
-  /// skipTokenVerification debug feature is enabled), verification is skipped.
+  /// skipTokenVerification debug feature is enabled), verification is skipped,
+  /// unless [Firebase.keyProvider] is set, which is used in either case.
   Future<Map<String, dynamic>> _decodeAndVerifyJwt(String jwt) async {
     // Get project ID
     final projectId = firebase.$env.projectId;
 
     // Create verifier
+    final keyProvider = firebase.keyProvider;
     final verifier = AuthBlockingTokenVerifier(
       projectId: projectId,
       isEmulator:
-          firebase.$env.isEmulator || firebase.$env.skipTokenVerification,
+          keyProvider == null &&
+          (firebase.$env.isEmulator || firebase.$env.skipTokenVerification),
+      keyProvider: keyProvider,
     );
 
     // Determine audience based on platform
@@ -15,43 +15,49 @@
 /// JWT token verification for Auth Blocking functions.
 library;
 
-import 'dart:convert';
-
 import 'package:dart_jsonwebtoken/dart_jsonwebtoken.dart';
 import 'package:http/http.dart' as http;
 
+import '../common/key_provider.dart';
 import '../https/error.dart';
 
 /// URL to fetch Google's public keys in JWK format for JWT verification.
 /// This endpoint returns keys directly as JWKs, no certificate parsing needed.
 const _googleJwksUrl = 'https://www.googleapis.com/oauth2/v3/certs';
 
-/// Cache duration for Google keys (1 hour default).
-const _keysCacheDuration = Duration(hours: 1);
-
 /// Verifier for Auth Blocking JWT tokens.
 ///
 /// This class handles JWT signature verification and claims validation
 /// for Identity Platform blocking functions.
 ///
-/// In production, tokens are verified against Google's public keys.
+/// In production, tokens are verified against Google's public keys, or
+/// against [keyProvider] when one is given.
 /// In emulator/debug mode, verification can be skipped.
 class AuthBlockingTokenVerifier {
   AuthBlockingTokenVerifier({
     required this.projectId,
     this.isEmulator = false,
+    KeyProvider? keyProvider,
     http.Client? httpClient,
-  }) : _httpClient = httpClient ?? http.Client();
+  }) : keyProvider =
+           keyProvider ??
+           (httpClient == null
+               ? _googleKeys
+               : JwksUrlKeyProvider(
+                   Uri.parse(_googleJwksUrl),
+                   httpClient: httpClient,
+                 ));
 
   final String projectId;
   final bool isEmulator;
-  final http.Client _httpClient;
 
-  /// Cached public keys.
-  static Map<String, JWTKey>? _cachedKeys;
+  /// The keys token signatures are verified against.
+  final KeyProvider keyProvider;
 
-  /// When the cached keys expire.
-  static DateTime? _keysExpireAt;
+  /// Google's public keys, shared so that they are cached across verifiers.
+  static JwksUrlKeyProvider _googleKeys = JwksUrlKeyProvider(
+    Uri.parse(_googleJwksUrl),
+  );
 
   /// Expected issuer for Auth Blocking tokens.
   String get _expectedIssuer => 'https://securetoken.google.com/$projectId';
@@ -74,41 +80,13 @@ class AuthBlockingTokenVerifier {
       return _unsafeDecode(token);
     }
 
-    // Decode the token first to get the header
-    JWT decoded;
+    final Map<String, dynamic> payload;
     try {
-      decoded = JWT.decode(token);
-    } catch (e) {
-      throw UnauthenticatedError('Invalid JWT format: $e');
-    }
-
-    final kid = decoded.header?['kid'];
-    if (kid is! String) {
-      throw UnauthenticatedError(
-        'Invalid JWT: missing "kid" header or not String',
-      );
-    }
-
-    // Get the keys from Google
-    final keys = await _getGoogleKeys();
-    final key = keys[kid];
-
-    if (key == null) {
-      throw UnauthenticatedError('Invalid JWT: unknown "kid"');
-    }
-
-    // Verify the token using dart_jsonwebtoken
-    try {
-      JWT.verify(token, key);
+      payload = await verifyJwt(token, keyProvider);
     } on JWTException catch (e) {
       throw UnauthenticatedError('Invalid JWT: ${e.message}');
-    } catch (e) {
-      throw UnauthenticatedError('Invalid JWT: $e');
     }
 
-    // Extract the payload as a map
-    final payload = decoded.payload as Map<String, dynamic>;
-
     // Validate Firebase-specific claims
     _validateClaims(payload, audience);
 
@@ -125,65 +103,6 @@ class AuthBlockingTokenVerifier {
     }
   }
 
-  /// Fetches Google's public keys and returns a map of kid to JWTKey.
-  ///
-  /// Uses the JWK endpoint which returns keys directly in JSON Web Key format,
-  /// so no manual certificate parsing is needed.
-  Future<Map<String, JWTKey>> _getGoogleKeys() async {
-    // Return cached keys if still valid
-    if (_cachedKeys != null &&
-        _keysExpireAt != null &&
-        DateTime.now().isBefore(_keysExpireAt!)) {
-      return _cachedKeys!;
-    }
-
-    // Fetch keys from Google's JWK endpoint
-    final response = await _httpClient.get(Uri.parse(_googleJwksUrl));
-
-    if (response.statusCode != 200) {
-      throw StateError(
-        'Failed to fetch Google public keys from $_googleJwksUrl: ${response.statusCode}',
-      );
-    }
-
-    // Parse the JWK Set response
-    final jwksJson = jsonDecode(response.body) as Map<String, dynamic>;
-    final newKeys = <String, JWTKey>{};
-
-    // The response contains a "keys" array with JWK objects
-    final keys = jwksJson['keys'] as List<dynamic>?;
-    if (keys != null) {
-      for (final keyJson in keys) {
-        try {
-          final jwk = keyJson as Map<String, dynamic>;
-          final kid = jwk['kid'] as String?;
-          if (kid != null) {
-            newKeys[kid] = JWTKey.fromJWK(jwk);
-          }
-        } catch (e) {
-          // Skip keys that fail to parse
-          continue;
-        }
-      }
-    }
-
-    // Cache with expiration from Cache-Control header or default
-    final cacheControl = response.headers['cache-control'];
-    var cacheDuration = _keysCacheDuration;
-
-    if (cacheControl != null) {
-      final maxAgeMatch = RegExp(r'max-age=(\d+)').firstMatch(cacheControl);
-      if (maxAgeMatch != null) {
-        cacheDuration = Duration(seconds: int.parse(maxAgeMatch.group(1)!));
-      }
-    }
-
-    _cachedKeys = newKeys;
-    _keysExpireAt = DateTime.now().add(cacheDuration);
-
-    return newKeys;
-  }
-
   /// Validates JWT claims.
   void _validateClaims(Map<String, dynamic> payload, String? audience) {
     // Validate issuer
@@ -252,7 +171,6 @@ class AuthBlockingTokenVerifier {
 
   /// Clears the key cache (useful for testing).
   static void clearCertificateCache() {
-    _cachedKeys = null;
-    _keysExpireAt = null;
+    _googleKeys = JwksUrlKeyProvider(Uri.parse(_googleJwksUrl));
   }
 }
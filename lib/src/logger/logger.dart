@@ -17,6 +17,9 @@ import 'dart:convert';
 import 'dart:io' as io;
 
 import 'package:meta/meta.dart';
+import 'package:stack_trace/stack_trace.dart' show Frame, Trace;
+
+import '../tracing/span.dart';
 
 /// Log severity levels for Cloud Logging.
 ///
@@ -159,20 +162,40 @@ final class Logger {
   Logger._({
     void Function(String line)? stdoutWriter,
     void Function(String line)? stderrWriter,
+    Map<String, String> labels = const {},
   }) : _stdoutWriter = stdoutWriter ?? _defaultStdoutWriter,
-       _stderrWriter = stderrWriter ?? _defaultStderrWriter;
+       _stderrWriter = stderrWriter ?? _defaultStderrWriter,
+       _labels = labels;
 
   final void Function(String line) _stdoutWriter;
   final void Function(String line) _stderrWriter;
+  final Map<String, String> _labels;
 
   static void _defaultStdoutWriter(String line) => io.stdout.writeln(line);
   static void _defaultStderrWriter(String line) => io.stderr.writeln(line);
 
+  /// Returns a logger that adds [labels] to every entry it writes.
+  ///
+  /// Labels are written to `logging.googleapis.com/labels`, so Cloud Logging
+  /// indexes them for filtering. They are merged with this logger's labels,
+  /// with [labels] taking precedence.
+  ///
+  /// ```dart
+  /// final log = logger.withLabels({'orderId': order.id});
+  /// log.info('Charging card');
+  /// ```
+  Logger withLabels(Map<String, String> labels) => Logger._(
+    stdoutWriter: _stdoutWriter,
+    stderrWriter: _stderrWriter,
+    labels: {..._labels, ...labels},
+  );
+
   /// Writes a [LogEntry] to stdout or stderr depending on severity.
   ///
   /// The entry must contain a `severity` key. If a trace ID is available
   /// in the current [Zone] (via [traceIdZoneKey]), it is automatically added
-  /// to the entry.
+  /// to the entry, as is the request-scoped [LogContext] of the function
+  /// invocation being handled.
   void write(LogEntry entry) {
     // Add trace context if available.
 
@@ -184,6 +207,29 @@ final class Logger {
       assert(traceId.isNotEmpty, 'traceIdZoneKey value must not be empty');
       entry['logging.googleapis.com/trace'] =
           'projects/$projectId/traces/$traceId';
+      if (currentSpan case final span?) {
+        entry['logging.googleapis.com/spanId'] = span.context.spanId;
+      }
+    }
+
+    final context = Zone.current[logContextZoneKey] as LogContext?;
+    final labels = {
+      ...?context?.labels,
+      ..._labels,
+      ...?entry[_labelsKey] as Map<String, Object?>?,
+    };
+    if (labels.isNotEmpty) {
+      entry[_labelsKey] = labels;
+    }
+    if (context != null) {
+      if (context.httpRequest case final httpRequest?) {
+        entry.putIfAbsent('httpRequest', () => httpRequest);
+      }
+      if (context.sourceLocation) {
+        if (_callerLocation() case final location?) {
+          entry.putIfAbsent(_sourceLocationKey, () => location);
+        }
+      }
     }
 
     final sanitized = removeCircular(entry);
@@ -230,6 +276,27 @@ final class Logger {
   }
 }
 
+const _labelsKey = 'logging.googleapis.com/labels';
+const _sourceLocationKey = 'logging.googleapis.com/sourceLocation';
+
+/// Returns the Cloud Logging `sourceLocation` of the code that called into
+/// the logger, or `null` if it cannot be determined.
+Map<String, String>? _callerLocation() {
+  for (final frame in Trace.current(1).frames) {
+    if (_isLoggerFrame(frame)) continue;
+    return {
+      'file': frame.library,
+      if (frame.line case final line?) 'line': '$line',
+      if (frame.member case final member?) 'function': member,
+    };
+  }
+  return null;
+}
+
+bool _isLoggerFrame(Frame frame) =>
+    frame.package == 'firebase_functions' &&
+    frame.uri.path.contains('/src/logger/');
+
 /// Constructs a [LogEntry] from a severity, message, and optional JSON
 /// payload.
 ///
@@ -282,3 +349,63 @@ final Object traceIdZoneKey = Object();
 /// Zone key for propagating project ID.
 @internal
 final Object projectIdZoneKey = Object();
+
+/// Zone key for propagating the [LogContext] of the current invocation.
+@internal
+final Object logContextZoneKey = Object();
+
+/// Request-scoped data attached to every entry written while a function
+/// invocation is being handled.
+@internal
+final class LogContext {
+  const LogContext({
+    this.labels = const {},
+    this.httpRequest,
+    this.sourceLocation = false,
+  });
+
+  /// Labels written to `logging.googleapis.com/labels`.
+  final Map<String, String> labels;
+
+  /// The Cloud Logging `HttpRequest` being handled, if any.
+  final Map<String, Object?>? httpRequest;
+
+  /// Whether to record the source location of each log call.
+  final bool sourceLocation;
+
+  /// Builds the Cloud Logging `HttpRequest` for an incoming request with
+  /// [method], [url] and [headers].
+  static Map<String, Object?> httpRequestOf(
+    String method,
+    Uri url,
+    Map<String, String> headers, {
+    String? protocol,
+  }) => {
+    'requestMethod': method,
+    'requestUrl': url.toString(),
+    if (headers['user-agent'] case final userAgent?) 'userAgent': userAgent,
+    if (headers['referer'] case final referer?) 'referer': referer,
+    if (headers['x-forwarded-for'] case final forwardedFor?)
+      'remoteIp': forwardedFor.split(',').first.trim(),
+    if (protocol != null) 'protocol': 'HTTP/$protocol',
+  };
+}
+
+/// Runs [body] with [labels] added to the current [LogContext].
+///
+/// [httpRequest] and [sourceLocation] replace the current values when given.
+@internal
+R runWithLogContext<R>(
+  R Function() body, {
+  Map<String, String> labels = const {},
+  Map<String, Object?>? httpRequest,
+  bool? sourceLocation,
+}) {
+  final current = Zone.current[logContextZoneKey] as LogContext?;
+  final context = LogContext(
+    labels: {...?current?.labels, ...labels},
+    httpRequest: httpRequest ?? current?.httpRequest,
+    sourceLocation: sourceLocation ?? current?.sourceLocation ?? false,
+  );
+  return runZoned(body, zoneValues: {logContextZoneKey: context});
+}
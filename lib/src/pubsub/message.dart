@@ -12,7 +12,11 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport 'pubsub_namespace.dart';
+library;
+
 import 'dart:convert';
+import 'dart:typed_data';
 
 /// A Pub/Sub message.
 ///
@@ -24,6 +28,8 @@ class PubsubMessage {
     required this.messageId,
     required this.publishTime,
     this.orderingKey,
+    this.subscription,
+    this.deliveryAttempt,
   });
 
   /// Parses a PubsubMessage from JSON (CloudEvent data format).
@@ -38,7 +44,8 @@ class PubsubMessage {
   ///     "publishTime": "2024-01-01T12:00:00Z",
   ///     "orderingKey": "optional-key"
   ///   },
-  ///   "subscription": "projects/my-project/subscriptions/my-sub"
+  ///   "subscription": "projects/my-project/subscriptions/my-sub",
+  ///   "deliveryAttempt": 1
   /// }
   /// ```
   factory PubsubMessage.fromJson(Map<String, dynamic> json) {
@@ -50,6 +57,8 @@ class PubsubMessage {
       messageId: message['messageId'] as String,
       publishTime: DateTime.parse(message['publishTime'] as String),
       orderingKey: message['orderingKey'] as String?,
+      subscription: json['subscription'] as String?,
+      deliveryAttempt: (json['deliveryAttempt'] as num?)?.toInt(),
     );
   }
 
@@ -68,6 +77,17 @@ class PubsubMessage {
   /// Ordering key for this message (if applicable).
   final String? orderingKey;
 
+  /// The subscription that delivered this message, in the form
+  /// `projects/{project}/subscriptions/{subscription}`.
+  final String? subscription;
+
+  /// How many times Pub/Sub has attempted to deliver this message, starting
+  /// at 1.
+  ///
+  /// Only set when the subscription has a dead-letter policy. Use it to
+  /// give up on a message before it is forwarded to the dead-letter topic.
+  final int? deliveryAttempt;
+
   /// Converts this message to JSON.
   Map<String, dynamic> toJson() => <String, dynamic>{
     'message': <String, dynamic>{
@@ -77,32 +97,73 @@ class PubsubMessage {
       'publishTime': publishTime.toIso8601String(),
       if (orderingKey != null) 'orderingKey': orderingKey,
     },
+    if (subscription != null) 'subscription': subscription,
+    if (deliveryAttempt != null) 'deliveryAttempt': deliveryAttempt,
   };
 
-  /// Decodes the base64-encoded data as a UTF-8 string.
-  String get textData {
+  /// The message data as raw bytes.
+  ///
+  /// Throws a [FormatException] if [data] is not valid base64.
+  Uint8List get bytes {
     try {
-      return utf8.decode(base64.decode(data));
+      return base64.decode(data);
     } on FormatException {
       throw const FormatException('Message data is not valid base64');
     }
   }
 
-  /// Decodes the base64-encoded data as raw bytes.
-  List<int> get binaryData {
+  /// The message data decoded as UTF-8 JSON.
+  ///
+  /// Throws a [FormatException] if the data is not valid base64, UTF-8 or
+  /// JSON.
+  Object? get json {
+    final text = textData;
     try {
-      return base64.decode(data);
+      return jsonDecode(text);
     } on FormatException {
-      throw const FormatException('Message data is not valid base64');
+      throw const FormatException('Message data is not valid JSON');
     }
   }
 
-  /// Decodes the base64-encoded data as JSON.
-  dynamic get jsonData {
+  /// Decodes the base64-encoded data as a UTF-8 string.
+  ///
+  /// Throws a [FormatException] if the data is not valid base64 or UTF-8.
+  String get textData {
+    final bytes = this.bytes;
     try {
-      return jsonDecode(textData);
+      return utf8.decode(bytes);
     } on FormatException {
-      throw const FormatException('Message data is not valid JSON');
+      throw const FormatException('Message data is not valid UTF-8');
     }
   }
+
+  /// Decodes the base64-encoded data as raw bytes.
+  ///
+  /// Same as [bytes].
+  List<int> get binaryData => bytes;
+
+  /// Decodes the base64-encoded data as JSON.
+  ///
+  /// Same as [json].
+  dynamic get jsonData => json;
+}
+
+/// A Pub/Sub message whose JSON payload has been converted to [T].
+///
+/// Delivered by [PubSubNamespace.onMessagePublishedWithData].
+class PubsubMessageWithData<T extends Object> extends PubsubMessage {
+  PubsubMessageWithData(PubsubMessage message, this.payload)
+    : super(
+        data: message.data,
+        attributes: message.attributes,
+        messageId: message.messageId,
+        publishTime: message.publishTime,
+        orderingKey: message.orderingKey,
+        subscription: message.subscription,
+        deliveryAttempt: message.deliveryAttempt,
+      );
+
+  /// The message payload, converted by the `fromJson` function passed to
+  /// [PubSubNamespace.onMessagePublishedWithData].
+  final T payload;
 }
@@ -12,11 +12,15 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport '../firebase.dart';
+library;
+
 import '../common/options.dart';
 
 /// Options for Pub/Sub event handlers.
 class PubSubOptions extends GlobalOptions {
   const PubSubOptions({
+    this.idempotent = false,
     super.concurrency,
     super.cpu,
     super.ingressSettings,
@@ -34,4 +38,8 @@ class PubSubOptions extends GlobalOptions {
     super.vpcConnector,
     super.vpcConnectorEgressSettings,
   });
+
+  /// Whether to skip redelivered messages that this function already handled
+  /// successfully; see [Firebase.dedupeStore].
+  final bool idempotent;
 }
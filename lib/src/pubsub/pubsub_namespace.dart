@@ -16,10 +16,13 @@ import 'dart:async';
 
 import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
+import 'package:stack_trace/stack_trace.dart' show Trace;
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
+import '../logger/logger.dart';
 import 'message.dart';
 import 'options.dart';
 
@@ -33,6 +36,10 @@ class PubSubNamespace extends FunctionsNamespace {
   ///
   /// The handler receives a [CloudEvent] containing the [PubsubMessage].
   ///
+  /// The function is named after [topic] unless [name] is given. Topics that
+  /// differ only by hyphens, such as `my-topic` and `mytopic`, need a [name]
+  /// to tell them apart.
+  ///
   /// Example:
   /// ```dart
   /// firebase.pubsub.onMessagePublished(
@@ -49,12 +56,103 @@ class PubSubNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String topic,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
+    @mustBeConst PubSubOptions? options = const PubSubOptions(),
+  }) {
+    _registerMessageHandler(
+      topic,
+      name,
+      options,
+      (event, message) => handler(event),
+    );
+  }
+
+  /// Creates a function triggered by Pub/Sub messages with a JSON payload,
+  /// converted to [T].
+  ///
+  /// Like [onMessagePublished], but the message data is decoded as JSON and
+  /// passed to [fromJson], in the same way `fromJson` works for
+  /// `onCallWithData`. The result is available as
+  /// [PubsubMessageWithData.payload].
+  ///
+  /// If the data is not a JSON object or [fromJson] throws, the error is
+  /// logged and the message is acknowledged without calling the handler,
+  /// since redelivering a malformed message cannot succeed.
+  ///
+  /// As with [onMessagePublished], [name] overrides the function name
+  /// derived from [topic].
+  ///
+  /// Example:
+  /// ```dart
+  /// firebase.pubsub.onMessagePublishedWithData<Order>(
+  ///   topic: 'orders',
+  ///   fromJson: Order.fromJson,
+  ///   (event) async {
+  ///     final order = event.data!.payload;
+  ///     print('Order ${order.id} (attempt ${event.data!.deliveryAttempt})');
+  ///   },
+  /// );
+  /// ```
+  void onMessagePublishedWithData<T extends Object>(
+    Future<void> Function(CloudEvent<PubsubMessageWithData<T>> event) handler, {
+    // ignore: experimental_member_use
+    @mustBeConst required String topic,
+    required T Function(Map<String, dynamic>) fromJson,
+    // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst PubSubOptions? options = const PubSubOptions(),
   }) {
-    // Generate function name from topic
-    final functionName = _topicToFunctionName(topic);
+    _registerMessageHandler(topic, name, options, (event, message) async {
+      final T payload;
+      try {
+        payload = fromJson(message.json! as Map<String, dynamic>);
+      } catch (e, stackTrace) {
+        logger.error(
+          'Discarding malformed Pub/Sub message ${message.messageId}: $e\n'
+          '${Trace.from(stackTrace).terse}',
+          {
+            'messageId': message.messageId,
+            if (message.subscription != null)
+              'subscription': message.subscription,
+            if (message.deliveryAttempt != null)
+              'deliveryAttempt': message.deliveryAttempt,
+          },
+        );
+        return;
+      }
+
+      await handler(
+        CloudEvent<PubsubMessageWithData<T>>(
+          data: PubsubMessageWithData(message, payload),
+          id: event.id,
+          source: event.source,
+          specversion: event.specversion,
+          subject: event.subject,
+          time: event.time,
+          type: event.type,
+        ),
+      );
+    });
+  }
+
+  /// Registers [handler] for messages published to [topic].
+  ///
+  /// [handler] receives the event and its message. Events without a message,
+  /// or with one that cannot be decoded, are logged and acknowledged without
+  /// calling it, since Pub/Sub would otherwise redeliver them forever.
+  void _registerMessageHandler(
+    String topic,
+    String? name,
+    PubSubOptions? options,
+    Future<void> Function(CloudEvent<PubsubMessage>, PubsubMessage) handler,
+  ) {
+    // Generate function name from topic unless one was given
+    final functionName = name ?? _topicToFunctionName(topic);
+    final topicName = topic.split('/').last;
 
-    firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         // Read and parse CloudEvent
         final json = await parseAndValidateCloudEvent(request);
@@ -67,14 +165,33 @@ class PubSubNamespace extends FunctionsNamespace {
           );
         }
 
-        // Parse CloudEvent with PubsubMessage data
-        final event = CloudEvent<PubsubMessage>.fromJson(
-          json,
-          PubsubMessage.fromJson,
-        );
+        final data = json['data'];
+        if (data is! Map<String, dynamic> ||
+            data['message'] is! Map<String, dynamic>) {
+          logger.error(
+            'Discarding Pub/Sub event ${json['id']} without a message',
+            {'eventId': json['id'], 'topic': topicName},
+          );
+          return Response.ok('');
+        }
+
+        // Parse CloudEvent with PubsubMessage data, decoding the data up front
+        // so that bad base64 is caught here rather than in the handler
+        final PubsubMessage message;
+        try {
+          message = PubsubMessage.fromJson(data)..bytes;
+        } catch (e, stackTrace) {
+          logger.error(
+            'Discarding malformed Pub/Sub message in event ${json['id']}: $e\n'
+            '${Trace.from(stackTrace).terse}',
+            {'eventId': json['id'], 'topic': topicName},
+          );
+          return Response.ok('');
+        }
+        final event = CloudEvent<PubsubMessage>.fromJson(json, (_) => message);
 
         // Execute handler
-        await handler(event);
+        await handler(event, message);
 
         // Return success
         return Response.ok('');
@@ -83,7 +200,17 @@ class PubSubNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      eventType: _eventType,
+      topic: topicName,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      trigger: eventTrigger(_eventType, filters: {'topic': topicName}),
+    );
   }
 
   /// Converts a topic name to a function name.
@@ -103,6 +230,7 @@ class PubSubNamespace extends FunctionsNamespace {
   }
 
   /// Checks if the CloudEvent type is a Pub/Sub message event.
-  bool _isPubSubEvent(String type) =>
-      type == 'google.cloud.pubsub.topic.v1.messagePublished';
+  bool _isPubSubEvent(String type) => type == _eventType;
 }
+
+const _eventType = 'google.cloud.pubsub.topic.v1.messagePublished';
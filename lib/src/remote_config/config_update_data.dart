@@ -12,6 +12,9 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+import 'remote_config_client.dart';
+import 'template.dart';
+
 /// The data within Firebase Remote Config update events.
 class ConfigUpdateData {
   const ConfigUpdateData({
@@ -22,10 +25,16 @@ class ConfigUpdateData {
     required this.updateOrigin,
     required this.updateType,
     this.rollbackSource,
-  });
+    RemoteConfigClient? client,
+  }) : _client = client;
 
   /// Parses a ConfigUpdateData from JSON (CloudEvent data format).
-  factory ConfigUpdateData.fromJson(Map<String, dynamic> json) {
+  ///
+  /// [client] is used by [fetchTemplates].
+  factory ConfigUpdateData.fromJson(
+    Map<String, dynamic> json, {
+    RemoteConfigClient? client,
+  }) {
     return ConfigUpdateData(
       versionNumber: json['versionNumber'] as num,
       updateTime: DateTime.parse(json['updateTime'] as String),
@@ -38,6 +47,7 @@ class ConfigUpdateData {
       ),
       updateType: ConfigUpdateType.fromValue(json['updateType'] as String),
       rollbackSource: json['rollbackSource'] as int?,
+      client: client,
     );
   }
 
@@ -64,6 +74,47 @@ class ConfigUpdateData {
   /// the version number of the Remote Config template that was rolled-back to.
   final int? rollbackSource;
 
+  final RemoteConfigClient? _client;
+
+  /// Fetches the template of this version and of [previousVersion], which
+  /// defaults to the version before it, and compares them.
+  ///
+  /// For a rollback, the version before is the one that was rolled back;
+  /// pass [rollbackSource] to fetch the version that was restored instead.
+  /// There is no previous template for version 1.
+  ///
+  /// Data delivered to `onConfigUpdated` triggers fetches templates with
+  /// `RemoteConfigNamespace.client`. Throws a [StateError] for data created
+  /// without a client, and a [RemoteConfigException] if a request fails.
+  ///
+  /// ```dart
+  /// firebase.remoteConfig.onConfigUpdated((event) async {
+  ///   final templates = await event.data!.fetchTemplates();
+  ///   for (final key in templates.diff.parameters.added.keys) {
+  ///     print('Added parameter $key');
+  ///   }
+  /// });
+  /// ```
+  Future<ConfigUpdateTemplates> fetchTemplates({int? previousVersion}) async {
+    final client = _client;
+    if (client == null) {
+      throw StateError(
+        'The update to version $versionNumber is not bound to a Remote '
+        'Config client.',
+      );
+    }
+    final version = versionNumber.toInt();
+    final previous = previousVersion ?? version - 1;
+    final templates = await Future.wait([
+      client.getTemplate(versionNumber: version),
+      if (previous >= 1) client.getTemplate(versionNumber: previous),
+    ]);
+    return ConfigUpdateTemplates(
+      current: templates.first,
+      previous: templates.length > 1 ? templates[1] : null,
+    );
+  }
+
   /// Converts this data to JSON.
   Map<String, dynamic> toJson() => <String, dynamic>{
     'versionNumber': versionNumber,
@@ -76,6 +127,26 @@ class ConfigUpdateData {
   };
 }
 
+/// The templates of a Remote Config update and the changes between them.
+final class ConfigUpdateTemplates {
+  ConfigUpdateTemplates({required this.current, this.previous})
+    : diff = RemoteConfigTemplateDiff(
+        previous ?? const RemoteConfigTemplate(),
+        current,
+      );
+
+  /// The template of the updated version.
+  final RemoteConfigTemplate current;
+
+  /// The template it is compared with, or `null` when the update created
+  /// the first version.
+  final RemoteConfigTemplate? previous;
+
+  /// The changes from [previous] to [current]. Everything in [current] is
+  /// added when there is no [previous] template.
+  final RemoteConfigTemplateDiff diff;
+}
+
 /// The person/service account that wrote a Remote Config template.
 class ConfigUser {
   const ConfigUser({
@@ -14,4 +14,6 @@
 
 export 'config_update_data.dart';
 export 'options.dart';
+export 'remote_config_client.dart';
 export 'remote_config_namespace.dart';
+export 'template.dart';
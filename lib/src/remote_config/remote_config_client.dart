@@ -0,0 +1,114 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport 'remote_config_namespace.dart';
+library;
+
+import 'dart:convert';
+
+import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
+import 'package:http/http.dart' as http;
+
+import '../common/admin_client.dart';
+import 'template.dart';
+
+/// Thrown when a Remote Config request fails.
+class RemoteConfigException implements Exception {
+  const RemoteConfigException(this.code, this.message);
+
+  /// A machine-readable error code, e.g. `not-found`.
+  final String code;
+
+  /// A human-readable description of the error.
+  final String message;
+
+  @override
+  String toString() => 'RemoteConfigException($code): $message';
+}
+
+/// Reads the Remote Config templates of a project through the Remote Config
+/// REST API, as the Admin SDK does.
+///
+/// Templates delivered to `onConfigUpdated` triggers are fetched with
+/// [RemoteConfigNamespace.client]. Requests are authorized with the
+/// credentials of the Admin SDK `app` passed to the constructor, or of the
+/// default app; the default client uses `Firebase.adminApp`. The account
+/// needs the Remote Config Viewer role. Given an `httpClient`, the client
+/// sends requests with it as they are, leaving authorization to it.
+///
+/// When [serverHost] is set, requests go to that `host:port` over plain
+/// HTTP instead, without credentials, so that tests can run against a local
+/// fake Remote Config server:
+///
+/// ```dart
+/// firebase.remoteConfig.client = RemoteConfigClient(
+///   projectId: 'demo-test',
+///   serverHost: 'localhost:8123',
+/// );
+/// ```
+final class RemoteConfigClient {
+  RemoteConfigClient({
+    required this.projectId,
+    this.serverHost,
+    FirebaseApp? app,
+    http.Client? httpClient,
+  }) : _httpClient =
+           httpClient ??
+           (serverHost == null
+               ? AdminAppClient(app ?? FirebaseApp.getApp())
+               : http.Client());
+
+  /// The project whose templates are read.
+  final String projectId;
+
+  /// The `host:port` of a stand-in Remote Config server, if any.
+  final String? serverHost;
+
+  final http.Client _httpClient;
+
+  /// Fetches version [versionNumber] of the template, or the active version
+  /// when it is null.
+  ///
+  /// Throws a [RemoteConfigException] with code `not-found` if the version
+  /// does not exist, which is the case for versions older than the 300 most
+  /// recent ones.
+  Future<RemoteConfigTemplate> getTemplate({int? versionNumber}) async {
+    final path = 'v1/projects/$projectId/remoteConfig';
+    final query = versionNumber == null
+        ? null
+        : {'versionNumber': '$versionNumber'};
+    final uri = serverHost != null
+        ? Uri.http(serverHost!, path, query)
+        : Uri.https('firebaseremoteconfig.googleapis.com', path, query);
+
+    final response = await _httpClient.get(uri);
+
+    final status = response.statusCode;
+    if (status != 200) {
+      final code = switch (status) {
+        401 || 403 => 'permission-denied',
+        404 => 'not-found',
+        _ => 'internal',
+      };
+      throw RemoteConfigException(
+        code,
+        'Remote Config request failed ($status): ${response.body}',
+      );
+    }
+    return RemoteConfigTemplate.fromJson(
+      jsonDecode(response.body) as Map<String, dynamic>,
+      etag: response.headers['etag'],
+    );
+  }
+}
@@ -18,10 +18,12 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
 import 'config_update_data.dart';
 import 'options.dart';
+import 'remote_config_client.dart';
 
 /// Remote Config triggers namespace.
 ///
@@ -29,9 +31,27 @@ import 'options.dart';
 class RemoteConfigNamespace extends FunctionsNamespace {
   const RemoteConfigNamespace(super.firebase);
 
+  static final Map<Firebase, RemoteConfigClient> _clientsMap = {};
+
+  /// The client [ConfigUpdateData.fetchTemplates] reads templates with.
+  ///
+  /// Defaults to a [RemoteConfigClient] for the project. Replace it before
+  /// events arrive, e.g. with one whose `serverHost` is a local fake server
+  /// in tests.
+  RemoteConfigClient get client => _clientsMap.putIfAbsent(
+    firebase,
+    () => RemoteConfigClient(
+      projectId: firebase.$env.projectId,
+      app: firebase.adminApp,
+    ),
+  );
+
+  set client(RemoteConfigClient client) => _clientsMap[firebase] = client;
+
   /// Creates a function triggered by Remote Config updates.
   ///
   /// The handler receives a [CloudEvent] containing the [ConfigUpdateData].
+  /// The function is named `onConfigUpdated` unless [name] is given.
   ///
   /// Example:
   /// ```dart
@@ -43,14 +63,18 @@ class RemoteConfigNamespace extends FunctionsNamespace {
   ///   },
   /// );
   /// ```
+  ///
+  /// Call [ConfigUpdateData.fetchTemplates] to see what the update changed.
   void onConfigUpdated(
     Future<void> Function(CloudEvent<ConfigUpdateData> event) handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst RemoteConfigOptions? options = const RemoteConfigOptions(),
   }) {
-    const functionName = 'onConfigUpdated';
+    final functionName = name ?? 'onConfigUpdated';
 
-    firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         // Read and parse CloudEvent
         final json = await parseAndValidateCloudEvent(request);
@@ -66,7 +90,7 @@ class RemoteConfigNamespace extends FunctionsNamespace {
         // Parse CloudEvent with ConfigUpdateData
         final event = CloudEvent<ConfigUpdateData>.fromJson(
           json,
-          ConfigUpdateData.fromJson,
+          (data) => ConfigUpdateData.fromJson(data, client: client),
         );
 
         // Execute handler
@@ -79,10 +103,21 @@ class RemoteConfigNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      eventType: _eventType,
+      trigger: eventTrigger(_eventType),
+    );
   }
 
   /// Checks if the CloudEvent type is a Remote Config update event.
-  bool _isRemoteConfigEvent(String type) =>
-      type == 'google.firebase.remoteconfig.remoteConfig.v1.updated';
+  bool _isRemoteConfigEvent(String type) => type == _eventType;
+
+  static const _eventType =
+      'google.firebase.remoteconfig.remoteConfig.v1.updated';
 }
@@ -0,0 +1,485 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport 'config_update_data.dart';
+/// @docImport 'remote_config_client.dart';
+library;
+
+import '../common/change.dart';
+
+export '../common/change.dart';
+
+/// A version of a project's Remote Config template.
+///
+/// Fetch one with [RemoteConfigClient.getTemplate], or both templates of an
+/// update with [ConfigUpdateData.fetchTemplates].
+final class RemoteConfigTemplate {
+  const RemoteConfigTemplate({
+    this.conditions = const [],
+    this.parameters = const {},
+    this.parameterGroups = const {},
+    this.version,
+    this.etag,
+  });
+
+  /// Parses a template in the Remote Config REST API format.
+  factory RemoteConfigTemplate.fromJson(
+    Map<String, dynamic> json, {
+    String? etag,
+  }) => RemoteConfigTemplate(
+    conditions: [
+      for (final condition in json['conditions'] as List? ?? const [])
+        RemoteConfigCondition.fromJson(condition as Map<String, dynamic>),
+    ],
+    parameters: _parameters(json['parameters']),
+    parameterGroups: {
+      for (final MapEntry(:key, :value)
+          in (json['parameterGroups'] as Map? ?? const {}).entries)
+        key as String: RemoteConfigParameterGroup.fromJson(
+          value as Map<String, dynamic>,
+        ),
+    },
+    version: switch (json['version']) {
+      final Map<String, dynamic> version => RemoteConfigVersion.fromJson(
+        version,
+      ),
+      _ => null,
+    },
+    etag: etag,
+  );
+
+  /// The conditions, in order of priority.
+  final List<RemoteConfigCondition> conditions;
+
+  /// The parameters that are not in a group, by key.
+  final Map<String, RemoteConfigParameter> parameters;
+
+  /// The parameter groups, by name.
+  final Map<String, RemoteConfigParameterGroup> parameterGroups;
+
+  /// The version this template was read from.
+  final RemoteConfigVersion? version;
+
+  /// The ETag of this template, from the response it was read from.
+  final String? etag;
+
+  /// The changes from [previous] to this template.
+  RemoteConfigTemplateDiff diff(RemoteConfigTemplate previous) =>
+      RemoteConfigTemplateDiff(previous, this);
+
+  /// Converts this template to the Remote Config REST API format.
+  Map<String, dynamic> toJson() => <String, dynamic>{
+    'conditions': [for (final condition in conditions) condition.toJson()],
+    'parameters': _parametersToJson(parameters),
+    'parameterGroups': {
+      for (final MapEntry(:key, :value) in parameterGroups.entries)
+        key: value.toJson(),
+    },
+    if (version != null) 'version': version!.toJson(),
+  };
+}
+
+/// A condition that selects the value of parameters for some clients.
+final class RemoteConfigCondition {
+  const RemoteConfigCondition({
+    required this.name,
+    required this.expression,
+    this.tagColor,
+  });
+
+  /// Parses a condition in the Remote Config REST API format.
+  factory RemoteConfigCondition.fromJson(Map<String, dynamic> json) =>
+      RemoteConfigCondition(
+        name: json['name'] as String,
+        expression: json['expression'] as String,
+        tagColor: json['tagColor'] as String?,
+      );
+
+  /// The name of the condition, referenced by conditional values.
+  final String name;
+
+  /// The expression clients are matched against, such as
+  /// `device.os == 'ios'`.
+  final String expression;
+
+  /// The color of the condition in the Firebase console, such as `BLUE`.
+  final String? tagColor;
+
+  /// Converts this condition to the Remote Config REST API format.
+  Map<String, dynamic> toJson() => <String, dynamic>{
+    'name': name,
+    'expression': expression,
+    if (tagColor != null) 'tagColor': tagColor,
+  };
+
+  @override
+  bool operator ==(Object other) =>
+      other is RemoteConfigCondition &&
+      other.name == name &&
+      other.expression == expression &&
+      other.tagColor == tagColor;
+
+  @override
+  int get hashCode => Object.hash(name, expression, tagColor);
+
+  @override
+  String toString() => 'RemoteConfigCondition($name: $expression)';
+}
+
+/// A parameter of a Remote Config template.
+final class RemoteConfigParameter {
+  const RemoteConfigParameter({
+    this.defaultValue,
+    this.conditionalValues = const {},
+    this.description,
+    this.valueType = 'STRING',
+  });
+
+  /// Parses a parameter in the Remote Config REST API format.
+  factory RemoteConfigParameter.fromJson(Map<String, dynamic> json) =>
+      RemoteConfigParameter(
+        defaultValue: switch (json['defaultValue']) {
+          final Map<String, dynamic> value => RemoteConfigValue.fromJson(value),
+          _ => null,
+        },
+        conditionalValues: {
+          for (final MapEntry(:key, :value)
+              in (json['conditionalValues'] as Map? ?? const {}).entries)
+            key as String: RemoteConfigValue.fromJson(
+              value as Map<String, dynamic>,
+            ),
+        },
+        description: json['description'] as String?,
+        valueType: json['valueType'] as String? ?? 'STRING',
+      );
+
+  /// The value clients get when no condition applies.
+  final RemoteConfigValue? defaultValue;
+
+  /// The values clients matching a condition get, by condition name.
+  final Map<String, RemoteConfigValue> conditionalValues;
+
+  /// The description of the parameter.
+  final String? description;
+
+  /// The type of the values: `STRING`, `BOOLEAN`, `NUMBER` or `JSON`.
+  final String valueType;
+
+  /// Converts this parameter to the Remote Config REST API format.
+  Map<String, dynamic> toJson() => <String, dynamic>{
+    if (defaultValue != null) 'defaultValue': defaultValue!.toJson(),
+    if (conditionalValues.isNotEmpty)
+      'conditionalValues': {
+        for (final MapEntry(:key, :value) in conditionalValues.entries)
+          key: value.toJson(),
+      },
+    if (description != null) 'description': description,
+    'valueType': valueType,
+  };
+
+  @override
+  bool operator ==(Object other) =>
+      other is RemoteConfigParameter &&
+      other.defaultValue == defaultValue &&
+      _mapEquals(other.conditionalValues, conditionalValues) &&
+      other.description == description &&
+      other.valueType == valueType;
+
+  @override
+  int get hashCode => Object.hash(
+    defaultValue,
+    Object.hashAllUnordered(conditionalValues.keys),
+    description,
+    valueType,
+  );
+
+  @override
+  String toString() => 'RemoteConfigParameter(${toJson()})';
+}
+
+/// A value of a [RemoteConfigParameter].
+///
+/// Values are either an explicit [value] or [useInAppDefault]. Other kinds,
+/// such as personalization and rollout values, are kept in [toJson] as
+/// they were read.
+final class RemoteConfigValue {
+  /// An explicit value.
+  RemoteConfigValue(String value) : _json = {'value': value};
+
+  /// A value telling clients to use their in-app default.
+  RemoteConfigValue.inAppDefault() : _json = {'useInAppDefault': true};
+
+  /// Parses a value in the Remote Config REST API format.
+  RemoteConfigValue.fromJson(Map<String, dynamic> json)
+    : _json = Map.unmodifiable(json);
+
+  final Map<String, Object?> _json;
+
+  /// The explicit value, or `null` for other kinds of values.
+  String? get value => _json['value'] as String?;
+
+  /// Whether clients use their in-app default value.
+  bool get useInAppDefault => _json['useInAppDefault'] == true;
+
+  /// Converts this value to the Remote Config REST API format.
+  Map<String, Object?> toJson() => _json;
+
+  @override
+  bool operator ==(Object other) =>
+      other is RemoteConfigValue && _jsonEquals(other._json, _json);
+
+  @override
+  int get hashCode => Object.hashAllUnordered(_json.keys);
+
+  @override
+  String toString() => 'RemoteConfigValue($_json)';
+}
+
+/// A named group of parameters.
+final class RemoteConfigParameterGroup {
+  const RemoteConfigParameterGroup({
+    this.description,
+    this.parameters = const {},
+  });
+
+  /// Parses a parameter group in the Remote Config REST API format.
+  factory RemoteConfigParameterGroup.fromJson(Map<String, dynamic> json) =>
+      RemoteConfigParameterGroup(
+        description: json['description'] as String?,
+        parameters: _parameters(json['parameters']),
+      );
+
+  /// The description of the group.
+  final String? description;
+
+  /// The parameters in the group, by key.
+  final Map<String, RemoteConfigParameter> parameters;
+
+  /// Converts this group to the Remote Config REST API format.
+  Map<String, dynamic> toJson() => <String, dynamic>{
+    if (description != null) 'description': description,
+    'parameters': _parametersToJson(parameters),
+  };
+
+  @override
+  bool operator ==(Object other) =>
+      other is RemoteConfigParameterGroup &&
+      other.description == description &&
+      _mapEquals(other.parameters, parameters);
+
+  @override
+  int get hashCode =>
+      Object.hash(description, Object.hashAllUnordered(parameters.keys));
+
+  @override
+  String toString() => 'RemoteConfigParameterGroup(${toJson()})';
+}
+
+/// The metadata of a version of a Remote Config template.
+final class RemoteConfigVersion {
+  const RemoteConfigVersion({
+    required this.versionNumber,
+    this.updateTime,
+    this.updateUserEmail,
+    this.updateOrigin,
+    this.updateType,
+    this.description,
+    this.rollbackSource,
+  });
+
+  /// Parses a version in the Remote Config REST API format, where version
+  /// numbers are strings.
+  factory RemoteConfigVersion.fromJson(Map<String, dynamic> json) =>
+      RemoteConfigVersion(
+        versionNumber: _versionNumber(json['versionNumber'])!,
+        updateTime: switch (json['updateTime']) {
+          final String time => DateTime.parse(time),
+          _ => null,
+        },
+        updateUserEmail: (json['updateUser'] as Map?)?['email'] as String?,
+        updateOrigin: json['updateOrigin'] as String?,
+        updateType: json['updateType'] as String?,
+        description: json['description'] as String?,
+        rollbackSource: _versionNumber(json['rollbackSource']),
+      );
+
+  /// The version number.
+  final int versionNumber;
+
+  /// When the version was published.
+  final DateTime? updateTime;
+
+  /// The email of the account that published the version.
+  final String? updateUserEmail;
+
+  /// Where the update came from, such as `CONSOLE`.
+  final String? updateOrigin;
+
+  /// The kind of update, such as `INCREMENTAL_UPDATE`.
+  final String? updateType;
+
+  /// The description of the version.
+  final String? description;
+
+  /// The version rolled back to, if this version is a rollback.
+  final int? rollbackSource;
+
+  /// Converts this version to the Remote Config REST API format.
+  Map<String, dynamic> toJson() => <String, dynamic>{
+    'versionNumber': '$versionNumber',
+    if (updateTime != null) 'updateTime': updateTime!.toIso8601String(),
+    if (updateUserEmail != null) 'updateUser': {'email': updateUserEmail},
+    if (updateOrigin != null) 'updateOrigin': updateOrigin,
+    if (updateType != null) 'updateType': updateType,
+    if (description != null) 'description': description,
+    if (rollbackSource != null) 'rollbackSource': '$rollbackSource',
+  };
+
+  static int? _versionNumber(Object? value) => switch (value) {
+    final String number => int.parse(number),
+    final num number => number.toInt(),
+    _ => null,
+  };
+}
+
+/// The changes between two versions of a Remote Config template.
+///
+/// Conditions, parameters and parameter groups are matched by name. Entries
+/// only in the current template are [RemoteConfigChanges.added], entries only
+/// in the previous one are [RemoteConfigChanges.removed], and entries whose
+/// contents differ are [RemoteConfigChanges.changed].
+///
+/// ```dart
+/// final diff = current.diff(previous);
+/// for (final MapEntry(:key, :value) in diff.parameters.changed.entries) {
+///   print('$key: ${value.before?.defaultValue} -> '
+///       '${value.after?.defaultValue}');
+/// }
+/// ```
+final class RemoteConfigTemplateDiff {
+  /// Compares [previous] with [current].
+  RemoteConfigTemplateDiff(
+    RemoteConfigTemplate previous,
+    RemoteConfigTemplate current,
+  ) : conditions = RemoteConfigChanges._compare(
+        {for (final c in previous.conditions) c.name: c},
+        {for (final c in current.conditions) c.name: c},
+      ),
+      parameters = RemoteConfigChanges._compare(
+        previous.parameters,
+        current.parameters,
+      ),
+      parameterGroups = RemoteConfigChanges._compare(
+        previous.parameterGroups,
+        current.parameterGroups,
+      );
+
+  /// The changes to conditions, by name.
+  final RemoteConfigChanges<RemoteConfigCondition> conditions;
+
+  /// The changes to the parameters that are not in a group, by key.
+  final RemoteConfigChanges<RemoteConfigParameter> parameters;
+
+  /// The changes to parameter groups, by name.
+  final RemoteConfigChanges<RemoteConfigParameterGroup> parameterGroups;
+
+  /// Whether the templates have the same conditions, parameters and
+  /// parameter groups.
+  bool get isEmpty =>
+      conditions.isEmpty && parameters.isEmpty && parameterGroups.isEmpty;
+
+  @override
+  String toString() =>
+      'RemoteConfigTemplateDiff(conditions: $conditions, '
+      'parameters: $parameters, parameterGroups: $parameterGroups)';
+}
+
+/// The entries of one kind added, removed and changed between two Remote
+/// Config templates.
+final class RemoteConfigChanges<T extends Object> {
+  RemoteConfigChanges._(this.added, this.removed, this.changed);
+
+  factory RemoteConfigChanges._compare(
+    Map<String, T> previous,
+    Map<String, T> current,
+  ) => RemoteConfigChanges._(
+    {
+      for (final MapEntry(:key, :value) in current.entries)
+        if (!previous.containsKey(key)) key: value,
+    },
+    {
+      for (final MapEntry(:key, :value) in previous.entries)
+        if (!current.containsKey(key)) key: value,
+    },
+    {
+      for (final MapEntry(:key, :value) in current.entries)
+        if (previous[key] case final before? when before != value)
+          key: Change(before: before, after: value),
+    },
+  );
+
+  /// The entries only in the current template, by name.
+  final Map<String, T> added;
+
+  /// The entries only in the previous template, by name.
+  final Map<String, T> removed;
+
+  /// The entries in both templates whose contents differ, by name.
+  final Map<String, Change<T>> changed;
+
+  /// Whether no entry was added, removed or changed.
+  bool get isEmpty => added.isEmpty && removed.isEmpty && changed.isEmpty;
+
+  @override
+  String toString() =>
+      '{added: ${added.keys}, removed: ${removed.keys}, '
+      'changed: ${changed.keys}}';
+}
+
+Map<String, RemoteConfigParameter> _parameters(Object? json) => {
+  for (final MapEntry(:key, :value) in (json as Map? ?? const {}).entries)
+    key as String: RemoteConfigParameter.fromJson(
+      value as Map<String, dynamic>,
+    ),
+};
+
+Map<String, dynamic> _parametersToJson(
+  Map<String, RemoteConfigParameter> parameters,
+) => {
+  for (final MapEntry(:key, :value) in parameters.entries) key: value.toJson(),
+};
+
+bool _mapEquals<T>(Map<String, T> a, Map<String, T> b) =>
+    a.length == b.length &&
+    a.entries.every(
+      (entry) => b.containsKey(entry.key) && b[entry.key] == entry.value,
+    );
+
+/// Compares decoded JSON values, ignoring the order of object keys.
+bool _jsonEquals(Object? a, Object? b) {
+  if (a is Map && b is Map) {
+    return a.length == b.length &&
+        a.keys.every(
+          (key) => b.containsKey(key) && _jsonEquals(a[key], b[key]),
+        );
+  }
+  if (a is List && b is List) {
+    if (a.length != b.length) return false;
+    for (var i = 0; i < a.length; i++) {
+      if (!_jsonEquals(a[i], b[i])) return false;
+    }
+    return true;
+  }
+  return a == b;
+}
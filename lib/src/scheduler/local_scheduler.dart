@@ -0,0 +1,244 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport '../server.dart';
+/// @docImport 'scheduler_namespace.dart';
+library;
+
+import 'dart:async';
+import 'dart:math' as math;
+
+import 'package:meta/meta.dart';
+import 'package:shelf/shelf.dart';
+import 'package:stack_trace/stack_trace.dart' show Trace;
+import 'package:timezone/timezone.dart' as tz;
+
+import '../common/cloud_run_id.dart';
+import '../common/options.dart';
+import '../firebase.dart';
+import '../logger/logger.dart';
+import '../server.dart';
+import 'options.dart';
+import 'schedule.dart';
+
+/// The schedule and options a function was registered with in
+/// [SchedulerNamespace.onSchedule].
+@internal
+typedef ScheduledFunction = ({String schedule, ScheduleOptions? options});
+
+/// A stand-in for Cloud Scheduler that runs scheduled functions in-process
+/// during local development.
+///
+/// [runFunctions] starts one when `FUNCTIONS_LOCAL_SCHEDULER` is `true`.
+/// Each function registered with [SchedulerNamespace.onSchedule] is invoked
+/// whenever its schedule fires in its [ScheduleOptions.timeZone], with the
+/// `X-CloudScheduler-*` headers Cloud Scheduler sends. Failed runs are
+/// retried as configured by [ScheduleOptions.retryConfig], with Cloud
+/// Scheduler's defaults.
+///
+/// Schedules this runner cannot parse are logged and skipped.
+final class LocalScheduler {
+  @internal
+  LocalScheduler(this.firebase, Map<String, ScheduledFunction> functions)
+    : _functions = Map.unmodifiable(functions);
+
+  /// The instance whose functions are run.
+  final Firebase firebase;
+
+  /// Scheduled functions by Cloud Run ID.
+  final Map<String, ScheduledFunction> _functions;
+
+  final _timers = <String, Timer>{};
+  var _closed = false;
+
+  /// The Cloud Run IDs of the scheduled functions.
+  Iterable<String> get functionNames => _functions.keys;
+
+  /// Starts running every scheduled function at the times its schedule
+  /// fires.
+  void start() {
+    for (final MapEntry(key: name, value: function) in _functions.entries) {
+      final Schedule schedule;
+      final tz.Location location;
+      try {
+        schedule = Schedule.parse(function.schedule);
+        location = scheduleLocation(function.options?.timeZone?.runtimeValue());
+      } on FormatException catch (e) {
+        logger.warn(
+          'Not running $name locally, its schedule is not supported: '
+          '${e.message}',
+        );
+        continue;
+      } on ArgumentError catch (e) {
+        logger.warn('Not running $name locally: $e');
+        continue;
+      }
+      _scheduleNext(name, schedule, location, DateTime.now());
+    }
+  }
+
+  /// Runs the scheduled function [name] now, retrying as configured.
+  ///
+  /// [name] may be given either as passed at registration or as its Cloud
+  /// Run ID. The handler receives [scheduleTime] as the schedule time,
+  /// defaulting to now. Completes with whether the run succeeded, possibly
+  /// after retries.
+  ///
+  /// Throws an [ArgumentError] if no such function is registered.
+  Future<bool> trigger(String name, {DateTime? scheduleTime}) {
+    final functionName = toCloudRunId(name);
+    final function = _functions[functionName];
+    if (function == null) {
+      throw ArgumentError.value(
+        name,
+        'name',
+        'No scheduled function registered',
+      );
+    }
+    return _run(
+      functionName,
+      function.options?.retryConfig,
+      scheduleTime ?? DateTime.now(),
+    );
+  }
+
+  /// Stops scheduling runs and abandons pending retries.
+  void close() {
+    _closed = true;
+    for (final timer in _timers.values) {
+      timer.cancel();
+    }
+    _timers.clear();
+  }
+
+  void _scheduleNext(
+    String name,
+    Schedule schedule,
+    tz.Location location,
+    DateTime after,
+  ) {
+    if (_closed) return;
+    final next = schedule.nextAfter(after, location);
+    if (next == null) return;
+
+    final delay = next.difference(DateTime.now());
+    _timers[name] = Timer(delay.isNegative ? Duration.zero : delay, () {
+      _scheduleNext(name, schedule, location, next);
+      final retryConfig = _functions[name]!.options?.retryConfig;
+      unawaited(_run(name, retryConfig, next));
+    });
+  }
+
+  Future<bool> _run(
+    String name,
+    RetryConfig? retryConfig,
+    DateTime scheduleTime,
+  ) async {
+    final firstAttempt = DateTime.now();
+
+    for (var attempt = 1; ; attempt++) {
+      final status = await _invoke(name, scheduleTime);
+      if (status >= 200 && status < 300) return true;
+
+      final elapsed = DateTime.now().difference(firstAttempt);
+      if (_closed || _shouldGiveUp(retryConfig, attempt, elapsed)) {
+        logger.error(
+          'Scheduled function $name failed after $attempt attempts '
+          '(last response $status); giving up.',
+        );
+        return false;
+      }
+
+      final backoff = _backoff(retryConfig, attempt);
+      logger.warn(
+        'Scheduled function $name failed with $status; '
+        'retrying in ${backoff.inMilliseconds}ms.',
+      );
+      await Future<void>.delayed(backoff);
+    }
+  }
+
+  /// Invokes [name] once the way Cloud Scheduler does and returns the
+  /// response status.
+  Future<int> _invoke(String name, DateTime scheduleTime) async {
+    final function = firebase.functions.firstWhere((f) => f.name == name);
+    final request = Request(
+      'POST',
+      Uri.parse('http://localhost/$name'),
+      headers: {
+        'X-CloudScheduler': 'true',
+        'X-CloudScheduler-JobName': 'firebase-schedule-$name-us-central1',
+        'X-CloudScheduler-ScheduleTime': scheduleTime.toUtc().toIso8601String(),
+      },
+    );
+
+    try {
+      final response = await runZoned(
+        zoneValues: {projectIdZoneKey: firebase.$env.projectId},
+        () async => await functionHandler(firebase, function)(request),
+      );
+      await response.read().drain<void>();
+      return response.statusCode;
+    } catch (e, stackTrace) {
+      logger.error(
+        'Scheduled function $name threw: $e\n${Trace.from(stackTrace).terse}',
+      );
+      return 500;
+    }
+  }
+
+  /// Cloud Scheduler does not retry when `retryCount` is 0, and otherwise
+  /// retries until both the retry count and the duration limit are reached.
+  static bool _shouldGiveUp(
+    RetryConfig? retryConfig,
+    int attempts,
+    Duration elapsed,
+  ) {
+    final retryCount = _option(retryConfig?.retryCount) ?? 0;
+    final maxRetrySeconds = _option(retryConfig?.maxRetrySeconds) ?? 0;
+    if (retryCount == 0) return true;
+    if (attempts <= retryCount) return false;
+    return maxRetrySeconds == 0 || elapsed.inSeconds >= maxRetrySeconds;
+  }
+
+  /// The delay before the [retry]th retry: the minimum backoff doubled
+  /// `maxDoublings` times, then growing linearly, capped at the maximum.
+  static Duration _backoff(RetryConfig? retryConfig, int retry) {
+    final minBackoff =
+        _option(retryConfig?.minBackoffSeconds) ?? _defaultMinBackoffSeconds;
+    final maxBackoff =
+        _option(retryConfig?.maxBackoffSeconds) ?? _defaultMaxBackoffSeconds;
+    final maxDoublings =
+        _option(retryConfig?.maxDoublings) ?? _defaultMaxDoublings;
+
+    final doublings = math.min(retry - 1, maxDoublings);
+    var seconds = minBackoff * math.pow(2, doublings);
+    if (retry - 1 > maxDoublings) {
+      seconds +=
+          minBackoff * math.pow(2, maxDoublings) * (retry - 1 - maxDoublings);
+    }
+    seconds = math.min(seconds, maxBackoff);
+    return Duration(microseconds: (seconds * 1000000).round());
+  }
+
+  static int? _option(DeployOption<int>? option) => switch (option) {
+    null || OptionReset() => null,
+    final value => value.runtimeValue(),
+  };
+}
+
+// Cloud Scheduler defaults.
+const _defaultMinBackoffSeconds = 5;
+const _defaultMaxBackoffSeconds = 3600;
+const _defaultMaxDoublings = 5;
@@ -0,0 +1,461 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport 'options.dart';
+/// @docImport 'scheduler_namespace.dart';
+library;
+
+import 'package:meta/meta.dart';
+import 'package:timezone/data/latest.dart' as tzdata;
+import 'package:timezone/timezone.dart' as tz;
+
+/// Returns the next [count] times [schedule] fires after [from], as UTC
+/// [DateTime]s.
+///
+/// [schedule] is a [SchedulerNamespace.onSchedule] schedule: either a Unix
+/// crontab expression such as `'0 9 * * 1-5'`, or App Engine cron syntax
+/// such as `'every 5 minutes'` or `'every monday 09:00'`. [timeZone] is the
+/// IANA time zone the schedule runs in, as set with
+/// [ScheduleOptions.timeZone], and defaults to UTC. [from] defaults to now.
+///
+/// Use it to check a schedule in a unit test:
+///
+/// ```dart
+/// test('runs on weekday mornings in New York', () {
+///   expect(
+///     nextRuns(
+///       '0 9 * * 1-5',
+///       2,
+///       from: DateTime.utc(2026, 3, 6),
+///       timeZone: 'America/New_York',
+///     ),
+///     [DateTime.utc(2026, 3, 6, 14), DateTime.utc(2026, 3, 9, 13)],
+///   );
+/// });
+/// ```
+///
+/// Wall-clock times skipped by a daylight saving change do not fire. Fewer
+/// than [count] times are returned if the schedule can never fire again,
+/// such as `'0 0 30 2 *'`.
+///
+/// Throws a [FormatException] if [schedule] is not valid, and an
+/// [ArgumentError] if [timeZone] is not a known time zone.
+List<DateTime> nextRuns(
+  String schedule,
+  int count, {
+  DateTime? from,
+  String? timeZone,
+}) {
+  RangeError.checkNotNegative(count, 'count');
+  final parsed = Schedule.parse(schedule);
+  final location = scheduleLocation(timeZone);
+
+  final runs = <DateTime>[];
+  var previous = (from ?? DateTime.now()).toUtc();
+  while (runs.length < count) {
+    final next = parsed.nextAfter(previous, location);
+    if (next == null) break;
+    runs.add(next);
+    previous = next;
+  }
+  return runs;
+}
+
+/// Returns the time zone named [timeZone], or UTC if it is `null`.
+///
+/// Throws an [ArgumentError] if [timeZone] is not a known IANA time zone.
+@internal
+tz.Location scheduleLocation(String? timeZone) {
+  if (timeZone == null || timeZone == 'UTC') return tz.UTC;
+  if (!_timeZonesLoaded) {
+    tzdata.initializeTimeZones();
+    _timeZonesLoaded = true;
+  }
+  try {
+    return tz.getLocation(timeZone);
+  } on tz.LocationNotFoundException {
+    throw ArgumentError.value(timeZone, 'timeZone', 'Unknown time zone');
+  }
+}
+
+var _timeZonesLoaded = false;
+
+/// A parsed Cloud Scheduler schedule.
+@internal
+sealed class Schedule {
+  const Schedule();
+
+  /// Parses a Unix crontab expression or App Engine cron schedule.
+  ///
+  /// Throws a [FormatException] if [schedule] is neither.
+  factory Schedule.parse(String schedule) {
+    final normalized = schedule.trim().toLowerCase().replaceAll(
+      _whitespace,
+      ' ',
+    );
+    if (normalized.startsWith('every ') ||
+        _appEngineCalendarPattern.hasMatch(normalized)) {
+      return _parseAppEngine(schedule, normalized);
+    }
+    return _parseCron(schedule, normalized);
+  }
+
+  /// The first time strictly after [from] that this schedule fires, in UTC,
+  /// or `null` if it never fires again.
+  ///
+  /// Calendar schedules are evaluated on the wall clock of [location].
+  DateTime? nextAfter(DateTime from, tz.Location location);
+}
+
+/// A schedule that fires a fixed interval after the previous run, such as
+/// App Engine's `every 5 minutes`.
+final class _IntervalSchedule extends Schedule {
+  const _IntervalSchedule(this.interval);
+
+  final Duration interval;
+
+  @override
+  DateTime nextAfter(DateTime from, tz.Location location) =>
+      from.toUtc().add(interval);
+}
+
+/// A schedule that fires at set minutes of matching days.
+final class _CalendarSchedule extends Schedule {
+  _CalendarSchedule({
+    required Iterable<int> minutesOfDay,
+    required this.months,
+    required this.daysOfMonth,
+    required this.daysOfWeek,
+    this.weeksOfMonth,
+    this.anyDayOfMonth = false,
+    this.anyDayOfWeek = false,
+  }) : minutesOfDay = minutesOfDay.toSet().toList()..sort();
+
+  /// Minutes since midnight at which the schedule fires, in order.
+  final List<int> minutesOfDay;
+
+  /// Months (1-12) in which the schedule fires.
+  final Set<int> months;
+
+  /// Days of the month (1-31) on which the schedule fires.
+  final Set<int> daysOfMonth;
+
+  /// Days of the week (0-6, Sunday = 0) on which the schedule fires.
+  final Set<int> daysOfWeek;
+
+  /// Weeks of the month (1-5) on which the schedule fires, for App Engine
+  /// schedules such as `first monday of month 09:00`.
+  final Set<int>? weeksOfMonth;
+
+  /// Whether the day of month field was `*`. As in Vixie cron, a day
+  /// matches either day field when both are restricted, and both otherwise.
+  final bool anyDayOfMonth;
+
+  /// Whether the day of week field was `*`.
+  final bool anyDayOfWeek;
+
+  @override
+  DateTime? nextAfter(DateTime from, tz.Location location) {
+    final local = tz.TZDateTime.from(from, location);
+    var day = DateTime.utc(local.year, local.month, local.day);
+    var earliest = local.hour * 60 + local.minute + 1;
+
+    for (var i = 0; i < _searchDays; i++) {
+      if (_matchesDay(day)) {
+        for (final minute in minutesOfDay) {
+          if (minute < earliest) continue;
+          final run = tz.TZDateTime(
+            location,
+            day.year,
+            day.month,
+            day.day,
+            minute ~/ 60,
+            minute % 60,
+          );
+          // Skip wall-clock times that a daylight saving change skips.
+          if (run.day != day.day || run.hour * 60 + run.minute != minute) {
+            continue;
+          }
+          return DateTime.fromMillisecondsSinceEpoch(
+            run.millisecondsSinceEpoch,
+            isUtc: true,
+          );
+        }
+      }
+      day = DateTime.utc(day.year, day.month, day.day + 1);
+      earliest = 0;
+    }
+    return null;
+  }
+
+  bool _matchesDay(DateTime day) {
+    if (!months.contains(day.month)) return false;
+    if (weeksOfMonth case final weeks?
+        when !weeks.contains((day.day - 1) ~/ 7 + 1)) {
+      return false;
+    }
+    final dayOfMonth = daysOfMonth.contains(day.day);
+    final dayOfWeek = daysOfWeek.contains(day.weekday % 7);
+    return anyDayOfMonth || anyDayOfWeek
+        ? dayOfMonth && dayOfWeek
+        : dayOfMonth || dayOfWeek;
+  }
+}
+
+/// How many days to search for the next run. Long enough for any
+/// combination of leap day and weekday to recur.
+const _searchDays = 366 * 28;
+
+const _cronMacros = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const _monthNames = [
+  'january',
+  'february',
+  'march',
+  'april',
+  'may',
+  'june',
+  'july',
+  'august',
+  'september',
+  'october',
+  'november',
+  'december',
+];
+
+const _weekdayNames = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
+
+const _ordinals = {
+  'first': 1,
+  '1st': 1,
+  'second': 2,
+  '2nd': 2,
+  'third': 3,
+  '3rd': 3,
+  'fourth': 4,
+  '4th': 4,
+  'fifth': 5,
+  '5th': 5,
+};
+
+final _whitespace = RegExp(r'\s+');
+
+/// `every N minutes|hours [synchronized | from HH:MM to HH:MM]`.
+final _appEngineIntervalPattern = RegExp(
+  r'^every (\d+) (minutes?|mins?|hours?)'
+  r'(?: (synchronized)| from (\d\d?:\d\d) to (\d\d?:\d\d))?$',
+);
+
+/// `(every | ORDINALS) (day | WEEKDAYS) [of (month | MONTHS)] HH:MM`.
+final _appEngineCalendarPattern = RegExp(
+  r'^(every|[a-z0-9,]+) (day|[a-z,]+)(?: of (month|[a-z,]+))? '
+  r'(\d\d?:\d\d)$',
+);
+
+Schedule _parseCron(String source, String normalized) {
+  final expression = _cronMacros[normalized] ?? normalized;
+  final fields = expression.split(' ');
+  if (fields.length != 5) {
+    throw FormatException(
+      'Expected 5 cron fields or App Engine cron syntax',
+      source,
+    );
+  }
+
+  final minutes = _parseCronField(source, fields[0], 0, 59);
+  final hours = _parseCronField(source, fields[1], 0, 23);
+  return _CalendarSchedule(
+    minutesOfDay: [
+      for (final hour in hours)
+        for (final minute in minutes) hour * 60 + minute,
+    ],
+    daysOfMonth: _parseCronField(source, fields[2], 1, 31),
+    months: _parseCronField(source, fields[3], 1, 12, names: _monthNames),
+    // 7 is Sunday too.
+    daysOfWeek: {
+      for (final day in _parseCronField(
+        source,
+        fields[4],
+        0,
+        7,
+        names: _weekdayNames,
+      ))
+        day % 7,
+    },
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*'),
+  );
+}
+
+/// Parses a cron field of comma-separated values, `a-b` ranges and `*`,
+/// each optionally followed by a `/step`.
+Set<int> _parseCronField(
+  String source,
+  String field,
+  int min,
+  int max, {
+  List<String>? names,
+}) {
+  int value(String text) {
+    final index = names?.indexWhere(
+      (name) => text.length == 3 && name.startsWith(text),
+    );
+    final parsed = index != null && index >= 0
+        ? index + min
+        : int.tryParse(text);
+    if (parsed == null || parsed < min || parsed > max) {
+      throw FormatException('Invalid value "$text" in "$field"', source);
+    }
+    return parsed;
+  }
+
+  final values = <int>{};
+  for (final part in field.split(',')) {
+    final [range, ...rest] = part.split('/');
+    final step = rest.isEmpty ? 1 : int.tryParse(rest.single) ?? 0;
+    if (rest.length > 1 || step < 1) {
+      throw FormatException('Invalid step in "$field"', source);
+    }
+
+    final bounds = range.split('-');
+    final (start, end) = switch (bounds) {
+      ['*'] => (min, max),
+      [final single] => (value(single), rest.isEmpty ? value(single) : max),
+      [final from, final to] => (value(from), value(to)),
+      _ => throw FormatException('Invalid range in "$field"', source),
+    };
+    if (start > end) {
+      throw FormatException('Invalid range in "$field"', source);
+    }
+    for (var i = start; i <= end; i += step) {
+      values.add(i);
+    }
+  }
+  return values;
+}
+
+Schedule _parseAppEngine(String source, String text) {
+  if (_appEngineIntervalPattern.firstMatch(text) case final match?) {
+    final count = int.parse(match[1]!);
+    final unit = match[2]!.startsWith('h') ? 60 : 1;
+    final interval = count * unit;
+    if (interval < 1) {
+      throw FormatException('The interval must be positive', source);
+    }
+
+    final from = match[4];
+    if (from == null && match[3] == null) {
+      return _IntervalSchedule(Duration(minutes: interval));
+    }
+
+    // Synchronized intervals start at midnight; windows at their start and
+    // may wrap past midnight.
+    final start = from == null ? 0 : _parseTimeOfDay(source, from);
+    var end = match[5] == null
+        ? start + 24 * 60 - 1
+        : _parseTimeOfDay(source, match[5]!);
+    if (end < start) end += 24 * 60;
+    return _CalendarSchedule(
+      minutesOfDay: [
+        for (var minute = start; minute <= end; minute += interval)
+          minute % (24 * 60),
+      ],
+      months: _all(1, 12),
+      daysOfMonth: _all(1, 31),
+      daysOfWeek: _all(0, 6),
+      anyDayOfMonth: true,
+      anyDayOfWeek: true,
+    );
+  }
+
+  if (_appEngineCalendarPattern.firstMatch(text) case final match?) {
+    final weeks = match[1] == 'every'
+        ? null
+        : _parseNames(source, match[1]!, (ordinal) => _ordinals[ordinal]);
+    final everyDay = match[2] == 'day';
+    if (everyDay && weeks != null) {
+      throw FormatException('Ordinals need a day of the week', source);
+    }
+    final months = match[3];
+
+    return _CalendarSchedule(
+      minutesOfDay: [_parseTimeOfDay(source, match[4]!)],
+      months: months == null || months == 'month'
+          ? _all(1, 12)
+          : _parseNames(source, months, (month) {
+              final index = _nameIndex(_monthNames, month);
+              return index == null ? null : index + 1;
+            }),
+      daysOfMonth: _all(1, 31),
+      daysOfWeek: everyDay
+          ? _all(0, 6)
+          : _parseNames(
+              source,
+              match[2]!,
+              (day) => _nameIndex(_weekdayNames, day),
+            ),
+      weeksOfMonth: weeks,
+      anyDayOfMonth: true,
+    );
+  }
+
+  throw FormatException('Invalid App Engine cron schedule', source);
+}
+
+/// Parses `HH:MM` as minutes since midnight.
+int _parseTimeOfDay(String source, String text) {
+  final [hours, minutes] = text.split(':').map(int.parse).toList();
+  if (hours > 23 || minutes > 59) {
+    throw FormatException('Invalid time "$text"', source);
+  }
+  return hours * 60 + minutes;
+}
+
+/// Parses a comma-separated list of names with [lookup].
+Set<int> _parseNames(
+  String source,
+  String list,
+  int? Function(String name) lookup,
+) => {
+  for (final name in list.split(','))
+    lookup(name) ?? (throw FormatException('Unknown name "$name"', source)),
+};
+
+/// The index of [name] in [names], which may be abbreviated to three
+/// letters.
+int? _nameIndex(List<String> names, String name) {
+  final index = names.indexWhere(
+    (candidate) =>
+        candidate == name || (name.length == 3 && candidate.startsWith(name)),
+  );
+  return index < 0 ? null : index;
+}
+
+Set<int> _all(int min, int max) => {for (var i = min; i <= max; i++) i};
@@ -18,6 +18,8 @@
 /// using Cloud Scheduler.
 library;
 
+export 'local_scheduler.dart' show LocalScheduler;
 export 'options.dart';
+export 'schedule.dart' show nextRuns;
 export 'scheduled_event.dart';
 export 'scheduler_namespace.dart';
@@ -12,13 +12,20 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport '../server.dart';
+/// @docImport 'schedule.dart';
+library;
+
 import 'dart:async';
 
 import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
+import '../common/cloud_run_id.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
+import 'local_scheduler.dart';
 import 'options.dart';
 import 'scheduled_event.dart';
 
@@ -30,6 +37,18 @@ class SchedulerNamespace extends FunctionsNamespace {
   /// Creates a scheduler namespace.
   const SchedulerNamespace(super.firebase);
 
+  /// Scheduled functions registered on each instance, for [localScheduler].
+  static final Map<Firebase, Map<String, ScheduledFunction>> _functionsMap =
+      {};
+
+  /// Returns a [LocalScheduler] that runs the functions registered with
+  /// [onSchedule] in-process, for local development and tests.
+  ///
+  /// [runFunctions] starts one when `FUNCTIONS_LOCAL_SCHEDULER` is `true`.
+  /// Use [nextRuns] to check when a schedule fires without running it.
+  LocalScheduler localScheduler() =>
+      LocalScheduler(firebase, {...?_functionsMap[firebase]});
+
   /// Creates a function that runs on a schedule.
   ///
   /// The function is triggered by Cloud Scheduler at the specified interval.
@@ -38,6 +57,9 @@ class SchedulerNamespace extends FunctionsNamespace {
   /// - Unix Crontab syntax: `'0 5 * * *'` (5:00 AM daily)
   /// - App Engine cron syntax: `'every 1 hours'`
   ///
+  /// The function is named after [schedule] unless [name] is given, so two
+  /// jobs that share a schedule need a [name] each.
+  ///
   /// Example:
   /// ```dart
   /// // Run every day at midnight UTC
@@ -89,12 +111,14 @@ class SchedulerNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String schedule,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst ScheduleOptions? options = const ScheduleOptions(),
   }) {
-    // Generate function name from schedule
-    final functionName = _scheduleToFunctionName(schedule);
+    // Generate function name from schedule unless one was given
+    final functionName = name ?? _scheduleToFunctionName(schedule);
 
-    firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         // Extract event data from request headers
         final headers = _lowercaseHeaders(request.headers);
@@ -109,7 +133,35 @@ class SchedulerNamespace extends FunctionsNamespace {
         // Cloud Scheduler will retry based on retry config
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      options: options,
+      trigger: {'scheduleTrigger': _trigger(schedule, options)},
+    );
+    // Recorded after registering, so that a rejected duplicate name does not
+    // replace the schedule of the function registered first
+    _functionsMap.putIfAbsent(firebase, () => {})[toCloudRunId(functionName)] =
+        (schedule: schedule, options: options);
+  }
+
+  /// The manifest `scheduleTrigger` of a function.
+  Map<String, Object?> _trigger(String schedule, ScheduleOptions? options) {
+    final retryConfig = options?.retryConfig;
+    return {
+      'schedule': schedule,
+      ...optionValues({'timeZone': options?.timeZone}),
+      if (retryConfig != null)
+        'retryConfig': optionValues({
+          'retryCount': retryConfig.retryCount,
+          'maxRetrySeconds': retryConfig.maxRetrySeconds,
+          'minBackoffSeconds': retryConfig.minBackoffSeconds,
+          'maxBackoffSeconds': retryConfig.maxBackoffSeconds,
+          'maxDoublings': retryConfig.maxDoublings,
+        }),
+    };
   }
 
   /// Converts a schedule expression to a function name.
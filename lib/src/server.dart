@@ -20,12 +20,19 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 import 'package:shelf/shelf_io.dart' as shelf_io;
 import 'package:stack_trace/stack_trace.dart' show Trace;
+import 'package:yaml/yaml.dart';
 
-import 'common/cloud_run_id.dart';
+import 'builder/parity.dart';
+import 'common/dotenv.dart';
 import 'common/environment.dart';
+import 'common/manifest.dart';
 import 'common/on_init.dart';
+import 'common/on_shutdown.dart';
+import 'common/params.dart';
 import 'firebase.dart';
 import 'logger/logger.dart';
+import 'tracing/span.dart';
+import 'tracing/trace_context.dart';
 
 /// Callback type for the user's function registration code.
 typedef FunctionsRunner = FutureOr<void> Function(Firebase firebase);
@@ -64,41 +71,298 @@ Future<void> fireUp(List<String> args, FunctionsRunner runner) =>
 ///   });
 /// }
 /// ```
+///
+/// Params the environment does not set are read from the `.env`,
+/// `.env.<project>` and, outside Cloud Run, `.env.local` and `.secret.local`
+/// files in the current directory. Once [runner] has
+/// registered the functions, every declared param, and every secret bound to
+/// a function this process serves, must have a valid value or default;
+/// otherwise a [ParamValidationException] listing them all is thrown.
 Future<void> runFunctions(FunctionsRunner runner) async {
   final firebase = createFirebaseInternal();
   final env = firebase.$env;
   final projectId = env.projectId;
 
+  // Only local runs read .env.local and .secret.local, as in firebase-tools
+  paramEnvironment.addAll(
+    loadDotenv(
+      directory: Directory.current.path,
+      projectId: projectId,
+      local: env.kService == null,
+    ),
+  );
+
   await runZoned(zoneValues: {projectIdZoneKey: projectId}, () async {
     // Run user's function registration code
     await runner(firebase);
 
-    // Build request handler with middleware pipeline
-    var middleware = const Pipeline().middleware;
-
-    final env = firebase.$env;
-    if (env.enableCors) {
-      middleware = middleware.addMiddleware(_corsMiddleware);
+    // Params have no values yet when firebase-tools discovers functions
+    if (!env.functionsControlApi) {
+      _validateParams(firebase, env);
     }
 
-    // Build request handler with middleware pipeline
-    final handler = middleware.addHandler((request) {
-      final traceId = extractTraceId(request.headers[cloudTraceContextHeader]);
+    late final HttpServer server;
+    final shutdown = GracefulShutdown(
+      gracePeriod: firebase.shutdownGracePeriod,
+      closeServer: ({required force}) => server.close(force: force),
+      beforeDrain: firebase.tasks.closeLocalQueues,
+    );
+    final handler = createFunctionsHandler(firebase, shutdown: shutdown);
 
-      if (traceId == null) {
-        return _routeRequest(request, firebase, env);
-      }
+    // Start HTTP server
+    server = await shelf_io.serve(handler, InternetAddress.anyIPv4, env.port);
 
-      return runZoned(zoneValues: {traceIdZoneKey: traceId}, () {
-        return _routeRequest(request, firebase, env);
+    // Run scheduled functions in-process during local development
+    if (env.localScheduler) {
+      final scheduler = firebase.scheduler.localScheduler()..start();
+      unawaited(shutdown.done.whenComplete(scheduler.close));
+    }
+
+    // Cloud Run sends SIGTERM before stopping an instance
+    if (!Platform.isWindows) {
+      final sigterm = ProcessSignal.sigterm.watch().listen((_) {
+        unawaited(shutdown.shutdown());
       });
-    });
+      unawaited(shutdown.done.whenComplete(sigterm.cancel));
+    }
+    unawaited(shutdown.done.whenComplete(() => exit(0)));
+  });
+}
 
-    // Start HTTP server
-    await shelf_io.serve(handler, InternetAddress.anyIPv4, env.port);
+/// Validates the declared params, and the secrets bound to the functions
+/// this process serves. Other secrets are not available to it.
+void _validateParams(Firebase firebase, FirebaseEnv env) {
+  final target = env.functionTarget;
+  final served = target == null || target.isEmpty
+      ? firebase.functions
+      : firebase.functions.where((f) => f.name == target);
+  final boundSecrets = <String>{
+    for (final function in served)
+      for (final secret in [
+        ...?function.options?.secrets ?? function.globalOptions.secrets,
+      ])
+        if (secret
+            case SecretParam(:final name) || JsonSecretParam(:final name))
+          name,
+  };
+
+  validateParams(
+    declaredParams.where(
+      (param) => switch (param) {
+        SecretParam(:final name) ||
+        JsonSecretParam(:final name) => boundSecrets.contains(name),
+        _ => true,
+      },
+    ),
+  );
+}
+
+/// Builds the request handler that serves every function registered on
+/// [firebase].
+///
+/// This is the same handler [runFunctions] serves over HTTP. It must be
+/// invoked inside a zone carrying [projectIdZoneKey].
+///
+/// With a [shutdown], requests are tracked so they can be drained, and
+/// `/__/quitquitquit` starts the shutdown.
+@internal
+Handler createFunctionsHandler(
+  Firebase firebase, {
+  GracefulShutdown? shutdown,
+}) {
+  // Build request handler with middleware pipeline
+  var middleware = const Pipeline().middleware;
+  if (shutdown != null) {
+    middleware = middleware.addMiddleware(shutdown.middleware);
+  }
+
+  final env = firebase.$env;
+  if (env.enableCors) {
+    middleware = middleware.addMiddleware(_corsMiddleware);
+  }
+
+  return middleware.addHandler((request) {
+    final traceId =
+        TraceContext.fromTraceparent(request.headers[traceparentHeader])
+            ?.traceId ??
+        extractTraceId(request.headers[cloudTraceContextHeader]);
+
+    if (traceId == null) {
+      return _routeRequest(request, firebase, env, shutdown);
+    }
+
+    return runZoned(zoneValues: {traceIdZoneKey: traceId}, () {
+      return _routeRequest(request, firebase, env, shutdown);
+    });
   });
 }
 
+/// Builds the handler that invokes [function], wrapped in the global
+/// middleware of [firebase], then the function's own middleware, then the
+/// [onInit] callback.
+///
+/// Each invocation is recorded as a [Span], exported to
+/// [Firebase.spanExporter]. It continues the trace of the W3C `traceparent`
+/// header, the `traceparent` CloudEvent extension or the
+/// `X-Cloud-Trace-Context` header, in that order, and is available to the
+/// handler as [currentSpan].
+///
+/// The handler runs in a [LogContext] identifying the invocation, so every
+/// log entry written while handling it carries the function name and the
+/// execution or event id. Entries written by `onRequest` functions also
+/// carry the request and the source location of the log call.
+@internal
+Handler functionHandler(
+  Firebase firebase,
+  FirebaseFunctionDeclaration function,
+) {
+  var pipeline = const Pipeline();
+  for (final middleware in [...firebase.$middleware, ...function.middleware]) {
+    pipeline = pipeline.addMiddleware(middleware);
+  }
+  final handler = pipeline.addHandler(withInit(function.handler));
+
+  return (request) async {
+    final (forwarded, event) = await _cloudEventAttributes(
+      request,
+      external: function.external,
+    );
+    final eventId = event['id'];
+    final eventType = event['type'];
+    final executionId = request.headers['function-execution-id'];
+    final parent =
+        TraceContext.fromTraceparent(
+          request.headers[traceparentHeader],
+          request.headers[tracestateHeader],
+        ) ??
+        TraceContext.fromTraceparent(
+          event[traceparentHeader],
+          event[tracestateHeader],
+        ) ??
+        TraceContext.fromCloudTraceContext(
+          request.headers[cloudTraceContextHeader],
+        );
+
+    final span = startSpan(
+      function.name,
+      kind: eventType == null ? SpanKind.server : SpanKind.consumer,
+      exporter: firebase.spanExporter,
+      parent: parent,
+      attributes: {
+        'faas.name': function.name,
+        'faas.trigger': _faasTrigger(eventType),
+        if (executionId ?? eventId case final invocationId?)
+          'faas.invocation_id': invocationId,
+        if (eventId != null) 'cloudevents.event_id': eventId,
+        if (eventType != null) 'cloudevents.event_type': eventType,
+        if (function.external) ...{
+          'http.request.method': request.method,
+          'url.path': request.requestedUri.path,
+        },
+      },
+    );
+
+    try {
+      final response = await runZoned(
+        zoneValues: {spanZoneKey: span, traceIdZoneKey: span.context.traceId},
+        () => runWithLogContext(
+          () => handler(forwarded),
+          labels: {
+            'function_name': function.name,
+            if (executionId != null) 'execution_id': executionId,
+            if (eventId != null) 'event_id': eventId,
+          },
+          httpRequest: function.external
+              ? LogContext.httpRequestOf(
+                  request.method,
+                  request.requestedUri,
+                  request.headers,
+                  protocol: request.protocolVersion,
+                )
+              : null,
+          sourceLocation: function.external,
+        ),
+      );
+
+      final status = response.statusCode;
+      final failed = eventType == null
+          ? status >= 500
+          : status < 200 || status >= 300;
+      span
+        ..setAttribute('http.response.status_code', status)
+        ..setStatus(
+          failed ? SpanStatusCode.error : SpanStatusCode.ok,
+          'HTTP $status',
+        );
+      return response;
+    } catch (e, stackTrace) {
+      span
+        ..recordException(e, stackTrace)
+        ..setStatus(SpanStatusCode.error, '$e');
+      rethrow;
+    } finally {
+      span.end();
+    }
+  };
+}
+
+/// Returns the CloudEvent attributes of [request] and the request to
+/// forward in its place.
+///
+/// Binary-mode attributes are read from the `ce-` headers. For a
+/// structured-mode event the body is read, so the request is re-created
+/// with it. Requests that are not CloudEvents have no attributes.
+///
+/// Like the router, this accepts structured events sent as
+/// `application/json` as well as `application/cloudevents+json`, as long as
+/// they have a `type` and a `source`. The JSON bodies of [external]
+/// functions are not read.
+Future<(Request, Map<String, String>)> _cloudEventAttributes(
+  Request request, {
+  required bool external,
+}) async {
+  final structured = switch (request.mimeType) {
+    'application/cloudevents+json' => true,
+    'application/json' => !external,
+    _ => false,
+  };
+  if (!structured) {
+    return (
+      request,
+      {
+        for (final MapEntry(:key, :value) in request.headers.entries)
+          if (key.startsWith('ce-')) key.substring(3): value,
+      },
+    );
+  }
+
+  final body = await request.readAsString();
+  final attributes = <String, String>{};
+  try {
+    if (jsonDecode(body) case final Map<String, dynamic> event
+        when event['type'] is String && event['source'] is String) {
+      for (final MapEntry(:key, :value) in event.entries) {
+        if (value is String) attributes[key] = value;
+      }
+    }
+  } on FormatException {
+    // Not valid JSON: left for the function to reject.
+  }
+  return (request.change(body: body), attributes);
+}
+
+/// The OpenTelemetry `faas.trigger` for a CloudEvent of [eventType].
+String _faasTrigger(String? eventType) => switch (eventType) {
+  null => 'http',
+  final type when type.startsWith('google.cloud.pubsub.') => 'pubsub',
+  final type
+      when type.startsWith('google.cloud.firestore.') ||
+          type.startsWith('google.firebase.database.') ||
+          type.startsWith('google.cloud.storage.') =>
+    'datasource',
+  _ => 'other',
+};
+
 /// CORS middleware for emulator mode.
 Handler _corsMiddleware(Handler innerHandler) => (request) {
   // Handle preflight OPTIONS requests
@@ -155,6 +419,7 @@ FutureOr<Response> _routeRequest(
   Request request,
   Firebase firebase,
   FirebaseEnv env,
+  GracefulShutdown? shutdown,
 ) {
   final functions = firebase.functions;
   final requestPath = request.url.path;
@@ -167,7 +432,7 @@ FutureOr<Response> _routeRequest(
 
   if (requestPath == '__/quitquitquit') {
     // Graceful shutdown endpoint (used by Cloud Run)
-    return _handleQuitQuitQuit(request);
+    return _handleQuitQuitQuit(request, shutdown);
   }
 
   if (requestPath == '__/functions.yaml' && env.functionsControlApi) {
@@ -183,7 +448,7 @@ FutureOr<Response> _routeRequest(
   }
 
   // Shared process mode (development): Route by path
-  return _routeByPath(request, functions, requestPath);
+  return _routeByPath(request, firebase, functions, requestPath);
 }
 
 /// Routes request to the function specified by FUNCTION_TARGET.
@@ -229,7 +494,7 @@ FutureOr<Response> _routeToTargetFunction(
     );
   }
 
-  final wrappedHandler = withInit(targetFunction.handler);
+  final wrappedHandler = functionHandler(firebase, targetFunction);
   final response = await wrappedHandler(request);
   if (targetFunction.allowedOrigins != null) {
     return _applyCorsHeaders(request, response, targetFunction.allowedOrigins!);
@@ -240,6 +505,7 @@ FutureOr<Response> _routeToTargetFunction(
 /// Routes request by path matching (development/shared process mode).
 FutureOr<Response> _routeByPath(
   Request request,
+  Firebase firebase,
   List<FirebaseFunctionDeclaration> functions,
   String requestPath,
 ) async {
@@ -253,18 +519,29 @@ FutureOr<Response> _routeByPath(
         await _tryMatchCloudEventFunction(request, functions);
     if (matchedFunction != null) {
       // Use the recreated request with the body since we consumed the original
-      // Wrap with onInit to ensure initialization callback runs before first execution
-      final wrappedHandler = withInit(matchedFunction.handler);
+      // Wrap with middleware and onInit to ensure initialization callback
+      // runs before first execution
+      final wrappedHandler = functionHandler(firebase, matchedFunction);
       return wrappedHandler(reconstructedRequest);
     }
     // Use the reconstructed request for further processing
     currentRequest = reconstructedRequest;
   }
 
-  // Not a CloudEvent, try path-based routing for HTTPS functions
-  // Extract the function name from the path (/{functionName})
-  // The firebase-tools emulator sets X-Firebase-Function header for Dart runtimes
-  var functionName = _extractFunctionName(requestPath);
+  // Not a CloudEvent, try path-based routing for HTTPS functions mounted at
+  // /{functionName} or /{project}/{region}/{functionName}. Their handlers see
+  // paths relative to the mount point, as they do in FUNCTION_TARGET mode.
+  String functionName;
+  if (_findMountPath(requestPath, firebase, functions) case (
+    final name,
+    final mountPath,
+  )) {
+    functionName = name;
+    currentRequest = currentRequest.change(path: mountPath);
+  } else {
+    // Extract the function name from the path (/{functionName})
+    functionName = _extractFunctionName(requestPath);
+  }
 
   // Fallback: Check for X-Firebase-Function header set by firebase-tools
   if (functionName.isEmpty) {
@@ -286,7 +563,7 @@ FutureOr<Response> _routeByPath(
         continue;
       }
 
-      final wrappedHandler = withInit(function.handler);
+      final wrappedHandler = functionHandler(firebase, function);
       final response = await wrappedHandler(currentRequest);
       if (function.allowedOrigins != null) {
         return _applyCorsHeaders(
@@ -306,6 +583,37 @@ FutureOr<Response> _routeByPath(
   );
 }
 
+/// Finds the HTTPS function whose mount point, `{name}` or
+/// `{project}/{region}/{name}`, prefixes [requestPath], and returns its name
+/// with the mount point.
+///
+/// The first segment is matched as a function name first, so that `api`
+/// serves `api/v1/users` even when another function is named `users`. The
+/// emulator form only matches the project of [firebase] and the region the
+/// function is deployed to.
+(String, String)? _findMountPath(
+  String requestPath,
+  Firebase firebase,
+  List<FirebaseFunctionDeclaration> functions,
+) {
+  final segments = requestPath.split('/');
+  final external = {
+    for (final function in functions)
+      if (function.external) function.name: function,
+  };
+  if (external.containsKey(segments.first)) {
+    return (segments.first, segments.first);
+  }
+  if (segments.length < 3 || segments[0] != firebase.$env.projectId) {
+    return null;
+  }
+  final function = external[segments[2]];
+  if (function == null || function.region != segments[1]) {
+    return null;
+  }
+  return (function.name, segments.take(3).join('/'));
+}
+
 /// Tries to match a function by parsing CloudEvent headers or body.
 ///
 /// Supports both:
@@ -321,6 +629,7 @@ Future<(Request, FirebaseFunctionDeclaration?)> _tryMatchCloudEventFunction(
 ) async {
   try {
     String? bodyString; // Only set for structured mode
+    Map<String, dynamic>? structuredEvent; // Only set for structured mode
     final isBinaryMode =
         request.headers.containsKey('ce-type') &&
         request.headers.containsKey('ce-source');
@@ -370,25 +679,36 @@ Future<(Request, FirebaseFunctionDeclaration?)> _tryMatchCloudEventFunction(
 
       source = bodySource;
       type = bodyType;
+      structuredEvent = body;
     }
 
     // Now we have source and type from either headers or body
+    // Functions with different `name:`s can share a topic, bucket or path, so
+    // an event addressed to one of them goes there before the attributes are
+    // matched
+    if (_eventTarget(request) case final target?) {
+      for (final function in functions) {
+        if (!function.external && function.name == target) {
+          final newRequest = bodyString != null
+              ? request.change(body: bodyString)
+              : request;
+          return (newRequest, function);
+        }
+      }
+    }
+
     // Handle Pub/Sub CloudEvents
     // Source format: //pubsub.googleapis.com/projects/{project}/topics/{topic}
     if (type == 'google.cloud.pubsub.topic.v1.messagePublished' &&
         source.contains('/topics/')) {
       final topicName = source.split('/topics/').last;
 
-      // Sanitize topic name to match function naming convention
-      // Topic "my-topic" becomes function "on-message-published-mytopic"
-      final sanitizedTopic = topicName.replaceAll('-', '').toLowerCase();
-      final expectedFunctionName = toCloudRunId(
-        'onMessagePublished_$sanitizedTopic',
-      );
-
-      // Try to find a matching function
+      // Match on the topic rather than the function name, which may have
+      // been chosen with `name:`
       for (final function in functions) {
-        if (function.name == expectedFunctionName && !function.external) {
+        if (!function.external &&
+            function.eventType == type &&
+            function.topic == topicName) {
           // For structured mode, recreate request with body; for binary mode, use original
           final newRequest = bodyString != null
               ? request.change(body: bodyString)
@@ -415,26 +735,41 @@ Future<(Request, FirebaseFunctionDeclaration?)> _tryMatchCloudEventFunction(
         documentPath = source.split('/documents/').last;
       }
 
+      // Events name their database and namespace in the ce-database and
+      // ce-namespace attributes; the database is also part of the source
+      final database =
+          request.headers['ce-database'] ??
+          structuredEvent?['database'] as String? ??
+          RegExp('/databases/([^/]+)').firstMatch(source)?[1] ??
+          '(default)';
+      final namespace =
+          request.headers['ce-namespace'] ??
+          structuredEvent?['namespace'] as String? ??
+          '(default)';
+
       if (documentPath != null) {
-        // Map CloudEvent type to method name
-        final methodName = _mapCloudEventTypeToFirestoreMethod(type);
-        if (methodName != null) {
-          final methodPrefix = toCloudRunId(methodName);
-          // Try to find a matching function by pattern matching
-          for (final function in functions) {
-            if (!function.external && function.name.startsWith(methodPrefix)) {
-              // Check if this function has a document pattern to match against
-              if (function.documentPattern != null) {
-                if (_matchesDocumentPattern(
-                  documentPath,
-                  function.documentPattern!,
-                )) {
-                  // For structured mode, recreate request with body; for binary mode, use original
-                  final newRequest = bodyString != null
-                      ? request.change(body: bodyString)
-                      : request;
-                  return (newRequest, function);
-                }
+        // Auth context variants share the base event type
+        final eventType = type.replaceFirst(
+          RegExp(r'\.withAuthContext$'),
+          '',
+        );
+        // Try to find a matching function by pattern matching
+        for (final function in functions) {
+          if (!function.external &&
+              function.eventType == eventType &&
+              (function.database ?? '(default)') == database &&
+              (function.namespace ?? '(default)') == namespace) {
+            // Check if this function has a document pattern to match against
+            if (function.documentPattern != null) {
+              if (_matchesDocumentPattern(
+                documentPath,
+                function.documentPattern!,
+              )) {
+                // For structured mode, recreate request with body; for binary mode, use original
+                final newRequest = bodyString != null
+                    ? request.change(body: bodyString)
+                    : request;
+                return (newRequest, function);
               }
             }
           }
@@ -457,22 +792,17 @@ Future<(Request, FirebaseFunctionDeclaration?)> _tryMatchCloudEventFunction(
       }
 
       if (refPath != null) {
-        // Map CloudEvent type to method name
-        final methodName = _mapCloudEventTypeToDatabaseMethod(type);
-        if (methodName != null) {
-          final methodPrefix = toCloudRunId(methodName);
-          // Try to find a matching function by pattern matching
-          for (final function in functions) {
-            if (!function.external && function.name.startsWith(methodPrefix)) {
-              // Check if this function has a ref pattern to match against
-              if (function.refPattern != null) {
-                if (_matchesRefPattern(refPath, function.refPattern!)) {
-                  // For structured mode, recreate request with body; for binary mode, use original
-                  final newRequest = bodyString != null
-                      ? request.change(body: bodyString)
-                      : request;
-                  return (newRequest, function);
-                }
+        // Try to find a matching function by pattern matching
+        for (final function in functions) {
+          if (!function.external && function.eventType == type) {
+            // Check if this function has a ref pattern to match against
+            if (function.refPattern != null) {
+              if (_matchesRefPattern(refPath, function.refPattern!)) {
+                // For structured mode, recreate request with body; for binary mode, use original
+                final newRequest = bodyString != null
+                    ? request.change(body: bodyString)
+                    : request;
+                return (newRequest, function);
               }
             }
           }
@@ -499,31 +829,36 @@ Future<(Request, FirebaseFunctionDeclaration?)> _tryMatchCloudEventFunction(
       }
 
       if (bucketName != null) {
-        // Map CloudEvent type to method name
-        final methodName = _mapCloudEventTypeToStorageMethod(type);
-        if (methodName != null) {
-          // Sanitize bucket name to match function naming convention
-          final sanitizedBucket = bucketName.replaceAll(
-            RegExp('[^a-zA-Z0-9]'),
-            '',
-          );
-          final expectedFunctionName = toCloudRunId(
-            '${methodName}_$sanitizedBucket',
-          );
-
-          // Try to find a matching function
-          for (final function in functions) {
-            if (function.name == expectedFunctionName && !function.external) {
-              final newRequest = bodyString != null
-                  ? request.change(body: bodyString)
-                  : request;
-              return (newRequest, function);
-            }
+        // Try to find a matching function
+        for (final function in functions) {
+          if (!function.external &&
+              function.eventType == type &&
+              function.bucket == bucketName) {
+            final newRequest = bodyString != null
+                ? request.change(body: bodyString)
+                : request;
+            return (newRequest, function);
           }
         }
       }
     }
 
+    // Handle Remote Config and custom Eventarc CloudEvents, which only carry
+    // the event type to match on
+    for (final function in functions) {
+      if (!function.external &&
+          function.eventType == type &&
+          function.topic == null &&
+          function.bucket == null &&
+          function.documentPattern == null &&
+          function.refPattern == null) {
+        final newRequest = bodyString != null
+            ? request.change(body: bodyString)
+            : request;
+        return (newRequest, function);
+      }
+    }
+
     // TODO: Add support for other CloudEvent types (Auth, etc.)
 
     // No CloudEvent function matched - return reconstructed request if we read the body
@@ -540,6 +875,20 @@ Future<(Request, FirebaseFunctionDeclaration?)> _tryMatchCloudEventFunction(
   }
 }
 
+/// The name of the function an event is addressed to, if any.
+///
+/// The emulator posts events to `functions/projects/{project}/triggers/
+/// {region}-{name}`; other callers can name the function in the
+/// `x-firebase-function` header.
+String? _eventTarget(Request request) {
+  final path = request.url.path;
+  if (path.startsWith('functions/projects/')) {
+    final name = _extractFunctionName(path);
+    if (name.isNotEmpty) return name;
+  }
+  return request.headers['x-firebase-function'];
+}
+
 /// Extracts the function name from a request path.
 ///
 /// Handles different path formats:
@@ -601,15 +950,14 @@ String _extractFunctionName(String requestPath) {
 ///
 /// This endpoint is used by Cloud Run to signal graceful shutdown.
 /// Matches Node.js implementation in firebase-functions.
-Response _handleQuitQuitQuit(Request request) {
+Response _handleQuitQuitQuit(Request request, GracefulShutdown? shutdown) {
   // Accept both GET and POST like Node.js does
   if (request.method != 'GET' && request.method != 'POST') {
     return Response(405, headers: {'Allow': 'GET, POST'});
   }
 
-  // In Node.js, this closes the HTTP server
-  // In Dart, we'll just acknowledge the request
-  // Actual shutdown would need to be handled by the server instance
+  // Like Node.js, stop the server; this request is drained with the rest
+  if (shutdown != null) unawaited(shutdown.shutdown());
   return Response.ok('OK');
 }
 
@@ -617,6 +965,11 @@ Response _handleQuitQuitQuit(Request request) {
 ///
 /// Returns the functions manifest when FUNCTIONS_CONTROL_API is enabled.
 /// This is used by firebase-tools for function discovery.
+///
+/// Depending on [FirebaseEnv.functionsManifest], the manifest is the
+/// functions.yaml written by the builder, falling back to one generated from
+/// the registered functions when the file is missing, or always generated.
+/// In `check` mode, differences between the two are logged as warnings.
 FutureOr<Response> _handleFunctionsManifest(
   Request request,
   Firebase firebase,
@@ -625,33 +978,49 @@ FutureOr<Response> _handleFunctionsManifest(
     return Response(405, headers: {'Allow': 'GET'});
   }
 
-  // Read the generated manifest file
-  final manifestPath = 'functions.yaml';
-  final manifestFile = File(manifestPath);
+  final mode = firebase.$env.functionsManifest;
+  final manifestFile = File('functions.yaml');
+  final String manifestContent;
 
-  if (!manifestFile.existsSync()) {
-    return Response.notFound(
-      'functions.yaml not found at $manifestPath. '
-      'Run "dart run build_runner build" to generate it.',
-    );
+  if (mode == 'runtime' || !manifestFile.existsSync()) {
+    if (mode != 'runtime') {
+      logger.warn(
+        'functions.yaml not found; serving a manifest generated from the '
+        'registered functions. Run "dart run build_runner build" to '
+        'generate it.',
+      );
+    }
+    manifestContent = generateRuntimeManifestYaml(firebase.functions);
+  } else {
+    manifestContent = manifestFile.readAsStringSync();
+    if (mode == 'check') {
+      _checkManifest(manifestContent, firebase.functions);
+    }
   }
 
-  final manifestContent = manifestFile.readAsStringSync();
   return Response.ok(
     manifestContent,
     headers: {'Content-Type': 'text/yaml; charset=utf-8'},
   );
 }
 
-/// Maps Firestore CloudEvent type to method name.
-String? _mapCloudEventTypeToFirestoreMethod(String eventType) =>
-    switch (eventType) {
-      'google.cloud.firestore.document.v1.created' => 'onDocumentCreated',
-      'google.cloud.firestore.document.v1.updated' => 'onDocumentUpdated',
-      'google.cloud.firestore.document.v1.deleted' => 'onDocumentDeleted',
-      'google.cloud.firestore.document.v1.written' => 'onDocumentWritten',
-      _ => null,
-    };
+/// Logs a warning for each difference between the [built] functions.yaml
+/// and the manifest of the registered [functions].
+void _checkManifest(
+  String built,
+  Iterable<FirebaseFunctionDeclaration> functions,
+) {
+  final differences = compareManifests(
+    buildRuntimeManifest(functions),
+    loadYaml(built),
+  );
+  for (final ManifestDifference(:path, :dart, :node) in differences) {
+    logger.warn(
+      'functions.yaml differs from the registered functions at $path: '
+      '${node ?? 'missing'} in the file, ${dart ?? 'missing'} at runtime.',
+    );
+  }
+}
 
 /// Matches a document path against a pattern with wildcards.
 ///
@@ -689,27 +1058,6 @@ bool _matchesDocumentPattern(String documentPath, String pattern) {
   return true;
 }
 
-/// Maps Database CloudEvent type to method name.
-String? _mapCloudEventTypeToDatabaseMethod(String eventType) =>
-    switch (eventType) {
-      'google.firebase.database.ref.v1.created' => 'onValueCreated',
-      'google.firebase.database.ref.v1.updated' => 'onValueUpdated',
-      'google.firebase.database.ref.v1.deleted' => 'onValueDeleted',
-      'google.firebase.database.ref.v1.written' => 'onValueWritten',
-      _ => null,
-    };
-
-/// Maps Storage CloudEvent type to method name.
-String? _mapCloudEventTypeToStorageMethod(String eventType) =>
-    switch (eventType) {
-      'google.cloud.storage.object.v1.archived' => 'onObjectArchived',
-      'google.cloud.storage.object.v1.finalized' => 'onObjectFinalized',
-      'google.cloud.storage.object.v1.deleted' => 'onObjectDeleted',
-      'google.cloud.storage.object.v1.metadataUpdated' =>
-        'onObjectMetadataUpdated',
-      _ => null,
-    };
-
 /// Matches a database ref path against a pattern with wildcards.
 ///
 /// Examples:
@@ -12,11 +12,15 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport '../firebase.dart';
+library;
+
 import '../common/options.dart';
 
 /// Options for Cloud Storage event handlers.
 class StorageOptions extends GlobalOptions {
   const StorageOptions({
+    this.idempotent = false,
     super.concurrency,
     super.cpu,
     super.ingressSettings,
@@ -34,4 +38,8 @@ class StorageOptions extends GlobalOptions {
     super.vpcConnector,
     super.vpcConnectorEgressSettings,
   });
+
+  /// Whether to skip object events that this function already handled
+  /// successfully; see [Firebase.dedupeStore].
+  final bool idempotent;
 }
@@ -18,6 +18,7 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
 import 'options.dart';
@@ -33,6 +34,7 @@ class StorageNamespace extends FunctionsNamespace {
   /// Creates a function triggered when an object is archived in Cloud Storage.
   ///
   /// The handler receives a [StorageEvent] containing the [StorageObjectData].
+  /// The function is named after [bucket] unless [name] is given.
   ///
   /// Example:
   /// ```dart
@@ -48,15 +50,25 @@ class StorageNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String bucket,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst StorageOptions? options = const StorageOptions(),
   }) {
-    _createHandler('onObjectArchived', _eventTypeArchived, bucket, handler);
+    _createHandler(
+      'onObjectArchived',
+      _eventTypeArchived,
+      bucket,
+      name,
+      handler,
+      options,
+    );
   }
 
   /// Creates a function triggered when an object is finalized (created or
   /// overwritten) in Cloud Storage.
   ///
   /// The handler receives a [StorageEvent] containing the [StorageObjectData].
+  /// The function is named after [bucket] unless [name] is given.
   ///
   /// Example:
   /// ```dart
@@ -73,14 +85,24 @@ class StorageNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String bucket,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst StorageOptions? options = const StorageOptions(),
   }) {
-    _createHandler('onObjectFinalized', _eventTypeFinalized, bucket, handler);
+    _createHandler(
+      'onObjectFinalized',
+      _eventTypeFinalized,
+      bucket,
+      name,
+      handler,
+      options,
+    );
   }
 
   /// Creates a function triggered when an object is deleted in Cloud Storage.
   ///
   /// The handler receives a [StorageEvent] containing the [StorageObjectData].
+  /// The function is named after [bucket] unless [name] is given.
   ///
   /// Example:
   /// ```dart
@@ -96,15 +118,25 @@ class StorageNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String bucket,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst StorageOptions? options = const StorageOptions(),
   }) {
-    _createHandler('onObjectDeleted', _eventTypeDeleted, bucket, handler);
+    _createHandler(
+      'onObjectDeleted',
+      _eventTypeDeleted,
+      bucket,
+      name,
+      handler,
+      options,
+    );
   }
 
   /// Creates a function triggered when an object's metadata is updated
   /// in Cloud Storage.
   ///
   /// The handler receives a [StorageEvent] containing the [StorageObjectData].
+  /// The function is named after [bucket] unless [name] is given.
   ///
   /// Example:
   /// ```dart
@@ -120,13 +152,17 @@ class StorageNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst required String bucket,
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst StorageOptions? options = const StorageOptions(),
   }) {
     _createHandler(
       'onObjectMetadataUpdated',
       _eventTypeMetadataUpdated,
       bucket,
+      name,
       handler,
+      options,
     );
   }
 
@@ -135,11 +171,13 @@ class StorageNamespace extends FunctionsNamespace {
     String methodName,
     String expectedEventType,
     String bucket,
+    String? name,
     Future<void> Function(StorageEvent event) handler,
+    StorageOptions? options,
   ) {
-    final functionName = _bucketToFunctionName(methodName, bucket);
+    final functionName = name ?? _bucketToFunctionName(methodName, bucket);
 
-    firebase.registerFunction(functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         // Read and parse CloudEvent
         final json = await parseAndValidateCloudEvent(request);
@@ -166,7 +204,17 @@ class StorageNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    firebase.registerFunction(
+      functionName,
+      handleRequest,
+      eventType: expectedEventType,
+      bucket: bucket,
+      idempotent: options?.idempotent ?? false,
+      options: options,
+      trigger: eventTrigger(expectedEventType, filters: {'bucket': bucket}),
+    );
   }
 
   /// Converts a bucket name to a function name.
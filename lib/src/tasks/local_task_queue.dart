@@ -0,0 +1,346 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport 'tasks_namespace.dart';
+library;
+
+import 'dart:async';
+import 'dart:collection';
+import 'dart:math' as math;
+
+import 'package:http/http.dart' as http;
+
+import '../common/options.dart';
+import '../logger/logger.dart';
+import 'options.dart';
+import 'task_queue.dart';
+
+/// A stand-in for Cloud Tasks that dispatches tasks to a locally running
+/// functions server.
+///
+/// [TasksNamespace.taskQueue] returns one when running in the emulator
+/// without a Cloud Tasks emulator. Tasks are POSTed to
+/// `<serverUrl>/<functionName>` with the same body and `X-CloudTasks-*`
+/// headers Cloud Tasks sends, and the retry and rate limit settings in
+/// [options] are applied the way Cloud Tasks applies them.
+///
+/// Dispatching happens in the background; await [idle] to wait for all
+/// enqueued tasks to finish, and [close] the queue to stop it.
+final class LocalTaskQueue implements TaskQueue {
+  LocalTaskQueue({
+    required this.functionName,
+    required this.serverUrl,
+    this.options,
+    http.Client? httpClient,
+  }) : _httpClient = httpClient ?? http.Client();
+
+  /// The Cloud Run ID of the task queue function, which is also the queue
+  /// name reported to it.
+  final String functionName;
+
+  /// The base URL of the running functions server.
+  final Uri serverUrl;
+
+  /// The options the function was registered with.
+  final TaskQueueOptions? options;
+
+  final http.Client _httpClient;
+
+  /// IDs of all tasks enqueued so far. Cloud Tasks also rejects IDs of
+  /// tasks that already ran.
+  final _ids = <String>{};
+  final _scheduled = <String, Timer>{};
+  final _sleeping = <Completer<void>, Timer>{};
+  final _waiting = Queue<Completer<void>>();
+  var _active = 0;
+  var _inFlight = 0;
+  var _generatedIds = 0;
+  DateTime? _nextDispatch;
+  Completer<void>? _idle;
+  Future<void>? _closed;
+
+  /// Completes once every enqueued task has succeeded or given up.
+  Future<void> get idle {
+    if (_inFlight == 0) return Future.value();
+    return (_idle ??= Completer<void>()).future;
+  }
+
+  @override
+  Future<void> enqueue(
+    Object? data, {
+    int? scheduleDelaySeconds,
+    DateTime? scheduleTime,
+    int? dispatchDeadlineSeconds,
+    String? id,
+    Map<String, String> headers = const {},
+  }) async {
+    if (_closed != null) {
+      throw StateError('The task queue for $functionName is closed');
+    }
+    final task = QueuedTask(
+      data,
+      scheduleDelaySeconds: scheduleDelaySeconds,
+      scheduleTime: scheduleTime,
+      dispatchDeadlineSeconds: dispatchDeadlineSeconds,
+      id: id,
+      headers: headers,
+    );
+    final taskId =
+        task.id ??
+        '${DateTime.now().microsecondsSinceEpoch}${_generatedIds++}';
+    if (!_ids.add(taskId)) {
+      throw TaskQueueException(
+        'task-already-exists',
+        'A task with ID $taskId already exists',
+      );
+    }
+
+    final eta = task.scheduleTime ?? DateTime.now();
+    final delay = eta.difference(DateTime.now());
+    _inFlight++;
+    _scheduled[taskId] = Timer(delay.isNegative ? Duration.zero : delay, () {
+      _scheduled.remove(taskId);
+      unawaited(_run(taskId, task, eta).whenComplete(_taskDone));
+    });
+  }
+
+  @override
+  Future<void> delete(String id) async {
+    final timer = _scheduled.remove(id);
+    if (timer == null) return;
+    timer.cancel();
+    _taskDone();
+  }
+
+  /// Stops the queue: tasks that have not been dispatched yet are cancelled
+  /// and failed tasks are no longer retried.
+  ///
+  /// Attempts already under way are allowed to finish; the returned future
+  /// completes once they have, and the HTTP client is closed. Enqueuing a
+  /// task afterwards throws a [StateError].
+  Future<void> close() => _closed ??= _close();
+
+  Future<void> _close() async {
+    final scheduled = [..._scheduled.values];
+    _scheduled.clear();
+    for (final timer in scheduled) {
+      timer.cancel();
+      _taskDone();
+    }
+    for (final MapEntry(key: wake, value: timer) in _sleeping.entries) {
+      timer.cancel();
+      wake.complete();
+    }
+    _sleeping.clear();
+    while (_waiting.isNotEmpty) {
+      _waiting.removeFirst().complete();
+    }
+
+    await idle;
+    _httpClient.close();
+  }
+
+  Future<void> _run(String id, QueuedTask task, DateTime eta) async {
+    final firstAttempt = DateTime.now();
+    final etaSeconds =
+        eta.microsecondsSinceEpoch / Duration.microsecondsPerSecond;
+    int? previousResponse;
+
+    for (var attempt = 0; ; attempt++) {
+      final status = await _dispatch(
+        task,
+        headers: {
+          'X-CloudTasks-QueueName': functionName,
+          'X-CloudTasks-TaskName': id,
+          'X-CloudTasks-TaskRetryCount': '$attempt',
+          'X-CloudTasks-TaskExecutionCount': '$attempt',
+          'X-CloudTasks-TaskETA': etaSeconds.toStringAsFixed(6),
+          if (previousResponse != null)
+            'X-CloudTasks-TaskPreviousResponse': '$previousResponse',
+        },
+      );
+      if (status == null) return;
+      if (status >= 200 && status < 300) return;
+
+      previousResponse = status;
+      final attempts = attempt + 1;
+      if (_closed != null) {
+        logger.warn(
+          'Task $id for $functionName failed with $status; not retrying '
+          'since the queue is closed.',
+        );
+        return;
+      }
+      if (_shouldGiveUp(attempts, DateTime.now().difference(firstAttempt))) {
+        logger.error(
+          'Task $id for $functionName failed after $attempts attempts '
+          '(last response $status); giving up.',
+        );
+        return;
+      }
+
+      final backoff = _backoff(attempts);
+      logger.warn(
+        'Task $id for $functionName failed with $status; '
+        'retrying in ${backoff.inMilliseconds}ms.',
+      );
+      await _sleep(backoff);
+    }
+  }
+
+  /// Sends one attempt of [task] and returns the response status, or `null`
+  /// if the queue was closed before it could be sent.
+  Future<int?> _dispatch(
+    QueuedTask task, {
+    required Map<String, String> headers,
+  }) async {
+    if (!await _acquire()) return null;
+    try {
+      final request =
+          http.Request('POST', serverUrl.resolve(functionName))
+            ..headers.addAll({...task.headers, ...headers})
+            ..bodyBytes = task.body;
+      final response = await _httpClient
+          .send(request)
+          .timeout(task.dispatchDeadline ?? _defaultDispatchDeadline);
+      await response.stream.drain<void>();
+      return response.statusCode;
+    } on TimeoutException {
+      return 504;
+    } catch (e) {
+      logger.warn('Failed to dispatch task to $functionName: $e');
+      return 503;
+    } finally {
+      _release();
+    }
+  }
+
+  /// Waits until both `maxConcurrentDispatches` and
+  /// `maxDispatchesPerSecond` allow another dispatch.
+  ///
+  /// Returns `false`, without taking a slot, if the queue is closed first.
+  Future<bool> _acquire() async {
+    while (_active >= _maxConcurrentDispatches) {
+      if (_closed != null) return false;
+      final waiter = Completer<void>();
+      _waiting.add(waiter);
+      await waiter.future;
+    }
+    if (_closed != null) return false;
+    _active++;
+
+    final now = DateTime.now();
+    final next = _nextDispatch;
+    final slot = next == null || next.isBefore(now) ? now : next;
+    _nextDispatch = slot.add(
+      Duration(microseconds: 1000000 ~/ _maxDispatchesPerSecond),
+    );
+    if (slot.isAfter(now)) await _sleep(slot.difference(now));
+    if (_closed != null) {
+      _release();
+      return false;
+    }
+    return true;
+  }
+
+  /// Waits for [duration], or until the queue is closed.
+  Future<void> _sleep(Duration duration) {
+    final wake = Completer<void>();
+    _sleeping[wake] = Timer(duration, () {
+      _sleeping.remove(wake);
+      wake.complete();
+    });
+    return wake.future;
+  }
+
+  void _release() {
+    _active--;
+    if (_waiting.isNotEmpty) _waiting.removeFirst().complete();
+  }
+
+  void _taskDone() {
+    if (--_inFlight > 0) return;
+    _idle?.complete();
+    _idle = null;
+  }
+
+  /// Cloud Tasks retries until both the attempt and the duration limit are
+  /// reached; an unset limit does not hold retries back.
+  bool _shouldGiveUp(int attempts, Duration elapsed) {
+    final maxAttempts = _maxAttempts;
+    final maxRetrySeconds = _option(options?.retryConfig?.maxRetrySeconds);
+    final attemptsReached = maxAttempts < 0 ? null : attempts >= maxAttempts;
+    final durationReached = maxRetrySeconds == null || maxRetrySeconds == 0
+        ? null
+        : elapsed.inSeconds >= maxRetrySeconds;
+
+    return switch ((attemptsReached, durationReached)) {
+      (null, null) => false,
+      (final attempts?, null) => attempts,
+      (null, final duration?) => duration,
+      (final attempts?, final duration?) => attempts && duration,
+    };
+  }
+
+  /// The delay before the [retry]th retry: the minimum backoff doubled
+  /// `maxDoublings` times, then growing linearly, capped at the maximum.
+  Duration _backoff(int retry) {
+    final retryConfig = options?.retryConfig;
+    final minBackoff =
+        _option(retryConfig?.minBackoffSeconds)?.toDouble() ??
+        _defaultMinBackoffSeconds;
+    final maxBackoff =
+        _option(retryConfig?.maxBackoffSeconds) ?? _defaultMaxBackoffSeconds;
+    final maxDoublings =
+        _option(retryConfig?.maxDoublings) ?? _defaultMaxDoublings;
+
+    final doublings = math.min(retry - 1, maxDoublings);
+    var seconds = minBackoff * math.pow(2, doublings);
+    if (retry - 1 > maxDoublings) {
+      seconds +=
+          minBackoff * math.pow(2, maxDoublings) * (retry - 1 - maxDoublings);
+    }
+    seconds = math.min(seconds, maxBackoff.toDouble());
+    return Duration(microseconds: (seconds * 1000000).round());
+  }
+
+  int get _maxAttempts =>
+      _option(options?.retryConfig?.maxAttempts) ?? _defaultMaxAttempts;
+
+  int get _maxConcurrentDispatches => math.max(
+    1,
+    _option(options?.rateLimits?.maxConcurrentDispatches) ??
+        _defaultMaxConcurrentDispatches,
+  );
+
+  int get _maxDispatchesPerSecond => math.max(
+    1,
+    _option(options?.rateLimits?.maxDispatchesPerSecond) ??
+        _defaultMaxDispatchesPerSecond,
+  );
+
+  static int? _option(DeployOption<int>? option) => switch (option) {
+    null || OptionReset() => null,
+    final value => value.runtimeValue(),
+  };
+}
+
+// Cloud Tasks defaults for queues created by Firebase.
+const _defaultMaxAttempts = 3;
+const _defaultMinBackoffSeconds = 0.1;
+const _defaultMaxBackoffSeconds = 3600;
+const _defaultMaxDoublings = 16;
+const _defaultMaxConcurrentDispatches = 1000;
+const _defaultMaxDispatchesPerSecond = 500;
+const _defaultDispatchDeadline = Duration(minutes: 10);
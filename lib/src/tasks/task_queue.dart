@@ -0,0 +1,341 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport 'local_task_queue.dart';
+/// @docImport 'task_request.dart';
+/// @docImport 'tasks_namespace.dart';
+library;
+
+import 'dart:convert';
+
+import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
+import 'package:http/http.dart' as http;
+import 'package:meta/meta.dart';
+
+import '../common/admin_client.dart';
+
+/// A queue of tasks for a task queue function.
+///
+/// Obtain one with [TasksNamespace.taskQueue]. Tasks are delivered to the
+/// function registered with `onTaskDispatched` under the same name, which
+/// receives the enqueued data as [TaskRequest.data].
+///
+/// Example:
+/// ```dart
+/// firebase.https.onRequest(name: 'checkout', (request) async {
+///   await firebase.tasks
+///       .taskQueue('processOrder')
+///       .enqueue({'orderId': '42'}, scheduleDelaySeconds: 60);
+///   return Response.ok('Queued');
+/// });
+/// ```
+abstract interface class TaskQueue {
+  /// Enqueues a task carrying [data] (which must be JSON-encodable).
+  ///
+  /// - [scheduleDelaySeconds] delays the first attempt by that many seconds.
+  /// - [scheduleTime] sets the time of the first attempt. Mutually exclusive
+  ///   with [scheduleDelaySeconds].
+  /// - [dispatchDeadlineSeconds] is how long an attempt may take, between 15
+  ///   and 1800 seconds. Defaults to 10 minutes.
+  /// - [id] names the task, so that enqueuing the same [id] again fails with
+  ///   a [TaskQueueException] with code `task-already-exists`. May contain
+  ///   letters, digits, hyphens and underscores.
+  /// - [headers] are added to the request the function receives.
+  ///
+  /// Throws an [ArgumentError] if the options are invalid.
+  Future<void> enqueue(
+    Object? data, {
+    int? scheduleDelaySeconds,
+    DateTime? scheduleTime,
+    int? dispatchDeadlineSeconds,
+    String? id,
+    Map<String, String> headers = const {},
+  });
+
+  /// Deletes the task named [id] if it has not been dispatched yet.
+  ///
+  /// Deleting a task that does not exist is not an error.
+  Future<void> delete(String id);
+}
+
+/// Thrown when a [TaskQueue] rejects a request.
+class TaskQueueException implements Exception {
+  const TaskQueueException(this.code, this.message);
+
+  /// A machine-readable error code, e.g. `task-already-exists`.
+  final String code;
+
+  /// A human-readable description of the error.
+  final String message;
+
+  @override
+  String toString() => 'TaskQueueException($code): $message';
+}
+
+/// A validated task, before it is sent to Cloud Tasks or a stand-in queue.
+@internal
+final class QueuedTask {
+  /// Validates the [TaskQueue.enqueue] arguments.
+  factory QueuedTask(
+    Object? data, {
+    int? scheduleDelaySeconds,
+    DateTime? scheduleTime,
+    int? dispatchDeadlineSeconds,
+    String? id,
+    Map<String, String> headers = const {},
+  }) {
+    if (scheduleDelaySeconds != null && scheduleTime != null) {
+      throw ArgumentError(
+        'Both scheduleDelaySeconds and scheduleTime cannot be specified.',
+      );
+    }
+    if (scheduleDelaySeconds != null && scheduleDelaySeconds < 0) {
+      throw ArgumentError.value(
+        scheduleDelaySeconds,
+        'scheduleDelaySeconds',
+        'Must be a non-negative number of seconds',
+      );
+    }
+    if (dispatchDeadlineSeconds != null &&
+        (dispatchDeadlineSeconds < 15 || dispatchDeadlineSeconds > 1800)) {
+      throw ArgumentError.value(
+        dispatchDeadlineSeconds,
+        'dispatchDeadlineSeconds',
+        'Must be between 15 and 1800 seconds',
+      );
+    }
+    if (id != null && !_taskIdPattern.hasMatch(id)) {
+      throw ArgumentError.value(
+        id,
+        'id',
+        'May only contain letters, digits, hyphens and underscores '
+            '(at most 500 characters)',
+      );
+    }
+
+    return QueuedTask._(
+      body: utf8.encode(jsonEncode({'data': data})),
+      scheduleTime: scheduleDelaySeconds != null
+          ? DateTime.now().add(Duration(seconds: scheduleDelaySeconds))
+          : scheduleTime,
+      dispatchDeadline: dispatchDeadlineSeconds != null
+          ? Duration(seconds: dispatchDeadlineSeconds)
+          : null,
+      id: id,
+      headers: {...headers, 'Content-Type': 'application/json'},
+    );
+  }
+
+  QueuedTask._({
+    required this.body,
+    required this.scheduleTime,
+    required this.dispatchDeadline,
+    required this.id,
+    required this.headers,
+  });
+
+  /// The request body, `{"data": ...}` encoded as JSON.
+  final List<int> body;
+
+  /// When the task should first be attempted, or `null` for immediately.
+  final DateTime? scheduleTime;
+
+  /// How long an attempt may take, or `null` for the default.
+  final Duration? dispatchDeadline;
+
+  /// The task ID, or `null` to let the queue generate one.
+  final String? id;
+
+  /// The request headers, including `Content-Type`.
+  final Map<String, String> headers;
+
+  static final _taskIdPattern = RegExp(r'^[A-Za-z0-9_-]{1,500}$');
+}
+
+/// A [TaskQueue] backed by the Cloud Tasks API.
+///
+/// This is what [TasksNamespace.taskQueue] returns in production. Requests
+/// are authorized with the credentials of the Admin SDK `app`, or of the
+/// default app when none is given. The OIDC token the function is invoked
+/// with is issued for the service account of the app's credential, or for
+/// the default service account of the instance when it has none.
+///
+/// When [emulatorHost] is set (from `CLOUD_TASKS_EMULATOR_HOST`), requests
+/// go to the Cloud Tasks emulator instead, without credentials. The emulator
+/// cannot look up Cloud Run services, so [functionUrl] must then be given.
+final class CloudTasksQueue implements TaskQueue {
+  CloudTasksQueue({
+    required this.projectId,
+    required this.location,
+    required this.functionName,
+    this.emulatorHost,
+    String? functionUrl,
+    FirebaseApp? app,
+    http.Client? httpClient,
+  }) : _functionUrl = functionUrl,
+       _app = app,
+       _httpClient =
+           httpClient ??
+           (emulatorHost == null
+               ? AdminAppClient(app ?? FirebaseApp.getApp())
+               : http.Client());
+
+  /// The project that owns the queue.
+  final String projectId;
+
+  /// The region of the queue and its function, e.g. `us-central1`.
+  final String location;
+
+  /// The Cloud Run ID of the task queue function, which is also the queue ID.
+  final String functionName;
+
+  /// The `host:port` of the Cloud Tasks emulator, if any.
+  final String? emulatorHost;
+
+  final FirebaseApp? _app;
+
+  final http.Client _httpClient;
+
+  String? _functionUrl;
+  String? _serviceAccountEmail;
+
+  /// The resource name of the queue.
+  String get queuePath =>
+      'projects/$projectId/locations/$location/queues/$functionName';
+
+  /// The URL Cloud Tasks delivers tasks to: that of the function's Cloud
+  /// Run service.
+  ///
+  /// Unless passed to the constructor, it is looked up once with the Cloud
+  /// Run Admin API, which needs the `run.services.get` permission on the
+  /// service.
+  Future<String> get functionUrl async =>
+      _functionUrl ??= await _getServiceUrl();
+
+  @override
+  Future<void> enqueue(
+    Object? data, {
+    int? scheduleDelaySeconds,
+    DateTime? scheduleTime,
+    int? dispatchDeadlineSeconds,
+    String? id,
+    Map<String, String> headers = const {},
+  }) async {
+    final task = QueuedTask(
+      data,
+      scheduleDelaySeconds: scheduleDelaySeconds,
+      scheduleTime: scheduleTime,
+      dispatchDeadlineSeconds: dispatchDeadlineSeconds,
+      id: id,
+      headers: headers,
+    );
+
+    final response = await _httpClient.post(
+      _apiUri('$queuePath/tasks'),
+      headers: {'Content-Type': 'application/json'},
+      body: jsonEncode({'task': await toCloudTask(task)}),
+    );
+
+    if (response.statusCode == 409) {
+      throw TaskQueueException(
+        'task-already-exists',
+        'A task with ID $id already exists',
+      );
+    }
+    _checkResponse(response);
+  }
+
+  @override
+  Future<void> delete(String id) async {
+    final response = await _httpClient.delete(_apiUri('$queuePath/tasks/$id'));
+    if (response.statusCode == 404) return;
+    _checkResponse(response);
+  }
+
+  /// Converts [task] into a Cloud Tasks `Task` resource.
+  @visibleForTesting
+  Future<Map<String, Object?>> toCloudTask(QueuedTask task) async => {
+    if (task.id != null) 'name': '$queuePath/tasks/${task.id}',
+    'httpRequest': {
+      'url': await functionUrl,
+      'oidcToken': {'serviceAccountEmail': await _getServiceAccountEmail()},
+      'body': base64.encode(task.body),
+      'headers': task.headers,
+    },
+    if (task.scheduleTime case final time?)
+      'scheduleTime': time.toUtc().toIso8601String(),
+    if (task.dispatchDeadline case final deadline?)
+      'dispatchDeadline': '${deadline.inSeconds}s',
+  };
+
+  Uri _apiUri(String path) => emulatorHost != null
+      ? Uri.parse('http://$emulatorHost/v2/$path')
+      : Uri.parse('https://cloudtasks.googleapis.com/v2/$path');
+
+  void _checkResponse(http.Response response) {
+    if (response.statusCode >= 200 && response.statusCode < 300) return;
+    throw TaskQueueException(
+      response.statusCode == 404 ? 'not-found' : 'internal',
+      'Cloud Tasks request failed (${response.statusCode}): '
+          '${response.body}',
+    );
+  }
+
+  Future<String> _getServiceUrl() async {
+    if (emulatorHost != null) {
+      throw StateError('functionUrl is required with emulatorHost');
+    }
+    final response = await _httpClient.get(
+      Uri.parse(
+        'https://run.googleapis.com/v2/projects/$projectId/locations/'
+        '$location/services/$functionName',
+      ),
+    );
+    if (response.statusCode != 200) {
+      throw TaskQueueException(
+        response.statusCode == 404 ? 'not-found' : 'internal',
+        'Failed to look up the Cloud Run service of $functionName '
+            '(${response.statusCode}): ${response.body}',
+      );
+    }
+    final service = jsonDecode(response.body) as Map<String, dynamic>;
+    return service['uri'] as String;
+  }
+
+  Future<String> _getServiceAccountEmail() async {
+    if (emulatorHost != null) return 'emulated-service-acct@email.com';
+    return _serviceAccountEmail ??=
+        (_app == null ? null : serviceAccountEmail(_app)) ??
+        await _metadata('email');
+  }
+
+  /// Reads a value of the default service account from the metadata server.
+  Future<String> _metadata(String key) async {
+    final response = await _httpClient.get(
+      Uri.parse(
+        'http://metadata.google.internal/computeMetadata/v1/instance/'
+        'service-accounts/default/$key',
+      ),
+      headers: {'Metadata-Flavor': 'Google'},
+    );
+    if (response.statusCode != 200) {
+      throw TaskQueueException(
+        'internal',
+        'Failed to read service account $key from the metadata server '
+            '(${response.statusCode})',
+      );
+    }
+    return response.body;
+  }
+}
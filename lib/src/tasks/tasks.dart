@@ -18,6 +18,8 @@
 /// using Google Cloud Tasks.
 library;
 
+export 'local_task_queue.dart';
 export 'options.dart';
+export 'task_queue.dart' show CloudTasksQueue, TaskQueue, TaskQueueException;
 export 'task_request.dart';
 export 'tasks_namespace.dart';
@@ -12,6 +12,9 @@
 // See the License for the specific language governing permissions and
 // limitations under the License.
 
+/// @docImport '../server.dart';
+library;
+
 import 'dart:async';
 import 'dart:convert';
 import 'dart:io';
@@ -21,9 +24,13 @@ import 'package:shelf/shelf.dart';
 
 import 'package:stack_trace/stack_trace.dart' show Trace;
 
+import '../common/cloud_run_id.dart';
+import '../common/manifest.dart';
 import '../firebase.dart';
 import '../logger/logger.dart';
+import 'local_task_queue.dart';
 import 'options.dart';
+import 'task_queue.dart';
 import 'task_request.dart';
 
 /// Task queue triggers namespace.
@@ -34,6 +41,91 @@ class TasksNamespace extends FunctionsNamespace {
   /// Creates a tasks namespace.
   const TasksNamespace(super.firebase);
 
+  /// Options of the task queue functions registered on each instance, used
+  /// by local stand-in queues.
+  static final Map<Firebase, Map<String, TaskQueueOptions?>> _optionsMap = {};
+
+  /// Local stand-in queues, shared so that rate limits apply across calls.
+  static final Map<Firebase, Map<String, LocalTaskQueue>> _localQueuesMap =
+      {};
+
+  /// Matches `[projects/{project}/][locations/{location}/functions/]{name}`.
+  static final _functionResourcePattern = RegExp(
+    r'^(?:(?:projects/(?<project>[^/]+)/)?'
+    r'locations/(?<location>[^/]+)/functions/)?(?<function>[^/]+)$',
+  );
+
+  /// Returns the queue of the task queue function [name], for enqueuing
+  /// tasks from other functions.
+  ///
+  /// [name] is the name passed to [onTaskDispatched], optionally qualified
+  /// as `locations/{location}/functions/{name}` or
+  /// `projects/{project}/locations/{location}/functions/{name}`. The location
+  /// defaults to the region of the function when it is registered here, else
+  /// `us-central1`, and the project to the current one.
+  ///
+  /// In production, tasks are sent to Cloud Tasks. When
+  /// `CLOUD_TASKS_EMULATOR_HOST` is set they are sent to the Cloud Tasks
+  /// emulator, and otherwise in the emulator a [LocalTaskQueue] dispatches
+  /// them to this server on `PORT`.
+  ///
+  /// Example:
+  /// ```dart
+  /// await firebase.tasks.taskQueue('processOrder').enqueue(
+  ///   {'orderId': orderId},
+  ///   scheduleDelaySeconds: 60,
+  ///   id: 'order-$orderId',
+  /// );
+  /// ```
+  TaskQueue taskQueue(String name) {
+    final match = _functionResourcePattern.firstMatch(name);
+    if (match == null) {
+      throw ArgumentError.value(name, 'name', 'Invalid task queue function');
+    }
+    final functionName = toCloudRunId(match.namedGroup('function')!);
+    final env = firebase.$env;
+    final emulatorHost = env.cloudTasksEmulatorHost;
+
+    if (emulatorHost == null && env.isEmulator) {
+      return _localQueuesMap
+          .putIfAbsent(firebase, () => {})
+          .putIfAbsent(
+            functionName,
+            () => LocalTaskQueue(
+              functionName: functionName,
+              serverUrl: Uri.parse('http://localhost:${env.port}/'),
+              options: _optionsMap[firebase]?[functionName],
+            ),
+          );
+    }
+
+    return CloudTasksQueue(
+      projectId: match.namedGroup('project') ?? env.projectId,
+      location:
+          match.namedGroup('location') ??
+          firebase.functions
+              .where((function) => function.name == functionName)
+              .firstOrNull
+              ?.region ??
+          'us-central1',
+      functionName: functionName,
+      emulatorHost: emulatorHost,
+      functionUrl: emulatorHost != null
+          ? 'http://localhost:${env.port}/$functionName'
+          : null,
+      app: firebase.adminApp,
+    );
+  }
+
+  /// Closes the [LocalTaskQueue]s returned by [taskQueue], so that no more
+  /// tasks are dispatched or retried.
+  ///
+  /// [runFunctions] calls this when the server starts shutting down.
+  Future<void> closeLocalQueues() async {
+    final queues = _localQueuesMap.remove(firebase)?.values ?? const [];
+    await Future.wait([for (final queue in queues) queue.close()]);
+  }
+
   /// Creates a function triggered by tasks dispatched to a Google Cloud Tasks queue.
   ///
   /// The handler receives a [TaskRequest] containing the task data and context.
@@ -57,7 +149,9 @@ class TasksNamespace extends FunctionsNamespace {
     // ignore: experimental_member_use
     @mustBeConst TaskQueueOptions? options = const TaskQueueOptions(),
   }) {
-    firebase.registerFunction(name, (request) async {
+    _optionsMap.putIfAbsent(firebase, () => {})[toCloudRunId(name)] = options;
+
+    Future<Response> handleRequest(Request request) async {
       try {
         // Parse request body
         final bodyString = await request.readAsString();
@@ -142,7 +236,30 @@ class TasksNamespace extends FunctionsNamespace {
           headers: {HttpHeaders.contentTypeHeader: 'application/json'},
         );
       }
-    });
+    }
+
+    firebase.registerFunction(
+      name,
+      handleRequest,
+      options: options,
+      trigger: {
+        'taskQueueTrigger': {
+          'retryConfig': optionValues({
+            'maxAttempts': options?.retryConfig?.maxAttempts,
+            'maxRetrySeconds': options?.retryConfig?.maxRetrySeconds,
+            'maxBackoffSeconds': options?.retryConfig?.maxBackoffSeconds,
+            'maxDoublings': options?.retryConfig?.maxDoublings,
+            'minBackoffSeconds': options?.retryConfig?.minBackoffSeconds,
+          }),
+          'rateLimits': optionValues({
+            'maxConcurrentDispatches':
+                options?.rateLimits?.maxConcurrentDispatches,
+            'maxDispatchesPerSecond':
+                options?.rateLimits?.maxDispatchesPerSecond,
+          }),
+        },
+      },
+    );
   }
 
   /// Unsafely decodes a JWT token without verification.
@@ -18,6 +18,7 @@ import 'package:meta/meta.dart';
 import 'package:shelf/shelf.dart';
 
 import '../common/cloud_event.dart';
+import '../common/manifest.dart';
 import '../common/utilities.dart';
 import '../firebase.dart';
 import 'options.dart';
@@ -32,6 +33,7 @@ class TestLabNamespace extends FunctionsNamespace {
   /// Creates a function triggered when a Firebase test matrix completes.
   ///
   /// The handler receives a [CloudEvent] containing [TestMatrixCompletedData].
+  /// The function is named `onTestMatrixCompleted` unless [name] is given.
   ///
   /// Example:
   /// ```dart
@@ -47,9 +49,11 @@ class TestLabNamespace extends FunctionsNamespace {
   void onTestMatrixCompleted(
     Future<void> Function(CloudEvent<TestMatrixCompletedData> event) handler, {
     // ignore: experimental_member_use
+    @mustBeConst String? name,
+    // ignore: experimental_member_use
     @mustBeConst TestLabOptions? options = const TestLabOptions(),
   }) {
-    firebase.registerFunction(_functionName, (request) async {
+    Future<Response> handleRequest(Request request) async {
       try {
         final json = await parseAndValidateCloudEvent(request);
 
@@ -74,7 +78,14 @@ class TestLabNamespace extends FunctionsNamespace {
       } catch (e, stackTrace) {
         return logEventHandlerError(e, stackTrace);
       }
-    });
+    }
+
+    firebase.registerFunction(
+      name ?? _functionName,
+      handleRequest,
+      options: options,
+      trigger: eventTrigger(_eventType),
+    );
   }
 
   static const _functionName = 'onTestMatrixCompleted';
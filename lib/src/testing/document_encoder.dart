@@ -0,0 +1,200 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:convert';
+import 'dart:typed_data';
+
+import 'package:google_cloud_firestore/google_cloud_firestore.dart'
+    show DocumentReference, GeoPoint, Timestamp;
+import 'package:meta/meta.dart';
+
+// Protobuf encoder for Firestore `DocumentEventData`.
+//
+// This is the inverse of `parseDocumentEventData` and produces the bytes
+// Firestore sends in binary-mode CloudEvents. Field numbers follow the
+// schemas documented in `protobuf_parser.dart`.
+
+const _wireTypeVarint = 0;
+const _wireType64Bit = 1;
+const _wireTypeLengthDelimited = 2;
+
+/// Encodes a `DocumentEventData` message.
+///
+/// [value] becomes field 1 (the document after the write), [oldValue]
+/// field 2 (the document before the write) and [updatedFields] the field
+/// paths of the update mask, field 3. Both documents are named [name] and
+/// stamped with [time].
+@internal
+Uint8List encodeDocumentEventData({
+  required String name,
+  Map<String, Object?>? value,
+  Map<String, Object?>? oldValue,
+  Iterable<String> updatedFields = const [],
+  DateTime? time,
+}) {
+  final writer = _ProtoWriter();
+  if (value != null) {
+    writer.writeMessage(1, _encodeDocument(name, value, time));
+  }
+  if (oldValue != null) {
+    writer.writeMessage(2, _encodeDocument(name, oldValue, time));
+  }
+  if (updatedFields.isNotEmpty) {
+    final mask = _ProtoWriter();
+    for (final fieldPath in updatedFields) {
+      mask.writeString(1, fieldPath);
+    }
+    writer.writeMessage(3, mask.toBytes());
+  }
+  return writer.toBytes();
+}
+
+/// Encodes a `google.firestore.v1.Document`.
+List<int> _encodeDocument(
+  String name,
+  Map<String, Object?> fields,
+  DateTime? time,
+) {
+  // Reference values name documents in the same database.
+  final documents = '${name.substring(0, name.indexOf('/documents/'))}'
+      '/documents';
+  final writer = _ProtoWriter()..writeString(1, name);
+  for (final MapEntry(:key, :value) in fields.entries) {
+    writer.writeMessage(2, _encodeMapEntry(key, value, documents));
+  }
+  if (time != null) {
+    final timestamp = _encodeTimestamp(time);
+    writer
+      ..writeMessage(3, timestamp)
+      ..writeMessage(4, timestamp);
+  }
+  return writer.toBytes();
+}
+
+/// Encodes a `map<string, Value>` entry.
+List<int> _encodeMapEntry(String key, Object? value, String documents) =>
+    (_ProtoWriter()
+          ..writeString(1, key)
+          ..writeMessage(2, _encodeValue(value, documents)))
+        .toBytes();
+
+/// Encodes a `google.firestore.v1.Value`.
+///
+/// [documents] is the resource name prefix of reference values.
+List<int> _encodeValue(Object? value, String documents) {
+  final writer = _ProtoWriter();
+  switch (value) {
+    case null:
+      writer.writeVarint(11, 0);
+    case final bool b:
+      writer.writeVarint(1, b ? 1 : 0);
+    case final int i:
+      writer.writeVarint(2, i);
+    case final double d:
+      writer.writeDouble(3, d);
+    case final String s:
+      writer.writeString(17, s);
+    case final DateTime t:
+      writer.writeMessage(10, _encodeTimestamp(t));
+    case final Timestamp t:
+      final timestamp = _ProtoWriter()
+        ..writeVarint(1, t.seconds)
+        ..writeVarint(2, t.nanoseconds);
+      writer.writeMessage(10, timestamp.toBytes());
+    case final GeoPoint point:
+      final latLng = _ProtoWriter()
+        ..writeDouble(1, point.latitude)
+        ..writeDouble(2, point.longitude);
+      writer.writeMessage(8, latLng.toBytes());
+    case final DocumentReference<Object?> reference:
+      writer.writeString(5, '$documents/${reference.path}');
+    case final Uint8List bytes:
+      writer.writeMessage(18, bytes);
+    case final List<Object?> list:
+      final array = _ProtoWriter();
+      for (final element in list) {
+        array.writeMessage(1, _encodeValue(element, documents));
+      }
+      writer.writeMessage(9, array.toBytes());
+    case final Map<Object?, Object?> map:
+      final mapValue = _ProtoWriter();
+      for (final MapEntry(:key, :value) in map.entries) {
+        mapValue.writeMessage(
+          1,
+          _encodeMapEntry(key.toString(), value, documents),
+        );
+      }
+      writer.writeMessage(6, mapValue.toBytes());
+    default:
+      throw ArgumentError.value(
+        value,
+        'value',
+        'Unsupported Firestore value type ${value.runtimeType}',
+      );
+  }
+  return writer.toBytes();
+}
+
+/// Encodes a `google.protobuf.Timestamp`.
+List<int> _encodeTimestamp(DateTime time) {
+  final micros = time.microsecondsSinceEpoch;
+  final subsecond = micros % Duration.microsecondsPerSecond;
+  return (_ProtoWriter()
+        ..writeVarint(
+          1,
+          (micros - subsecond) ~/ Duration.microsecondsPerSecond,
+        )
+        ..writeVarint(2, subsecond * 1000))
+      .toBytes();
+}
+
+/// Minimal protobuf wire format writer.
+class _ProtoWriter {
+  final _bytes = BytesBuilder(copy: false);
+
+  void writeVarint(int fieldNumber, int value) {
+    _writeTag(fieldNumber, _wireTypeVarint);
+    _writeRawVarint(value);
+  }
+
+  void writeDouble(int fieldNumber, double value) {
+    _writeTag(fieldNumber, _wireType64Bit);
+    final data = ByteData(8)..setFloat64(0, value, Endian.little);
+    _bytes.add(data.buffer.asUint8List());
+  }
+
+  void writeString(int fieldNumber, String value) =>
+      writeMessage(fieldNumber, utf8.encode(value));
+
+  void writeMessage(int fieldNumber, List<int> bytes) {
+    _writeTag(fieldNumber, _wireTypeLengthDelimited);
+    _writeRawVarint(bytes.length);
+    _bytes.add(bytes);
+  }
+
+  Uint8List toBytes() => _bytes.toBytes();
+
+  void _writeTag(int fieldNumber, int wireType) =>
+      _writeRawVarint((fieldNumber << 3) | wireType);
+
+  void _writeRawVarint(int value) {
+    // Negative values are written as their 64-bit two's complement.
+    var v = value;
+    while (v < 0 || v > 0x7F) {
+      _bytes.addByte((v & 0x7F) | 0x80);
+      v >>>= 7;
+    }
+    _bytes.addByte(v);
+  }
+}
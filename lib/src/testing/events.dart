@@ -0,0 +1,339 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport 'package:google_cloud_firestore/google_cloud_firestore.dart';
+/// @docImport 'functions_tester.dart';
+library;
+
+import 'dart:convert';
+import 'dart:typed_data';
+
+import 'package:shelf/shelf.dart';
+
+import '../common/cloud_run_id.dart';
+import '../firestore/event.dart';
+import '../remote_config/config_update_data.dart';
+import 'document_encoder.dart';
+
+/// Base URL for synthetic requests.
+const _baseUrl = 'http://localhost';
+
+var _eventCounter = 0;
+
+String _nextEventId() => 'test-event-${++_eventCounter}';
+
+/// The header that addresses an event to the function named [function].
+Map<String, String> _functionHeader(String? function) => {
+  if (function != null) 'x-firebase-function': toCloudRunId(function),
+};
+
+/// Creates a structured-mode CloudEvent request.
+///
+/// The CloudEvent is sent as a JSON body, the way Pub/Sub, Storage, Remote
+/// Config and Eventarc events reach a function. [path] defaults to `/`;
+/// event types that are routed by function name rather than by CloudEvent
+/// attributes need the function's path.
+///
+/// [function] addresses the event to the function registered under that
+/// `name:`, for when several functions match its attributes. The other
+/// `make*Event` helpers accept it as well.
+Request makeCloudEvent({
+  required String type,
+  required String source,
+  Object? data,
+  String? id,
+  DateTime? time,
+  String? subject,
+  Map<String, Object?> extensions = const {},
+  String path = '/',
+  String? function,
+}) => Request(
+  'POST',
+  Uri.parse('$_baseUrl$path'),
+  headers: {
+    'content-type': 'application/cloudevents+json',
+    ..._functionHeader(function),
+  },
+  body: jsonEncode({
+    ...extensions,
+    'specversion': '1.0',
+    'id': id ?? _nextEventId(),
+    'source': source,
+    'type': type,
+    'time': (time ?? DateTime.now()).toUtc().toIso8601String(),
+    if (subject != null) 'subject': subject,
+    if (data != null) 'data': data,
+  }),
+);
+
+/// Creates a `messagePublished` CloudEvent for [topic].
+///
+/// [data] is base64-encoded into the message: a `List<int>` is sent as raw
+/// bytes, a [String] as UTF-8 and anything else as JSON.
+Request makePubSubEvent({
+  required String topic,
+  Object? data,
+  Map<String, String> attributes = const {},
+  String? messageId,
+  DateTime? publishTime,
+  String? orderingKey,
+  String? subscription,
+  int? deliveryAttempt,
+  String projectId = 'demo-test',
+  String? function,
+}) {
+  final bytes = switch (data) {
+    null => const <int>[],
+    final List<int> bytes => bytes,
+    final String text => utf8.encode(text),
+    _ => utf8.encode(jsonEncode(data)),
+  };
+  final id = messageId ?? _nextEventId();
+  final time = (publishTime ?? DateTime.now()).toUtc();
+
+  return makeCloudEvent(
+    type: 'google.cloud.pubsub.topic.v1.messagePublished',
+    source: '//pubsub.googleapis.com/projects/$projectId/topics/$topic',
+    id: id,
+    time: time,
+    data: {
+      'message': {
+        'data': base64.encode(bytes),
+        'attributes': attributes,
+        'messageId': id,
+        'publishTime': time.toIso8601String(),
+        if (orderingKey != null) 'orderingKey': orderingKey,
+      },
+      'subscription':
+          subscription ?? 'projects/$projectId/subscriptions/test-$topic',
+      if (deliveryAttempt != null) 'deliveryAttempt': deliveryAttempt,
+    },
+    function: function,
+  );
+}
+
+/// Creates a Cloud Storage object CloudEvent.
+///
+/// [type] is the short event name: `finalized`, `archived`, `deleted` or
+/// `metadataUpdated`. [object] holds additional `StorageObjectData` fields
+/// in their JSON form and overrides the generated defaults.
+Request makeStorageEvent({
+  required String bucket,
+  required String name,
+  String type = 'finalized',
+  Map<String, Object?> object = const {},
+  String? id,
+  DateTime? time,
+  String? function,
+}) {
+  final now = (time ?? DateTime.now()).toUtc();
+
+  return makeCloudEvent(
+    type: 'google.cloud.storage.object.v1.$type',
+    source: '//storage.googleapis.com/projects/_/buckets/$bucket',
+    subject: 'objects/$name',
+    id: id,
+    time: now,
+    data: {
+      'bucket': bucket,
+      'name': name,
+      'generation': '1',
+      'metageneration': '1',
+      'timeCreated': now.toIso8601String(),
+      'updated': now.toIso8601String(),
+      ...object,
+    },
+    function: function,
+  );
+}
+
+/// Creates a Remote Config `updated` CloudEvent carrying [data].
+///
+/// The event is routed to the `onConfigUpdated` function, or to the one
+/// named [function] if several are registered.
+Request makeRemoteConfigEvent(
+  ConfigUpdateData data, {
+  String? id,
+  DateTime? time,
+  String projectId = 'demo-test',
+  String? function,
+}) => makeCloudEvent(
+  type: 'google.firebase.remoteconfig.remoteConfig.v1.updated',
+  source: '//firebaseremoteconfig.googleapis.com/projects/$projectId',
+  id: id,
+  time: time,
+  data: data.toJson(),
+  function: function,
+);
+
+/// Creates a custom Eventarc CloudEvent of type [eventType].
+///
+/// The event is routed to the function registered with
+/// `onCustomEventPublished(eventType: ...)`, or to the one named [function]
+/// if several handle [eventType].
+Request makeEventarcEvent({
+  required String eventType,
+  Object? data,
+  String source = '//eventarc.googleapis.com/test',
+  String? id,
+  DateTime? time,
+  String? subject,
+  Map<String, Object?> extensions = const {},
+  String? function,
+}) => makeCloudEvent(
+  type: eventType,
+  source: source,
+  id: id,
+  time: time,
+  subject: subject,
+  data: data ?? const <String, Object?>{},
+  extensions: extensions,
+  function: function,
+);
+
+/// Creates a binary-mode Firestore document CloudEvent for [document].
+///
+/// The event type is derived from [before] and [after]: only [after] gives
+/// `created`, only [before] gives `deleted` and both give `updated`. Pass
+/// [type] (e.g. `written`) to override it.
+///
+/// The document data is encoded as `DocumentEventData` protobuf, exactly as
+/// Firestore delivers it. Supported field values are `null`, [bool], [int],
+/// [double], [String], [DateTime], [Timestamp], [GeoPoint],
+/// [DocumentReference], [Uint8List], [List] and [Map]. [updatedFields]
+/// become the update mask that Firestore sends with updates, e.g.
+/// `['address.city']`.
+Request makeFirestoreEvent({
+  required String document,
+  Map<String, Object?>? before,
+  Map<String, Object?>? after,
+  Iterable<String> updatedFields = const [],
+  String? type,
+  String projectId = 'demo-test',
+  String database = '(default)',
+  String namespace = '(default)',
+  AuthType? authType,
+  String? authId,
+  String? id,
+  DateTime? time,
+  String? function,
+}) {
+  final eventType =
+      type ??
+      switch ((before, after)) {
+        (null, null) => throw ArgumentError(
+          'At least one of before or after is required.',
+        ),
+        (null, _) => 'created',
+        (_, null) => 'deleted',
+        _ => 'updated',
+      };
+  final name = 'projects/$projectId/databases/$database/documents/$document';
+  final now = (time ?? DateTime.now()).toUtc();
+
+  return Request(
+    'POST',
+    Uri.parse('$_baseUrl/'),
+    headers: {
+      'content-type': 'application/protobuf',
+      'ce-specversion': '1.0',
+      'ce-id': id ?? _nextEventId(),
+      'ce-source':
+          '//firestore.googleapis.com/projects/$projectId/databases/$database',
+      'ce-type': 'google.cloud.firestore.document.v1.$eventType',
+      'ce-time': now.toIso8601String(),
+      'ce-subject': 'documents/$document',
+      'ce-project': projectId,
+      'ce-location': 'us-central1',
+      'ce-document': document,
+      'ce-database': database,
+      'ce-namespace': namespace,
+      if (authType != null) 'ce-authtype': authType.value,
+      if (authId != null) 'ce-authid': authId,
+      ..._functionHeader(function),
+    },
+    body: encodeDocumentEventData(
+      name: name,
+      value: after,
+      oldValue: before,
+      updatedFields: updatedFields,
+      time: now,
+    ),
+  );
+}
+
+/// Creates a binary-mode Realtime Database CloudEvent for [ref].
+///
+/// The event type is derived from [before] and [after] in the same way as
+/// [makeFirestoreEvent]. The body carries `before` as `data` and the
+/// difference to [after] as `delta`, matching the emulator's payload.
+Request makeDatabaseEvent({
+  required String ref,
+  Object? before,
+  Object? after,
+  String? type,
+  String instance = 'demo-test-default-rtdb',
+  String location = 'us-central1',
+  String? id,
+  DateTime? time,
+  String? function,
+}) {
+  final eventType =
+      type ??
+      switch ((before, after)) {
+        (null, null) => throw ArgumentError(
+          'At least one of before or after is required.',
+        ),
+        (null, _) => 'created',
+        (_, null) => 'deleted',
+        _ => 'updated',
+      };
+  final refPath = ref.replaceAll(RegExp(r'^/+|/+$'), '');
+
+  return Request(
+    'POST',
+    Uri.parse('$_baseUrl/'),
+    headers: {
+      'content-type': 'application/json',
+      'ce-specversion': '1.0',
+      'ce-id': id ?? _nextEventId(),
+      'ce-source':
+          '//firebasedatabase.googleapis.com/projects/_/locations/$location/instances/$instance',
+      'ce-type': 'google.firebase.database.ref.v1.$eventType',
+      'ce-time': (time ?? DateTime.now()).toUtc().toIso8601String(),
+      'ce-subject': 'refs/$refPath',
+      'ce-ref': refPath,
+      'ce-instance': instance,
+      'ce-firebasedatabasehost': 'firebaseio.com',
+      'ce-location': location,
+      ..._functionHeader(function),
+    },
+    body: jsonEncode({'data': before, 'delta': _databaseDelta(before, after)}),
+  );
+}
+
+/// Computes the delta that turns [before] into [after].
+///
+/// Keys removed from a map are reported as `null`, matching the Realtime
+/// Database delta format.
+Object? _databaseDelta(Object? before, Object? after) {
+  if (before is! Map || after is! Map) return after;
+
+  return {
+    for (final key in before.keys)
+      if (!after.containsKey(key)) key.toString(): null,
+    for (final MapEntry(:key, :value) in after.entries)
+      key.toString(): _databaseDelta(before[key], value),
+  };
+}
@@ -0,0 +1,164 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:async';
+
+import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
+import 'package:shelf/shelf.dart';
+
+import '../common/cloud_run_id.dart';
+import '../common/environment.dart';
+import '../firebase.dart';
+import '../logger/logger.dart';
+import '../server.dart';
+
+/// Runs a `runFunctions` registration callback in-process so that the
+/// registered functions can be invoked without the Firebase emulator.
+///
+/// Requests passed to [handle] go through the same routing as the HTTP server
+/// started by `runFunctions`, including CloudEvent matching for event
+/// triggers. Use [invoke] to call a single function by name, bypassing
+/// routing.
+///
+/// Example:
+/// ```dart
+/// import 'package:firebase_functions/firebase_functions.dart';
+/// import 'package:firebase_functions/testing.dart';
+/// import 'package:test/test.dart';
+///
+/// void main() {
+///   late FunctionsTester tester;
+///
+///   setUp(() async {
+///     tester = await FunctionsTester.start(registerFunctions);
+///   });
+///
+///   tearDown(() => tester.close());
+///
+///   test('greets', () async {
+///     final response = await tester.handle(
+///       Request('GET', Uri.parse('http://localhost/hello')),
+///     );
+///     expect(await response.readAsString(), 'Hello, World!');
+///   });
+///
+///   test('reacts to new users', () async {
+///     final response = await tester.handle(
+///       makeFirestoreEvent(
+///         document: 'users/alice',
+///         after: {'name': 'Alice'},
+///       ),
+///     );
+///     expect(response.statusCode, 200);
+///   });
+/// }
+/// ```
+final class FunctionsTester {
+  FunctionsTester._({
+    required this.firebase,
+    required Handler handler,
+    required bool ownsAdminApp,
+  }) : _handler = handler,
+       _ownsAdminApp = ownsAdminApp;
+
+  /// Creates a tester and runs [runner] to register functions.
+  ///
+  /// [projectId] is exposed to the runtime as `FIREBASE_PROJECT`. Additional
+  /// runtime variables such as `FUNCTION_TARGET` can be supplied through
+  /// [environment]; the process environment is never consulted.
+  ///
+  /// If [adminApp] is omitted, the default Admin SDK app is reused when it
+  /// exists, otherwise one is created and deleted again by [close].
+  static Future<FunctionsTester> start(
+    FutureOr<void> Function(Firebase firebase) runner, {
+    String projectId = 'demo-test',
+    Map<String, String> environment = const {},
+    FirebaseApp? adminApp,
+  }) async {
+    final env = FirebaseEnv(
+      environment: {'FIREBASE_PROJECT': projectId, ...environment},
+    );
+    final ownsAdminApp = adminApp == null && FirebaseApp.apps.isEmpty;
+    final firebase = createFirebaseInternal(env: env, adminApp: adminApp);
+
+    await runZoned(
+      zoneValues: {projectIdZoneKey: env.projectId},
+      () => runner(firebase),
+    );
+
+    return FunctionsTester._(
+      firebase: firebase,
+      handler: createFunctionsHandler(firebase),
+      ownsAdminApp: ownsAdminApp,
+    );
+  }
+
+  /// The in-memory [Firebase] instance the functions were registered on.
+  final Firebase firebase;
+
+  final Handler _handler;
+  final bool _ownsAdminApp;
+
+  /// The Cloud Run IDs of all registered functions.
+  List<String> get functionNames =>
+      firebase.functions.map((f) => f.name).toList();
+
+  /// Dispatches [request] through the runtime router, exactly as the HTTP
+  /// server started by `runFunctions` would.
+  Future<Response> handle(Request request) => _runInZone(() async {
+    return await _handler(request);
+  });
+
+  /// Invokes the function registered as [name] with [request], bypassing
+  /// routing.
+  ///
+  /// [name] may be given either as passed at registration (`helloWorld`) or
+  /// as its Cloud Run ID (`hello-world`). Middleware and the `onInit`
+  /// callback run as they do in production.
+  ///
+  /// Throws an [ArgumentError] if no such function is registered.
+  Future<Response> invoke(String name, Request request) {
+    final functionName = toCloudRunId(name);
+    final function = firebase.functions
+        .where((f) => f.name == functionName)
+        .firstOrNull;
+
+    if (function == null) {
+      throw ArgumentError.value(
+        name,
+        'name',
+        'No function registered. Available functions: '
+            '${functionNames.join(', ')}',
+      );
+    }
+
+    return _runInZone(
+      () async => await functionHandler(firebase, function)(request),
+    );
+  }
+
+  /// Releases resources held by this tester.
+  ///
+  /// Deletes the Admin SDK app if it was created by [start].
+  Future<void> close() async {
+    if (_ownsAdminApp) {
+      await FirebaseApp.deleteApp(firebase.adminApp);
+    }
+  }
+
+  Future<Response> _runInZone(Future<Response> Function() body) => runZoned(
+    zoneValues: {projectIdZoneKey: firebase.$env.projectId},
+    body,
+  );
+}
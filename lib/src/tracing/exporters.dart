@@ -0,0 +1,162 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// @docImport '../firebase.dart';
+library;
+
+import 'dart:convert';
+import 'dart:io' as io;
+
+import 'package:meta/meta.dart';
+
+import 'span.dart';
+
+/// Receives finished [Span]s, e.g. to send them to a tracing backend.
+///
+/// Set one as [Firebase.spanExporter] to export the spans of every
+/// function invocation. [export] is called synchronously when a span ends,
+/// so implementations that do I/O should buffer or run it asynchronously.
+abstract interface class SpanExporter {
+  /// Handles a span that has ended.
+  void export(Span span);
+}
+
+/// Writes each span to stdout as a line of OTLP/JSON.
+final class ConsoleSpanExporter implements SpanExporter {
+  /// Creates an exporter writing to stdout, or to [writer] if given.
+  ConsoleSpanExporter({void Function(String line)? writer})
+    : _writer = writer ?? io.stdout.writeln;
+
+  final void Function(String line) _writer;
+
+  @override
+  void export(Span span) => _writer(jsonEncode(otlpSpan(span)));
+}
+
+/// Appends each span to a file as an OTLP/JSON `ExportTraceServiceRequest`,
+/// one request per line.
+///
+/// This is the body an OTLP/HTTP exporter would POST to `/v1/traces`, and
+/// the format read by the OpenTelemetry Collector's `otlpjsonfile`
+/// receiver, so spans can be asserted on locally or replayed into a
+/// collector.
+final class OtlpFileSpanExporter implements SpanExporter {
+  /// Creates an exporter appending to the file at [path].
+  ///
+  /// [resourceAttributes] describe the process producing the spans.
+  /// `service.name` defaults to the Cloud Run service (`K_SERVICE`).
+  OtlpFileSpanExporter(
+    String path, {
+    Map<String, Object> resourceAttributes = const {},
+  }) : file = io.File(path),
+       _resourceAttributes = {
+         'service.name':
+             io.Platform.environment['K_SERVICE'] ?? 'unknown_service:dart',
+         ...resourceAttributes,
+       };
+
+  /// The file spans are appended to.
+  final io.File file;
+
+  final Map<String, Object> _resourceAttributes;
+
+  @override
+  void export(Span span) {
+    final request = otlpExportRequest([span], _resourceAttributes);
+    file.writeAsStringSync(
+      '${jsonEncode(request)}\n',
+      mode: io.FileMode.append,
+      flush: true,
+    );
+  }
+}
+
+/// Keeps finished spans in memory, for tests.
+final class InMemorySpanExporter implements SpanExporter {
+  final _spans = <Span>[];
+
+  /// The spans exported so far, in the order they ended.
+  List<Span> get spans => List.unmodifiable(_spans);
+
+  @override
+  void export(Span span) => _spans.add(span);
+
+  /// Forgets all exported spans.
+  void reset() => _spans.clear();
+}
+
+/// Encodes [spans] as an OTLP/JSON `ExportTraceServiceRequest`.
+@visibleForTesting
+Map<String, Object?> otlpExportRequest(
+  List<Span> spans,
+  Map<String, Object> resourceAttributes,
+) => {
+  'resourceSpans': [
+    {
+      'resource': {'attributes': _otlpAttributes(resourceAttributes)},
+      'scopeSpans': [
+        {
+          'scope': {'name': 'firebase_functions'},
+          'spans': [for (final span in spans) otlpSpan(span)],
+        },
+      ],
+    },
+  ],
+};
+
+/// Encodes [span] as an OTLP/JSON `Span`.
+@visibleForTesting
+Map<String, Object?> otlpSpan(Span span) => {
+  'traceId': span.context.traceId,
+  'spanId': span.context.spanId,
+  if (span.context.traceState case final traceState?) 'traceState': traceState,
+  if (span.parentSpanId case final parentSpanId?) 'parentSpanId': parentSpanId,
+  'name': span.name,
+  'kind': span.kind.index + 1,
+  'startTimeUnixNano': _unixNano(span.startTime),
+  if (span.endTime case final endTime?) 'endTimeUnixNano': _unixNano(endTime),
+  'attributes': _otlpAttributes(span.attributes),
+  if (span.events.isNotEmpty)
+    'events': [
+      for (final event in span.events)
+        {
+          'timeUnixNano': _unixNano(event.time),
+          'name': event.name,
+          'attributes': _otlpAttributes(event.attributes),
+        },
+    ],
+  'status': {
+    'code': span.status.index,
+    if (span.statusDescription case final message?) 'message': message,
+  },
+};
+
+/// OTLP/JSON encodes 64-bit integers as strings.
+String _unixNano(DateTime time) => '${time.microsecondsSinceEpoch * 1000}';
+
+List<Map<String, Object?>> _otlpAttributes(Map<String, Object> attributes) => [
+  for (final MapEntry(:key, :value) in attributes.entries)
+    {'key': key, 'value': _otlpValue(value)},
+];
+
+Map<String, Object?> _otlpValue(Object value) => switch (value) {
+  final String value => {'stringValue': value},
+  final bool value => {'boolValue': value},
+  final int value => {'intValue': '$value'},
+  final double value => {'doubleValue': value},
+  final List<Object> values => {
+    'arrayValue': {'values': values.map(_otlpValue).toList()},
+  },
+  _ => {'stringValue': value.toString()},
+};
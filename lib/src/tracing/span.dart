@@ -0,0 +1,216 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:async';
+
+import 'package:meta/meta.dart';
+
+import 'exporters.dart';
+import 'trace_context.dart';
+
+/// The role of a span in a trace, as defined by OpenTelemetry.
+enum SpanKind { internal, server, client, producer, consumer }
+
+/// The outcome recorded on a span, as defined by OpenTelemetry.
+enum SpanStatusCode {
+  /// No outcome has been recorded.
+  unset,
+
+  /// The operation completed successfully.
+  ok,
+
+  /// The operation failed.
+  error,
+}
+
+/// A timed operation within a trace, modelled on the OpenTelemetry span.
+///
+/// The runtime starts a span for every function invocation. Inside a
+/// handler, [currentSpan] returns it, and [runInSpan] records nested work as
+/// a child span:
+///
+/// ```dart
+/// firebase.https.onRequest(name: 'checkout', (request) async {
+///   currentSpan?.setAttribute('cart.size', cart.length);
+///   await runInSpan('charge', (span) => payments.charge(cart));
+///   return Response.ok('Done');
+/// });
+/// ```
+final class Span {
+  Span._(
+    this.name,
+    this.context, {
+    required this.kind,
+    required SpanExporter? exporter,
+    this.parentSpanId,
+    Map<String, Object> attributes = const {},
+  }) : _exporter = exporter,
+       startTime = DateTime.now().toUtc(),
+       _attributes = {...attributes};
+
+  /// The span name.
+  final String name;
+
+  /// The identity of this span, used to propagate it downstream.
+  final TraceContext context;
+
+  /// The ID of the parent span, or `null` for a root span.
+  final String? parentSpanId;
+
+  /// The role of this span in the trace.
+  final SpanKind kind;
+
+  /// When this span started.
+  final DateTime startTime;
+
+  /// When this span ended, or `null` while it is in progress.
+  DateTime? get endTime => _endTime;
+  DateTime? _endTime;
+
+  /// The attributes recorded on this span.
+  Map<String, Object> get attributes => Map.unmodifiable(_attributes);
+  final Map<String, Object> _attributes;
+
+  /// Exceptions and other events recorded on this span.
+  List<SpanEvent> get events => List.unmodifiable(_events);
+  final _events = <SpanEvent>[];
+
+  /// The outcome of the operation.
+  SpanStatusCode get status => _status;
+  SpanStatusCode _status = SpanStatusCode.unset;
+
+  /// A description of the outcome, set for errors.
+  String? get statusDescription => _statusDescription;
+  String? _statusDescription;
+
+  final SpanExporter? _exporter;
+
+  /// Whether [end] has been called.
+  bool get isEnded => _endTime != null;
+
+  /// Records an attribute. [value] should be a [String], [bool], [num] or a
+  /// list of one of those.
+  void setAttribute(String key, Object value) {
+    if (!isEnded) _attributes[key] = value;
+  }
+
+  /// Records the outcome of the operation.
+  void setStatus(SpanStatusCode code, [String? description]) {
+    if (isEnded) return;
+    _status = code;
+    _statusDescription = code == SpanStatusCode.error ? description : null;
+  }
+
+  /// Records [exception] as an `exception` event, following the
+  /// OpenTelemetry semantic conventions.
+  void recordException(Object exception, [StackTrace? stackTrace]) {
+    if (isEnded) return;
+    _events.add(
+      SpanEvent('exception', {
+        'exception.type': exception.runtimeType.toString(),
+        'exception.message': exception.toString(),
+        if (stackTrace != null) 'exception.stacktrace': stackTrace.toString(),
+      }),
+    );
+  }
+
+  /// Ends this span and hands it to the exporter if its trace is sampled.
+  ///
+  /// Calls after the first are ignored.
+  void end() {
+    if (isEnded) return;
+    _endTime = DateTime.now().toUtc();
+    if (context.sampled) _exporter?.export(this);
+  }
+}
+
+/// A timestamped event recorded on a [Span].
+@immutable
+final class SpanEvent {
+  SpanEvent(this.name, [this.attributes = const {}])
+    : time = DateTime.now().toUtc();
+
+  /// The event name.
+  final String name;
+
+  /// When the event happened.
+  final DateTime time;
+
+  /// The attributes of the event.
+  final Map<String, Object> attributes;
+}
+
+/// Zone key for propagating the current [Span].
+@internal
+final Object spanZoneKey = Object();
+
+/// The span of the operation in progress, if any.
+///
+/// Within a function invocation this is the invocation's span, or the
+/// innermost span started with [runInSpan].
+Span? get currentSpan => Zone.current[spanZoneKey] as Span?;
+
+/// Runs [body] in a new span named [name], a child of [currentSpan].
+///
+/// The span ends when [body] completes. If [body] throws, the exception is
+/// recorded, the status is set to [SpanStatusCode.error] and the exception
+/// is rethrown. Outside a function invocation, [body] runs in a span that
+/// is not exported.
+Future<T> runInSpan<T>(
+  String name,
+  FutureOr<T> Function(Span span) body, {
+  SpanKind kind = SpanKind.internal,
+  Map<String, Object> attributes = const {},
+}) {
+  final parent = currentSpan;
+  final span = startSpan(
+    name,
+    parent: parent?.context,
+    kind: kind,
+    attributes: attributes,
+    exporter: parent?._exporter,
+  );
+  return runZoned(zoneValues: {spanZoneKey: span}, () async {
+    try {
+      return await body(span);
+    } catch (e, stackTrace) {
+      span
+        ..recordException(e, stackTrace)
+        ..setStatus(SpanStatusCode.error, '$e');
+      rethrow;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/// Starts a span named [name].
+///
+/// With a [parent], the span joins the parent's trace; otherwise it starts
+/// a new trace. The span is handed to [exporter] when it ends.
+@internal
+Span startSpan(
+  String name, {
+  required SpanKind kind,
+  required SpanExporter? exporter,
+  TraceContext? parent,
+  Map<String, Object> attributes = const {},
+}) => Span._(
+  name,
+  parent?.child() ?? TraceContext.root(),
+  kind: kind,
+  exporter: exporter,
+  parentSpanId: parent?.spanId,
+  attributes: attributes,
+);
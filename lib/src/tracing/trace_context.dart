@@ -0,0 +1,161 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:math';
+
+import 'package:meta/meta.dart';
+
+/// W3C Trace Context header carrying the trace and parent span IDs.
+///
+/// See [Trace Context](https://www.w3.org/TR/trace-context/#traceparent-header).
+const traceparentHeader = 'traceparent';
+
+/// W3C Trace Context header carrying vendor-specific trace state.
+const tracestateHeader = 'tracestate';
+
+final _random = Random.secure();
+final _traceparentRegExp = RegExp(
+  r'^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$',
+);
+final _cloudTraceRegExp = RegExp(r'^([0-9a-fA-F]{32})(?:/(\d+))?(?:;o=(\d))?$');
+final _invalidTraceId = '0' * 32;
+final _invalidSpanId = '0' * 16;
+
+/// The identity of a span, as propagated between services.
+///
+/// This is the W3C `traceparent` / `tracestate` pair: a 32-character trace
+/// ID shared by every span in a trace, the 16-character ID of one span in
+/// it, whether the trace is sampled, and optional vendor trace state.
+@immutable
+final class TraceContext {
+  const TraceContext({
+    required this.traceId,
+    required this.spanId,
+    this.sampled = true,
+    this.traceState,
+  });
+
+  /// Creates the context of a new root span in a new trace.
+  factory TraceContext.root() =>
+      TraceContext(traceId: _randomHex(16), spanId: _randomHex(8));
+
+  /// Parses a W3C [traceparent] header and its optional [tracestate].
+  ///
+  /// Returns `null` if [traceparent] is missing or malformed, including the
+  /// all-zero trace and span IDs the specification reserves as invalid.
+  /// Headers from future versions are accepted if they start with the
+  /// version `00` fields.
+  static TraceContext? fromTraceparent(
+    String? traceparent, [
+    String? tracestate,
+  ]) {
+    if (traceparent == null) return null;
+    final match = _traceparentRegExp.firstMatch(traceparent.trim());
+    if (match == null) return null;
+
+    final version = match.group(1)!;
+    final traceId = match.group(2)!;
+    final spanId = match.group(3)!;
+    final flags = int.parse(match.group(4)!, radix: 16);
+    if (version == 'ff' || (version == '00' && match.group(5) != null)) {
+      return null;
+    }
+    if (traceId == _invalidTraceId || spanId == _invalidSpanId) return null;
+
+    return TraceContext(
+      traceId: traceId,
+      spanId: spanId,
+      sampled: flags & 1 == 1,
+      traceState: tracestate == null || tracestate.trim().isEmpty
+          ? null
+          : tracestate.trim(),
+    );
+  }
+
+  /// Parses a Google Cloud `X-Cloud-Trace-Context` header.
+  ///
+  /// The expected format is `TRACE_ID/SPAN_ID;o=OPTIONS`, where the span ID
+  /// is decimal. Returns `null` if [header] is missing or malformed.
+  static TraceContext? fromCloudTraceContext(String? header) {
+    if (header == null) return null;
+    final match = _cloudTraceRegExp.firstMatch(header.trim());
+    if (match == null) return null;
+
+    final traceId = match.group(1)!.toLowerCase();
+    final spanId = BigInt.tryParse(match.group(2) ?? '');
+    if (traceId == _invalidTraceId || spanId == null || spanId == BigInt.zero) {
+      return null;
+    }
+
+    return TraceContext(
+      traceId: traceId,
+      spanId: spanId.toUnsigned(64).toRadixString(16).padLeft(16, '0'),
+      sampled: match.group(3) == '1',
+    );
+  }
+
+  /// The 32-character lowercase hexadecimal trace ID.
+  final String traceId;
+
+  /// The 16-character lowercase hexadecimal span ID.
+  final String spanId;
+
+  /// Whether the trace is sampled, so its spans should be recorded.
+  final bool sampled;
+
+  /// The W3C `tracestate` value, if any.
+  final String? traceState;
+
+  /// Creates the context of a new child span in the same trace.
+  TraceContext child() => TraceContext(
+    traceId: traceId,
+    spanId: _randomHex(8),
+    sampled: sampled,
+    traceState: traceState,
+  );
+
+  /// This context formatted as a W3C `traceparent` header value.
+  String get traceparent => '00-$traceId-$spanId-${sampled ? '01' : '00'}';
+
+  /// Headers that propagate this context to a downstream service.
+  Map<String, String> toHeaders() => {
+    traceparentHeader: traceparent,
+    if (traceState case final state?) tracestateHeader: state,
+  };
+
+  @override
+  bool operator ==(Object other) =>
+      other is TraceContext &&
+      other.traceId == traceId &&
+      other.spanId == spanId &&
+      other.sampled == sampled &&
+      other.traceState == traceState;
+
+  @override
+  int get hashCode => Object.hash(traceId, spanId, sampled, traceState);
+
+  @override
+  String toString() => traceparent;
+}
+
+/// Returns [bytes] random bytes as lowercase hexadecimal, never all zero.
+String _randomHex(int bytes) {
+  while (true) {
+    final hex = List.generate(
+      bytes,
+      (_) => _random.nextInt(256).toRadixString(16).padLeft(2, '0'),
+    ).join();
+    if (hex.replaceAll('0', '').isNotEmpty) return hex;
+  }
+}
@@ -0,0 +1,60 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/// In-process test harness for Firebase Functions.
+///
+/// Runs a `runFunctions` registration callback against an in-memory
+/// [Firebase] instance and invokes the registered functions with synthetic
+/// requests, without starting the Firebase emulator.
+///
+/// ## Usage
+///
+/// ```dart
+/// import 'package:firebase_functions/firebase_functions.dart';
+/// import 'package:firebase_functions/testing.dart';
+/// import 'package:test/test.dart';
+///
+/// void main() {
+///   test('copies new users', () async {
+///     final tester = await FunctionsTester.start((firebase) {
+///       firebase.firestore.onDocumentCreated(
+///         document: 'users/{userId}',
+///         (event) async => print(event.data?.data()),
+///       );
+///     });
+///     addTearDown(tester.close);
+///
+///     final response = await tester.handle(
+///       makeFirestoreEvent(document: 'users/alice', after: {'name': 'Alice'}),
+///     );
+///     expect(response.statusCode, 200);
+///   });
+/// }
+/// ```
+///
+/// ## Event factories
+///
+/// - [makeCloudEvent] - any structured-mode CloudEvent
+/// - [makePubSubEvent] - Pub/Sub `messagePublished`
+/// - [makeStorageEvent] - Cloud Storage object events
+/// - [makeRemoteConfigEvent] - Remote Config updates
+/// - [makeEventarcEvent] - custom Eventarc events
+/// - [makeFirestoreEvent] - binary-mode Firestore document events
+/// - [makeDatabaseEvent] - binary-mode Realtime Database events
+///
+/// @docImport 'src/firebase.dart';
+library;
+
+export 'src/testing/events.dart';
+export 'src/testing/functions_tester.dart';
@@ -41,6 +41,15 @@ final minInstances = defineInt(
   ),
 );
 
+final maxInstances = defineInt(
+  'MAX_INSTANCES',
+  const ParamOptions(
+    defaultValue: 10,
+    label: 'Maximum Instances',
+    description: 'Maximum number of instances to scale out to',
+  ),
+);
+
 final isProduction = defineBoolean(
   'IS_PRODUCTION',
   const ParamOptions(
@@ -165,6 +174,21 @@ void main(List<String> args) async {
       },
     );
 
+    // Conditional configuration comparing two parameters
+    firebase.https.onRequest(
+      name: 'scaledEndpoint',
+      // ignore: non_const_argument_for_const_parameter
+      options: HttpsOptions(
+        // Serve one request per instance when the pool cannot grow
+        concurrency: DeployOption.expression(
+          minInstances.greaterThanOrEqualTo(maxInstances).thenElse(1, 80),
+        ),
+      ),
+      (request) async {
+        return Response.ok('Scaling up to ${maxInstances.value()} instances');
+      },
+    );
+
     // Pub/Sub trigger example
     firebase.pubsub.onMessagePublished(topic: 'my-topic', (event) async {
       final message = event.data;
@@ -54,6 +54,12 @@ const minInstances = defineInt("MIN_INSTANCES", {
   description: "Minimum number of instances to keep warm",
 });
 
+const maxInstances = defineInt("MAX_INSTANCES", {
+  default: 10,
+  label: "Maximum Instances",
+  description: "Maximum number of instances to scale out to",
+});
+
 const isProduction = defineBoolean("IS_PRODUCTION", {
   default: false,
   description: "Whether this is a production deployment",
@@ -152,6 +158,17 @@ exports.configuredEndpoint = onRequest(
   }
 );
 
+// Conditional configuration comparing two parameters
+exports.scaledEndpoint = onRequest(
+  {
+    // Serve one request per instance when the pool cannot grow
+    concurrency: minInstances.greaterThanOrEqualTo(maxInstances).thenElse(1, 80),
+  },
+  (request, response) => {
+    response.send(`Scaling up to ${maxInstances.value()} instances`);
+  }
+);
+
 // Pub/Sub trigger example
 exports.onMessagePublished_mytopic = onMessagePublished(
   "my-topic",
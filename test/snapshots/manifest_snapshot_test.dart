@@ -102,7 +102,7 @@ void main() {
         equals(nodejsParams.length),
         reason: 'Should have same number of params',
       );
-      expect(dartParams.length, equals(3));
+      expect(dartParams.length, equals(4));
     });
 
     test('should have WELCOME_MESSAGE string param', () {
@@ -141,6 +141,20 @@ void main() {
       expect(nodejsParam['label'], equals('Minimum Instances'));
     });
 
+    test('should have MAX_INSTANCES int param', () {
+      final dartParam = _getParam(dartManifest, 'MAX_INSTANCES');
+      final nodejsParam = _getParam(nodejsManifest, 'MAX_INSTANCES');
+
+      expect(dartParam, isNotNull);
+      expect(nodejsParam, isNotNull);
+
+      expect(dartParam!['type'], equals('int'));
+      expect(nodejsParam!['type'], equals('int'));
+
+      expect(dartParam['default'], equals(10));
+      expect(nodejsParam['default'], equals(10));
+    });
+
     test('should have IS_PRODUCTION boolean param', () {
       final dartParam = _getParam(dartManifest, 'IS_PRODUCTION');
       final nodejsParam = _getParam(nodejsManifest, 'IS_PRODUCTION');
@@ -327,14 +341,14 @@ void main() {
 
       expect(
         dartEndpoints.keys.length,
-        equals(51),
+        equals(52),
         reason:
-            'Should discover 51 functions (5 Callable + 4 HTTPS + 1 Pub/Sub + 5 Firestore + 4 Firestore WithAuthContext + 5 Database + 3 Alerts + 4 Identity + 1 Remote Config + 4 Storage + 2 Eventarc + 2 Scheduler + 2 Tasks + 1 Test Lab + 5 Options + 2 Variable Options + 1 Cross-file Options)',
+            'Should discover 52 functions (5 Callable + 5 HTTPS + 1 Pub/Sub + 5 Firestore + 4 Firestore WithAuthContext + 5 Database + 3 Alerts + 4 Identity + 1 Remote Config + 4 Storage + 2 Eventarc + 2 Scheduler + 2 Tasks + 1 Test Lab + 5 Options + 2 Variable Options + 1 Cross-file Options)',
       );
       expect(
         nodejsEndpoints.keys.length,
-        equals(51),
-        reason: 'Node.js reference should also have 51 endpoints',
+        equals(52),
+        reason: 'Node.js reference should also have 52 endpoints',
       );
 
       // Verify both manifests have the same endpoints (normalized via
@@ -482,6 +496,16 @@ void main() {
       );
     });
 
+    test('should have correct CEL expression for param comparison', () {
+      final dartFunc = _getEndpoint(dartManifest, 'scaledEndpoint')!;
+      final nodejsFunc = _getEndpoint(nodejsManifest, 'scaledEndpoint')!;
+      const expected =
+          '{{ params.MIN_INSTANCES >= params.MAX_INSTANCES ? 1 : 80 }}';
+
+      expect(dartFunc['concurrency'], equals(expected));
+      expect(nodejsFunc['concurrency'], equals(expected));
+    });
+
     // =========================================================================
     // Pub/Sub Tests
     // =========================================================================
@@ -507,4 +507,233 @@ void main() {
       expect(options.timeoutSeconds, isNotNull);
     });
   });
+
+  group('AlertEventMessage', () {
+    AlertEvent<T> event<T extends Object>(
+      T payload, {
+      String alertType = 'crashlytics.newFatalIssue',
+      String? appId = '1:123:android:abc',
+    }) => AlertEvent<T>(
+      data: AlertData(createTime: DateTime.utc(2024), payload: payload),
+      id: 'event-1',
+      source: '//firebasealerts.googleapis.com/projects/my-project',
+      specversion: '1.0',
+      time: DateTime.utc(2024),
+      type: alertEventType,
+      alertType: alertType,
+      appId: appId,
+    );
+
+    const issue = Issue(
+      id: 'issue-1',
+      title: 'NullPointerException',
+      subtitle: 'at MainActivity.onCreate',
+      appVersion: '1.2.3',
+    );
+
+    test('summarizes Crashlytics issues with a console link', () {
+      final message = event(
+        const NewFatalIssuePayload(issue: issue),
+      ).toMessage();
+
+      expect(message.title, 'New fatal issue: NullPointerException');
+      expect(message.text, 'at MainActivity.onCreate');
+      expect(message.facts, {
+        'Issue': 'NullPointerException',
+        'App': '1:123:android:abc',
+        'App version': '1.2.3',
+      });
+      expect(message.links, {
+        'Open in Firebase console': Uri.parse(
+          'https://console.firebase.google.com/project/my-project/'
+          'crashlytics/app/1:123:android:abc/issues/issue-1',
+        ),
+      });
+    });
+
+    test('summarizes every payload type', () {
+      final payloads = <Object, String>{
+        const NewNonfatalIssuePayload(issue: issue):
+            'New non-fatal issue: NullPointerException',
+        const NewAnrIssuePayload(issue: issue):
+            'New ANR issue: NullPointerException',
+        RegressionAlertPayload(
+          type: 'fatal',
+          issue: issue,
+          resolveTime: DateTime.utc(2024, 3, 1, 9, 30),
+        ): 'Regressed issue: NullPointerException',
+        VelocityAlertPayload(
+          issue: issue,
+          createTime: DateTime.utc(2024),
+          crashCount: 120,
+          crashPercentage: 2.5,
+          firstVersion: '1.2.0',
+        ): 'Trending issue: NullPointerException',
+        StabilityDigestPayload(
+          digestDate: DateTime.utc(2024, 3, 2),
+          trendingIssues: const [],
+        ): 'Stability digest for 2024-03-02',
+        const PlanUpdatePayload(
+          billingPlan: 'Blaze',
+          principalEmail: 'owner@example.com',
+          notificationType: 'upgrade',
+        ): 'Billing plan changed to Blaze',
+        const PlanAutomatedUpdatePayload(
+          billingPlan: 'Spark',
+          notificationType: 'downgrade',
+        ): 'Billing plan automatically changed to Spark',
+        const NewTesterDevicePayload(
+          testerName: 'Ada',
+          testerEmail: 'ada@example.com',
+          testerDeviceModelName: 'iPhone 15',
+          testerDeviceIdentifier: 'device-1',
+        ): 'New iOS device for Ada',
+        const InAppFeedbackPayload(
+          feedbackReport: 'projects/1/apps/a/releases/r/feedbackReports/f',
+          feedbackConsoleUri: 'https://console.firebase.google.com/feedback',
+          testerEmail: 'ada@example.com',
+          appVersion: '1.0 (1)',
+          text: 'The button is hidden',
+        ): 'New in-app feedback from ada@example.com',
+        const ThresholdAlertPayload(
+          eventName: 'checkout',
+          eventType: 'trace',
+          metricType: 'duration',
+          numSamples: 200,
+          thresholdValue: 2,
+          thresholdUnit: 'seconds',
+          conditionPercentile: 90,
+          violationValue: 3.5,
+          violationUnit: 'seconds',
+          investigateUri: 'https://console.firebase.google.com/perf',
+        ): 'checkout exceeded its duration threshold',
+        <String, dynamic>{}: 'Firebase alert: crashlytics.newFatalIssue',
+      };
+
+      for (final MapEntry(:key, :value) in payloads.entries) {
+        final message = event(key).toMessage();
+        expect(message.title, value);
+        expect(message.links, isNotEmpty, reason: value);
+      }
+    });
+
+    test('describes performance thresholds', () {
+      final message = event(
+        const ThresholdAlertPayload(
+          eventName: 'checkout',
+          eventType: 'trace',
+          metricType: 'duration',
+          numSamples: 200,
+          thresholdValue: 2,
+          thresholdUnit: 'seconds',
+          conditionPercentile: 90,
+          violationValue: 3.5,
+          violationUnit: 'seconds',
+          investigateUri: 'https://console.firebase.google.com/perf',
+        ),
+        appId: null,
+      ).toMessage(projectId: 'other-project');
+
+      expect(message.facts, {
+        'Event': 'checkout (trace)',
+        'Metric': 'p90 duration',
+        'Threshold': '2 seconds',
+        'Value': '3.5 seconds',
+        'Samples': '200',
+      });
+    });
+
+    group('renders', () {
+      final message = AlertMessage(
+        title: 'New fatal issue: <Crash>',
+        text: 'Tapped *Buy*',
+        facts: const {'App version': '1.2.3'},
+        links: {'Open': Uri.parse('https://example.com/issue')},
+      );
+
+      test('plain text', () {
+        expect(
+          message.toPlainText(),
+          'New fatal issue: <Crash>\n\n'
+          'Tapped *Buy*\n\n'
+          'App version: 1.2.3\n\n'
+          'Open: https://example.com/issue',
+        );
+      });
+
+      test('Markdown', () {
+        expect(
+          message.toMarkdown(),
+          r'**New fatal issue: \<Crash\>**' '\n\n'
+          r'Tapped \*Buy\*' '\n\n'
+          '- **App version:** 1.2.3\n\n'
+          '[Open](https://example.com/issue)',
+        );
+      });
+
+      test('Slack blocks', () {
+        expect(message.toSlack(), {
+          'text': 'New fatal issue: <Crash>',
+          'blocks': [
+            {
+              'type': 'header',
+              'text': {
+                'type': 'plain_text',
+                'text': 'New fatal issue: <Crash>',
+              },
+            },
+            {
+              'type': 'section',
+              'text': {'type': 'mrkdwn', 'text': 'Tapped *Buy*'},
+            },
+            {
+              'type': 'section',
+              'fields': [
+                {'type': 'mrkdwn', 'text': '*App version*\n1.2.3'},
+              ],
+            },
+            {
+              'type': 'actions',
+              'elements': [
+                {
+                  'type': 'button',
+                  'text': {'type': 'plain_text', 'text': 'Open'},
+                  'url': 'https://example.com/issue',
+                },
+              ],
+            },
+          ],
+        });
+      });
+
+      test('Google Chat cards', () {
+        final cards = message.toGoogleChat()['cardsV2']! as List;
+        final card = (cards.single as Map)['card'] as Map;
+
+        expect(card['header'], {'title': 'New fatal issue: <Crash>'});
+        expect((card['sections'] as List).single, {
+          'widgets': [
+            {
+              'textParagraph': {'text': 'Tapped *Buy*'},
+            },
+            {
+              'decoratedText': {'topLabel': 'App version', 'text': '1.2.3'},
+            },
+            {
+              'buttonList': {
+                'buttons': [
+                  {
+                    'text': 'Open',
+                    'onClick': {
+                      'openLink': {'url': 'https://example.com/issue'},
+                    },
+                  },
+                ],
+              },
+            },
+          ],
+        });
+      });
+    });
+  });
 }
@@ -0,0 +1,224 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// ignore_for_file: avoid_dynamic_calls
+
+import 'dart:convert';
+
+import 'package:firebase_functions/src/common/environment.dart';
+import 'package:firebase_functions/src/firebase.dart';
+import 'package:firebase_functions/src/https/auth_policy.dart';
+import 'package:firebase_functions/src/https/callable.dart';
+import 'package:firebase_functions/src/https/error.dart';
+import 'package:firebase_functions/src/https/https_namespace.dart';
+import 'package:firebase_functions/src/https/options.dart';
+import 'package:shelf/shelf.dart';
+import 'package:test/test.dart';
+
+const _admin = AuthData(
+  uid: 'alice',
+  token: {'admin': true, 'email_verified': true, 'role': 'editor'},
+);
+
+const _member = AuthData(uid: 'bob', token: {'email_verified': false});
+
+bool _hasEvenCount(AuthData? auth, Object? data) =>
+    data is Map && (data['count'] as int).isEven;
+
+void main() {
+  group('AuthPolicy', () {
+    test('isSignedIn requires auth', () {
+      const policy = AuthPolicy.isSignedIn();
+      expect(policy.allows(_member, null), isTrue);
+      expect(policy.allows(null, null), isFalse);
+    });
+
+    test('hasClaim without a value requires a truthy claim', () {
+      const policy = AuthPolicy.hasClaim('admin');
+      expect(policy.allows(_admin, null), isTrue);
+      expect(policy.allows(_member, null), isFalse);
+      expect(
+        policy.allows(const AuthData(uid: 'c', token: {'admin': false}), null),
+        isFalse,
+      );
+      expect(policy.allows(null, null), isFalse);
+    });
+
+    test('hasClaim with a value requires equality', () {
+      expect(
+        const AuthPolicy.hasClaim('role', 'editor').allows(_admin, null),
+        isTrue,
+      );
+      expect(
+        const AuthPolicy.hasClaim('role', 'owner').allows(_admin, null),
+        isFalse,
+      );
+    });
+
+    test('emailVerified checks the email_verified claim', () {
+      const policy = AuthPolicy.emailVerified();
+      expect(policy.allows(_admin, null), isTrue);
+      expect(policy.allows(_member, null), isFalse);
+    });
+
+    test('uidIn checks the allow list', () {
+      const policy = AuthPolicy.uidIn(['bob']);
+      expect(policy.allows(_member, null), isTrue);
+      expect(policy.allows(_admin, null), isFalse);
+      expect(policy.allows(null, null), isFalse);
+    });
+
+    test('all and any compose policies', () async {
+      const both = AuthPolicy.all([
+        AuthPolicy.emailVerified(),
+        AuthPolicy.hasClaim('admin'),
+      ]);
+      const either = AuthPolicy.any([
+        AuthPolicy.hasClaim('admin'),
+        AuthPolicy.uidIn(['bob']),
+      ]);
+      expect(await both.allows(_admin, null), isTrue);
+      expect(await both.allows(_member, null), isFalse);
+      expect(await either.allows(_admin, null), isTrue);
+      expect(await either.allows(_member, null), isTrue);
+      expect(await either.allows(null, null), isFalse);
+    });
+
+    test('custom passes the request data', () async {
+      const policy = AuthPolicy.custom(_hasEvenCount);
+      expect(await policy.allows(_member, {'count': 2}), isTrue);
+      expect(await policy.allows(_member, {'count': 3}), isFalse);
+    });
+
+    test('enforce throws unauthenticated without auth', () {
+      expect(
+        const AuthPolicy.isSignedIn().enforce(null, null),
+        throwsA(isA<UnauthenticatedError>()),
+      );
+    });
+
+    test('enforce throws permission-denied for rejected callers', () {
+      expect(
+        const AuthPolicy.hasClaim('admin').enforce(_member, null),
+        throwsA(isA<PermissionDeniedError>()),
+      );
+    });
+  });
+
+  group('CallableOptions.authPolicy', () {
+    late Firebase firebase;
+    late HttpsNamespace https;
+
+    setUpAll(() {
+      FirebaseEnv.mockEnvironment = {
+        'FIREBASE_PROJECT': 'demo-test',
+        'FIREBASE_DEBUG_FEATURES': '{"skipTokenVerification":true}',
+      };
+    });
+
+    tearDownAll(() => FirebaseEnv.mockEnvironment = null);
+
+    setUp(() {
+      firebase = createFirebaseInternal();
+      https = HttpsNamespace(firebase);
+    });
+
+    Future<Response> call(String path, {Map<String, dynamic>? claims}) {
+      final func = firebase.functions.firstWhere((f) => f.name == path);
+      return func.handler(
+        Request(
+          'POST',
+          Uri.parse('http://localhost/$path'),
+          headers: {
+            'content-type': 'application/json',
+            if (claims != null)
+              'authorization': 'Bearer ${_createJwt(claims)}',
+          },
+          body: jsonEncode({'data': <String, dynamic>{}}),
+        ),
+      );
+    }
+
+    test('runs the handler when the policy allows', () async {
+      var calls = 0;
+      https.onCall(
+        name: 'adminOnly',
+        options: const CallableOptions(
+          authPolicy: AuthPolicy.hasClaim('admin'),
+        ),
+        (request, response) async {
+          calls++;
+          return CallableResult('ok');
+        },
+      );
+
+      final response = await call(
+        'admin-only',
+        claims: {'sub': 'alice', 'admin': true},
+      );
+
+      expect(response.statusCode, 200);
+      expect(calls, 1);
+    });
+
+    test('rejects unauthenticated callers before the handler', () async {
+      var calls = 0;
+      https.onCall(
+        name: 'adminOnly',
+        options: const CallableOptions(
+          authPolicy: AuthPolicy.hasClaim('admin'),
+        ),
+        (request, response) async {
+          calls++;
+          return CallableResult('ok');
+        },
+      );
+
+      final response = await call('admin-only');
+      final body = jsonDecode(await response.readAsString());
+
+      expect(response.statusCode, 401);
+      expect(body['error']['status'], 'UNAUTHENTICATED');
+      expect(calls, 0);
+    });
+
+    test('rejects signed-in callers that fail the policy', () async {
+      https.onCallWithData<Map<String, dynamic>, String>(
+        name: 'verifiedOnly',
+        fromJson: (json) => json,
+        options: const CallableOptions(
+          authPolicy: AuthPolicy.emailVerified(),
+        ),
+        (request, response) async => 'ok',
+      );
+
+      final response = await call(
+        'verified-only',
+        claims: {'sub': 'bob', 'email_verified': false},
+      );
+      final body = jsonDecode(await response.readAsString());
+
+      expect(response.statusCode, 403);
+      expect(body['error']['status'], 'PERMISSION_DENIED');
+    });
+  });
+}
+
+/// Creates an unsigned JWT carrying [payload], accepted when token
+/// verification is skipped.
+String _createJwt(Map<String, dynamic> payload) {
+  String encode(Object json) =>
+      base64Url.encode(utf8.encode(jsonEncode(json))).replaceAll('=', '');
+  return '${encode({'alg': 'none', 'typ': 'JWT'})}.${encode(payload)}.';
+}
@@ -80,6 +80,66 @@ void main() {
       expect(extractedOptions, containsPair('invoker', ['user@example.com']));
       expect(extractedOptions, containsPair('omit', false));
     });
+
+    test('extracts expression trees as CEL', () {
+      final options = _parseHttpsOptions('''
+void main() {
+  const options = const HttpsOptions(
+    memory: Memory.expression(
+      isProduction.and(region.equals('eu')).thenElse(2048, 512),
+    ),
+    cpu: Cpu.expression(If(
+      isProduction.or(region.notEquals('us')).not(),
+      then: const LiteralExpression(1.0),
+      otherwise: threshold * 2.0,
+    )),
+    minInstances: Instances.expression(baseInstances * (2 + extra) % 5),
+    maxInstances: Instances.expression(Subtract(
+      baseInstances,
+      Subtract(extra, const LiteralExpression(-1)),
+    )),
+    concurrency: Concurrency.expression(
+      regions.contains('europe-west1').when(
+        then: baseInstances.greaterThan(maxInstances).thenElse(80, 40),
+        otherwise: const LiteralExpression(1),
+      ),
+    ),
+    serviceAccount: ServiceAccount.expression(prefix + '@example.com'),
+  );
+}
+''');
+
+      final endpoint = EndpointSpec(
+        name: 'helloWorld',
+        type: 'https',
+        options: options,
+        variableToParamName: const {
+          'isProduction': 'IS_PRODUCTION',
+          'region': 'REGION',
+          'threshold': 'THRESHOLD',
+          'baseInstances': 'BASE_INSTANCES',
+          'extra': 'EXTRA',
+          'regions': 'REGIONS',
+          'maxInstances': 'MAX_INSTANCES',
+          'prefix': 'PREFIX',
+        },
+      );
+
+      expect(endpoint.extractOptions(), {
+        'availableMemoryMb':
+            '{{ params.IS_PRODUCTION && params.REGION == "eu" ? 2048 : 512 }}',
+        'cpu':
+            '{{ !(params.IS_PRODUCTION || params.REGION != "us") ? 1.0 : '
+            'params.THRESHOLD * 2.0 }}',
+        'minInstances': '{{ params.BASE_INSTANCES * (2 + params.EXTRA) % 5 }}',
+        'maxInstances':
+            '{{ params.BASE_INSTANCES - (params.EXTRA - -1) }}',
+        'concurrency':
+            '{{ "europe-west1" in params.REGIONS ? '
+            '(params.BASE_INSTANCES > params.MAX_INSTANCES ? 80 : 40) : 1 }}',
+        'serviceAccount': '{{ params.PREFIX + "@example.com" }}',
+      });
+    });
   });
 }
 
@@ -0,0 +1,277 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:convert';
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:http/http.dart' as http;
+import 'package:http/testing.dart';
+import 'package:test/test.dart';
+
+DataSnapshot _snapshot(Object? data, {RealtimeDatabase? database}) =>
+    DataSnapshot(
+      instance: 'demo-test-default-rtdb',
+      path: 'messages',
+      data: data,
+      database: database,
+    );
+
+void main() {
+  group('DataSnapshot', () {
+    final exported = {
+      'b': {'.priority': 'x', 'text': 'hi'},
+      'a': {'.value': 1, '.priority': 2},
+      '10': 3,
+      '9': 4,
+      'z': {'.value': 5, '.priority': 1.5},
+      'c': 6,
+      'empty': <String, Object?>{},
+      '.priority': 7,
+    };
+
+    test('val strips priorities', () {
+      expect(_snapshot(exported).val(), {
+        'b': {'text': 'hi'},
+        'a': 1,
+        '10': 3,
+        '9': 4,
+        'z': 5,
+        'c': 6,
+      });
+      expect(_snapshot({'.value': 'x', '.priority': 1}).val(), 'x');
+    });
+
+    test('exportVal keeps priorities', () {
+      expect(_snapshot(exported).exportVal(), {
+        'b': {'.priority': 'x', 'text': 'hi'},
+        'a': {'.value': 1, '.priority': 2},
+        '10': 3,
+        '9': 4,
+        'z': {'.value': 5, '.priority': 1.5},
+        'c': 6,
+        '.priority': 7,
+      });
+    });
+
+    test('exportVal does not convert integer keys to a list', () {
+      final snapshot = _snapshot({'0': 'a', '1': 'b'});
+
+      expect(snapshot.val(), ['a', 'b']);
+      expect(snapshot.exportVal(), {'0': 'a', '1': 'b'});
+    });
+
+    test('getPriority reads the priority of the node', () {
+      final snapshot = _snapshot(exported);
+
+      expect(snapshot.getPriority(), isA<IntPriority>());
+      expect(snapshot.getPriority()!.value, 7);
+      expect(snapshot.child('b').getPriority()!.value, 'x');
+      expect(snapshot.child('z').getPriority(), isA<DoublePriority>());
+      expect(snapshot.child('c').getPriority(), isNull);
+    });
+
+    test('forEach orders children by priority, then key', () {
+      final keys = <String?>[];
+      _snapshot(exported).forEach((child) {
+        keys.add(child.key);
+        return false;
+      });
+
+      expect(keys, ['9', '10', 'c', 'z', 'a', 'b']);
+    });
+
+    test('forEach stops when the callback returns true', () {
+      var visited = 0;
+      final cancelled = _snapshot(exported).forEach((child) => ++visited == 2);
+
+      expect(cancelled, isTrue);
+      expect(visited, 2);
+    });
+
+    test('counts children without priorities or empty nodes', () {
+      final snapshot = _snapshot(exported);
+
+      expect(snapshot.numChildren(), 6);
+      expect(snapshot.hasChildren(), isTrue);
+      expect(snapshot.child('a').hasChildren(), isFalse);
+    });
+
+    test('navigates lists', () {
+      final snapshot = _snapshot(['a', 'b']);
+
+      expect(snapshot.child('1').val(), 'b');
+      expect(snapshot.numChildren(), 2);
+    });
+
+    test('reference throws when the snapshot has no database', () {
+      expect(() => _snapshot(1).reference, throwsStateError);
+    });
+
+    test('keeps ref as a deprecated alias of path', () {
+      // ignore: deprecated_member_use_from_same_package
+      final snapshot = DataSnapshot.withRef(
+        instance: 'demo-test-default-rtdb',
+        ref: 'users/ada',
+        data: 1,
+      );
+
+      expect(snapshot.path, 'users/ada');
+      // ignore: deprecated_member_use_from_same_package
+      expect(snapshot.ref, 'users/ada');
+    });
+  });
+
+  group('DatabaseReference', () {
+    late List<http.Request> sent;
+    late RealtimeDatabase database;
+    var responseBody = 'null';
+    var status = 200;
+
+    setUp(() {
+      sent = [];
+      responseBody = 'null';
+      status = 200;
+      database = RealtimeDatabase(
+        instance: 'demo-test-default-rtdb',
+        emulatorHost: 'localhost:9000',
+        httpClient: MockClient((request) async {
+          sent.add(request);
+          return http.Response(responseBody, status);
+        }),
+      );
+    });
+
+    test('navigates paths', () {
+      final ref = _snapshot(1, database: database).reference.child('a/b');
+
+      expect(ref.path, '/messages/a/b');
+      expect(ref.key, 'b');
+      expect(ref.parent!.path, '/messages/a');
+      expect(ref.root.key, isNull);
+      expect(ref.root.parent, isNull);
+    });
+
+    test('compares references by location', () {
+      RealtimeDatabase connect(String instance) => RealtimeDatabase(
+        instance: instance,
+        emulatorHost: 'localhost:9000',
+        httpClient: MockClient((request) async => http.Response('null', 200)),
+      );
+      final same = connect('demo-test-default-rtdb').ref('messages/m1');
+      final other = connect('other-rtdb').ref('messages/m1');
+
+      expect(database.ref('/messages/m1/'), same);
+      expect(database.ref('messages/m1').hashCode, same.hashCode);
+      expect(database.ref('messages/m1'), isNot(other));
+      expect(database.ref('messages/m2'), isNot(same));
+    });
+
+    test('writes to the emulator as an admin', () async {
+      await database.ref('messages/m1').child('status').set('done');
+
+      final request = sent.single;
+      expect(request.method, 'PUT');
+      expect(
+        request.url.toString(),
+        'http://localhost:9000/messages/m1/status.json'
+        '?ns=demo-test-default-rtdb',
+      );
+      expect(request.headers['Authorization'], 'Bearer owner');
+      expect(jsonDecode(request.body), 'done');
+    });
+
+    test('writes priorities in export format', () async {
+      await database.ref('a').set(1, priority: const StringPriority('p'));
+      await database.ref('b').set({'x': 1}, priority: const IntPriority(2));
+      await database.ref('c').setPriority(const IntPriority(3));
+
+      expect(jsonDecode(sent[0].body), {'.value': 1, '.priority': 'p'});
+      expect(jsonDecode(sent[1].body), {'x': 1, '.priority': 2});
+      expect(sent[2].url.path, '/c/.priority.json');
+      expect(jsonDecode(sent[2].body), 3);
+    });
+
+    test('updates, removes and pushes', () async {
+      final ref = database.ref('messages');
+      await ref.update({'m1/status': 'read', 'm2': null});
+      await ref.child('m3').remove();
+      responseBody = '{"name": "-Nabc"}';
+      final pushed = await ref.push({'text': 'hi'});
+
+      expect(sent.map((r) => r.method), ['PATCH', 'DELETE', 'POST']);
+      expect(jsonDecode(sent[0].body), {'m1/status': 'read', 'm2': null});
+      expect(pushed.path, '/messages/-Nabc');
+    });
+
+    test('reads data with priorities', () async {
+      responseBody = '{"a": {".value": 1, ".priority": 2}}';
+
+      final snapshot = await database.ref('messages').get();
+
+      expect(sent.single.url.queryParameters['format'], 'export');
+      expect(snapshot.val(), {'a': 1});
+      expect(snapshot.child('a').getPriority()!.value, 2);
+      expect(snapshot.reference, database.ref('messages'));
+    });
+
+    test('throws DatabaseException on errors', () async {
+      status = 401;
+      responseBody = '{"error": "Permission denied"}';
+
+      await expectLater(
+        database.ref('secret').get(),
+        throwsA(
+          isA<DatabaseException>().having(
+            (e) => e.code,
+            'code',
+            'permission-denied',
+          ),
+        ),
+      );
+    });
+  });
+
+  group('database triggers', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('bind snapshots to the event instance', () async {
+      DataSnapshot? received;
+      tester = await FunctionsTester.start(
+        environment: {'FIREBASE_DATABASE_EMULATOR_HOST': 'localhost:9000'},
+        (firebase) {
+          firebase.database.onValueCreated(
+            ref: 'messages/{messageId}',
+            (event) async => received = event.data,
+          );
+        },
+      );
+
+      await tester.handle(
+        makeDatabaseEvent(
+          ref: 'messages/m1',
+          after: {'text': 'hi'},
+          instance: 'other-rtdb',
+        ),
+      );
+
+      final ref = received!.reference;
+      expect(ref.path, '/messages/m1');
+      expect(ref.database.instance, 'other-rtdb');
+      expect(ref.database.emulatorHost, 'localhost:9000');
+    });
+  });
+}
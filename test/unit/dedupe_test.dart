@@ -0,0 +1,270 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:async';
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/src/common/dedupe.dart' show dedupeHandler;
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+
+void main() {
+  group('InMemoryEventDedupeStore', () {
+    test('records outcomes per function', () async {
+      final store = InMemoryEventDedupeStore();
+      await store.record('fn-a', 'event-1', EventOutcome.succeeded);
+
+      final record = await store.lookup('fn-a', 'event-1');
+      expect(record?.outcome, EventOutcome.succeeded);
+      expect(record?.eventId, 'event-1');
+      expect(await store.lookup('fn-b', 'event-1'), isNull);
+    });
+
+    test('overwrites earlier outcomes', () async {
+      final store = InMemoryEventDedupeStore();
+      await store.record('fn', 'event-1', EventOutcome.failed);
+      await store.record('fn', 'event-1', EventOutcome.succeeded);
+
+      expect(
+        (await store.lookup('fn', 'event-1'))?.outcome,
+        EventOutcome.succeeded,
+      );
+    });
+
+    test('forgets records after the TTL', () async {
+      final store = InMemoryEventDedupeStore(ttl: Duration.zero);
+      await store.record('fn', 'event-1', EventOutcome.succeeded);
+
+      expect(await store.lookup('fn', 'event-1'), isNull);
+    });
+
+    test('lets only one concurrent claim through', () async {
+      final store = InMemoryEventDedupeStore();
+      final claims = await Future.wait([
+        store.claim('fn', 'event-1'),
+        store.claim('fn', 'event-1'),
+      ]);
+
+      expect(claims.first, isNull);
+      expect(claims.last?.outcome, EventOutcome.inProgress);
+    });
+
+    test('reclaims failed and expired events', () async {
+      final store = InMemoryEventDedupeStore(lease: Duration.zero);
+      await store.record('fn', 'event-1', EventOutcome.failed);
+
+      expect(await store.claim('fn', 'event-1'), isNull);
+      expect(await store.claim('fn', 'event-1'), isNull);
+
+      await store.record('fn', 'event-1', EventOutcome.succeeded);
+      expect(
+        (await store.claim('fn', 'event-1'))?.outcome,
+        EventOutcome.succeeded,
+      );
+    });
+  });
+
+  group('dedupeHandler', () {
+    test('releases the claim when the handler throws', () async {
+      final store = InMemoryEventDedupeStore();
+      var calls = 0;
+      final handler = dedupeHandler(
+        (request) async {
+          if (++calls == 1) throw StateError('transient');
+          return Response.ok('');
+        },
+        functionName: 'process-order',
+        store: () => store,
+      );
+      Future<Response> deliver() async => await handler(
+        Request(
+          'POST',
+          Uri.parse('http://localhost/'),
+          headers: {'ce-id': 'event-1'},
+        ),
+      );
+
+      await expectLater(deliver(), throwsStateError);
+      final record = await store.lookup('process-order', 'event-1');
+      expect(record?.outcome, EventOutcome.failed);
+
+      expect((await deliver()).statusCode, 200);
+      expect(calls, 2);
+    });
+  });
+
+  group('idempotent triggers', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('skip Pub/Sub messages that were already handled', () async {
+      var calls = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          options: const PubSubOptions(idempotent: true),
+          (event) async => calls++,
+        );
+      });
+
+      for (var i = 0; i < 2; i++) {
+        final response = await tester.handle(
+          makePubSubEvent(topic: 'orders', data: 'hi', messageId: 'msg-1'),
+        );
+        expect(response.statusCode, 200);
+      }
+      await tester.handle(
+        makePubSubEvent(topic: 'orders', data: 'hi', messageId: 'msg-2'),
+      );
+
+      expect(calls, 2);
+    });
+
+    test('retry events whose handler failed', () async {
+      var calls = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.storage.onObjectFinalized(
+          bucket: 'uploads',
+          options: const StorageOptions(idempotent: true),
+          (event) async {
+            if (++calls == 1) throw StateError('transient');
+          },
+        );
+      });
+
+      Future<int> deliver() async => (await tester.handle(
+        makeStorageEvent(bucket: 'uploads', name: 'a.txt', id: 'event-1'),
+      )).statusCode;
+
+      expect(await deliver(), 500);
+      expect(await deliver(), 200);
+      expect(await deliver(), 200);
+      expect(calls, 2);
+
+      final record = await tester.firebase.dedupeStore.lookup(
+        'on-object-finalized-uploads',
+        'event-1',
+      );
+      expect(record?.outcome, EventOutcome.succeeded);
+    });
+
+    test('turn away deliveries that arrive while one is running', () async {
+      var calls = 0;
+      final started = Completer<void>();
+      final release = Completer<void>();
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          options: const PubSubOptions(idempotent: true),
+          (event) async {
+            calls++;
+            started.complete();
+            await release.future;
+          },
+        );
+      });
+
+      Future<int> deliver() async => (await tester.handle(
+        makePubSubEvent(topic: 'orders', data: 'hi', messageId: 'msg-1'),
+      )).statusCode;
+
+      final first = deliver();
+      await started.future;
+      expect(await deliver(), 409);
+      release.complete();
+      expect(await first, 200);
+      expect(await deliver(), 200);
+      expect(calls, 1);
+    });
+
+    test('dedupe binary-mode events by ce-id', () async {
+      var calls = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          options: const DocumentOptions(
+            document: 'users/{userId}',
+            idempotent: true,
+          ),
+          (event) async => calls++,
+        );
+      });
+
+      for (var i = 0; i < 2; i++) {
+        await tester.handle(
+          makeFirestoreEvent(
+            document: 'users/alice',
+            after: {'name': 'Alice'},
+            id: 'doc-event-1',
+          ),
+        );
+      }
+
+      expect(calls, 1);
+    });
+
+    test('use the configured store', () async {
+      final store = InMemoryEventDedupeStore();
+      await store.record('on-config-updated', 'rc-1', EventOutcome.succeeded);
+
+      var calls = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.dedupeStore = store;
+        firebase.remoteConfig.onConfigUpdated(
+          options: const RemoteConfigOptions(idempotent: true),
+          (event) async => calls++,
+        );
+      });
+
+      final response = await tester.handle(
+        makeRemoteConfigEvent(_configUpdate, id: 'rc-1'),
+      );
+
+      expect(response.statusCode, 200);
+      expect(calls, 0);
+    });
+
+    test('handle every delivery when not idempotent', () async {
+      var calls = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          (event) async => calls++,
+        );
+      });
+
+      for (var i = 0; i < 2; i++) {
+        await tester.handle(
+          makePubSubEvent(topic: 'orders', data: 'hi', messageId: 'msg-1'),
+        );
+      }
+
+      expect(calls, 2);
+    });
+  });
+}
+
+final _configUpdate = ConfigUpdateData(
+  versionNumber: 1,
+  updateTime: DateTime.utc(2026),
+  updateUser: const ConfigUser(
+    name: 'Test',
+    email: 'test@example.com',
+    imageUrl: 'https://example.com/a.png',
+  ),
+  description: 'test',
+  updateOrigin: ConfigUpdateOrigin.console,
+  updateType: ConfigUpdateType.incrementalUpdate,
+);
@@ -0,0 +1,130 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:io';
+
+import 'package:firebase_functions/src/common/dotenv.dart';
+import 'package:test/test.dart';
+
+void main() {
+  group('parseDotenv', () {
+    test('parses assignments and comments', () {
+      expect(
+        parseDotenv('''
+# Settings
+GREETING=Hello  # trailing comment
+export REGION = europe-west1
+EMPTY=
+'''),
+        {'GREETING': 'Hello', 'REGION': 'europe-west1', 'EMPTY': ''},
+      );
+    });
+
+    test('parses quoted values', () {
+      expect(
+        parseDotenv(r'''
+DOUBLE="Hello\tWorld # not a comment"
+SINGLE='C:\path\n'
+ESCAPED_QUOTE='it\'s'
+MULTILINE="first
+second"
+'''),
+        {
+          'DOUBLE': 'Hello\tWorld # not a comment',
+          'SINGLE': r'C:\path\n',
+          'ESCAPED_QUOTE': "it's",
+          'MULTILINE': 'first\nsecond',
+        },
+      );
+    });
+
+    test('rejects invalid lines', () {
+      for (final source in [
+        'NOT AN ASSIGNMENT',
+        'lowercase=value',
+        'UNTERMINATED="value',
+        'TRAILING="value" extra',
+      ]) {
+        expect(
+          () => parseDotenv(source),
+          throwsFormatException,
+          reason: source,
+        );
+      }
+    });
+  });
+
+  group('loadDotenv', () {
+    late Directory directory;
+
+    setUp(() {
+      directory = Directory.systemTemp.createTempSync('dotenv');
+    });
+
+    tearDown(() => directory.deleteSync(recursive: true));
+
+    void write(String name, String contents) =>
+        File('${directory.path}/$name').writeAsStringSync(contents);
+
+    test('layers project, alias and local files', () {
+      write('.env', 'A=env\nB=env\nC=env\nD=env\n');
+      write('.env.demo-project', 'B=project\nC=project\nD=project\n');
+      write('.firebaserc', '{"projects": {"staging": "demo-project"}}');
+      write('.env.staging', 'C=alias\nD=alias\n');
+      write('.env.local', 'D=local\n');
+      write('.secret.local', 'API_KEY=secret\n');
+      write('.env.other-project', 'A=other\n');
+
+      expect(loadDotenv(directory: directory.path, projectId: 'demo-project'), {
+        'A': 'env',
+        'B': 'project',
+        'C': 'alias',
+        'D': 'alias',
+      });
+      expect(
+        loadDotenv(
+          directory: directory.path,
+          projectId: 'demo-project',
+          local: true,
+        ),
+        {
+          'A': 'env',
+          'B': 'project',
+          'C': 'alias',
+          'D': 'local',
+          'API_KEY': 'secret',
+        },
+      );
+    });
+
+    test('skips missing files', () {
+      expect(loadDotenv(directory: directory.path, projectId: 'demo'), isEmpty);
+    });
+
+    test('rejects keys reserved for the runtime', () {
+      write('.env', 'FIREBASE_CONFIG={}\n');
+
+      expect(
+        () => loadDotenv(directory: directory.path, projectId: 'demo'),
+        throwsA(
+          isA<FormatException>().having(
+            (e) => e.message,
+            'message',
+            contains('FIREBASE_CONFIG'),
+          ),
+        ),
+      );
+    });
+  });
+}
@@ -0,0 +1,200 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_functions/src/common/expression.dart';
+import 'package:firebase_functions/src/common/params.dart';
+import 'package:test/test.dart';
+
+void main() {
+  setUp(clearParams);
+  tearDown(paramEnvironment.clear);
+
+  group('logical expressions', () {
+    test('render and evaluate and, or and not', () {
+      final isProduction = defineBoolean('IS_PRODUCTION');
+      final region = defineString('REGION');
+      final inEu = isProduction.and(region.equals('eu'));
+      final outsideEu = inEu.not();
+      final either = isProduction.or(region.notEquals('us'));
+
+      expect(
+        inEu.toCEL(),
+        '{{ params.IS_PRODUCTION && params.REGION == "eu" }}',
+      );
+      expect(
+        outsideEu.toCEL(),
+        '{{ !(params.IS_PRODUCTION && params.REGION == "eu") }}',
+      );
+      expect(
+        either.toCEL(),
+        '{{ params.IS_PRODUCTION || params.REGION != "us" }}',
+      );
+
+      paramEnvironment.addAll({'IS_PRODUCTION': 'true', 'REGION': 'eu'});
+      expect(inEu.runtimeValue(), isTrue);
+      expect(outsideEu.runtimeValue(), isFalse);
+      expect(either.runtimeValue(), isTrue);
+    });
+
+    test('parenthesize looser operands', () {
+      final a = defineBoolean('A');
+      final b = defineBoolean('B');
+      final c = defineBoolean('C');
+
+      expect(a.or(b).and(c).toString(), '(params.A || params.B) && params.C');
+      expect(a.and(b).or(c).toString(), 'params.A && params.B || params.C');
+      expect(a.and(b.and(c)).toString(), 'params.A && (params.B && params.C)');
+      expect(
+        a.or(b).thenElse(1, 2).toString(),
+        'params.A || params.B ? 1 : 2',
+      );
+      expect(
+        a.thenElse(true, false).and(c).toString(),
+        '(params.A ? true : false) && params.C',
+      );
+    });
+
+    test('thenElse picks a value from a compound condition', () {
+      final isProduction = defineBoolean('IS_PRODUCTION');
+      final region = defineString('REGION');
+      final memory = isProduction.and(region.equals('eu')).thenElse(2048, 512);
+
+      expect(
+        memory.toCEL(),
+        '{{ params.IS_PRODUCTION && params.REGION == "eu" ? 2048 : 512 }}',
+      );
+      expect(memory.runtimeValue(), 512);
+    });
+  });
+
+  group('arithmetic expressions', () {
+    test('render and evaluate integer arithmetic', () {
+      final base = defineInt('BASE');
+      final extra = defineInt('EXTRA');
+      paramEnvironment.addAll({'BASE': '7', 'EXTRA': '-2'});
+
+      final cases = {
+        base + extra: ('params.BASE + params.EXTRA', 5),
+        base - extra - 1: ('params.BASE - params.EXTRA - 1', 8),
+        base - (extra - 1): ('params.BASE - (params.EXTRA - 1)', 10),
+        base * (extra + 3): ('params.BASE * (params.EXTRA + 3)', 7),
+        base * 2 + 1: ('params.BASE * 2 + 1', 15),
+        base / 2: ('params.BASE / 2', 3),
+        extra / 4: ('params.EXTRA / 4', 0),
+        base % 3: ('params.BASE % 3', 1),
+        (extra - 5) % 3: ('(params.EXTRA - 5) % 3', -1),
+      };
+      cases.forEach((expression, expected) {
+        final (cel, value) = expected;
+        expect(expression.toString(), cel);
+        expect(expression.runtimeValue(), value, reason: cel);
+      });
+    });
+
+    test('render and evaluate double arithmetic', () {
+      final threshold = defineDouble('THRESHOLD');
+      paramEnvironment['THRESHOLD'] = '0.5';
+
+      final scaled = threshold * 3 / 2.0;
+
+      expect(scaled, isA<Divide<double>>());
+      expect(scaled.toCEL(), '{{ params.THRESHOLD * 3.0 / 2.0 }}');
+      expect(scaled.runtimeValue(), 0.75);
+    });
+
+    test('reject operands of another type', () {
+      final base = defineInt('BASE');
+
+      expect(() => base + 1.5, throwsArgumentError);
+      expect(() => base * defineDouble('RATIO'), throwsArgumentError);
+    });
+  });
+
+  group('comparisons', () {
+    test('compare params with each other', () {
+      final minInstances = defineInt('MIN_INSTANCES');
+      final maxInstances = defineInt('MAX_INSTANCES');
+      paramEnvironment.addAll({'MIN_INSTANCES': '2', 'MAX_INSTANCES': '10'});
+
+      final valid = minInstances.lessThanOrEqualTo(maxInstances);
+      final doubled = (minInstances * 2).greaterThan(maxInstances);
+      final same = minInstances.equals(maxInstances);
+
+      expect(
+        valid.toCEL(),
+        '{{ params.MIN_INSTANCES <= params.MAX_INSTANCES }}',
+      );
+      expect(valid.runtimeValue(), isTrue);
+      expect(
+        doubled.toCEL(),
+        '{{ params.MIN_INSTANCES * 2 > params.MAX_INSTANCES }}',
+      );
+      expect(doubled.runtimeValue(), isFalse);
+      expect(same.runtimeValue(), isFalse);
+    });
+
+    test('convert integer literals for double params', () {
+      final threshold = defineDouble('THRESHOLD');
+
+      expect(threshold.greaterThan(1).toString(), 'params.THRESHOLD > 1.0');
+    });
+  });
+
+  group('string expressions', () {
+    test('concatenate strings and params', () {
+      final prefix = defineString('PREFIX');
+      final project = defineString('PROJECT');
+      paramEnvironment.addAll({'PREFIX': 'worker', 'PROJECT': 'demo'});
+
+      final account = prefix + '@' + project + '.iam.gserviceaccount.com';
+
+      expect(
+        account.toCEL(),
+        '{{ params.PREFIX + "@" + params.PROJECT + '
+        '".iam.gserviceaccount.com" }}',
+      );
+      expect(account.runtimeValue(), 'worker@demo.iam.gserviceaccount.com');
+    });
+
+    test('escape string literals', () {
+      expect(
+        const LiteralExpression(r'say "hi" \ bye').toString(),
+        r'"say \"hi\" \\ bye"',
+      );
+    });
+  });
+
+  group('list expressions', () {
+    test('test membership', () {
+      final regions = defineList('REGIONS');
+      final region = defineString('REGION');
+      paramEnvironment.addAll({
+        'REGIONS': '["europe-west1", "us-central1"]',
+        'REGION': 'asia-east1',
+      });
+
+      final servesEu = regions.contains('europe-west1');
+      final servesRegion = regions.contains(region);
+
+      expect(servesEu.toCEL(), '{{ "europe-west1" in params.REGIONS }}');
+      expect(servesEu.runtimeValue(), isTrue);
+      expect(servesRegion.toCEL(), '{{ params.REGION in params.REGIONS }}');
+      expect(servesRegion.runtimeValue(), isFalse);
+      expect(
+        const LiteralExpression(['a', 'b']).contains('a').toString(),
+        '"a" in ["a", "b"]',
+      );
+    });
+  });
+}
@@ -0,0 +1,324 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:typed_data';
+
+import 'package:firebase_admin_sdk/firebase_admin_sdk.dart';
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+
+class _User {
+  _User(this.name, this.age);
+
+  factory _User.fromFirestore(EmulatorDocumentSnapshot snapshot) =>
+      _User(snapshot.get('name') as String, snapshot.get('age') as int);
+
+  final String name;
+  final int age;
+}
+
+void main() {
+  group('FirestoreNamespace WithData triggers', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('onDocumentCreatedWithData converts the created document', () async {
+      FirestoreEvent<_User?>? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreatedWithData<_User>(
+          document: 'users/{userId}',
+          fromFirestore: _User.fromFirestore,
+          (event) async => received = event,
+        );
+      });
+
+      final response = await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          after: {'name': 'Alice', 'age': 30},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.params, {'userId': 'alice'});
+      expect(received!.document, 'users/alice');
+      expect(received!.data!.name, 'Alice');
+      expect(received!.data!.age, 30);
+    });
+
+    test('onDocumentDeletedWithData converts the deleted document', () async {
+      FirestoreEvent<_User?>? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentDeletedWithData<_User>(
+          document: 'users/{userId}',
+          fromFirestore: _User.fromFirestore,
+          (event) async => received = event,
+        );
+      });
+
+      final response = await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          before: {'name': 'Alice', 'age': 30},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.data!.name, 'Alice');
+    });
+
+    test('onDocumentUpdatedWithData converts both sides', () async {
+      FirestoreEvent<Change<_User>>? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentUpdatedWithData<_User>(
+          document: 'users/{userId}',
+          fromFirestore: _User.fromFirestore,
+          (event) async => received = event,
+        );
+      });
+
+      final response = await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          before: {'name': 'Alice', 'age': 30},
+          after: {'name': 'Alice', 'age': 31},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.data.before!.age, 30);
+      expect(received!.data.after!.age, 31);
+    });
+
+    test('onDocumentWrittenWithData leaves a missing side null', () async {
+      FirestoreEvent<Change<_User>>? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentWrittenWithData<_User>(
+          document: 'users/{userId}',
+          fromFirestore: _User.fromFirestore,
+          (event) async => received = event,
+        );
+      });
+
+      final response = await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          type: 'written',
+          after: {'name': 'Alice', 'age': 30},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.data.before, isNull);
+      expect(received!.data.after!.name, 'Alice');
+    });
+
+    test('reports conversion failures without calling the handler', () async {
+      var called = false;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreatedWithData<_User>(
+          document: 'users/{userId}',
+          fromFirestore: _User.fromFirestore,
+          (event) async => called = true,
+        );
+      });
+
+      final response = await tester.handle(
+        makeFirestoreEvent(document: 'users/alice', after: {'name': 'Alice'}),
+      );
+
+      expect(response.statusCode, 200);
+      expect(await response.readAsString(), contains('alice'));
+      expect(called, isFalse);
+    });
+
+    test('keeps handler errors separate from conversion failures', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreatedWithData<_User>(
+          document: 'users/{userId}',
+          fromFirestore: _User.fromFirestore,
+          (event) async => throw StateError('boom'),
+        );
+      });
+
+      final response = await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          after: {'name': 'Alice', 'age': 30},
+        ),
+      );
+
+      expect(response.statusCode, 500);
+    });
+  });
+
+  group('FirestoreNamespace document fields', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('reads nested fields by dotted path or FieldPath', () async {
+      EmulatorDocumentSnapshot? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          (event) async => received = event.data,
+        );
+      });
+
+      await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          after: {
+            'address': {'city': 'Oslo'},
+            'team': {'manager.id': 'bob'},
+          },
+        ),
+      );
+
+      expect(received!.get('address.city'), 'Oslo');
+      expect(received!.get(FieldPath(['team', 'manager.id'])), 'bob');
+      expect(received!.get('address.zip'), isNull);
+      expect(received!.get('address.city.name'), isNull);
+      expect(() => received!.get('address..city'), throwsArgumentError);
+    });
+
+    test('parses every value kind into its Dart type', () async {
+      EmulatorDocumentSnapshot? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          (event) async => received = event.data,
+        );
+      });
+
+      await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          after: {
+            'count': 3,
+            'signedUpAt': Timestamp(seconds: 1767225600, nanoseconds: 123),
+            'home': GeoPoint(latitude: 59.91, longitude: 10.75),
+            'team': tester.firebase.adminApp.firestore().doc('teams/core'),
+            'avatar': Uint8List.fromList([1, 2, 3]),
+            'scores': [
+              1,
+              {
+                'rounds': [2.5, null],
+              },
+            ],
+          },
+        ),
+      );
+
+      final data = received!.data();
+      expect(data['count'], isA<int>());
+      final signedUpAt = data['signedUpAt'] as Timestamp;
+      expect(signedUpAt.seconds, 1767225600);
+      expect(signedUpAt.nanoseconds, 123);
+      final home = data['home'] as GeoPoint;
+      expect(home.latitude, 59.91);
+      expect(home.longitude, 10.75);
+      expect((data['team'] as DocumentReference).path, 'teams/core');
+      expect(data['avatar'], [1, 2, 3]);
+      expect(data['scores'], [
+        1,
+        {
+          'rounds': [2.5, null],
+        },
+      ]);
+    });
+
+    test('binds references to the database of the event', () async {
+      DocumentReference<Object?>? team;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          options: const DocumentOptions(
+            document: 'users/{userId}',
+            database: 'analytics',
+          ),
+          (event) async =>
+              team = event.data!.get('team') as DocumentReference<Object?>,
+        );
+      });
+      final analytics = tester.firebase.adminApp.firestore(
+        databaseId: 'analytics',
+      );
+
+      await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          database: 'analytics',
+          after: {'team': analytics.doc('teams/core')},
+        ),
+      );
+
+      expect(team, analytics.doc('teams/core'));
+    });
+
+    test('exposes the update mask on update and write events', () async {
+      final received = <FirestoreEvent<Change<EmulatorDocumentSnapshot>?>>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentUpdated(
+          document: 'users/{userId}',
+          (event) async => received.add(event),
+        );
+        firebase.firestore.onDocumentWrittenWithAuthContext(
+          document: 'users/{userId}',
+          (event) async => received.add(event),
+        );
+      });
+
+      for (final type in ['updated', 'written']) {
+        await tester.handle(
+          makeFirestoreEvent(
+            document: 'users/alice',
+            type: type,
+            before: {'name': 'Alice'},
+            after: {'name': 'Alicia'},
+            updatedFields: ['name', 'address.city'],
+          ),
+        );
+      }
+
+      expect(received, hasLength(2));
+      for (final event in received) {
+        expect(event.updatedFields, {'name', 'address.city'});
+      }
+    });
+
+    test('leaves updatedFields empty without an update mask', () async {
+      FirestoreEvent<Change<EmulatorDocumentSnapshot>?>? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentWritten(
+          document: 'users/{userId}',
+          (event) async => received = event,
+        );
+      });
+
+      await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          type: 'written',
+          after: {'name': 'Alice'},
+        ),
+      );
+
+      expect(received!.updatedFields, isEmpty);
+    });
+  });
+}
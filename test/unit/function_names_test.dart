@@ -0,0 +1,390 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/src/builder/spec.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:shelf/shelf.dart';
+import 'package:test/test.dart';
+
+void main() {
+  group('explicit function names', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('route events to named functions on the same topic', () async {
+      final received = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          name: 'billOrder',
+          (event) async => received.add('bill'),
+        );
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          name: 'shipOrder',
+          (event) async => received.add('ship'),
+        );
+      });
+
+      expect(tester.functionNames, ['bill-order', 'ship-order']);
+
+      await tester.handle(
+        makePubSubEvent(topic: 'orders', data: 'a', function: 'shipOrder'),
+      );
+      await tester.handle(
+        makePubSubEvent(topic: 'orders', data: 'b', function: 'billOrder'),
+      );
+      await tester.handle(
+        Request(
+          'POST',
+          Uri.parse(
+            'http://localhost/functions/projects/demo-test/triggers/'
+            'us-central1-ship-order',
+          ),
+          headers: {'content-type': 'application/cloudevents+json'},
+          body: await makePubSubEvent(topic: 'orders').readAsString(),
+        ),
+      );
+
+      expect(received, ['ship', 'bill', 'ship']);
+    });
+
+    test('route events to named functions on the same bucket', () async {
+      final received = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.storage.onObjectFinalized(
+          bucket: 'uploads',
+          name: 'resizeImage',
+          (event) async => received.add('resize'),
+        );
+        firebase.storage.onObjectFinalized(
+          bucket: 'uploads',
+          name: 'scanUpload',
+          (event) async => received.add('scan'),
+        );
+      });
+
+      await tester.handle(
+        makeStorageEvent(
+          bucket: 'uploads',
+          name: 'a.png',
+          function: 'scanUpload',
+        ),
+      );
+      await tester.handle(
+        makeStorageEvent(
+          bucket: 'uploads',
+          name: 'a.png',
+          function: 'resizeImage',
+        ),
+      );
+
+      expect(received, ['scan', 'resize']);
+    });
+
+    test('route Remote Config events to named functions', () async {
+      final received = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.remoteConfig.onConfigUpdated(
+          name: 'syncConfig',
+          (event) async => received.add('sync'),
+        );
+        firebase.remoteConfig.onConfigUpdated(
+          name: 'auditConfig',
+          (event) async => received.add('audit'),
+        );
+      });
+      final data = ConfigUpdateData(
+        versionNumber: 7,
+        updateTime: DateTime.utc(2026),
+        updateUser: const ConfigUser(
+          name: 'Test',
+          email: 'test@example.com',
+          imageUrl: '',
+        ),
+        description: 'Bump',
+        updateOrigin: ConfigUpdateOrigin.console,
+        updateType: ConfigUpdateType.incrementalUpdate,
+      );
+
+      for (final request in [
+        makeRemoteConfigEvent(data),
+        makeRemoteConfigEvent(data, function: 'auditConfig'),
+      ]) {
+        expect((await tester.handle(request)).statusCode, 200);
+      }
+
+      expect(received, ['sync', 'audit']);
+    });
+
+    test('route Eventarc events by type to named functions', () async {
+      final received = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.eventarc.onCustomEventPublished(
+          eventType: 'com.example.order-placed',
+          name: 'chargeOrder',
+          (event) async => received.add('charge'),
+        );
+        firebase.eventarc.onCustomEventPublished(
+          eventType: 'com.example.order-shipped',
+          name: 'notifyCustomer',
+          (event) async => received.add('notify'),
+        );
+      });
+
+      for (final eventType in [
+        'com.example.order-shipped',
+        'com.example.order-placed',
+      ]) {
+        final response = await tester.handle(
+          makeEventarcEvent(eventType: eventType),
+        );
+        expect(response.statusCode, 200, reason: eventType);
+      }
+
+      expect(received, ['notify', 'charge']);
+    });
+
+    test('route Storage events by bucket and event type', () async {
+      final received = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.storage.onObjectFinalized(
+          bucket: 'uploads',
+          name: 'processUpload',
+          (event) async => received.add('finalized'),
+        );
+        firebase.storage.onObjectDeleted(
+          bucket: 'uploads',
+          name: 'cleanUpUpload',
+          (event) async => received.add('deleted'),
+        );
+      });
+
+      await tester.handle(
+        makeStorageEvent(bucket: 'uploads', name: 'a.txt', type: 'deleted'),
+      );
+      await tester.handle(makeStorageEvent(bucket: 'uploads', name: 'a.txt'));
+
+      expect(received, ['deleted', 'finalized']);
+    });
+
+    test('route Firestore events by document pattern', () async {
+      String? userId;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          name: 'welcomeUser',
+          (event) async => userId = event.params['userId'],
+        );
+      });
+
+      final response = await tester.handle(
+        makeFirestoreEvent(document: 'users/ada', after: {'name': 'Ada'}),
+      );
+
+      expect(response.statusCode, 200);
+      expect(tester.functionNames, ['welcome-user']);
+      expect(userId, 'ada');
+    });
+
+    test('route Firestore events by database and namespace', () async {
+      final received = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          (event) async => received.add('default'),
+        );
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          options: const DocumentOptions(
+            document: 'users/{userId}',
+            database: 'analytics',
+          ),
+          (event) async => received.add(event.database),
+        );
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          options: const DocumentOptions(
+            document: 'users/{userId}',
+            database: 'analytics',
+            namespace: 'eu',
+          ),
+          (event) async => received.add('${event.database}/eu'),
+        );
+      });
+
+      expect(tester.functionNames, [
+        'on-document-created-users-user-id',
+        'on-document-created-analytics-users-user-id',
+        'on-document-created-analytics-eu-users-user-id',
+      ]);
+
+      for (final (database, namespace) in [
+        ('analytics', '(default)'),
+        ('(default)', '(default)'),
+        ('analytics', 'eu'),
+      ]) {
+        await tester.handle(
+          makeFirestoreEvent(
+            document: 'users/ada',
+            after: {'name': 'Ada'},
+            database: database,
+            namespace: namespace,
+          ),
+        );
+      }
+      final response = await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/ada',
+          after: {'name': 'Ada'},
+          database: 'billing',
+        ),
+      );
+
+      expect(received, ['analytics', 'default', 'analytics/eu']);
+      expect(response.statusCode, 404);
+    });
+
+    test('route Realtime Database events by ref pattern', () async {
+      Object? value;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.database.onValueCreated(
+          ref: 'messages/{id}',
+          name: 'indexMessage',
+          (event) async => value = event.data?.val(),
+        );
+      });
+
+      final response = await tester.handle(
+        makeDatabaseEvent(ref: 'messages/m1', after: 'hello'),
+      );
+
+      expect(response.statusCode, 200);
+      expect(value, 'hello');
+    });
+
+    test('allow two jobs on the same schedule', () async {
+      final runs = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.scheduler.onSchedule(
+          schedule: '0 0 * * *',
+          name: 'nightlyBackup',
+          (event) async => runs.add('backup'),
+        );
+        firebase.scheduler.onSchedule(
+          schedule: '0 0 * * *',
+          name: 'nightlyReport',
+          (event) async => runs.add('report'),
+        );
+      });
+
+      await tester.invoke(
+        'nightlyReport',
+        Request('POST', Uri.parse('http://localhost/nightly-report')),
+      );
+
+      expect(runs, ['report']);
+    });
+  });
+
+  test('rejects triggers that map to the same Cloud Run ID', () async {
+    await expectLater(
+      FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublished(topic: 'my-topic', (event) async {});
+        firebase.pubsub.onMessagePublished(topic: 'mytopic', (event) async {});
+      }),
+      throwsA(
+        isA<StateError>().having(
+          (e) => e.message,
+          'message',
+          contains('on-message-published-mytopic'),
+        ),
+      ),
+    );
+  });
+
+  group('addEndpoint', () {
+    test('rejects endpoints with the same Cloud Run ID', () {
+      final endpoints = <String, EndpointSpec>{};
+      addEndpoint(
+        endpoints,
+        EndpointSpec(
+          name: 'onMessagePublished_mytopic',
+          type: 'pubsub',
+          topic: 'my-topic',
+        ),
+      );
+
+      expect(
+        () => addEndpoint(
+          endpoints,
+          EndpointSpec(
+            name: 'onMessagePublished_mytopic',
+            type: 'pubsub',
+            topic: 'mytopic',
+          ),
+        ),
+        throwsA(
+          isA<StateError>().having(
+            (e) => e.message,
+            'message',
+            allOf(
+              contains('"on-message-published-mytopic"'),
+              contains('Pub/Sub topic "my-topic"'),
+              contains('Pub/Sub topic "mytopic"'),
+              contains('name:'),
+            ),
+          ),
+        ),
+      );
+    });
+
+    test('detects collisions between differently spelled names', () {
+      final endpoints = <String, EndpointSpec>{};
+      addEndpoint(endpoints, EndpointSpec(name: 'helloWorld', type: 'https'));
+
+      expect(
+        () => addEndpoint(
+          endpoints,
+          EndpointSpec(name: 'hello_world', type: 'https'),
+        ),
+        throwsStateError,
+      );
+    });
+
+    test('accepts distinct names', () {
+      final endpoints = <String, EndpointSpec>{};
+      addEndpoint(
+        endpoints,
+        EndpointSpec(
+          name: 'nightlyBackup',
+          type: 'scheduler',
+          schedule: '0 0 * * *',
+        ),
+      );
+      addEndpoint(
+        endpoints,
+        EndpointSpec(
+          name: 'nightlyReport',
+          type: 'scheduler',
+          schedule: '0 0 * * *',
+        ),
+      );
+
+      expect(endpoints.keys, ['nightlyBackup', 'nightlyReport']);
+    });
+  });
+}
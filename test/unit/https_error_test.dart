@@ -80,6 +80,26 @@ void main() {
       });
     });
 
+    test('toJson tags ErrorDetails with their type', () {
+      final single = FailedPreconditionError(
+        'Closed',
+        const _OrderDetails('1'),
+      );
+      final list = FailedPreconditionError('Closed', [
+        const _OrderDetails('1'),
+        {'plain': true},
+      ]);
+
+      expect(single.toJson()['details'], {
+        '@type': 'example.com/Order',
+        'orderId': '1',
+      });
+      expect(list.toJson()['details'], [
+        {'@type': 'example.com/Order', 'orderId': '1'},
+        {'plain': true},
+      ]);
+    });
+
     test('toJson uses default message when message is null', () {
       final error = GenericHttpsError(FunctionsErrorCode.notFound);
 
@@ -396,3 +416,15 @@ void main() {
     });
   });
 }
+
+final class _OrderDetails extends ErrorDetails {
+  const _OrderDetails(this.orderId);
+
+  final String orderId;
+
+  @override
+  String get type => 'example.com/Order';
+
+  @override
+  Map<String, Object?> toJson() => {'orderId': orderId};
+}
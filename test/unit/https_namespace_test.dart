@@ -21,8 +21,10 @@ import 'package:firebase_functions/src/common/environment.dart';
 import 'package:firebase_functions/src/firebase.dart';
 import 'package:firebase_functions/src/https/callable.dart';
 import 'package:firebase_functions/src/https/error.dart';
+import 'package:firebase_functions/src/https/error_mapper.dart';
 import 'package:firebase_functions/src/https/https_namespace.dart';
 import 'package:firebase_functions/src/https/options.dart';
+import 'package:firebase_functions/src/https/schema.dart';
 import 'package:shelf/shelf.dart';
 import 'package:test/test.dart';
 
@@ -430,6 +432,96 @@ void main() {
           },
         );
       });
+
+      group('error mappers', () {
+        Future<Object?> callError(String name, {bool streaming = false}) async {
+          final func = _findFunction(firebase, name)!;
+          final response = await func.handler(
+            createCallableRequest(
+              headers: {if (streaming) 'accept': 'text/event-stream'},
+            ),
+          );
+          final body = await response.readAsString();
+          return jsonDecode(
+            streaming ? body.substring('data: '.length).trim() : body,
+          );
+        }
+
+        test('translate exceptions in JSON and SSE responses', () async {
+          firebase.mapErrors(
+            mapException<FormatException>(
+              (e) => InvalidArgumentError(e.message, const _RetryDetails(3)),
+            ),
+          );
+          https.onCall(
+            name: 'formatFunction',
+            (request, response) async =>
+                throw const FormatException('Bad input'),
+          );
+
+          final expected = {
+            'error': {
+              'status': 'INVALID_ARGUMENT',
+              'message': 'Bad input',
+              'details': {'@type': 'test/Retry', 'attempts': 3},
+            },
+          };
+          expect(await callError('format-function'), expected);
+          expect(
+            await callError('format-function', streaming: true),
+            expected,
+          );
+        });
+
+        test('try per-function mappers before global ones', () async {
+          firebase.mapErrors(
+            mapException<StateError>((e) => FailedPreconditionError('global')),
+          );
+          https.onCallWithData<Map<String, dynamic>, String>(
+            name: 'localFunction',
+            fromJson: (json) => json,
+            errorMappers: [
+              mapException<StateError>((e) => null),
+              mapException<StateError>((e) => NotFoundError('local')),
+            ],
+            (request, response) async => throw StateError('missing'),
+          );
+          https.onCall(
+            name: 'globalFunction',
+            (request, response) async => throw StateError('missing'),
+          );
+
+          expect(await callError('local-function'), {
+            'error': {'status': 'NOT_FOUND', 'message': 'local'},
+          });
+          expect(await callError('global-function'), {
+            'error': {'status': 'FAILED_PRECONDITION', 'message': 'global'},
+          });
+        });
+
+        test('leave unmapped exceptions internal', () async {
+          firebase.mapErrors(
+            mapException<FormatException>((e) => InvalidArgumentError()),
+          );
+          https.onCall(name: 'crashFunction', (request, response) async {
+            throw Exception('Unexpected crash');
+          });
+          https.onCall(
+            name: 'mapperCrashFunction',
+            errorMappers: [(error) => throw StateError('broken mapper')],
+            (request, response) async => throw const FormatException(),
+          );
+
+          const internal = {
+            'error': {
+              'status': 'INTERNAL',
+              'message': 'An unexpected error occurred.',
+            },
+          };
+          expect(await callError('crash-function'), internal);
+          expect(await callError('mapper-crash-function'), internal);
+        });
+      });
     });
 
     group('onCallWithData', () {
@@ -533,6 +625,74 @@ void main() {
         expect(body['error']['status'], 'INVALID_ARGUMENT');
         expect(body['error']['message'], 'Name cannot be empty');
       });
+
+      test('rejects data that fails the validator', () async {
+        var calls = 0;
+        https.onCallWithData<_GreetRequest, String>(
+          name: 'validatedFunction',
+          fromJson: _GreetRequest.fromJson,
+          validator: const ObjectSchema(
+            properties: {'name': StringSchema(minLength: 1)},
+            required: ['name'],
+          ),
+          (request, response) async {
+            calls++;
+            return 'OK';
+          },
+        );
+
+        final func = _findFunction(firebase, 'validated-function')!;
+        final response = await func.handler(
+          createCallableRequest(data: {'name': 42}),
+        );
+
+        expect(response.statusCode, 400);
+        expect(calls, 0);
+        final body = jsonDecode(await response.readAsString());
+        expect(body['error']['status'], 'INVALID_ARGUMENT');
+        expect(body['error']['details'], [
+          {'path': '/name', 'reason': 'must be a string'},
+        ]);
+      });
+
+      test('reports validators that throw as internal errors', () async {
+        https.onCallWithData<_GreetRequest, String>(
+          name: 'validatedFunction',
+          fromJson: _GreetRequest.fromJson,
+          validator: const ObjectSchema(
+            properties: {'name': StringSchema(pattern: '(')},
+          ),
+          (request, response) async => 'OK',
+        );
+
+        final func = _findFunction(firebase, 'validated-function')!;
+        final response = await func.handler(
+          createCallableRequest(data: {'name': 'World'}),
+        );
+
+        expect(response.statusCode, 500);
+        final body = jsonDecode(await response.readAsString());
+        expect(body['error']['status'], 'INTERNAL');
+      });
+
+      test('runs the handler when data passes the validator', () async {
+        https.onCallWithData<_GreetRequest, String>(
+          name: 'validatedFunction',
+          fromJson: _GreetRequest.fromJson,
+          validator: const ObjectSchema(
+            properties: {'name': StringSchema(minLength: 1)},
+            required: ['name'],
+          ),
+          (request, response) async => 'Hello, ${request.data.name}!',
+        );
+
+        final func = _findFunction(firebase, 'validated-function')!;
+        final response = await func.handler(
+          createCallableRequest(data: {'name': 'World'}),
+        );
+
+        expect(response.statusCode, 200);
+      });
     });
 
     group('Options', () {
@@ -597,3 +757,15 @@ class _GreetResponse {
   @override
   String toString() => message;
 }
+
+final class _RetryDetails extends ErrorDetails {
+  const _RetryDetails(this.attempts);
+
+  final int attempts;
+
+  @override
+  String get type => 'test/Retry';
+
+  @override
+  Map<String, Object?> toJson() => {'attempts': attempts};
+}
@@ -17,7 +17,9 @@
 import 'dart:async';
 import 'dart:convert';
 
+import 'package:firebase_functions/firebase_functions.dart';
 import 'package:firebase_functions/src/logger/logger.dart';
+import 'package:firebase_functions/testing.dart';
 import 'package:test/test.dart';
 
 void main() {
@@ -329,6 +331,152 @@ void main() {
         }, zoneValues: {projectIdZoneKey: 'test-project'});
       });
     });
+
+    group('labels', () {
+      test('withLabels adds labels to every entry', () {
+        testLogger.withLabels({'orderId': 'o1'}).info('charged');
+        expect(parseStdout(), {
+          'severity': 'INFO',
+          'message': 'charged',
+          'logging.googleapis.com/labels': {'orderId': 'o1'},
+        });
+      });
+
+      test('withLabels merges with the parent logger labels', () {
+        testLogger
+            .withLabels({'a': '1', 'b': '1'})
+            .withLabels({'b': '2'})
+            .info('merged');
+        expect(parseStdout()['logging.googleapis.com/labels'], {
+          'a': '1',
+          'b': '2',
+        });
+      });
+
+      test('adds labels from the request context', () {
+        runWithLogContext(labels: {'function_name': 'fn', 'uid': 'u1'}, () {
+          testLogger.withLabels({'step': 'x'}).info('in context');
+        });
+        expect(parseStdout()['logging.googleapis.com/labels'], {
+          'function_name': 'fn',
+          'uid': 'u1',
+          'step': 'x',
+        });
+      });
+
+      test('nested contexts accumulate labels', () {
+        runWithLogContext(labels: {'function_name': 'fn'}, () {
+          runWithLogContext(labels: {'uid': 'u1'}, () {
+            testLogger.info('nested');
+          });
+        });
+        expect(parseStdout()['logging.googleapis.com/labels'], {
+          'function_name': 'fn',
+          'uid': 'u1',
+        });
+      });
+    });
+
+    group('request context', () {
+      test('adds httpRequest when set', () {
+        final httpRequest = LogContext.httpRequestOf(
+          'GET',
+          Uri.parse('https://example.com/hello?x=1'),
+          {'user-agent': 'test', 'x-forwarded-for': '1.2.3.4, 10.0.0.1'},
+          protocol: '1.1',
+        );
+        runWithLogContext(httpRequest: httpRequest, () {
+          testLogger.info('request');
+        });
+        expect(parseStdout()['httpRequest'], {
+          'requestMethod': 'GET',
+          'requestUrl': 'https://example.com/hello?x=1',
+          'userAgent': 'test',
+          'remoteIp': '1.2.3.4',
+          'protocol': 'HTTP/1.1',
+        });
+      });
+
+      test('adds the caller source location when enabled', () {
+        runWithLogContext(sourceLocation: true, () {
+          testLogger.info('located');
+        });
+        final location =
+            parseStdout()['logging.googleapis.com/sourceLocation']
+                as Map<String, Object?>;
+        expect(location['file'], endsWith('logger_test.dart'));
+        expect(location['line'], isA<String>());
+      });
+
+      test('omits source location by default', () {
+        runWithLogContext(() => testLogger.info('plain'));
+        expect(
+          parseStdout(),
+          isNot(contains('logging.googleapis.com/sourceLocation')),
+        );
+      });
+    });
+  });
+
+  group('functionHandler log context', () {
+    late FunctionsTester tester;
+    late List<Map<String, Object?>> entries;
+    late Logger captured;
+
+    setUp(() {
+      entries = [];
+      void capture(String line) =>
+          entries.add(jsonDecode(line) as Map<String, Object?>);
+      captured = createLogger(stdoutWriter: capture, stderrWriter: capture);
+    });
+
+    tearDown(() => tester.close());
+
+    test('labels onRequest entries with the function and request', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.https.onRequest(name: 'hello', (request) async {
+          captured.info('handling');
+          return Response.ok('hi');
+        });
+      });
+
+      await tester.handle(
+        Request(
+          'GET',
+          Uri.parse('http://localhost/hello'),
+          headers: {'function-execution-id': 'exec-1'},
+        ),
+      );
+
+      expect(entries.single['logging.googleapis.com/labels'], {
+        'function_name': 'hello',
+        'execution_id': 'exec-1',
+      });
+      expect(
+        entries.single['httpRequest'],
+        containsPair('requestMethod', 'GET'),
+      );
+      expect(entries.single, contains('logging.googleapis.com/sourceLocation'));
+    });
+
+    test('labels event entries with the event id', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublished(topic: 'orders', (event) async {
+          captured.info('received');
+        });
+      });
+
+      await tester.handle(
+        makePubSubEvent(topic: 'orders', data: 'hi', messageId: 'evt-1'),
+      );
+
+      final entry = entries.firstWhere((e) => e['message'] == 'received');
+      expect(entry['logging.googleapis.com/labels'], {
+        'function_name': 'on-message-published-orders',
+        'event_id': 'evt-1',
+      });
+      expect(entry, isNot(contains('httpRequest')));
+    });
   });
 
   group('removeCircular', () {
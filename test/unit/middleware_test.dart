@@ -0,0 +1,181 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:async';
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/src/common/on_init.dart';
+import 'package:firebase_functions/src/logger/logger.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+
+/// Middleware that appends [name] to [log] before and after the handler.
+Middleware _record(List<String> log, String name) =>
+    (inner) => (request) async {
+      log.add('$name>');
+      final response = await inner(request);
+      log.add('<$name');
+      return response;
+    };
+
+void main() {
+  group('middleware', () {
+    late FunctionsTester tester;
+
+    setUp(resetInit);
+
+    tearDown(() async {
+      resetInit();
+      await tester.close();
+    });
+
+    test('runs global middleware around per-function middleware', () async {
+      final log = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase
+          ..use(_record(log, 'global1'))
+          ..use(_record(log, 'global2'));
+        firebase.https.onRequest(
+          name: 'hello',
+          middleware: [_record(log, 'local')],
+          (request) async {
+            log.add('handler');
+            return Response.ok('hi');
+          },
+        );
+      });
+
+      await tester.handle(Request('GET', Uri.parse('http://localhost/hello')));
+
+      expect(log, [
+        'global1>',
+        'global2>',
+        'local>',
+        'handler',
+        '<local',
+        '<global2',
+        '<global1',
+      ]);
+    });
+
+    test('wraps the onInit callback', () async {
+      final log = <String>[];
+      onInit(() => log.add('init'));
+      tester = await FunctionsTester.start((firebase) {
+        firebase.use(_record(log, 'global'));
+        firebase.https.onRequest(
+          name: 'hello',
+          (request) async => Response.ok('hi'),
+        );
+      });
+
+      await tester.handle(Request('GET', Uri.parse('http://localhost/hello')));
+
+      expect(log, ['global>', 'init', '<global']);
+    });
+
+    test('can short-circuit and modify responses', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.use(
+          (inner) => (request) async {
+            if (request.headers['x-api-key'] != 'secret') {
+              return Response.forbidden('Forbidden');
+            }
+            final response = await inner(request);
+            return response.change(headers: {'x-checked': 'true'});
+          },
+        );
+        firebase.https.onRequest(
+          name: 'hello',
+          (request) async => Response.ok('hi'),
+        );
+      });
+
+      var response = await tester.handle(
+        Request('GET', Uri.parse('http://localhost/hello')),
+      );
+      expect(response.statusCode, 403);
+
+      response = await tester.handle(
+        Request(
+          'GET',
+          Uri.parse('http://localhost/hello'),
+          headers: {'x-api-key': 'secret'},
+        ),
+      );
+      expect(response.statusCode, 200);
+      expect(response.headers['x-checked'], 'true');
+    });
+
+    test('runs inside the trace ID zone', () async {
+      Object? traceId;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.use(
+          (inner) => (request) {
+            traceId = Zone.current[traceIdZoneKey];
+            return inner(request);
+          },
+        );
+        firebase.https.onRequest(
+          name: 'hello',
+          (request) async => Response.ok('hi'),
+        );
+      });
+
+      await tester.handle(
+        Request(
+          'GET',
+          Uri.parse('http://localhost/hello'),
+          headers: {
+            cloudTraceContextHeader: '4bf92f3577b34da6a3ce929d0e0e4736/1;o=1',
+          },
+        ),
+      );
+
+      expect(traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    });
+
+    test('applies in FUNCTION_TARGET mode and to event functions', () async {
+      final log = <String>[];
+      tester = await FunctionsTester.start(
+        environment: {'FUNCTION_TARGET': 'on-message-published-orders'},
+        (firebase) {
+          firebase.use(_record(log, 'global'));
+          firebase.pubsub.onMessagePublished(
+            topic: 'orders',
+            (event) async => log.add('handler'),
+          );
+        },
+      );
+
+      await tester.handle(makePubSubEvent(topic: 'orders', data: 'hi'));
+
+      expect(log, ['global>', 'handler', '<global']);
+    });
+
+    test('does not run for internal endpoints', () async {
+      final log = <String>[];
+      tester = await FunctionsTester.start((firebase) {
+        firebase.use(_record(log, 'global'));
+      });
+
+      final response = await tester.handle(
+        Request('GET', Uri.parse('http://localhost/__/health')),
+      );
+
+      expect(response.statusCode, 200);
+      expect(log, isEmpty);
+    });
+  });
+}
@@ -0,0 +1,182 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:async';
+
+import 'package:firebase_functions/src/common/environment.dart';
+import 'package:firebase_functions/src/common/on_shutdown.dart';
+import 'package:firebase_functions/src/firebase.dart';
+import 'package:firebase_functions/src/logger/logger.dart';
+import 'package:firebase_functions/src/server.dart';
+import 'package:shelf/shelf.dart';
+import 'package:test/test.dart';
+
+void main() {
+  group('onShutdown', () {
+    setUp(resetShutdown);
+    tearDown(resetShutdown);
+
+    test('runs callbacks in registration order', () async {
+      final log = <String>[];
+      onShutdown(() => log.add('first'));
+      onShutdown(() async {
+        await Future<void>.delayed(Duration.zero);
+        log.add('second');
+      });
+
+      await runShutdownCallbacks();
+
+      expect(log, ['first', 'second']);
+    });
+
+    test('keeps running callbacks after one throws', () async {
+      final log = <String>[];
+      onShutdown(() => throw StateError('boom'));
+      onShutdown(() => log.add('after'));
+
+      await runShutdownCallbacks();
+
+      expect(log, ['after']);
+    });
+  });
+
+  group('GracefulShutdown', () {
+    late List<String> log;
+    late GracefulShutdown shutdown;
+
+    setUp(() {
+      resetShutdown();
+      log = [];
+      onShutdown(() => log.add('callback'));
+      shutdown = GracefulShutdown(
+        gracePeriod: const Duration(milliseconds: 200),
+        closeServer: ({required force}) async => log.add('close force=$force'),
+      );
+    });
+
+    tearDown(resetShutdown);
+
+    test('runs callbacks immediately when idle', () async {
+      await shutdown.shutdown();
+
+      expect(log, ['close force=false', 'close force=true', 'callback']);
+    });
+
+    test('stops background work before the callbacks', () async {
+      shutdown = GracefulShutdown(
+        gracePeriod: const Duration(milliseconds: 200),
+        closeServer: ({required force}) async => log.add('close force=$force'),
+        beforeDrain: () async => log.add('stop'),
+      );
+
+      await shutdown.shutdown();
+
+      expect(log, [
+        'close force=false',
+        'stop',
+        'close force=true',
+        'callback',
+      ]);
+    });
+
+    test('waits for in-flight requests before the callbacks', () async {
+      final release = Completer<void>();
+      final handler = shutdown.middleware((request) async {
+        await release.future;
+        return Response.ok('done');
+      });
+
+      final pending = handler(Request('GET', Uri.parse('http://localhost/')));
+      await Future<void>.delayed(Duration.zero);
+      expect(shutdown.inFlight, 1);
+
+      final done = shutdown.shutdown();
+      await Future<void>.delayed(Duration.zero);
+      expect(log, ['close force=false']);
+
+      release.complete();
+      final response = await pending;
+      expect(await response.readAsString(), 'done');
+      await done;
+
+      expect(log, ['close force=false', 'close force=true', 'callback']);
+    });
+
+    test('waits for streamed response bodies', () async {
+      final body = StreamController<List<int>>();
+      final handler = shutdown.middleware(
+        (request) => Response.ok(body.stream),
+      );
+
+      final response = await handler(
+        Request('GET', Uri.parse('http://localhost/')),
+      );
+      final done = shutdown.shutdown();
+      final read = response.readAsString();
+      await Future<void>.delayed(Duration.zero);
+      expect(shutdown.inFlight, 1);
+
+      body.add([104, 105]);
+      await body.close();
+      expect(await read, 'hi');
+      await done;
+
+      expect(shutdown.inFlight, 0);
+      expect(log.last, 'callback');
+    });
+
+    test('gives up on requests after the grace period', () async {
+      final handler = shutdown.middleware(
+        (request) => Completer<Response>().future,
+      );
+      unawaited(handler(Request('GET', Uri.parse('http://localhost/'))));
+      await Future<void>.delayed(Duration.zero);
+
+      await shutdown.shutdown();
+
+      expect(shutdown.inFlight, 1);
+      expect(log, ['close force=false', 'close force=true', 'callback']);
+    });
+
+    test('rejects requests once shutting down', () async {
+      final handler = shutdown.middleware((request) => Response.ok('hi'));
+      unawaited(shutdown.shutdown());
+
+      final response = await handler(
+        Request('GET', Uri.parse('http://localhost/')),
+      );
+
+      expect(response.statusCode, 503);
+    });
+
+    test('/__/quitquitquit starts the shutdown', () async {
+      final firebase = createFirebaseInternal(
+        env: FirebaseEnv(environment: {'FIREBASE_PROJECT': 'demo-test'}),
+      );
+      final handler = createFunctionsHandler(firebase, shutdown: shutdown);
+
+      final response = await runZoned(
+        zoneValues: {projectIdZoneKey: 'demo-test'},
+        () => handler(
+          Request('GET', Uri.parse('http://localhost/__/quitquitquit')),
+        ),
+      );
+      expect(await response.readAsString(), 'OK');
+      await shutdown.done;
+
+      expect(shutdown.isShuttingDown, isTrue);
+      expect(log.last, 'callback');
+    });
+  });
+}
@@ -549,4 +549,63 @@ void main() {
       expect(result, isA<If<String>>());
     });
   });
+
+  group('validateParams', () {
+    setUp(clearParams);
+    tearDown(paramEnvironment.clear);
+
+    test('accepts values of the right type and defaults', () {
+      paramEnvironment.addAll({
+        'VALID_INT': '42',
+        'VALID_BOOL': 'false',
+        'VALID_LIST': '["a", "b"]',
+        'VALID_REGIONS': '["europeWest1"]',
+        'VALID_SECRET': '{"key": "value"}',
+      });
+
+      expect(
+        () => validateParams([
+          defineInt('VALID_INT'),
+          defineBoolean('VALID_BOOL'),
+          defineList('VALID_LIST'),
+          EnumListParam('VALID_REGIONS', TestRegion.values, null),
+          defineJsonSecret<Map<String, dynamic>>('VALID_SECRET'),
+          defineString('MISSING', const ParamOptions(defaultValue: 'x')),
+          ParamInput.projectId,
+        ]),
+        returnsNormally,
+      );
+      expect(defineInt('VALID_INT').value(), 42);
+    });
+
+    test('lists every missing or invalid param', () {
+      paramEnvironment.addAll({
+        'BAD_INT': '4.2',
+        'BAD_BOOL': 'yes',
+        'BAD_LIST': 'a,b',
+        'BAD_SECRET': '{',
+      });
+
+      expect(
+        () => validateParams([
+          defineInt('BAD_INT'),
+          defineBoolean('BAD_BOOL'),
+          defineList('BAD_LIST'),
+          defineJsonSecret<Object>('BAD_SECRET'),
+          defineSecret('MISSING_SECRET'),
+          defineString('MISSING_STRING'),
+        ]),
+        throwsA(
+          isA<ParamValidationException>().having((e) => e.errors, 'errors', {
+            'BAD_INT': 'expected an integer, got "4.2"',
+            'BAD_BOOL': 'expected "true" or "false", got "yes"',
+            'BAD_LIST': 'expected a JSON array of strings, got "a,b"',
+            'BAD_SECRET': 'expected JSON, got "{"',
+            'MISSING_SECRET': 'is not set',
+            'MISSING_STRING': 'is not set',
+          }),
+        ),
+      );
+    });
+  });
 }
@@ -0,0 +1,180 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_functions/src/builder/parity.dart';
+import 'package:test/test.dart';
+
+Map<String, Object?> _manifest(
+  Map<String, Object?> endpoints, {
+  List<Object?> params = const [],
+  List<Object?> requiredAPIs = const [],
+}) => {
+  'specVersion': 'v1alpha1',
+  'params': params,
+  'requiredAPIs': requiredAPIs,
+  'endpoints': endpoints,
+};
+
+void main() {
+  group('compareManifests', () {
+    test('ignores differences the Node.js extraction normalizes', () {
+      final dart = _manifest(
+        {
+          'on-message': {
+            'platform': 'gcfv2',
+            'region': ['us-central1'],
+            'minInstances': '{{ params.MIN_INSTANCES }}',
+            'eventTrigger': {'eventType': 'topic', 'retry': false},
+            'baseImageUri': 'us-central1-docker.pkg.dev/serverless-runtimes',
+            'command': ['./bin/server'],
+            'entryPoint': 'on-message',
+          },
+          'before-create': {
+            'blockingTrigger': {
+              'eventType': 'providers/cloud.auth/eventTypes/user.beforeCreate',
+              'options': {'idToken': true},
+            },
+          },
+        },
+        requiredAPIs: [
+          {'api': 'cloudfunctions.googleapis.com', 'reason': 'Required.'},
+        ],
+      );
+      final node = _manifest(
+        {
+          'onMessage': {
+            'entryPoint': 'onMessage',
+            'minInstances': '{{params.MIN_INSTANCES}}',
+            'eventTrigger': {'eventType': 'topic'},
+            'labels': <String, Object?>{},
+            'cpu': null,
+          },
+          'beforeCreate': {
+            'platform': 'gcfv2',
+            'blockingTrigger': {
+              'eventType': 'providers/cloud.auth/eventTypes/user.beforeCreate',
+              'options': {'idToken': true, 'accessToken': false},
+            },
+          },
+        },
+        requiredAPIs: [
+          {'api': 'cloudfunctions.googleapis.com', 'reason': 'Required'},
+        ],
+      );
+
+      expect(compareManifests(dart, node), isEmpty);
+    });
+
+    test('reports differences per endpoint, param and API', () {
+      final dart = _manifest(
+        {
+          'greet': {
+            'eventTrigger': {
+              'eventType': 'google.cloud.firestore.document.v1.written',
+              'eventFilters': {'database': '(default)'},
+              'retry': true,
+            },
+          },
+          'only-dart': {'httpsTrigger': <String, Object?>{}},
+        },
+        params: [
+          {'name': 'MIN_INSTANCES', 'type': 'int', 'default': 1},
+        ],
+        requiredAPIs: [
+          {'api': 'cloudscheduler.googleapis.com', 'reason': 'Scheduled'},
+        ],
+      );
+      final node = _manifest(
+        {
+          'greet': {
+            'eventTrigger': {
+              'eventType': 'google.cloud.firestore.document.v1.written',
+              'eventFilters': {'database': 'other'},
+            },
+          },
+        },
+        params: [
+          {'name': 'MIN_INSTANCES', 'type': 'int', 'default': 0},
+        ],
+      );
+
+      final differences = compareManifests(dart, node);
+
+      expect(differences.map((d) => d.toString()), [
+        'endpoints/greet/eventTrigger/eventFilters/database: '
+            '"(default)" in Dart, "other" in Node.js',
+        'endpoints/greet/eventTrigger/retry: true in Dart, false in Node.js',
+        'endpoints/only-dart: {httpsTrigger: {}, platform: gcfv2, '
+            'region: [us-central1]} in Dart, missing in Node.js',
+        'params/MIN_INSTANCES/default: 1 in Dart, 0 in Node.js',
+        'requiredAPIs/cloudscheduler.googleapis.com: '
+            '{reason: Scheduled} in Dart, missing in Node.js',
+      ]);
+      expect(differences.first.subject, 'endpoints/greet');
+      expect(differences.first.field, 'eventTrigger/eventFilters/database');
+    });
+
+    test('reports lists of different lengths whole', () {
+      final differences = compareManifests(
+        _manifest({
+          'greet': {
+            'region': ['us-central1', 'europe-west1'],
+          },
+        }),
+        _manifest({
+          'greet': {
+            'region': ['us-central1'],
+          },
+        }),
+      );
+
+      expect(differences.single.path, 'endpoints/greet/region');
+    });
+  });
+
+  group('ParityAllowList', () {
+    const difference = ManifestDifference(
+      'endpoints/greet/eventTrigger/retry',
+      dart: true,
+      node: false,
+    );
+
+    test('matches paths and everything beneath them', () {
+      expect(ParityAllowList(['endpoints/greet']).allows(difference), isTrue);
+      expect(ParityAllowList(['endpoints/gr']).allows(difference), isFalse);
+    });
+
+    test('supports wildcards', () {
+      expect(
+        ParityAllowList(['endpoints/*/eventTrigger/retry']).allows(difference),
+        isTrue,
+      );
+      expect(
+        ParityAllowList(['endpoints/**/retry']).allows(difference),
+        isTrue,
+      );
+      expect(ParityAllowList(['*/retry']).allows(difference), isFalse);
+    });
+
+    test('parses one pattern per line with comments', () {
+      final allowList = ParityAllowList.parse('''
+# Known differences
+endpoints/greet/eventTrigger/retry  # Node.js never retries
+
+''');
+
+      expect(allowList.allows(difference), isTrue);
+    });
+  });
+}
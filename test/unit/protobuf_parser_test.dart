@@ -230,6 +230,51 @@ void main() {
 
         expect(data['dbl'], closeTo(3.14, 0.001));
       });
+
+      test('reference_value uses field number 5', () {
+        const name = 'projects/p/databases/(default)/documents/teams/core';
+        final docEventData = _buildDocumentEventData(
+          fields: [
+            _buildField(
+              'team',
+              Uint8List.fromList([
+                ..._makeTag(5, _wireTypeLengthDelimited),
+                ..._encodeString(name),
+              ]),
+            ),
+          ],
+        );
+
+        final result = parseDocumentEventData(docEventData);
+        final data = result!['value']!.data();
+
+        // Without a Firestore to bind to, the resource name is kept.
+        expect(data['team'], name);
+      });
+
+      test('update_mask uses field number 3', () {
+        final mask = [
+          ..._makeTag(1, _wireTypeLengthDelimited),
+          ..._encodeString('name'),
+          ..._makeTag(1, _wireTypeLengthDelimited),
+          ..._encodeString('address.city'),
+        ];
+        final docEventData = Uint8List.fromList([
+          ..._buildDocumentEventData(fields: []),
+          ..._makeTag(3, _wireTypeLengthDelimited),
+          ..._encodeVarint(mask.length),
+          ...mask,
+        ]);
+
+        expect(parseDocumentUpdateMask(docEventData), {
+          'name',
+          'address.city',
+        });
+        expect(
+          parseDocumentUpdateMask(_buildDocumentEventData(fields: [])),
+          isEmpty,
+        );
+      });
     });
   });
 }
@@ -0,0 +1,238 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:convert';
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+
+class _Order {
+  _Order(this.id, this.total);
+
+  factory _Order.fromJson(Map<String, dynamic> json) =>
+      _Order(json['id'] as String, json['total'] as num);
+
+  final String id;
+  final num total;
+}
+
+void main() {
+  group('PubsubMessage', () {
+    PubsubMessage message(Map<String, dynamic> json) =>
+        PubsubMessage.fromJson({
+          'message': {
+            'data': base64.encode(utf8.encode('{"a":1}')),
+            'messageId': '1',
+            'publishTime': '2026-01-01T00:00:00Z',
+          },
+          ...json,
+        });
+
+    test('decodes bytes and json', () {
+      final m = message({});
+      expect(m.bytes, utf8.encode('{"a":1}'));
+      expect(m.json, {'a': 1});
+      expect(m.textData, '{"a":1}');
+    });
+
+    test('reads subscription and delivery attempt', () {
+      final m = message({
+        'subscription': 'projects/p/subscriptions/s',
+        'deliveryAttempt': 3,
+      });
+      expect(m.subscription, 'projects/p/subscriptions/s');
+      expect(m.deliveryAttempt, 3);
+      expect(m.toJson()['deliveryAttempt'], 3);
+    });
+
+    test('leaves delivery attempt unset without a dead-letter policy', () {
+      expect(message({}).deliveryAttempt, isNull);
+    });
+
+    test('reports which decoding step failed', () {
+      PubsubMessage withData(String data) => PubsubMessage(
+        data: data,
+        attributes: const {},
+        messageId: '1',
+        publishTime: DateTime.utc(2026),
+      );
+
+      expect(
+        () => withData('not base64!').bytes,
+        throwsA(
+          isA<FormatException>().having(
+            (e) => e.message,
+            'message',
+            contains('base64'),
+          ),
+        ),
+      );
+      expect(
+        () => withData(base64.encode([0xff])).textData,
+        throwsA(
+          isA<FormatException>().having(
+            (e) => e.message,
+            'message',
+            contains('UTF-8'),
+          ),
+        ),
+      );
+      expect(
+        () => withData(base64.encode(utf8.encode('{'))).json,
+        throwsA(
+          isA<FormatException>().having(
+            (e) => e.message,
+            'message',
+            contains('JSON'),
+          ),
+        ),
+      );
+    });
+  });
+
+  group('onMessagePublishedWithData', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('converts the payload with fromJson', () async {
+      PubsubMessageWithData<_Order>? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublishedWithData<_Order>(
+          topic: 'orders',
+          fromJson: _Order.fromJson,
+          (event) async => received = event.data,
+        );
+      });
+
+      final response = await tester.handle(
+        makePubSubEvent(
+          topic: 'orders',
+          data: {'id': 'o-1', 'total': 12.5},
+          attributes: {'region': 'eu'},
+          subscription: 'projects/demo-test/subscriptions/orders-push',
+          deliveryAttempt: 2,
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.payload.id, 'o-1');
+      expect(received!.payload.total, 12.5);
+      expect(received!.attributes, {'region': 'eu'});
+      expect(
+        received!.subscription,
+        'projects/demo-test/subscriptions/orders-push',
+      );
+      expect(received!.deliveryAttempt, 2);
+    });
+
+    for (final (description, data) in [
+      ('invalid JSON', 'not json'),
+      ('a JSON array', [1, 2]),
+      ('an object fromJson rejects', {'id': 1}),
+    ]) {
+      test('acknowledges $description without calling the handler', () async {
+        var calls = 0;
+        tester = await FunctionsTester.start((firebase) {
+          firebase.pubsub.onMessagePublishedWithData<_Order>(
+            topic: 'orders',
+            fromJson: _Order.fromJson,
+            (event) async => calls++,
+          );
+        });
+
+        final response = await tester.handle(
+          makePubSubEvent(topic: 'orders', data: data),
+        );
+
+        expect(response.statusCode, 200);
+        expect(calls, 0);
+      });
+    }
+
+    test('acknowledges events without a message', () async {
+      var calls = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublishedWithData<_Order>(
+          topic: 'orders',
+          fromJson: _Order.fromJson,
+          (event) async => calls++,
+        );
+      });
+
+      for (final data in [
+        null,
+        {'subscription': 'projects/demo-test/subscriptions/orders'},
+      ]) {
+        final response = await tester.handle(
+          makeCloudEvent(
+            type: 'google.cloud.pubsub.topic.v1.messagePublished',
+            source: '//pubsub.googleapis.com/projects/demo-test/topics/orders',
+            data: data,
+          ),
+        );
+        expect(response.statusCode, 200);
+      }
+      expect(calls, 0);
+    });
+
+    test('acknowledges malformed messages', () async {
+      var calls = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          (event) async => calls++,
+        );
+      });
+
+      final valid = {
+        'data': 'aGk=',
+        'messageId': 'msg-1',
+        'publishTime': '2026-01-01T00:00:00Z',
+      };
+      for (final message in [
+        {...valid, 'data': 'not base64!'},
+        {...valid, 'messageId': 42},
+        {...valid, 'publishTime': 'yesterday'},
+      ]) {
+        final response = await tester.handle(
+          makeCloudEvent(
+            type: 'google.cloud.pubsub.topic.v1.messagePublished',
+            source: '//pubsub.googleapis.com/projects/demo-test/topics/orders',
+            data: {'message': message},
+          ),
+        );
+        expect(response.statusCode, 200, reason: '$message');
+      }
+      expect(calls, 0);
+    });
+
+    test('retries when the handler fails', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublishedWithData<_Order>(
+          topic: 'orders',
+          fromJson: _Order.fromJson,
+          (event) async => throw StateError('transient'),
+        );
+      });
+
+      final response = await tester.handle(
+        makePubSubEvent(topic: 'orders', data: {'id': 'o-1', 'total': 1}),
+      );
+
+      expect(response.statusCode, 500);
+    });
+  });
+}
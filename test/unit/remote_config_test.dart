@@ -18,7 +18,11 @@ import 'package:firebase_functions/src/common/cloud_event.dart';
 import 'package:firebase_functions/src/common/environment.dart';
 import 'package:firebase_functions/src/firebase.dart';
 import 'package:firebase_functions/src/remote_config/config_update_data.dart';
+import 'package:firebase_functions/src/remote_config/remote_config_client.dart';
 import 'package:firebase_functions/src/remote_config/remote_config_namespace.dart';
+import 'package:firebase_functions/src/remote_config/template.dart';
+import 'package:http/http.dart' as http;
+import 'package:http/testing.dart';
 import 'package:shelf/shelf.dart';
 import 'package:test/test.dart';
 
@@ -468,4 +472,224 @@ void main() {
       expect(json['imageUrl'], 'https://test.com/img.png');
     });
   });
+
+  group('RemoteConfigTemplateDiff', () {
+    final previous = RemoteConfigTemplate.fromJson({
+      'conditions': [
+        {'name': 'ios', 'expression': "device.os == 'ios'"},
+        {'name': 'beta', 'expression': "app.userProperty['beta'] == 'true'"},
+      ],
+      'parameters': {
+        'welcome': {
+          'defaultValue': {'value': 'Hi'},
+          'conditionalValues': {
+            'ios': {'value': 'Hi iOS'},
+          },
+        },
+        'legacy_flag': {
+          'defaultValue': {'useInAppDefault': true},
+          'valueType': 'BOOLEAN',
+        },
+      },
+      'parameterGroups': {
+        'checkout': {
+          'parameters': {
+            'fee': {
+              'defaultValue': {'value': '1'},
+              'valueType': 'NUMBER',
+            },
+          },
+        },
+      },
+      'version': {'versionNumber': '6'},
+    });
+    final current = RemoteConfigTemplate.fromJson({
+      'conditions': [
+        {'name': 'ios', 'expression': "device.os == 'ios'"},
+        {'name': 'android', 'expression': "device.os == 'android'"},
+      ],
+      'parameters': {
+        'welcome': {
+          'conditionalValues': {
+            'ios': {'value': 'Hello iOS'},
+          },
+          'defaultValue': {'value': 'Hi'},
+        },
+        'legacy_flag': {
+          'valueType': 'BOOLEAN',
+          'defaultValue': {'useInAppDefault': true},
+        },
+        'banner': {
+          'defaultValue': {'value': 'Sale'},
+        },
+      },
+      'parameterGroups': {
+        'checkout': {
+          'parameters': {
+            'fee': {
+              'defaultValue': {'value': '1'},
+              'valueType': 'NUMBER',
+            },
+          },
+        },
+      },
+      'version': {'versionNumber': '7', 'updateType': 'INCREMENTAL_UPDATE'},
+    });
+
+    test('parses templates', () {
+      expect(current.version!.versionNumber, 7);
+      expect(current.conditions.map((c) => c.name), ['ios', 'android']);
+      expect(current.parameters['welcome']!.defaultValue!.value, 'Hi');
+      expect(
+        previous.parameters['legacy_flag']!.defaultValue!.useInAppDefault,
+        isTrue,
+      );
+      expect(current.parameterGroups['checkout']!.parameters.keys, ['fee']);
+    });
+
+    test('lists added, removed and changed entries', () {
+      final diff = current.diff(previous);
+
+      expect(diff.conditions.added.keys, ['android']);
+      expect(diff.conditions.removed.keys, ['beta']);
+      expect(diff.conditions.changed, isEmpty);
+      expect(diff.parameters.added.keys, ['banner']);
+      expect(diff.parameters.removed, isEmpty);
+      expect(diff.parameters.changed.keys, ['welcome']);
+      expect(
+        diff.parameters.changed['welcome']!.after!.conditionalValues['ios'],
+        RemoteConfigValue('Hello iOS'),
+      );
+      expect(diff.parameterGroups.isEmpty, isTrue);
+      expect(diff.isEmpty, isFalse);
+      expect(current.diff(current).isEmpty, isTrue);
+    });
+  });
+
+  group('fetchTemplates', () {
+    late List<Uri> requested;
+    late Firebase firebase;
+    late RemoteConfigNamespace remoteConfig;
+
+    setUp(() {
+      requested = [];
+      firebase = createFirebaseInternal();
+      remoteConfig = RemoteConfigNamespace(firebase)
+        ..client = RemoteConfigClient(
+          projectId: 'demo-test',
+          serverHost: 'localhost:8123',
+          httpClient: MockClient((request) async {
+            requested.add(request.url);
+            final version = request.url.queryParameters['versionNumber'];
+            if (version == '3') return http.Response('{}', 404);
+            return http.Response(
+              jsonEncode({
+                'parameters': {
+                  'v$version': {
+                    'defaultValue': {'value': '$version'},
+                  },
+                },
+                'version': {'versionNumber': version},
+              }),
+              200,
+              headers: {'etag': 'etag-$version'},
+            );
+          }),
+        );
+    });
+
+    Future<ConfigUpdateTemplates> fetch({
+      int versionNumber = 42,
+      int? previousVersion,
+    }) async {
+      late Future<ConfigUpdateTemplates> templates;
+      remoteConfig.onConfigUpdated((event) async {
+        templates = event.data!.fetchTemplates(
+          previousVersion: previousVersion,
+        );
+        await templates;
+      });
+      await _findFunction(firebase, 'on-config-updated')!.handler(
+        _createRemoteConfigRequest(versionNumber: versionNumber),
+      );
+      return templates;
+    }
+
+    test('fetches the updated and previous versions', () async {
+      final templates = await fetch();
+
+      expect(requested.map((url) => url.toString()), [
+        'http://localhost:8123/v1/projects/demo-test/remoteConfig'
+            '?versionNumber=42',
+        'http://localhost:8123/v1/projects/demo-test/remoteConfig'
+            '?versionNumber=41',
+      ]);
+      expect(templates.current.etag, 'etag-42');
+      expect(templates.previous!.version!.versionNumber, 41);
+      expect(templates.diff.parameters.added.keys, ['v42']);
+      expect(templates.diff.parameters.removed.keys, ['v41']);
+    });
+
+    test('compares with a given version', () async {
+      final templates = await fetch(versionNumber: 10, previousVersion: 5);
+
+      expect(templates.previous!.version!.versionNumber, 5);
+    });
+
+    test('has no previous template for the first version', () async {
+      final templates = await fetch(versionNumber: 1);
+
+      expect(requested, hasLength(1));
+      expect(templates.previous, isNull);
+      expect(templates.diff.parameters.added.keys, ['v1']);
+    });
+
+    test('throws RemoteConfigException for missing versions', () async {
+      await expectLater(
+        fetch(versionNumber: 4),
+        throwsA(
+          isA<RemoteConfigException>().having(
+            (e) => e.code,
+            'code',
+            'not-found',
+          ),
+        ),
+      );
+    });
+
+    test('throws StateError without a client', () async {
+      final data = ConfigUpdateData.fromJson({
+        'versionNumber': 2,
+        'updateTime': '2024-01-01T00:00:00Z',
+        'updateUser': <String, dynamic>{},
+        'updateOrigin': 'CONSOLE',
+        'updateType': 'INCREMENTAL_UPDATE',
+      });
+
+      await expectLater(data.fetchTemplates(), throwsStateError);
+    });
+  });
+
+  group('RemoteConfigClient', () {
+    test('reads templates from the Remote Config API', () async {
+      final sent = <http.Request>[];
+      final client = RemoteConfigClient(
+        projectId: 'my-project',
+        httpClient: MockClient((request) async {
+          sent.add(request);
+          return http.Response('{}', 200);
+        }),
+      );
+
+      await client.getTemplate();
+      await client.getTemplate(versionNumber: 3);
+
+      expect(sent.map((request) => request.url.toString()), [
+        'https://firebaseremoteconfig.googleapis.com/v1/projects/my-project/'
+            'remoteConfig',
+        'https://firebaseremoteconfig.googleapis.com/v1/projects/my-project/'
+            'remoteConfig?versionNumber=3',
+      ]);
+    });
+  });
 }
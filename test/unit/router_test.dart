@@ -0,0 +1,239 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+
+Request _request(String method, String path, {Map<String, String>? headers}) =>
+    Request(method, Uri.parse('http://localhost/$path'), headers: headers);
+
+void main() {
+  group('HttpsRouter', () {
+    late HttpsRouter router;
+
+    setUp(() {
+      router = HttpsRouter()
+        ..get('/users', (request, params) => Response.ok('list'))
+        ..get(
+          '/users/<id:int>',
+          (request, params) => Response.ok('user ${params.integer('id')}'),
+        )
+        ..post('/users', (request, params) => Response(201, body: 'created'))
+        ..get(
+          '/users/<id>/files/<file:path>',
+          (request, params) =>
+              Response.ok('${params['id']}:${params['file']}'),
+        );
+    });
+
+    test('matches methods and path templates', () async {
+      Future<String> body(String method, String path) async =>
+          (await router(_request(method, path))).readAsString();
+
+      expect(await body('GET', 'users'), 'list');
+      expect(await body('GET', 'users/'), 'list');
+      expect(await body('POST', 'users'), 'created');
+      expect(await body('GET', 'users/42'), 'user 42');
+      expect(await body('GET', 'users/a/files/docs/cv.pdf'), 'a:docs/cv.pdf');
+    });
+
+    test('returns 404 for paths without a route', () async {
+      for (final path in ['', 'posts', 'users/abc', 'users/1/2']) {
+        expect(
+          (await router(_request('GET', path))).statusCode,
+          404,
+          reason: path,
+        );
+      }
+    });
+
+    test('returns 405 with the allowed methods', () async {
+      final response = await router(_request('DELETE', 'users'));
+
+      expect(response.statusCode, 405);
+      expect(response.headers['allow'], 'GET, POST, HEAD, OPTIONS');
+    });
+
+    test('answers HEAD with the GET route without a body', () async {
+      final response = await router(_request('HEAD', 'users/7'));
+
+      expect(response.statusCode, 200);
+      expect(response.contentLength, 'user 7'.length);
+      expect(await response.readAsString(), isEmpty);
+    });
+
+    test('answers OPTIONS with the allowed methods', () async {
+      final response = await router(_request('OPTIONS', 'users/7'));
+
+      expect(response.statusCode, 204);
+      expect(response.headers['allow'], 'GET, HEAD, OPTIONS');
+    });
+
+    test('wraps routes in their middleware', () async {
+      Middleware tag(String name) =>
+          (inner) => (request) async {
+            final response = await inner(request);
+            return response.change(
+              headers: {
+                'x-tags': [name, ...?response.headersAll['x-tags']],
+              },
+            );
+          };
+      router.put(
+        '/users/<id:int>',
+        (request, params) => Response.ok('updated'),
+        middleware: [tag('outer'), tag('inner')],
+      );
+
+      final put = await router(_request('PUT', 'users/1'));
+      final get = await router(_request('GET', 'users/1'));
+
+      expect(put.headersAll['x-tags'], ['outer', 'inner']);
+      expect(get.headers, isNot(contains('x-tags')));
+    });
+
+    test('rejects invalid templates', () {
+      Never handler(Request request, PathParams params) =>
+          throw UnimplementedError();
+
+      for (final path in [
+        '/users/<id>/<id>',
+        '/users/<id:uuid>',
+        '/users/<id',
+        '/files/<file:path>/raw',
+      ]) {
+        expect(
+          () => router.get(path, handler),
+          throwsArgumentError,
+          reason: path,
+        );
+      }
+    });
+
+    test('PathParams rejects unknown names', () async {
+      late PathParams captured;
+      router.get('/posts/<slug>', (request, params) {
+        captured = params;
+        return Response.ok('');
+      });
+      await router(_request('GET', 'posts/hello'));
+
+      expect(captured.names, ['slug']);
+      expect(captured['slug'], 'hello');
+      expect(() => captured['id'], throwsArgumentError);
+      expect(() => captured.integer('slug'), throwsArgumentError);
+    });
+  });
+
+  group('onRequest mount point', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    void register(Firebase firebase) {
+      final router = HttpsRouter()
+        ..get(
+          '/users/<id:int>',
+          (request, params) => Response.ok('user ${params['id']}'),
+        );
+      firebase.https.onRequest(
+        name: 'api',
+        options: const HttpsOptions(cors: Cors(['https://example.com'])),
+        router.call,
+      );
+    }
+
+    test('strips the function name and emulator prefix', () async {
+      tester = await FunctionsTester.start(register);
+
+      for (final path in ['api/users/1', 'demo-test/us-central1/api/users/1']) {
+        final response = await tester.handle(_request('GET', path));
+        expect(await response.readAsString(), 'user 1', reason: path);
+      }
+    });
+
+    test('matches the first segment before the emulator prefix', () async {
+      tester = await FunctionsTester.start((firebase) {
+        register(firebase);
+        firebase.https.onRequest(
+          name: 'users',
+          (request) async => Response.ok('users'),
+        );
+      });
+
+      final response = await tester.handle(_request('GET', 'api/users/1'));
+
+      expect(await response.readAsString(), 'user 1');
+    });
+
+    test('only strips the prefix of the project and region', () async {
+      tester = await FunctionsTester.start((firebase) {
+        register(firebase);
+        firebase.https.onRequest(
+          name: 'eu',
+          options: const HttpsOptions(
+            region: DeployOption(SupportedRegion.europeWest1),
+          ),
+          (request) async => Response.ok(request.url.path),
+        );
+      });
+
+      for (final path in [
+        'other-project/us-central1/api/users/1',
+        'demo-test/europe-west1/api/users/1',
+      ]) {
+        final response = await tester.handle(_request('GET', path));
+        expect(response.statusCode, 404, reason: path);
+      }
+      final response = await tester.handle(
+        _request('GET', 'demo-test/europe-west1/eu/status'),
+      );
+      expect(await response.readAsString(), 'status');
+    });
+
+    test('serves the root path in FUNCTION_TARGET mode', () async {
+      tester = await FunctionsTester.start(
+        environment: {'FUNCTION_TARGET': 'api'},
+        register,
+      );
+
+      final response = await tester.handle(_request('GET', 'users/1'));
+
+      expect(await response.readAsString(), 'user 1');
+    });
+
+    test('answers CORS preflights before the router', () async {
+      tester = await FunctionsTester.start(register);
+
+      final response = await tester.handle(
+        _request(
+          'OPTIONS',
+          'api/users/1',
+          headers: {
+            'origin': 'https://example.com',
+            'access-control-request-method': 'GET',
+          },
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(
+        response.headers['access-control-allow-origin'],
+        'https://example.com',
+      );
+      expect(response.headers, isNot(contains('allow')));
+    });
+  });
+}
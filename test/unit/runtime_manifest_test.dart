@@ -0,0 +1,135 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/src/common/manifest.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+import 'package:yaml/yaml.dart';
+
+void main() {
+  group('runtime manifest', () {
+    late FunctionsTester tester;
+
+    setUp(clearParams);
+
+    tearDown(() async {
+      setGlobalOptions(const GlobalOptions());
+      await tester.close();
+    });
+
+    test('describes the registered functions and their options', () async {
+      final minInstances = defineInt('MIN_INSTANCES');
+      tester = await FunctionsTester.start((firebase) {
+        setGlobalOptions(
+          const GlobalOptions(
+            region: Region(SupportedRegion.europeWest1),
+            memory: Memory(MemoryOption.mb512),
+          ),
+        );
+        firebase.https.onRequest(
+          name: 'hello',
+          options: const HttpsOptions(
+            invoker: Invoker.public(),
+            memory: Memory.reset(),
+          ),
+          (request) async => Response.ok('Hello'),
+        );
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          options: PubSubOptions(minInstances: Instances.param(minInstances)),
+          (event) async {},
+        );
+        firebase.scheduler.onSchedule(
+          schedule: 'every 1 hours',
+          name: 'sync',
+          options: const ScheduleOptions(
+            timeZone: TimeZone('America/New_York'),
+            retryConfig: RetryConfig(retryCount: RetryCount(2)),
+          ),
+          (event) async {},
+        );
+      });
+
+      final manifest = buildRuntimeManifest(tester.firebase.functions);
+      final endpoints = manifest['endpoints']! as Map<String, Object?>;
+
+      expect(manifest['params'], [
+        {'name': 'MIN_INSTANCES', 'type': 'int'},
+      ]);
+      expect(
+        (manifest['requiredAPIs']! as List).map((api) => (api as Map)['api']),
+        ['cloudfunctions.googleapis.com', 'cloudscheduler.googleapis.com'],
+      );
+      expect(endpoints['hello'], {
+        'platform': 'gcfv2',
+        'region': ['europe-west1'],
+        'httpsTrigger': {
+          'invoker': ['public'],
+        },
+        'baseImageUri':
+            'europe-west1-docker.pkg.dev/serverless-runtimes/google-24/'
+            'runtimes/osonly24',
+        'command': ['./bin/server'],
+        'entryPoint': 'hello',
+      });
+      expect(
+        endpoints['on-message-published-orders'],
+        allOf(
+          containsPair('minInstances', '{{ params.MIN_INSTANCES }}'),
+          containsPair('eventTrigger', {
+            'eventType': 'google.cloud.pubsub.topic.v1.messagePublished',
+            'eventFilters': {'topic': 'orders'},
+            'retry': false,
+          }),
+        ),
+      );
+      expect(
+        endpoints['sync'],
+        containsPair('scheduleTrigger', {
+          'schedule': 'every 1 hours',
+          'timeZone': 'America/New_York',
+          'retryConfig': {'retryCount': 2},
+        }),
+      );
+    });
+
+    test('is served by the control API in runtime mode', () async {
+      tester = await FunctionsTester.start(
+        environment: {
+          'FUNCTIONS_CONTROL_API': 'true',
+          'FUNCTIONS_MANIFEST': 'runtime',
+        },
+        (firebase) {
+          firebase.https.onCall(
+            name: 'greet',
+            (request, response) async => CallableResult('Hi'),
+          );
+        },
+      );
+
+      final response = await tester.handle(
+        Request('GET', Uri.parse('http://localhost/__/functions.yaml')),
+      );
+      final manifest = loadYaml(await response.readAsString()) as YamlMap;
+
+      expect(response.statusCode, 200);
+      expect(manifest['specVersion'], 'v1alpha1');
+      expect(
+        (manifest['endpoints'] as YamlMap)['greet'],
+        containsPair('callableTrigger', <String, Object?>{}),
+      );
+    });
+  });
+}
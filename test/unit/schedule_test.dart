@@ -0,0 +1,284 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+
+void main() {
+  group('nextRuns', () {
+    group('cron', () {
+      test('steps through a field', () {
+        expect(
+          nextRuns('*/15 * * * *', 3, from: DateTime.utc(2026, 1, 1, 10, 7)),
+          [
+            DateTime.utc(2026, 1, 1, 10, 15),
+            DateTime.utc(2026, 1, 1, 10, 30),
+            DateTime.utc(2026, 1, 1, 10, 45),
+          ],
+        );
+      });
+
+      test('returns only runs strictly after from', () {
+        expect(
+          nextRuns('*/15 * * * *', 1, from: DateTime.utc(2026, 1, 1, 10, 15)),
+          [DateTime.utc(2026, 1, 1, 10, 30)],
+        );
+      });
+
+      test('supports ranges with steps', () {
+        expect(
+          nextRuns('0 9-17/4 * * *', 3, from: DateTime.utc(2026, 1, 1)),
+          [
+            DateTime.utc(2026, 1, 1, 9),
+            DateTime.utc(2026, 1, 1, 13),
+            DateTime.utc(2026, 1, 1, 17),
+          ],
+        );
+      });
+
+      test('matches either day field when both are restricted', () {
+        // 2026-01-28 is a Wednesday; Feb 1 is a Sunday.
+        expect(
+          nextRuns('0 0 1 * 1', 3, from: DateTime.utc(2026, 1, 28)),
+          [
+            DateTime.utc(2026, 2, 1),
+            DateTime.utc(2026, 2, 2),
+            DateTime.utc(2026, 2, 9),
+          ],
+        );
+      });
+
+      test('accepts month and weekday names and 7 for Sunday', () {
+        final from = DateTime.utc(2026, 1, 28);
+        final sunday = [DateTime.utc(2026, 2, 1, 12)];
+
+        expect(nextRuns('0 12 * * SUN', 1, from: from), sunday);
+        expect(nextRuns('0 12 * * 7', 1, from: from), sunday);
+        expect(nextRuns('0 0 1 mar-apr *', 1, from: from), [
+          DateTime.utc(2026, 3, 1),
+        ]);
+      });
+
+      test('expands macros', () {
+        expect(nextRuns('@hourly', 2, from: DateTime.utc(2026, 1, 1, 10, 7)), [
+          DateTime.utc(2026, 1, 1, 11),
+          DateTime.utc(2026, 1, 1, 12),
+        ]);
+      });
+
+      test('returns fewer runs for a schedule that never fires', () {
+        expect(nextRuns('0 0 30 2 *', 1, from: DateTime.utc(2026)), isEmpty);
+      });
+    });
+
+    group('App Engine syntax', () {
+      test('runs intervals after the previous run', () {
+        expect(
+          nextRuns(
+            'every 5 minutes',
+            2,
+            from: DateTime.utc(2026, 1, 1, 10, 7, 30),
+          ),
+          [
+            DateTime.utc(2026, 1, 1, 10, 12, 30),
+            DateTime.utc(2026, 1, 1, 10, 17, 30),
+          ],
+        );
+      });
+
+      test('aligns synchronized intervals to midnight', () {
+        expect(
+          nextRuns(
+            'every 2 hours synchronized',
+            2,
+            from: DateTime.utc(2026, 1, 1, 3),
+          ),
+          [DateTime.utc(2026, 1, 1, 4), DateTime.utc(2026, 1, 1, 6)],
+        );
+      });
+
+      test('limits intervals to a time window', () {
+        expect(
+          nextRuns(
+            'every 20 minutes from 09:00 to 10:00',
+            3,
+            from: DateTime.utc(2026, 1, 1, 9, 50),
+          ),
+          [
+            DateTime.utc(2026, 1, 1, 10),
+            DateTime.utc(2026, 1, 2, 9),
+            DateTime.utc(2026, 1, 2, 9, 20),
+          ],
+        );
+      });
+
+      test('runs on days of the week', () {
+        expect(
+          nextRuns('every monday 09:00', 2, from: DateTime.utc(2026, 1, 28)),
+          [DateTime.utc(2026, 2, 2, 9), DateTime.utc(2026, 2, 9, 9)],
+        );
+      });
+
+      test('runs on ordinal days of the week', () {
+        expect(
+          nextRuns(
+            '1st,third tue of month 18:30',
+            3,
+            from: DateTime.utc(2026, 2),
+          ),
+          [
+            DateTime.utc(2026, 2, 3, 18, 30),
+            DateTime.utc(2026, 2, 17, 18, 30),
+            DateTime.utc(2026, 3, 3, 18, 30),
+          ],
+        );
+      });
+    });
+
+    group('time zones', () {
+      test('evaluates the schedule on the local wall clock', () {
+        // Daylight saving time starts in New York on 2026-03-08.
+        expect(
+          nextRuns(
+            '0 9 * * 1-5',
+            2,
+            from: DateTime.utc(2026, 3, 6),
+            timeZone: 'America/New_York',
+          ),
+          [DateTime.utc(2026, 3, 6, 14), DateTime.utc(2026, 3, 9, 13)],
+        );
+      });
+
+      test('skips wall-clock times that do not exist', () {
+        expect(
+          nextRuns(
+            '30 2 * * *',
+            2,
+            from: DateTime.utc(2026, 3, 7, 12),
+            timeZone: 'America/New_York',
+          ),
+          [DateTime.utc(2026, 3, 9, 6, 30), DateTime.utc(2026, 3, 10, 6, 30)],
+        );
+      });
+
+      test('rejects unknown time zones', () {
+        expect(
+          () => nextRuns('0 0 * * *', 1, timeZone: 'Mars/Olympus_Mons'),
+          throwsArgumentError,
+        );
+      });
+    });
+
+    test('rejects invalid schedules', () {
+      for (final schedule in [
+        '* * * *',
+        '60 * * * *',
+        '5-1 * * * *',
+        '*/0 * * * *',
+        '0 0 * foo *',
+        'every 0 minutes',
+        'every fortnight',
+        'second day of month 09:00',
+        'every day 25:00',
+      ]) {
+        expect(
+          () => nextRuns(schedule, 1),
+          throwsFormatException,
+          reason: schedule,
+        );
+      }
+    });
+  });
+
+  group('LocalScheduler', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('invokes the function as Cloud Scheduler would', () async {
+      ScheduledEvent? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.scheduler.onSchedule(
+          schedule: '0 0 * * *',
+          name: 'nightlyReport',
+          (event) async => received = event,
+        );
+      });
+      final scheduler = tester.firebase.scheduler.localScheduler();
+
+      final succeeded = await scheduler.trigger(
+        'nightlyReport',
+        scheduleTime: DateTime.utc(2026, 1, 1),
+      );
+
+      expect(succeeded, isTrue);
+      expect(scheduler.functionNames, ['nightly-report']);
+      expect(received!.scheduleDateTime, DateTime.utc(2026, 1, 1));
+      expect(received!.jobName, contains('nightly-report'));
+    });
+
+    test('retries failed runs as configured', () async {
+      var attempts = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.scheduler.onSchedule(
+          schedule: 'every 1 hours',
+          name: 'sync',
+          options: const ScheduleOptions(
+            retryConfig: RetryConfig(
+              retryCount: RetryCount(2),
+              minBackoffSeconds: MinBackoffSeconds(0),
+            ),
+          ),
+          (event) async {
+            if (++attempts < 3) throw StateError('Not yet');
+          },
+        );
+      });
+
+      final scheduler = tester.firebase.scheduler.localScheduler();
+
+      expect(await scheduler.trigger('sync'), isTrue);
+      expect(attempts, 3);
+    });
+
+    test('does not retry by default', () async {
+      var attempts = 0;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.scheduler.onSchedule(
+          schedule: 'every 1 hours',
+          name: 'sync',
+          (event) async {
+            attempts++;
+            throw StateError('Failed');
+          },
+        );
+      });
+
+      final scheduler = tester.firebase.scheduler.localScheduler();
+
+      expect(await scheduler.trigger('sync'), isFalse);
+      expect(attempts, 1);
+    });
+
+    test('rejects unknown functions', () async {
+      tester = await FunctionsTester.start((firebase) {});
+
+      expect(
+        () => tester.firebase.scheduler.localScheduler().trigger('missing'),
+        throwsArgumentError,
+      );
+    });
+  });
+}
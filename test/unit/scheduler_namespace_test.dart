@@ -183,6 +183,24 @@ void main() {
         expect(_findFunction(firebase, 'on-schedule-0-0'), isNotNull);
       });
 
+      test('does not schedule a function rejected as a duplicate', () {
+        firebase.registerFunction(
+          'nightly',
+          (request) async => Response.ok(''),
+          trigger: const {},
+        );
+
+        expect(
+          () => scheduler.onSchedule(
+            schedule: '0 0 * * *',
+            name: 'nightly',
+            (event) async {},
+          ),
+          throwsStateError,
+        );
+        expect(scheduler.localScheduler().functionNames, isEmpty);
+      });
+
       test('handles case-insensitive headers', () async {
         ScheduledEvent? receivedEvent;
 
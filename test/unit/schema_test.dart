@@ -0,0 +1,153 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_functions/src/https/schema.dart';
+import 'package:test/test.dart';
+
+const _orderSchema = ObjectSchema(
+  properties: {
+    'sku': StringSchema(pattern: r'^[A-Z]{3}-\d+$'),
+    'quantity': NumberSchema.integer(minimum: 1),
+    'notes': StringSchema(maxLength: 10, nullable: true),
+    'tags': ArraySchema(items: StringSchema(), maxItems: 2),
+    'gift': BooleanSchema(),
+  },
+  required: ['sku', 'quantity'],
+  additionalProperties: false,
+);
+
+void main() {
+  group('Schema.validate', () {
+    test('accepts valid data', () {
+      expect(
+        _orderSchema.validate({
+          'sku': 'ABC-1',
+          'quantity': 2,
+          'notes': null,
+          'tags': ['a'],
+          'gift': true,
+        }),
+        isEmpty,
+      );
+    });
+
+    test('reports every failing path', () {
+      final failures = _orderSchema.validate({
+        'sku': 'abc',
+        'quantity': 1.5,
+        'tags': ['a', 3, 'c'],
+        'gift': 'yes',
+        'extra': 1,
+      });
+
+      expect(failures, [
+        const ValidationFailure('/sku', r'must match ^[A-Z]{3}-\d+$'),
+        const ValidationFailure('/quantity', 'must be an integer'),
+        const ValidationFailure('/tags', 'must have at most 2 items'),
+        const ValidationFailure('/tags/1', 'must be a string'),
+        const ValidationFailure('/gift', 'must be a boolean'),
+        const ValidationFailure('/extra', 'is not allowed'),
+      ]);
+    });
+
+    test('reports missing required properties', () {
+      expect(_orderSchema.validate(<String, dynamic>{}), [
+        const ValidationFailure('/sku', 'is required'),
+        const ValidationFailure('/quantity', 'is required'),
+      ]);
+    });
+
+    test('reports the root when the data has the wrong type', () {
+      expect(_orderSchema.validate(null), [
+        const ValidationFailure('', 'must not be null'),
+      ]);
+      expect(_orderSchema.validate('order'), [
+        const ValidationFailure('', 'must be an object'),
+      ]);
+    });
+
+    test('escapes property names in paths', () {
+      const schema = ObjectSchema(properties: {'a/b': NumberSchema()});
+      expect(schema.validate({'a/b': 'x'}), [
+        const ValidationFailure('/a~1b', 'must be a number'),
+      ]);
+    });
+
+    test('checks string enums and number bounds', () {
+      const schema = ObjectSchema(
+        properties: {
+          'size': StringSchema(allowedValues: ['S', 'M']),
+          'price': NumberSchema(maximum: 100),
+        },
+      );
+      expect(schema.validate({'size': 'XL', 'price': 100.5}), [
+        const ValidationFailure('/size', 'must be one of S, M'),
+        const ValidationFailure('/price', 'must be at most 100'),
+      ]);
+    });
+  });
+
+  group('Schema JSON', () {
+    test('exports JSON Schema', () {
+      expect(_orderSchema.toJson(), {
+        'type': 'object',
+        'properties': {
+          'sku': {'type': 'string', 'pattern': r'^[A-Z]{3}-\d+$'},
+          'quantity': {'type': 'integer', 'minimum': 1},
+          'notes': {
+            'type': ['string', 'null'],
+            'maxLength': 10,
+          },
+          'tags': {
+            'type': 'array',
+            'items': {'type': 'string'},
+            'maxItems': 2,
+          },
+          'gift': {'type': 'boolean'},
+        },
+        'required': ['sku', 'quantity'],
+        'additionalProperties': false,
+      });
+    });
+
+    test('round-trips through fromJson', () {
+      final parsed = Schema.fromJson(_orderSchema.toJson());
+      expect(parsed.toJson(), _orderSchema.toJson());
+    });
+
+    test('rejects unsupported keywords', () {
+      expect(
+        () => Schema.fromJson({'type': 'string', 'format': 'email'}),
+        throwsFormatException,
+      );
+      expect(() => Schema.fromJson({'type': 'null'}), throwsFormatException);
+    });
+
+    test('rejects schemas for additional properties', () {
+      expect(
+        () => Schema.fromJson({
+          'type': 'object',
+          'additionalProperties': {'type': 'string'},
+        }),
+        throwsA(
+          isA<FormatException>().having(
+            (e) => e.message,
+            'message',
+            contains('additionalProperties'),
+          ),
+        ),
+      );
+    });
+  });
+}
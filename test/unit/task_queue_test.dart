@@ -0,0 +1,374 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'dart:async';
+import 'dart:convert';
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:http/http.dart' as http;
+import 'package:http/testing.dart';
+import 'package:test/test.dart';
+
+void main() {
+  group('CloudTasksQueue', () {
+    late http.Request sent;
+    late CloudTasksQueue queue;
+    var status = 200;
+
+    setUp(() {
+      status = 200;
+      queue = CloudTasksQueue(
+        projectId: 'demo-test',
+        location: 'europe-west1',
+        functionName: 'process-order',
+        emulatorHost: 'localhost:9499',
+        functionUrl: 'http://localhost:8080/process-order',
+        httpClient: MockClient((request) async {
+          sent = request;
+          return http.Response('{}', status);
+        }),
+      );
+    });
+
+    test('creates a Cloud Tasks task', () async {
+      final scheduleTime = DateTime.utc(2030, 1, 2, 3, 4, 5);
+      await queue.enqueue(
+        {'orderId': '42'},
+        scheduleTime: scheduleTime,
+        dispatchDeadlineSeconds: 60,
+        id: 'order-42',
+        headers: {'X-Trace': 'abc'},
+      );
+
+      expect(
+        sent.url.toString(),
+        'http://localhost:9499/v2/projects/demo-test/locations/europe-west1'
+        '/queues/process-order/tasks',
+      );
+      final task =
+          (jsonDecode(sent.body) as Map<String, dynamic>)['task']
+              as Map<String, dynamic>;
+      expect(
+        task['name'],
+        'projects/demo-test/locations/europe-west1/queues/process-order'
+        '/tasks/order-42',
+      );
+      expect(task['scheduleTime'], scheduleTime.toIso8601String());
+      expect(task['dispatchDeadline'], '60s');
+
+      final httpRequest = task['httpRequest'] as Map<String, dynamic>;
+      expect(
+        httpRequest['url'],
+        'http://localhost:8080/process-order',
+      );
+      expect(httpRequest['headers'], {
+        'X-Trace': 'abc',
+        'Content-Type': 'application/json',
+      });
+      expect(
+        jsonDecode(utf8.decode(base64.decode(httpRequest['body'] as String))),
+        {
+          'data': {'orderId': '42'},
+        },
+      );
+    });
+
+    test('targets the Cloud Run service of the function', () async {
+      final requests = <http.Request>[];
+      final production = CloudTasksQueue(
+        projectId: 'demo-test',
+        location: 'europe-west1',
+        functionName: 'process-order',
+        httpClient: MockClient((request) async {
+          requests.add(request);
+          return switch (request.url.pathSegments.last) {
+            'email' => http.Response('sa@demo.iam', 200),
+            'process-order' => http.Response(
+              '{"uri":"https://process-order-123.europe-west1.run.app"}',
+              200,
+            ),
+            _ => http.Response('{}', 200),
+          };
+        }),
+      );
+
+      await production.enqueue('a');
+      await production.enqueue('b');
+
+      final lookups = requests.where((r) => r.url.host == 'run.googleapis.com');
+      expect(lookups.map((r) => r.url.toString()), [
+        'https://run.googleapis.com/v2/projects/demo-test/locations/'
+            'europe-west1/services/process-order',
+      ]);
+      final created = requests.lastWhere(
+        (r) => r.url.host == 'cloudtasks.googleapis.com',
+      );
+      final task =
+          (jsonDecode(created.body) as Map<String, dynamic>)['task']
+              as Map<String, dynamic>;
+      expect(
+        (task['httpRequest'] as Map<String, dynamic>)['url'],
+        'https://process-order-123.europe-west1.run.app',
+      );
+    });
+
+    test('reports duplicate task IDs', () async {
+      status = 409;
+
+      await expectLater(
+        queue.enqueue('data', id: 'dup'),
+        throwsA(
+          isA<TaskQueueException>().having(
+            (e) => e.code,
+            'code',
+            'task-already-exists',
+          ),
+        ),
+      );
+    });
+
+    test('validates options', () {
+      expect(
+        () => queue.enqueue(
+          null,
+          scheduleDelaySeconds: 1,
+          scheduleTime: DateTime.now(),
+        ),
+        throwsArgumentError,
+      );
+      expect(
+        () => queue.enqueue(null, dispatchDeadlineSeconds: 10),
+        throwsArgumentError,
+      );
+      expect(() => queue.enqueue(null, id: 'a/b'), throwsArgumentError);
+    });
+  });
+
+  group('LocalTaskQueue', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    /// Starts a tester with a task queue function and returns a local queue
+    /// that dispatches to it.
+    Future<LocalTaskQueue> startQueue(
+      Future<void> Function(TaskRequest<dynamic> request) handler, {
+      TaskQueueOptions options = const TaskQueueOptions(),
+    }) async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.tasks.onTaskDispatched(
+          name: 'processOrder',
+          options: options,
+          handler,
+        );
+      });
+
+      return LocalTaskQueue(
+        functionName: 'process-order',
+        serverUrl: Uri.parse('http://localhost:8080/'),
+        options: options,
+        httpClient: MockClient((request) async {
+          final response = await tester.handle(
+            Request(
+              request.method,
+              request.url,
+              headers: request.headers,
+              body: request.bodyBytes,
+            ),
+          );
+          return http.Response(
+            await response.readAsString(),
+            response.statusCode,
+          );
+        }),
+      );
+    }
+
+    test('dispatches tasks as Cloud Tasks would', () async {
+      TaskRequest<dynamic>? received;
+      final queue = await startQueue((request) async => received = request);
+
+      await queue.enqueue({'orderId': '42'}, id: 'order-42');
+      await queue.idle;
+
+      expect(received!.data, {'orderId': '42'});
+      expect(received!.id, 'order-42');
+      expect(received!.queueName, 'process-order');
+      expect(received!.retryCount, 0);
+      expect(double.tryParse(received!.scheduledTime), isNotNull);
+    });
+
+    test('retries failed tasks up to maxAttempts', () async {
+      final attempts = <int>[];
+      final queue = await startQueue(
+        options: const TaskQueueOptions(
+          retryConfig: TaskQueueRetryConfig(
+            maxAttempts: MaxAttempts(3),
+            minBackoffSeconds: TaskMinBackoffSeconds(0),
+          ),
+        ),
+        (request) async {
+          attempts.add(request.retryCount);
+          throw StateError('fail');
+        },
+      );
+
+      await queue.enqueue('data');
+      await queue.idle;
+
+      expect(attempts, [0, 1, 2]);
+    });
+
+    test('honors maxConcurrentDispatches', () async {
+      var active = 0;
+      var maxActive = 0;
+      final queue = await startQueue(
+        options: const TaskQueueOptions(
+          rateLimits: TaskQueueRateLimits(
+            maxConcurrentDispatches: MaxConcurrentDispatches(1),
+          ),
+        ),
+        (request) async {
+          if (++active > maxActive) maxActive = active;
+          await Future<void>.delayed(const Duration(milliseconds: 5));
+          active--;
+        },
+      );
+
+      for (var i = 0; i < 3; i++) {
+        await queue.enqueue(i);
+      }
+      await queue.idle;
+
+      expect(maxActive, 1);
+    });
+
+    test('deletes scheduled tasks and rejects duplicate IDs', () async {
+      var calls = 0;
+      final queue = await startQueue((request) async => calls++);
+
+      await queue.enqueue('later', id: 'task-1', scheduleDelaySeconds: 3600);
+      await expectLater(
+        queue.enqueue('again', id: 'task-1'),
+        throwsA(isA<TaskQueueException>()),
+      );
+      await queue.delete('task-1');
+      await queue.idle;
+
+      expect(calls, 0);
+    });
+
+    test('stops dispatching and retrying once closed', () async {
+      final attempts = <int>[];
+      final firstAttempt = Completer<void>();
+      final queue = await startQueue(
+        options: const TaskQueueOptions(
+          retryConfig: TaskQueueRetryConfig(
+            maxAttempts: MaxAttempts(10),
+            minBackoffSeconds: TaskMinBackoffSeconds(60),
+          ),
+        ),
+        (request) async {
+          attempts.add(request.retryCount);
+          if (!firstAttempt.isCompleted) firstAttempt.complete();
+          throw StateError('fail');
+        },
+      );
+
+      await queue.enqueue('now');
+      await queue.enqueue('later', scheduleDelaySeconds: 3600);
+      await firstAttempt.future;
+      await queue.close().timeout(const Duration(seconds: 5));
+      await queue.idle;
+
+      expect(attempts, [0]);
+      expect(() => queue.enqueue('after'), throwsStateError);
+    });
+  });
+
+  group('TasksNamespace.taskQueue', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('uses a local queue in the emulator', () async {
+      tester = await FunctionsTester.start(
+        environment: {'FUNCTIONS_EMULATOR': 'true'},
+        (firebase) {},
+      );
+
+      final queue = tester.firebase.tasks.taskQueue('processOrder');
+      expect(queue, isA<LocalTaskQueue>());
+      expect(tester.firebase.tasks.taskQueue('processOrder'), same(queue));
+    });
+
+    test('closes local queues on shutdown', () async {
+      tester = await FunctionsTester.start(
+        environment: {'FUNCTIONS_EMULATOR': 'true'},
+        (firebase) {},
+      );
+
+      final queue = tester.firebase.tasks.taskQueue('processOrder');
+      await tester.firebase.tasks.closeLocalQueues();
+
+      expect(() => queue.enqueue('data'), throwsStateError);
+      expect(tester.firebase.tasks.taskQueue('processOrder'), isNot(queue));
+    });
+
+    test('uses Cloud Tasks with the qualified location', () async {
+      tester = await FunctionsTester.start((firebase) {});
+
+      final queue = tester.firebase.tasks.taskQueue(
+        'locations/asia-east1/functions/processOrder',
+      );
+      expect(
+        queue,
+        isA<CloudTasksQueue>()
+            .having((q) => q.location, 'location', 'asia-east1')
+            .having((q) => q.projectId, 'projectId', 'demo-test')
+            .having((q) => q.functionName, 'functionName', 'process-order'),
+      );
+    });
+
+    test('defaults to the region of the registered function', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.tasks.onTaskDispatched(
+          name: 'processOrder',
+          options: const TaskQueueOptions(
+            region: DeployOption(SupportedRegion.europeWest1),
+          ),
+          (request) async {},
+        );
+      });
+
+      expect(
+        tester.firebase.tasks.taskQueue('processOrder'),
+        isA<CloudTasksQueue>().having(
+          (q) => q.location,
+          'location',
+          'europe-west1',
+        ),
+      );
+      expect(
+        tester.firebase.tasks.taskQueue('sendEmail'),
+        isA<CloudTasksQueue>().having(
+          (q) => q.location,
+          'location',
+          'us-central1',
+        ),
+      );
+    });
+  });
+}
@@ -0,0 +1,286 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/src/testing/document_encoder.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+
+void main() {
+  group('FunctionsTester', () {
+    late FunctionsTester tester;
+
+    tearDown(() => tester.close());
+
+    test('routes HTTPS requests by path', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.https.onRequest(
+          name: 'hello',
+          (request) async => Response.ok('Hello, ${request.method}!'),
+        );
+      });
+
+      final response = await tester.handle(
+        Request('GET', Uri.parse('http://localhost/hello')),
+      );
+
+      expect(response.statusCode, 200);
+      expect(await response.readAsString(), 'Hello, GET!');
+      expect(tester.functionNames, ['hello']);
+    });
+
+    test('honors FUNCTION_TARGET from the environment', () async {
+      tester = await FunctionsTester.start(
+        environment: {'FUNCTION_TARGET': 'second'},
+        (firebase) {
+          firebase.https.onRequest(
+            name: 'first',
+            (request) async => Response.ok('first'),
+          );
+          firebase.https.onRequest(
+            name: 'second',
+            (request) async => Response.ok('second'),
+          );
+        },
+      );
+
+      final response = await tester.handle(
+        Request('GET', Uri.parse('http://localhost/first')),
+      );
+
+      expect(await response.readAsString(), 'second');
+    });
+
+    test('invoke calls a function by registered or Cloud Run name', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.https.onRequest(
+          name: 'helloWorld',
+          (request) async => Response.ok('hi'),
+        );
+      });
+
+      final request = Request('GET', Uri.parse('http://localhost/anything'));
+      expect((await tester.invoke('helloWorld', request)).statusCode, 200);
+      expect(
+        (await tester.invoke(
+          'hello-world',
+          Request('GET', Uri.parse('http://localhost/')),
+        )).statusCode,
+        200,
+      );
+      expect(() => tester.invoke('missing', request), throwsArgumentError);
+    });
+
+    test('routes Pub/Sub events by topic', () async {
+      PubsubMessage? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          (event) async => received = event.data,
+        );
+      });
+
+      final response = await tester.handle(
+        makePubSubEvent(
+          topic: 'orders',
+          data: {'orderId': 42},
+          attributes: {'source': 'test'},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.jsonData, {'orderId': 42});
+      expect(received!.attributes, {'source': 'test'});
+    });
+
+    test('routes Storage events by bucket', () async {
+      StorageEvent? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.storage.onObjectFinalized(
+          bucket: 'my-bucket',
+          (event) async => received = event,
+        );
+      });
+
+      final response = await tester.handle(
+        makeStorageEvent(
+          bucket: 'my-bucket',
+          name: 'images/cat.png',
+          object: {'contentType': 'image/png'},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.bucket, 'my-bucket');
+      expect(received!.data!.name, 'images/cat.png');
+      expect(received!.data!.contentType, 'image/png');
+    });
+
+    test('delivers Remote Config events', () async {
+      ConfigUpdateData? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.remoteConfig.onConfigUpdated(
+          (event) async => received = event.data,
+        );
+      });
+
+      final response = await tester.handle(
+        makeRemoteConfigEvent(
+          ConfigUpdateData(
+            versionNumber: 7,
+            updateTime: DateTime.utc(2026),
+            updateUser: const ConfigUser(
+              name: 'Test',
+              email: 'test@example.com',
+              imageUrl: '',
+            ),
+            description: 'Bump',
+            updateOrigin: ConfigUpdateOrigin.console,
+            updateType: ConfigUpdateType.incrementalUpdate,
+          ),
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.versionNumber, 7);
+    });
+
+    test('delivers Eventarc events', () async {
+      CloudEvent<Object>? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.eventarc.onCustomEventPublished(
+          eventType: 'com.example.order-placed',
+          (event) async => received = event,
+        );
+      });
+
+      final response = await tester.handle(
+        makeEventarcEvent(
+          eventType: 'com.example.order-placed',
+          data: {'total': 9.99},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.type, 'com.example.order-placed');
+      expect(received!.data, {'total': 9.99});
+    });
+
+    test('routes binary Firestore events by document pattern', () async {
+      FirestoreEvent<EmulatorDocumentSnapshot?>? created;
+      FirestoreEvent<Change<EmulatorDocumentSnapshot>?>? updated;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.firestore.onDocumentCreated(
+          document: 'users/{userId}',
+          (event) async => created = event,
+        );
+        firebase.firestore.onDocumentUpdated(
+          document: 'users/{userId}',
+          (event) async => updated = event,
+        );
+      });
+
+      var response = await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          after: {
+            'name': 'Alice',
+            'tags': ['a', 'b'],
+            'address': {'city': 'Paris'},
+          },
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(created!.params, {'userId': 'alice'});
+      expect(created!.data!.id, 'alice');
+      expect(created!.data!.data()['name'], 'Alice');
+      expect(created!.data!.data()['tags'], ['a', 'b']);
+      expect(created!.data!.data()['address'], {'city': 'Paris'});
+      expect(updated, isNull);
+
+      response = await tester.handle(
+        makeFirestoreEvent(
+          document: 'users/alice',
+          before: {'name': 'Alice'},
+          after: {'name': 'Alicia'},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(updated!.data!.before!.data()['name'], 'Alice');
+      expect(updated!.data!.after!.data()['name'], 'Alicia');
+    });
+
+    test('routes binary Database events by ref pattern', () async {
+      DatabaseEvent<Change<DataSnapshot>?>? received;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.database.onValueUpdated(
+          ref: 'messages/{messageId}',
+          (event) async => received = event,
+        );
+      });
+
+      final response = await tester.handle(
+        makeDatabaseEvent(
+          ref: '/messages/m1',
+          before: {'text': 'hi', 'draft': true},
+          after: {'text': 'hello'},
+        ),
+      );
+
+      expect(response.statusCode, 200);
+      expect(received!.params, {'messageId': 'm1'});
+      expect(received!.data!.before!.val(), {'text': 'hi', 'draft': true});
+      expect(received!.data!.after!.val(), {'text': 'hello'});
+    });
+  });
+
+  group('encodeDocumentEventData', () {
+    test('round-trips through parseDocumentEventData', () {
+      final time = DateTime.utc(2026, 1, 2, 3, 4, 5, 6, 7);
+      final bytes = encodeDocumentEventData(
+        name: 'projects/p/databases/(default)/documents/users/bob',
+        value: {
+          'flag': true,
+          'score': 1.5,
+          'when': time,
+          'nothing': null,
+          'nested': {
+            'list': [1.5, 'x'],
+          },
+        },
+        oldValue: {'flag': false},
+        time: time,
+      );
+
+      final parsed = parseDocumentEventData(bytes)!;
+      final value = parsed['value']!;
+      expect(value.path, 'users/bob');
+      expect(value.data(), {
+        'flag': true,
+        'score': 1.5,
+        'when': isA<Timestamp>()
+            .having((t) => t.seconds, 'seconds', 1767323045)
+            .having((t) => t.nanoseconds, 'nanoseconds', 6007000),
+        'nothing': null,
+        'nested': {
+          'list': [1.5, 'x'],
+        },
+      });
+      expect(value.updateTime, time);
+      expect(parsed['old_value']!.data(), {'flag': false});
+    });
+  });
+}
@@ -0,0 +1,365 @@
+// Copyright 2026 Google LLC
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// ignore_for_file: avoid_dynamic_calls
+
+import 'dart:async';
+import 'dart:convert';
+import 'dart:io';
+
+import 'package:firebase_functions/firebase_functions.dart';
+import 'package:firebase_functions/src/tracing/exporters.dart';
+import 'package:firebase_functions/testing.dart';
+import 'package:test/test.dart';
+
+const _traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+const _parentId = '00f067aa0ba902b7';
+const _traceparent = '00-$_traceId-$_parentId-01';
+
+void main() {
+  group('TraceContext', () {
+    test('parses traceparent and tracestate', () {
+      final context = TraceContext.fromTraceparent(_traceparent, 'a=1,b=2');
+      expect(context, isNotNull);
+      expect(context!.traceId, _traceId);
+      expect(context.spanId, _parentId);
+      expect(context.sampled, isTrue);
+      expect(context.traceState, 'a=1,b=2');
+      expect(context.traceparent, _traceparent);
+    });
+
+    test('reads the sampled flag', () {
+      final context = TraceContext.fromTraceparent(
+        '00-$_traceId-$_parentId-00',
+      );
+      expect(context!.sampled, isFalse);
+    });
+
+    test('rejects malformed traceparent headers', () {
+      for (final header in [
+        null,
+        '',
+        'garbage',
+        '00-$_traceId-$_parentId',
+        '00-${'0' * 32}-$_parentId-01',
+        '00-$_traceId-${'0' * 16}-01',
+        'ff-$_traceId-$_parentId-01',
+        '00-$_traceId-$_parentId-01-extra',
+        '00-${_traceId.toUpperCase()}-$_parentId-01',
+      ]) {
+        expect(TraceContext.fromTraceparent(header), isNull, reason: header);
+      }
+    });
+
+    test('accepts future versions with extra fields', () {
+      final context = TraceContext.fromTraceparent(
+        '01-$_traceId-$_parentId-01-extra',
+      );
+      expect(context?.traceId, _traceId);
+    });
+
+    test('parses X-Cloud-Trace-Context', () {
+      final context = TraceContext.fromCloudTraceContext(
+        '${_traceId.toUpperCase()}/123;o=1',
+      );
+      expect(context!.traceId, _traceId);
+      expect(context.spanId, '000000000000007b');
+      expect(context.sampled, isTrue);
+      expect(TraceContext.fromCloudTraceContext('$_traceId/1')!.sampled, false);
+      expect(TraceContext.fromCloudTraceContext(_traceId), isNull);
+    });
+
+    test('child contexts share the trace', () {
+      final parent = TraceContext.root();
+      final child = parent.child();
+      expect(parent.traceId, hasLength(32));
+      expect(parent.spanId, hasLength(16));
+      expect(child.traceId, parent.traceId);
+      expect(child.spanId, isNot(parent.spanId));
+    });
+  });
+
+  group('invocation spans', () {
+    late FunctionsTester tester;
+    late InMemorySpanExporter exporter;
+
+    setUp(() => exporter = InMemorySpanExporter());
+
+    tearDown(() => tester.close());
+
+    test('continue the traceparent of an HTTP request', () async {
+      Span? handlerSpan;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.spanExporter = exporter;
+        firebase.https.onRequest(name: 'hello', (request) async {
+          handlerSpan = currentSpan;
+          return Response.ok('hi');
+        });
+      });
+
+      await tester.handle(
+        Request(
+          'GET',
+          Uri.parse('http://localhost/hello'),
+          headers: {traceparentHeader: _traceparent, 'tracestate': 'a=1'},
+        ),
+      );
+
+      final span = exporter.spans.single;
+      expect(handlerSpan, same(span));
+      expect(span.name, 'hello');
+      expect(span.kind, SpanKind.server);
+      expect(span.context.traceId, _traceId);
+      expect(span.context.traceState, 'a=1');
+      expect(span.parentSpanId, _parentId);
+      expect(span.status, SpanStatusCode.ok);
+      expect(span.attributes, {
+        'faas.name': 'hello',
+        'faas.trigger': 'http',
+        'http.request.method': 'GET',
+        'url.path': '/hello',
+        'http.response.status_code': 200,
+      });
+      expect(span.endTime, isNotNull);
+    });
+
+    test('continue the traceparent CloudEvent extension', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.spanExporter = exporter;
+        firebase.pubsub.onMessagePublished(topic: 'orders', (event) async {
+          throw StateError('boom');
+        });
+      });
+
+      await tester.handle(
+        makeCloudEvent(
+          type: 'google.cloud.pubsub.topic.v1.messagePublished',
+          source: '//pubsub.googleapis.com/projects/demo-test/topics/orders',
+          id: 'evt-1',
+          extensions: {'traceparent': _traceparent},
+          data: {
+            'message': {
+              'data': base64.encode(utf8.encode('hi')),
+              'messageId': 'evt-1',
+              'publishTime': DateTime.now().toUtc().toIso8601String(),
+            },
+            'subscription': 'projects/demo-test/subscriptions/orders',
+          },
+        ),
+      );
+
+      final span = exporter.spans.single;
+      expect(span.kind, SpanKind.consumer);
+      expect(span.context.traceId, _traceId);
+      expect(span.parentSpanId, _parentId);
+      expect(span.status, SpanStatusCode.error);
+      expect(span.attributes, containsPair('faas.trigger', 'pubsub'));
+      expect(span.attributes, containsPair('faas.invocation_id', 'evt-1'));
+      expect(span.attributes, containsPair('cloudevents.event_id', 'evt-1'));
+    });
+
+    test('start a new trace without incoming context', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.spanExporter = exporter;
+        firebase.https.onRequest(
+          name: 'hello',
+          (request) async => Response.ok('hi'),
+        );
+      });
+
+      await tester.handle(Request('GET', Uri.parse('http://localhost/hello')));
+
+      final span = exporter.spans.single;
+      expect(span.parentSpanId, isNull);
+      expect(span.context.traceId, isNot(_traceId));
+    });
+
+    test('link logs to a new trace', () async {
+      Object? traceId;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.spanExporter = exporter;
+        firebase.https.onRequest(name: 'hello', (request) async {
+          traceId = Zone.current[traceIdZoneKey];
+          return Response.ok('hi');
+        });
+      });
+
+      await tester.handle(Request('GET', Uri.parse('http://localhost/hello')));
+
+      expect(traceId, exporter.spans.single.context.traceId);
+    });
+
+    test('read structured events sent as application/json', () async {
+      String? text;
+      tester = await FunctionsTester.start((firebase) {
+        firebase.spanExporter = exporter;
+        firebase.pubsub.onMessagePublished(
+          topic: 'orders',
+          (event) async => text = event.data?.textData,
+        );
+      });
+
+      await tester.handle(
+        Request(
+          'POST',
+          Uri.parse('http://localhost/'),
+          headers: {'content-type': 'application/json'},
+          body: jsonEncode({
+            'specversion': '1.0',
+            'type': 'google.cloud.pubsub.topic.v1.messagePublished',
+            'source':
+                '//pubsub.googleapis.com/projects/demo-test/topics/orders',
+            'id': 'evt-2',
+            'data': {
+              'message': {
+                'data': base64.encode(utf8.encode('hi')),
+                'messageId': 'evt-2',
+                'publishTime': DateTime.now().toUtc().toIso8601String(),
+              },
+              'subscription': 'projects/demo-test/subscriptions/orders',
+            },
+          }),
+        ),
+      );
+
+      expect(text, 'hi');
+      final span = exporter.spans.single;
+      expect(span.attributes, containsPair('cloudevents.event_id', 'evt-2'));
+      expect(
+        span.attributes,
+        containsPair(
+          'cloudevents.event_type',
+          'google.cloud.pubsub.topic.v1.messagePublished',
+        ),
+      );
+    });
+
+    test('are not exported when the trace is not sampled', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.spanExporter = exporter;
+        firebase.https.onRequest(
+          name: 'hello',
+          (request) async => Response.ok('hi'),
+        );
+      });
+
+      await tester.handle(
+        Request(
+          'GET',
+          Uri.parse('http://localhost/hello'),
+          headers: {traceparentHeader: '00-$_traceId-$_parentId-00'},
+        ),
+      );
+
+      expect(exporter.spans, isEmpty);
+    });
+
+    test('runInSpan records child spans', () async {
+      tester = await FunctionsTester.start((firebase) {
+        firebase.spanExporter = exporter;
+        firebase.https.onRequest(name: 'hello', (request) async {
+          await runInSpan('work', (span) => span.setAttribute('items', 3));
+          await expectLater(
+            runInSpan('fail', (span) => throw StateError('boom')),
+            throwsStateError,
+          );
+          return Response.ok('hi');
+        });
+      });
+
+      await tester.handle(Request('GET', Uri.parse('http://localhost/hello')));
+
+      final [work, fail, invocation] = exporter.spans;
+      expect(work.name, 'work');
+      expect(work.parentSpanId, invocation.context.spanId);
+      expect(work.context.traceId, invocation.context.traceId);
+      expect(work.attributes, {'items': 3});
+      expect(fail.status, SpanStatusCode.error);
+      expect(fail.events.single.name, 'exception');
+    });
+  });
+
+  group('exporters', () {
+    late Span span;
+
+    setUp(() async {
+      final exporter = InMemorySpanExporter();
+      final tester = await FunctionsTester.start((firebase) {
+        firebase.spanExporter = exporter;
+        firebase.https.onRequest(
+          name: 'hello',
+          (request) async => Response.ok('hi'),
+        );
+      });
+      await tester.handle(
+        Request(
+          'GET',
+          Uri.parse('http://localhost/hello'),
+          headers: {traceparentHeader: _traceparent},
+        ),
+      );
+      await tester.close();
+      span = exporter.spans.single;
+    });
+
+    test('encode spans as OTLP/JSON', () {
+      final json = otlpSpan(span);
+      expect(json['traceId'], _traceId);
+      expect(json['parentSpanId'], _parentId);
+      expect(json['name'], 'hello');
+      expect(json['kind'], 2);
+      expect(json['status'], {'code': 1});
+      expect(json['startTimeUnixNano'], isA<String>());
+      expect(
+        json['attributes'],
+        contains({
+          'key': 'http.response.status_code',
+          'value': {'intValue': '200'},
+        }),
+      );
+    });
+
+    test('ConsoleSpanExporter writes one line per span', () {
+      final lines = <String>[];
+      ConsoleSpanExporter(writer: lines.add).export(span);
+      expect(jsonDecode(lines.single), otlpSpan(span));
+    });
+
+    test('OtlpFileSpanExporter appends export requests', () async {
+      final dir = await Directory.systemTemp.createTemp('spans');
+      addTearDown(() => dir.delete(recursive: true));
+      final exporter = OtlpFileSpanExporter(
+        '${dir.path}/spans.jsonl',
+        resourceAttributes: {'service.name': 'test'},
+      );
+      exporter.export(span);
+      exporter.export(span);
+
+      final lines = await exporter.file.readAsLines();
+      expect(lines, hasLength(2));
+      final request = jsonDecode(lines.first);
+      final resourceSpans = request['resourceSpans'].single;
+      expect(resourceSpans['resource']['attributes'], [
+        {
+          'key': 'service.name',
+          'value': {'stringValue': 'test'},
+        },
+      ]);
+      expect(
+        resourceSpans['scopeSpans'].single['spans'].single['spanId'],
+        span.context.spanId,
+      );
+    });
+  });
+}